@@ -1,4 +1,4 @@
-const { getOneCamelized } = require("./db");
+const { getOneCamelized, allAsync } = require("./db");
 
 /**
  * Resolve the active project for a vessel (Option C: vessel_context table).
@@ -10,10 +10,21 @@ async function getActiveProjectForVessel(vesselTag) {
   const project = await getOneCamelized(
     `SELECT p.* FROM projects p
      INNER JOIN vessel_context v ON v.active_project_id = p.id
-     WHERE v.vessel_tag = ? AND v.active_project_id IS NOT NULL`,
+     WHERE v.vessel_tag = ? AND v.active_project_id IS NOT NULL AND p.trash_id IS NULL`,
     [vesselTag.trim()]
   );
   return project;
 }
 
-module.exports = { getActiveProjectForVessel };
+/**
+ * Every vessel tag that has projects, sorted (vessel choices for global users).
+ * @returns {Promise<string[]>}
+ */
+async function listVesselTags() {
+  const rows = await allAsync(
+    "SELECT DISTINCT vessel_tag FROM projects WHERE vessel_tag IS NOT NULL AND vessel_tag != '' AND trash_id IS NULL ORDER BY vessel_tag"
+  );
+  return rows.map((row) => row.vessel_tag);
+}
+
+module.exports = { getActiveProjectForVessel, listVesselTags };
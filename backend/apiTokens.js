@@ -0,0 +1,189 @@
+// apiTokens.js
+const crypto = require("crypto");
+const { runAsync, getOneCamelized, getAllCamelized } = require("./db");
+const { hashToken } = require("./sessions");
+const { buildVesselScopeCondition } = require("./utils/queryHelpers");
+
+/** Prefix that distinguishes API tokens from session tokens in the Authorization header. */
+const API_TOKEN_PREFIX = "smt_";
+
+/** Permissions an API token can carry. */
+const API_TOKEN_PERMISSIONS = {
+  READ: "read",
+  EVENTS_WRITE: "events:write",
+  NOISE_WRITE: "noise:write",
+};
+
+/**
+ * Write permissions -> the only method/path combinations they unlock.
+ * Deletes are never allowed for tokens.
+ */
+const WRITE_RULES = {
+  [API_TOKEN_PERMISSIONS.EVENTS_WRITE]: { methods: ["POST", "PUT"], pattern: /^\/api\/events(\/|$)/ },
+  [API_TOKEN_PERMISSIONS.NOISE_WRITE]: { methods: ["POST"], pattern: /^\/api\/noise-data$/ },
+};
+
+/** last_used_at is only rewritten when older than this. */
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Whether the bearer value looks like an API token rather than a session token.
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isApiToken(token) {
+  return typeof token === "string" && token.startsWith(API_TOKEN_PREFIX);
+}
+
+/**
+ * Whether a permission list is valid and non-empty.
+ * @param {*} permissions
+ * @returns {boolean}
+ */
+function isValidPermissionList(permissions) {
+  const allowed = Object.values(API_TOKEN_PERMISSIONS);
+  return Array.isArray(permissions)
+    && permissions.length > 0
+    && permissions.every((p) => allowed.includes(p));
+}
+
+/**
+ * Whether a token with the given permissions may make this request.
+ * GET/HEAD need "read"; writes need a matching WRITE_RULES entry.
+ * @param {string[]} permissions
+ * @param {string} method
+ * @param {string} path - Full request path (e.g. /api/events/12)
+ * @returns {boolean}
+ */
+function apiTokenAllows(permissions, method, path) {
+  if (method === "GET" || method === "HEAD") {
+    return permissions.includes(API_TOKEN_PERMISSIONS.READ);
+  }
+  return permissions.some((permission) => {
+    const rule = WRITE_RULES[permission];
+    return Boolean(rule && rule.methods.includes(method) && rule.pattern.test(path));
+  });
+}
+
+/**
+ * Whether the permission set includes any write permission.
+ * @param {string[]} permissions
+ * @returns {boolean}
+ */
+function hasWritePermission(permissions) {
+  return permissions.some((permission) => permission in WRITE_RULES);
+}
+
+/**
+ * Normalize an api_tokens row for API responses (never includes the hash).
+ * @param {Object} row - camelCase row
+ * @returns {Object}
+ */
+function toPublicApiToken(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    tokenPrefix: row.tokenPrefix,
+    vesselTag: row.vesselTag,
+    permissions: row.permissions.split(","),
+    createdBy: row.createdBy,
+    createdAt: row.createdAt,
+    lastUsedAt: row.lastUsedAt ?? null,
+    revokedAt: row.revokedAt ?? null,
+    revokedBy: row.revokedBy ?? null,
+  };
+}
+
+/**
+ * Issue a new API token. The raw token is only ever returned here.
+ * @param {{ name: string, vesselTag: string, permissions: string[], createdBy: string }} data
+ * @returns {Promise<{ token: string, apiToken: Object }>}
+ */
+async function createApiToken({ name, vesselTag, permissions, createdBy }) {
+  const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString("hex");
+  const result = await runAsync(
+    `INSERT INTO api_tokens (name, token_hash, token_prefix, vessel_tag, permissions, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      name,
+      hashToken(token),
+      token.slice(0, API_TOKEN_PREFIX.length + 8),
+      vesselTag,
+      permissions.join(","),
+      createdBy,
+      new Date().toISOString(),
+    ]
+  );
+  return { token, apiToken: await getApiTokenById(result.lastID) };
+}
+
+/**
+ * Look up a token by id.
+ * @param {number} id
+ * @returns {Promise<Object|null>} Public token or null
+ */
+async function getApiTokenById(id) {
+  const row = await getOneCamelized("SELECT * FROM api_tokens WHERE id = ?", [id]);
+  return row ? toPublicApiToken(row) : null;
+}
+
+/**
+ * Resolve a raw bearer token to an unrevoked API token, refreshing last_used_at.
+ * @param {string} token
+ * @returns {Promise<Object|null>} Public token or null
+ */
+async function getActiveApiToken(token) {
+  const row = await getOneCamelized(
+    "SELECT * FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL",
+    [hashToken(token)]
+  );
+  if (!row) return null;
+
+  const now = Date.now();
+  if (!row.lastUsedAt || now - new Date(row.lastUsedAt).getTime() > LAST_USED_RESOLUTION_MS) {
+    row.lastUsedAt = new Date(now).toISOString();
+    await runAsync("UPDATE api_tokens SET last_used_at = ? WHERE id = ?", [row.lastUsedAt, row.id]);
+  }
+  return toPublicApiToken(row);
+}
+
+/**
+ * List API tokens, optionally limited to a vessel scope, newest first.
+ * @param {string[]|null} vesselScope
+ * @returns {Promise<Array<Object>>}
+ */
+async function listApiTokens(vesselScope) {
+  let rows;
+  if (vesselScope) {
+    const scope = buildVesselScopeCondition("vessel_tag", vesselScope);
+    rows = await getAllCamelized(`SELECT * FROM api_tokens WHERE ${scope.sql} ORDER BY created_at DESC`, scope.params);
+  } else {
+    rows = await getAllCamelized("SELECT * FROM api_tokens ORDER BY created_at DESC");
+  }
+  return rows.map(toPublicApiToken);
+}
+
+/**
+ * Revoke a token (kept for the audit trail, rejected from now on).
+ * @param {number} id
+ * @param {string} revokedBy
+ */
+async function revokeApiToken(id, revokedBy) {
+  await runAsync(
+    "UPDATE api_tokens SET revoked_at = ?, revoked_by = ? WHERE id = ? AND revoked_at IS NULL",
+    [new Date().toISOString(), revokedBy, id]
+  );
+}
+
+module.exports = {
+  API_TOKEN_PERMISSIONS,
+  isApiToken,
+  isValidPermissionList,
+  apiTokenAllows,
+  hasWritePermission,
+  createApiToken,
+  getApiTokenById,
+  getActiveApiToken,
+  listApiTokens,
+  revokeApiToken,
+};
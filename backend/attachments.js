@@ -0,0 +1,218 @@
+// attachments.js
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { runAsync, allAsync, getAllCamelized, getOneCamelized, ATTACHMENTS_DIR } = require("./db");
+const { toInt } = require("./utils/validation");
+
+/** Largest accepted attachment in MB (ATTACHMENT_MAX_MB, default 10). */
+const ATTACHMENT_MAX_MB = toInt(process.env.ATTACHMENT_MAX_MB, 10);
+const ATTACHMENT_MAX_BYTES = ATTACHMENT_MAX_MB * 1024 * 1024;
+/** JSON body limit for uploads: the file travels base64-encoded (4/3 larger). */
+const ATTACHMENT_BODY_LIMIT = `${Math.ceil((ATTACHMENT_MAX_MB * 4) / 3) + 1}mb`;
+
+const THUMBNAILS_DIR = path.join(ATTACHMENTS_DIR, "thumbs");
+/** Longest edge of a thumbnail in pixels. */
+const THUMBNAIL_SIZE = 320;
+/** Files younger than this are never treated as orphans (an upload writes the file before its row). */
+const ORPHAN_GRACE_MS = 10 * 60 * 1000;
+
+/** Accepted file types by extension. Images get a thumbnail and are shown inline. */
+const ATTACHMENT_TYPES = {
+  jpg: { mimeType: "image/jpeg", image: true },
+  jpeg: { mimeType: "image/jpeg", image: true },
+  png: { mimeType: "image/png", image: true },
+  webp: { mimeType: "image/webp", image: true },
+  gif: { mimeType: "image/gif", image: true },
+  tif: { mimeType: "image/tiff", image: true },
+  tiff: { mimeType: "image/tiff", image: true },
+  pdf: { mimeType: "application/pdf", image: false },
+  txt: { mimeType: "text/plain", image: false },
+  csv: { mimeType: "text/csv", image: false },
+  doc: { mimeType: "application/msword", image: false },
+  docx: { mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document", image: false },
+  xls: { mimeType: "application/vnd.ms-excel", image: false },
+  xlsx: { mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", image: false },
+};
+
+if (!fs.existsSync(THUMBNAILS_DIR)) {
+  fs.mkdirSync(THUMBNAILS_DIR, { recursive: true });
+}
+
+/**
+ * The accepted type of a file name, by extension.
+ * @param {string} filename
+ * @returns {{ extension: string, mimeType: string, image: boolean }|null}
+ */
+function resolveAttachmentType(filename) {
+  const extension = path.extname(String(filename)).slice(1).toLowerCase();
+  const type = ATTACHMENT_TYPES[extension];
+  return type ? { extension, ...type } : null;
+}
+
+function attachmentFilePath(attachment) {
+  return path.join(ATTACHMENTS_DIR, attachment.storedName);
+}
+
+function thumbnailFilePath(attachment) {
+  return path.join(THUMBNAILS_DIR, `${attachment.storedName}.jpg`);
+}
+
+/** API shape of an event_attachments row (the stored file name stays internal). */
+function toAttachment(row) {
+  return {
+    id: row.id,
+    eventId: row.eventId,
+    originalName: row.originalName,
+    mimeType: row.mimeType,
+    sizeBytes: row.sizeBytes,
+    hasThumbnail: row.hasThumbnail === 1,
+    caption: row.caption,
+    uploadedBy: row.uploadedBy,
+    uploadedAt: row.uploadedAt,
+  };
+}
+
+/**
+ * Attachments of an event, oldest first.
+ * @param {number} eventId
+ * @returns {Promise<Array<Object>>}
+ */
+async function listAttachments(eventId) {
+  const rows = await getAllCamelized(
+    "SELECT * FROM event_attachments WHERE event_id = ? ORDER BY uploaded_at ASC, id ASC",
+    [eventId]
+  );
+  return rows.map(toAttachment);
+}
+
+/**
+ * One attachment with its stored name and the vessel and trash state of its event,
+ * for access checks and serving the file.
+ * @param {number} id
+ * @returns {Promise<Object|null>} Camelized row plus eventVesselTag and eventTrashId
+ */
+async function getAttachmentRecord(id) {
+  return getOneCamelized(
+    `SELECT a.*, e.vessel_tag AS event_vessel_tag, e.project_number AS event_project_number, e.trash_id AS event_trash_id
+     FROM event_attachments a JOIN cleaning_events e ON e.id = a.event_id
+     WHERE a.id = ?`,
+    [id]
+  );
+}
+
+/**
+ * Store an uploaded file for an event. Images are checked by decoding them and get a
+ * JPEG thumbnail (rotated per EXIF, at most THUMBNAIL_SIZE px on the long edge).
+ * @param {{ eventId: number, filename: string, buffer: Buffer, caption?: string|null }} upload
+ * @param {string} username
+ * @returns {Promise<{ error: string } | { attachment: Object }>}
+ */
+async function saveAttachment({ eventId, filename, buffer, caption = null }, username) {
+  const type = resolveAttachmentType(filename);
+  if (!type) {
+    return { error: `Unsupported file type; allowed: ${Object.keys(ATTACHMENT_TYPES).join(", ")}` };
+  }
+  if (buffer.length === 0) {
+    return { error: "The file is empty" };
+  }
+  if (buffer.length > ATTACHMENT_MAX_BYTES) {
+    return { error: `File is larger than ${ATTACHMENT_MAX_MB} MB` };
+  }
+
+  const storedName = `${crypto.randomUUID()}.${type.extension}`;
+  let thumbnail = null;
+  if (type.image) {
+    try {
+      thumbnail = await sharp(buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+        .flatten({ background: "#ffffff" })
+        .jpeg({ quality: 80 })
+        .toBuffer();
+    } catch (err) {
+      console.error(err);
+      return { error: "Could not read the image" };
+    }
+  }
+
+  const filePath = path.join(ATTACHMENTS_DIR, storedName);
+  const thumbPath = thumbnailFilePath({ storedName });
+  fs.writeFileSync(filePath, buffer);
+  if (thumbnail) fs.writeFileSync(thumbPath, thumbnail);
+
+  try {
+    const result = await runAsync(
+      `INSERT INTO event_attachments (event_id, original_name, stored_name, mime_type, size_bytes, has_thumbnail, caption, uploaded_by, uploaded_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        eventId,
+        path.basename(filename),
+        storedName,
+        type.mimeType,
+        buffer.length,
+        thumbnail ? 1 : 0,
+        caption,
+        username,
+        new Date().toISOString(),
+      ]
+    );
+    const row = await getOneCamelized("SELECT * FROM event_attachments WHERE id = ?", [result.lastID]);
+    return { attachment: toAttachment(row) };
+  } catch (err) {
+    fs.rmSync(filePath, { force: true });
+    fs.rmSync(thumbPath, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Delete an attachment's row and its files.
+ * @param {Object} record - From getAttachmentRecord
+ */
+async function deleteAttachment(record) {
+  await runAsync("DELETE FROM event_attachments WHERE id = ?", [record.id]);
+  fs.rmSync(attachmentFilePath(record), { force: true });
+  fs.rmSync(thumbnailFilePath(record), { force: true });
+}
+
+/**
+ * Remove files no attachment row refers to: left behind when events are purged from the
+ * trash (rows go with ON DELETE CASCADE) or after restoring an older backup.
+ * @returns {Promise<number>} Number of files removed
+ */
+async function removeOrphanedAttachmentFiles() {
+  const rows = await allAsync("SELECT stored_name FROM event_attachments");
+  const known = new Set(rows.map((row) => row.stored_name));
+  const cutoff = Date.now() - ORPHAN_GRACE_MS;
+  const removeIfOrphaned = (filePath, storedName) => {
+    if (known.has(storedName) || fs.statSync(filePath).mtimeMs > cutoff) return 0;
+    fs.rmSync(filePath, { force: true, recursive: true });
+    return 1;
+  };
+
+  let removed = 0;
+  for (const name of fs.readdirSync(ATTACHMENTS_DIR)) {
+    if (name === "thumbs") continue;
+    removed += removeIfOrphaned(path.join(ATTACHMENTS_DIR, name), name);
+  }
+  for (const name of fs.readdirSync(THUMBNAILS_DIR)) {
+    removed += removeIfOrphaned(path.join(THUMBNAILS_DIR, name), name.replace(/\.jpg$/, ""));
+  }
+  if (removed > 0) console.log(`Removed ${removed} orphaned attachment file(s)`);
+  return removed;
+}
+
+module.exports = {
+  ATTACHMENT_MAX_MB,
+  ATTACHMENT_BODY_LIMIT,
+  ATTACHMENT_TYPES,
+  attachmentFilePath,
+  thumbnailFilePath,
+  listAttachments,
+  getAttachmentRecord,
+  saveAttachment,
+  deleteAttachment,
+  removeOrphanedAttachmentFiles,
+};
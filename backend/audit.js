@@ -0,0 +1,189 @@
+// audit.js
+const fs = require("fs");
+const { runAsync, getAllCamelized, DB_FILE } = require("./db");
+const { toInt } = require("./utils/validation");
+const { buildVesselScopeCondition, likeSubstring } = require("./utils/queryHelpers");
+
+/** Actions written to audit_log (target type is the part before the dot). */
+const AUDIT_ACTIONS = {
+  EVENT_CREATE: "event.create",
+  EVENT_UPDATE: "event.update",
+  EVENT_DELETE: "event.delete",
+  EVENT_REVERT: "event.revert",
+  EVENTS_BULK_IMPORT: "events.bulkImport",
+  EVENTS_CLEAR: "events.clear",
+  EVENTS_MERGE: "events.merge",
+  ATTACHMENT_UPLOAD: "attachment.upload",
+  ATTACHMENT_DELETE: "attachment.delete",
+  IMPORT_TEMPLATE_SAVE: "importTemplate.save",
+  IMPORT_TEMPLATE_DELETE: "importTemplate.delete",
+  METHOD_CREATE: "method.create",
+  METHOD_UPDATE: "method.update",
+  METHOD_DELETE: "method.delete",
+  PROJECT_CREATE: "project.create",
+  PROJECT_UPDATE: "project.update",
+  PROJECT_CLONE: "project.clone",
+  PROJECT_STATUS: "project.status",
+  PROJECT_ACTIVATE: "project.activate",
+  PROJECT_DEACTIVATE: "project.deactivate",
+  PROJECT_DELETE: "project.delete",
+  PROJECT_FORCE_DELETE: "project.forceDelete",
+  DEPLOYMENTS_UPDATE: "deployments.update",
+  DEPLOYMENTS_CLEAR: "deployments.clear",
+  STREAMERS_CLEANUP: "streamers.cleanup",
+  CONFIG_UPDATE: "config.update",
+  NOISE_UPLOAD: "noise.upload",
+  SURVEY_LINES_IMPORT: "surveyLines.import",
+  SURVEY_LINES_CLEAR: "surveyLines.clear",
+  BACKUP_CREATE: "backup.create",
+  BACKUP_RESTORE: "backup.restore",
+  TRASH_RESTORE: "trash.restore",
+  TRASH_PURGE: "trash.purge",
+};
+
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 500;
+
+/** Entries recorded at the next start (see recordAuditAfterRestart), next to the database file. */
+const PENDING_AUDIT_FILE = `${DB_FILE}.audit-pending.json`;
+
+const INSERT_AUDIT_SQL = `INSERT INTO audit_log (created_at, user_id, username, role, vessel_tag, action, target_type, target_id, before_json, after_json, ip_address)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+/** INSERT_AUDIT_SQL parameters of an entry (see recordAudit). */
+function auditParams(req, { action, targetId = null, vesselTag, before = null, after = null }) {
+  return [
+    new Date().toISOString(),
+    req.user?.userId ?? null,
+    req.user?.username ?? "unknown",
+    req.user?.role ?? null,
+    vesselTag !== undefined ? vesselTag : req.workingVessel ?? null,
+    action,
+    action.split(".")[0],
+    targetId != null ? String(targetId) : null,
+    before != null ? JSON.stringify(before) : null,
+    after != null ? JSON.stringify(after) : null,
+    req.ip || null,
+  ];
+}
+
+/**
+ * Record one mutation. Never throws: a failed audit write is logged but does not undo
+ * or fail the change it describes.
+ * @param {Object} req - Authenticated request (req.user, req.workingVessel, req.ip)
+ * @param {{ action: string, targetId?: string|number|null, vesselTag?: string|null, before?: *, after?: * }} entry
+ *   vesselTag defaults to the working vessel; pass null explicitly for global changes.
+ */
+async function recordAudit(req, entry) {
+  try {
+    await runAsync(INSERT_AUDIT_SQL, auditParams(req, entry));
+  } catch (err) {
+    console.error(`[audit] Failed to record ${entry.action}:`, err);
+  }
+}
+
+function readPendingAudit() {
+  return fs.existsSync(PENDING_AUDIT_FILE) ? JSON.parse(fs.readFileSync(PENDING_AUDIT_FILE, "utf8")) : [];
+}
+
+/**
+ * Record an entry at the next start, in the database live then: for a backup restore, whose
+ * database replaces the live audit_log. Throws when the entry cannot be kept, so the change
+ * it describes can be refused.
+ * @param {Object} req - As for recordAudit
+ * @param {Object} entry - As for recordAudit
+ */
+function recordAuditAfterRestart(req, entry) {
+  fs.writeFileSync(PENDING_AUDIT_FILE, JSON.stringify([...readPendingAudit(), auditParams(req, entry)]));
+}
+
+/**
+ * Write the entries kept by recordAuditAfterRestart (run at startup, after the schema).
+ * @returns {Promise<number>} Number of entries written
+ */
+async function recordPendingAudit() {
+  const pending = readPendingAudit();
+  for (const params of pending) {
+    await runAsync(INSERT_AUDIT_SQL, params);
+  }
+  fs.rmSync(PENDING_AUDIT_FILE, { force: true });
+  return pending.length;
+}
+
+function parseJson(value) {
+  if (value == null) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Audit entries, newest first. Per-vessel callers only see entries of their vessels
+ * (global entries with no vessel are hidden from them).
+ * @param {string[]|null} vesselScope - From req.vesselScope
+ * @param {{ action?: string, targetType?: string, targetId?: string, username?: string, vesselTag?: string, from?: string, to?: string, limit?: *, offset?: * }} [filters={}]
+ *   from/to are dates (YYYY-MM-DD, inclusive) or ISO timestamps
+ * @returns {Promise<Array<Object>>}
+ */
+async function listAuditEntries(vesselScope, filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (vesselScope) {
+    const scope = buildVesselScopeCondition("vessel_tag", vesselScope);
+    conditions.push(scope.sql);
+    params.push(...scope.params);
+  }
+  if (filters.action) {
+    conditions.push("action = ?");
+    params.push(filters.action);
+  }
+  if (filters.targetType) {
+    conditions.push("target_type = ?");
+    params.push(filters.targetType);
+  }
+  if (filters.targetId) {
+    conditions.push("target_id = ?");
+    params.push(String(filters.targetId));
+  }
+  if (filters.username) {
+    conditions.push("username LIKE ? ESCAPE '\\'");
+    params.push(likeSubstring(filters.username));
+  }
+  if (filters.vesselTag) {
+    conditions.push("vessel_tag = ?");
+    params.push(filters.vesselTag);
+  }
+  if (filters.from) {
+    conditions.push("DATE(created_at) >= DATE(?)");
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push("DATE(created_at) <= DATE(?)");
+    params.push(filters.to);
+  }
+
+  const limit = Math.min(Math.max(toInt(filters.limit, DEFAULT_LIST_LIMIT), 1), MAX_LIST_LIMIT);
+  const offset = Math.max(toInt(filters.offset, 0), 0);
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const rows = await getAllCamelized(
+    `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  return rows.map(({ beforeJson, afterJson, ...row }) => ({
+    ...row,
+    before: parseJson(beforeJson),
+    after: parseJson(afterJson),
+  }));
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  recordAudit,
+  recordAuditAfterRestart,
+  recordPendingAudit,
+  listAuditEntries,
+};
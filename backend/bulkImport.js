@@ -0,0 +1,333 @@
+// bulkImport.js
+const humps = require("humps");
+const { runAsync, getOneCamelized, inTransaction } = require("./db");
+const { defaultConfig, loadConfig } = require("./config");
+const { getActiveProjectForVessel } = require("./activeProject");
+const { isInVesselScope } = require("./middleware/auth");
+const { splitSectionRange, validateRangeForType } = require("./utils/sectionType");
+const { isProjectTrashed } = require("./trash");
+const { projectLockError } = require("./projectLifecycle");
+const { pickLayout, projectLayoutAt } = require("./configVersions");
+const { streamerError } = require("./utils/configVersions");
+const { findConflictsForEvents, findBatchConflicts, blockingConflicts } = require("./eventConflicts");
+const { readFoulingFields } = require("./utils/fouling");
+const { readEffortFields, splitDuration } = require("./utils/effort");
+const { readNotes } = require("./utils/notes");
+const { normalizeTimestamp } = require("./utils/time");
+const { getVesselTimeZone } = require("./vesselTime");
+const { listCleaningMethods, cleaningMethodError } = require("./cleaningMethods");
+
+/**
+ * Work out what a new event (a POST /api/events body or a bulk-import row) would insert, without
+ * writing anything: validate it, resolve its project and vessel and split the range into active + tail.
+ * @param {Object} req - Authenticated request (working vessel, vessel scope, user)
+ * @param {Object} row - Camelized event fields
+ * @param {Object} config - From loadConfig()
+ * @param {Array<Object>} methods - Cleaning method catalogue (listCleaningMethods)
+ * @returns {Promise<{ status: 'create'|'split'|'rejected', reason?: string, httpStatus?: number, events: Array<Object> }>}
+ *   events are the rows to insert (two when the range is split into active + tail); httpStatus
+ *   of a rejection is 403 when the project is locked, else 400
+ */
+async function planNewEvent(req, row, config, methods) {
+  const reject = (reason, httpStatus = 400) => ({ status: "rejected", reason, httpStatus, events: [] });
+  const bodyData = humps.decamelizeKeys(row || {});
+  const {
+    streamer_id,
+    section_index_start,
+    section_index_end,
+    section_type: body_section_type,
+    cleaning_method,
+    cleaned_at,
+    cleaning_count,
+    project_number,
+    vessel_tag,
+    added_by_usertag,
+    fouling_grade,
+    fouling_type,
+    duration_minutes,
+    started_at,
+    crew_size,
+    crew_names,
+    equipment_unit,
+    notes,
+  } = bodyData;
+
+  if (
+    !Number.isFinite(streamer_id) ||
+    !Number.isFinite(section_index_start) ||
+    !Number.isFinite(section_index_end) ||
+    typeof cleaning_method !== "string" ||
+    typeof cleaned_at !== "string"
+  ) {
+    return reject("Invalid payload");
+  }
+  const fouling = readFoulingFields(fouling_grade, fouling_type);
+  if (fouling.error) {
+    return reject(fouling.error);
+  }
+  const eventNotes = readNotes(notes);
+  if (eventNotes.error) {
+    return reject(eventNotes.error);
+  }
+
+  const projectNumberMissing = project_number === undefined || project_number === null || project_number === "";
+  let finalProjectNumber = projectNumberMissing ? null : project_number;
+  let finalVesselTag = vessel_tag || defaultConfig.vesselTag;
+  let activeProject = null;
+
+  if (finalProjectNumber && await isProjectTrashed(finalProjectNumber)) {
+    return reject(`Project ${finalProjectNumber} is in the trash`);
+  }
+
+  if (finalProjectNumber === null) {
+    const vesselTagForResolve = req.workingVessel || config.vesselTag || defaultConfig.vesselTag;
+    activeProject = vesselTagForResolve
+      ? await getActiveProjectForVessel(vesselTagForResolve)
+      : null;
+    if (!activeProject) {
+      return reject("No active project for this vessel. Set an active project first.");
+    }
+    finalProjectNumber = activeProject.projectNumber;
+    finalVesselTag = activeProject.vesselTag || defaultConfig.vesselTag;
+  }
+
+  // Per-vessel users only write to their own vessels; anything else goes to the working vessel.
+  if (!isInVesselScope(req.vesselScope, finalVesselTag)) finalVesselTag = req.workingVessel;
+  const lockError = await projectLockError(req.user, finalProjectNumber);
+  if (lockError) {
+    return reject(lockError, 403);
+  }
+  const methodError = cleaningMethodError(methods, cleaning_method, finalVesselTag);
+  if (methodError) {
+    return reject(methodError);
+  }
+  // Stored in UTC; a time without a zone is the vessel's local time.
+  const timeZone = await getVesselTimeZone(finalVesselTag);
+  const cleanedAt = normalizeTimestamp(cleaned_at, timeZone);
+  if (!cleanedAt) {
+    return reject(`Invalid date and time "${cleaned_at}"`);
+  }
+  const effort = readEffortFields({
+    durationMinutes: duration_minutes,
+    startedAt: started_at,
+    cleanedAt,
+    crewSize: crew_size,
+    crewNames: crew_names,
+    equipmentUnit: equipment_unit,
+  }, timeZone);
+  if (effort.error) {
+    return reject(effort.error);
+  }
+
+  const projectRow = activeProject ||
+    await getOneCamelized("SELECT * FROM projects WHERE project_number = ? AND trash_id IS NULL", [finalProjectNumber]);
+  if (!projectRow) {
+    return reject(`Project ${finalProjectNumber} does not exist`);
+  }
+
+  // Validated against the layout the project had when the event happened (see configVersions.js).
+  const eventConfig = { ...config, ...pickLayout(await projectLayoutAt(projectRow, cleanedAt)) };
+  const streamerMessage = streamerError(streamer_id, eventConfig);
+  if (streamerMessage) {
+    return reject(streamerMessage);
+  }
+
+  const base = {
+    streamerId: streamer_id,
+    cleaningMethod: cleaning_method,
+    cleanedAt,
+    cleaningCount: Number.isFinite(cleaning_count) ? cleaning_count : 1,
+    projectNumber: finalProjectNumber,
+    vesselTag: finalVesselTag,
+    addedByUsertag: added_by_usertag != null
+      ? String(added_by_usertag).trim() || null
+      : (req.user?.username ?? null),
+    foulingGrade: fouling.foulingGrade,
+    foulingType: fouling.foulingType,
+    ...effort,
+    notes: eventNotes.notes,
+  };
+  const planned = (sectionType, start, end) => ({
+    ...base,
+    sectionType,
+    sectionIndexStart: start,
+    sectionIndexEnd: end,
+  });
+
+  const explicitType =
+    body_section_type === "active" || body_section_type === "tail"
+      ? body_section_type
+      : null;
+
+  if (explicitType) {
+    const validation = validateRangeForType(
+      section_index_start, section_index_end, explicitType, eventConfig
+    );
+    if (!validation.valid) {
+      return reject(validation.message);
+    }
+    return { status: "create", events: [planned(explicitType, section_index_start, section_index_end)] };
+  }
+
+  const { active, tail } = splitSectionRange(
+    section_index_start, section_index_end, eventConfig
+  );
+  if (!active && !tail) {
+    return reject("Section range out of bounds or tail sections not configured");
+  }
+  const events = [];
+  if (active) events.push(planned("active", active.start, active.end));
+  if (tail) events.push(planned("tail", tail.start, tail.end));
+  const durations = splitDuration(effort.durationMinutes, events.map((e) => e.sectionIndexEnd - e.sectionIndexStart + 1));
+  events.forEach((e, index) => {
+    e.durationMinutes = durations[index];
+  });
+  return { status: events.length > 1 ? "split" : "create", events };
+}
+
+/** Identity of a planned event for duplicate detection: same streamer, sections, time and project. */
+function duplicateKey(event) {
+  return [
+    event.streamerId,
+    event.sectionType,
+    event.sectionIndexStart,
+    event.sectionIndexEnd,
+    new Date(event.cleanedAt).toISOString(),
+    event.projectNumber,
+  ].join("|");
+}
+
+async function findExistingDuplicate(event) {
+  return getOneCamelized(
+    `SELECT id FROM cleaning_events
+     WHERE trash_id IS NULL AND streamer_id = ? AND section_type = ? AND section_index_start = ?
+       AND section_index_end = ? AND datetime(cleaned_at) = datetime(?) AND project_number IS ?`,
+    [
+      event.streamerId,
+      event.sectionType,
+      event.sectionIndexStart,
+      event.sectionIndexEnd,
+      event.cleanedAt,
+      event.projectNumber,
+    ]
+  );
+}
+
+/**
+ * Plan a bulk import: validate every row, split ranges into active + tail, flag duplicates
+ * (of existing events or of an earlier row) and attach overlap / adjacency warnings against
+ * existing events and the rows accepted before (overlaps are rejected under the strict conflict
+ * policy). Writes nothing.
+ * @param {Object} req - Authenticated request (working vessel, vessel scope, user)
+ * @param {Array<Object>} rows - Rows shaped like the POST /api/events body
+ * @returns {Promise<{ counts: { create: number, split: number, duplicate: number, rejected: number }, results: Array<Object> }>}
+ *   One result per row: { index, status, reason?, warnings?, events }
+ */
+async function planBulkImport(req, rows) {
+  const [config, methods] = await Promise.all([loadConfig(), listCleaningMethods()]);
+  const results = [];
+  const seen = new Map();
+  const accepted = [];
+
+  for (const [index, row] of rows.entries()) {
+    let result;
+    try {
+      // httpStatus only matters to POST /api/events.
+      const { httpStatus, ...planned } = await planNewEvent(req, row, config, methods);
+      result = planned;
+    } catch (rowErr) {
+      result = { status: "rejected", reason: rowErr.message || "Invalid row", events: [] };
+    }
+
+    if (result.status !== "rejected") {
+      for (const event of result.events) {
+        const key = duplicateKey(event);
+        if (seen.has(key)) {
+          result = { ...result, status: "duplicate", reason: `Same as row ${seen.get(key) + 1} of this import` };
+          break;
+        }
+        const existing = await findExistingDuplicate(event);
+        if (existing) {
+          result = { ...result, status: "duplicate", reason: `Same as existing event #${existing.id}` };
+          break;
+        }
+      }
+      result.events.forEach((event) => {
+        if (!seen.has(duplicateKey(event))) seen.set(duplicateKey(event), index);
+      });
+    }
+
+    if (result.status === "create" || result.status === "split") {
+      const warnings = [...await findConflictsForEvents(result.events), ...findBatchConflicts(result.events, accepted)];
+      const blocking = blockingConflicts(warnings);
+      if (blocking.length > 0) {
+        result = { status: "rejected", reason: blocking[0].message, events: [] };
+      } else {
+        if (warnings.length > 0) result = { ...result, warnings };
+        accepted.push(...result.events.map((event) => ({ row: index, event })));
+      }
+    }
+    results.push({ index, ...result });
+  }
+
+  const counts = { create: 0, split: 0, duplicate: 0, rejected: 0 };
+  results.forEach((result) => { counts[result.status]++; });
+  return { counts, results };
+}
+
+/**
+ * Insert planned events (from planNewEvent) in one transaction (all or nothing).
+ * @param {Array<Object>} events
+ * @returns {Promise<number[]>} Ids of the created events, in order
+ */
+async function insertPlannedEvents(events) {
+  return inTransaction(async () => {
+    const ids = [];
+    for (const event of events) {
+      const insert = await runAsync(
+        `INSERT INTO cleaning_events
+          (streamer_id, section_index_start, section_index_end, section_type,
+           cleaning_method, cleaned_at, cleaning_count, project_number, vessel_tag, added_by_usertag,
+           fouling_grade, fouling_type, duration_minutes, crew_size, crew_names, equipment_unit,
+           notes)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [event.streamerId, event.sectionIndexStart, event.sectionIndexEnd, event.sectionType,
+         event.cleaningMethod, event.cleanedAt, event.cleaningCount, event.projectNumber,
+         event.vesselTag, event.addedByUsertag, event.foulingGrade, event.foulingType,
+         event.durationMinutes, event.crewSize, event.crewNames, event.equipmentUnit, event.notes]
+      );
+      ids.push(insert.lastID);
+    }
+    return ids;
+  });
+}
+
+/**
+ * Insert every planned event of a bulk import in one transaction (all or nothing).
+ * Callers refuse plans with rejected rows first.
+ * @param {Array<Object>} results - From planBulkImport
+ * @returns {Promise<number[]>} Ids of the created events
+ */
+async function commitBulkImport(results) {
+  return insertPlannedEvents(results.flatMap((result) => result.events));
+}
+
+/**
+ * Error message for a plan with rejected rows (nothing is imported then), or null.
+ * @param {Array<Object>} results - From planBulkImport
+ * @returns {string|null}
+ */
+function describeRejectedRows(results) {
+  const rejected = results.filter((result) => result.status === "rejected");
+  if (rejected.length === 0) return null;
+  const first = rejected[0];
+  return `${rejected.length} row(s) rejected, nothing imported (row ${first.index + 1}: ${first.reason})`;
+}
+
+module.exports = {
+  planNewEvent,
+  insertPlannedEvents,
+  planBulkImport,
+  commitBulkImport,
+  describeRejectedRows,
+};
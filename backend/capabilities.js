@@ -0,0 +1,173 @@
+// capabilities.js
+const { runAsync, allAsync } = require("./db");
+const { ROLES, isGlobalUser } = require("./middleware/auth");
+const { API_TOKEN_PERMISSIONS } = require("./apiTokens");
+
+/** Named capabilities checked by routes and by the frontend. */
+const CAPABILITIES = {
+  EVENTS_WRITE: "events.write",
+  EVENTS_DELETE: "events.delete",
+  EVENTS_CLEAR_PROJECT: "events.clearProject",
+  EVENTS_CLEAR_ALL: "events.clearAll",
+  NOISE_UPLOAD: "noise.upload",
+  PROJECTS_MANAGE: "projects.manage",
+  CONFIG_EDIT: "config.edit",
+  DEPLOYMENTS_EDIT: "deployments.edit",
+  STREAMERS_CLEANUP: "streamers.cleanup",
+  BACKUPS_MANAGE: "backups.manage",
+  BACKUPS_RESTORE: "backups.restore",
+  SECURITY_MANAGE: "security.manage",
+  AUDIT_VIEW: "audit.view",
+  TRASH_MANAGE: "trash.manage",
+  METHODS_MANAGE: "methods.manage",
+  LINES_IMPORT: "lines.import",
+  PROJECTS_EDIT_LOCKED: "projects.editLocked",
+};
+
+/**
+ * Capability metadata: label for the Config page, roles that get it on a fresh install,
+ * and whether it only takes effect for users with all-vessel access.
+ */
+const CAPABILITY_DEFINITIONS = {
+  [CAPABILITIES.EVENTS_WRITE]: { label: "Add / edit events (incl. bulk import)", defaultRoles: [ROLES.SUPER_USER, ROLES.ADMIN] },
+  [CAPABILITIES.EVENTS_DELETE]: { label: "Delete single events", defaultRoles: [ROLES.SUPER_USER, ROLES.ADMIN] },
+  [CAPABILITIES.EVENTS_CLEAR_PROJECT]: { label: "Clear all events of a project", defaultRoles: [ROLES.SUPER_USER, ROLES.ADMIN] },
+  [CAPABILITIES.EVENTS_CLEAR_ALL]: { label: "Clear events of every project", defaultRoles: [ROLES.SUPER_USER], globalOnly: true },
+  [CAPABILITIES.NOISE_UPLOAD]: { label: "Upload RMS noise data", defaultRoles: [ROLES.SUPER_USER, ROLES.ADMIN] },
+  [CAPABILITIES.PROJECTS_MANAGE]: { label: "Create, edit, activate and delete projects", defaultRoles: [ROLES.SUPER_USER] },
+  [CAPABILITIES.CONFIG_EDIT]: { label: "Edit streamer configuration", defaultRoles: [ROLES.SUPER_USER] },
+  [CAPABILITIES.DEPLOYMENTS_EDIT]: { label: "Edit streamer deployments", defaultRoles: [ROLES.SUPER_USER] },
+  [CAPABILITIES.STREAMERS_CLEANUP]: { label: "Clean up orphaned streamers", defaultRoles: [ROLES.SUPER_USER], globalOnly: true },
+  [CAPABILITIES.BACKUPS_MANAGE]: { label: "List and create backups", defaultRoles: [ROLES.SUPER_USER] },
+  [CAPABILITIES.BACKUPS_RESTORE]: { label: "Restore backups", defaultRoles: [ROLES.SUPER_USER], globalOnly: true },
+  [CAPABILITIES.SECURITY_MANAGE]: { label: "Manage sessions, lockouts and API tokens", defaultRoles: [ROLES.SUPER_USER] },
+  [CAPABILITIES.AUDIT_VIEW]: { label: "View the audit log", defaultRoles: [ROLES.SUPER_USER] },
+  [CAPABILITIES.TRASH_MANAGE]: { label: "Restore or permanently delete trashed events and projects", defaultRoles: [ROLES.SUPER_USER] },
+  [CAPABILITIES.METHODS_MANAGE]: { label: "Manage the cleaning method catalogue", defaultRoles: [ROLES.SUPER_USER] },
+  [CAPABILITIES.LINES_IMPORT]: { label: "Import and clear survey line logs", defaultRoles: [ROLES.SUPER_USER, ROLES.ADMIN] },
+  [CAPABILITIES.PROJECTS_EDIT_LOCKED]: { label: "Change data of closed or archived projects and reopen them", defaultRoles: [] },
+};
+
+/** Roles whose capabilities are configurable. GrandSuperUsers always hold every capability. */
+const CONFIGURABLE_ROLES = [ROLES.SUPER_USER, ROLES.ADMIN, ROLES.VIEWER];
+
+/** API tokens derive capabilities from their own permissions, not from the role table. */
+const TOKEN_PERMISSION_CAPABILITIES = {
+  [API_TOKEN_PERMISSIONS.EVENTS_WRITE]: [CAPABILITIES.EVENTS_WRITE],
+  [API_TOKEN_PERMISSIONS.NOISE_WRITE]: [CAPABILITIES.NOISE_UPLOAD],
+};
+
+/**
+ * In-memory copy of role_capabilities (role -> Set of granted capabilities).
+ * Loaded at startup and replaced on every update, so guards never hit the database.
+ * @type {Map<string, Set<string>>}
+ */
+let roleCapabilities = new Map();
+
+/**
+ * Whether the given string is a known capability.
+ * @param {string} capability
+ * @returns {boolean}
+ */
+function isValidCapability(capability) {
+  return Object.prototype.hasOwnProperty.call(CAPABILITY_DEFINITIONS, capability);
+}
+
+/**
+ * Insert default grants for any role/capability pair not yet in the table
+ * (fresh install, or a capability added by an upgrade), then load the cache.
+ */
+async function loadRoleCapabilities() {
+  for (const role of CONFIGURABLE_ROLES) {
+    for (const [capability, definition] of Object.entries(CAPABILITY_DEFINITIONS)) {
+      await runAsync(
+        "INSERT OR IGNORE INTO role_capabilities (role, capability, granted) VALUES (?, ?, ?)",
+        [role, capability, definition.defaultRoles.includes(role) ? 1 : 0]
+      );
+    }
+  }
+
+  const rows = await allAsync("SELECT role, capability FROM role_capabilities WHERE granted = 1");
+  const next = new Map(CONFIGURABLE_ROLES.map((role) => [role, new Set()]));
+  rows.forEach((row) => {
+    if (next.has(row.role) && isValidCapability(row.capability)) {
+      next.get(row.role).add(row.capability);
+    }
+  });
+  roleCapabilities = next;
+}
+
+/**
+ * Replace the capabilities granted to a configurable role.
+ * @param {string} role
+ * @param {string[]} capabilities - Must all be valid
+ */
+async function setRoleCapabilities(role, capabilities) {
+  for (const capability of Object.keys(CAPABILITY_DEFINITIONS)) {
+    await runAsync(
+      "UPDATE role_capabilities SET granted = ? WHERE role = ? AND capability = ?",
+      [capabilities.includes(capability) ? 1 : 0, role, capability]
+    );
+  }
+  await loadRoleCapabilities();
+}
+
+/**
+ * The full matrix for the Config page.
+ * @returns {{ capabilities: Array<{ key: string, label: string, globalOnly: boolean }>, roles: Object.<string, string[]> }}
+ */
+function getCapabilityMatrix() {
+  return {
+    capabilities: Object.entries(CAPABILITY_DEFINITIONS).map(([key, definition]) => ({
+      key,
+      label: definition.label,
+      globalOnly: Boolean(definition.globalOnly),
+    })),
+    roles: Object.fromEntries(
+      CONFIGURABLE_ROLES.map((role) => [role, Array.from(roleCapabilities.get(role) || [])])
+    ),
+  };
+}
+
+/**
+ * Effective capabilities of an authenticated user (req.user).
+ * Global-only capabilities are dropped for per-vessel users.
+ * @param {Object} user
+ * @returns {string[]}
+ */
+function capabilitiesFor(user) {
+  if (!user) return [];
+
+  let granted;
+  if (user.apiTokenId) {
+    granted = (user.permissions || []).flatMap((permission) => TOKEN_PERMISSION_CAPABILITIES[permission] || []);
+  } else if (user.role === ROLES.GRAND_SUPER_USER) {
+    granted = Object.keys(CAPABILITY_DEFINITIONS);
+  } else {
+    granted = Array.from(roleCapabilities.get(user.role) || []);
+  }
+
+  const global = isGlobalUser(user);
+  return granted.filter((capability) => global || !CAPABILITY_DEFINITIONS[capability].globalOnly);
+}
+
+/**
+ * Whether an authenticated user holds a capability.
+ * @param {Object} user
+ * @param {string} capability
+ * @returns {boolean}
+ */
+function hasCapability(user, capability) {
+  return capabilitiesFor(user).includes(capability);
+}
+
+module.exports = {
+  CAPABILITIES,
+  CONFIGURABLE_ROLES,
+  isValidCapability,
+  loadRoleCapabilities,
+  setRoleCapabilities,
+  getCapabilityMatrix,
+  capabilitiesFor,
+  hasCapability,
+};
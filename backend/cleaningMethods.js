@@ -0,0 +1,244 @@
+// cleaningMethods.js
+const { runAsync, getOneCamelized, getAllCamelized, inTransaction } = require("./db");
+
+/** Methods seeded into an empty catalogue (the tiles the app always had). */
+const DEFAULT_CLEANING_METHODS = [
+  { key: "rope", label: "Rope", icon: "🪢", color: "#3b82f6" },
+  { key: "scraper", label: "Scraper", icon: "🛠️", color: "#f59e0b" },
+  { key: "scraper-rope", label: "Scraper&Rope", icon: "🪢🛠️", color: "#8b5cf6" },
+  { key: "scue", label: "SCUE", icon: "⚙️", color: "#10b981" },
+  { key: "knife", label: "Knife", icon: "🔪", color: "#ef4444" },
+];
+
+/** Method keys: lowercase letters, digits and dashes ("scraper-rope"). */
+const METHOD_KEY_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const MAX_METHOD_KEY_LENGTH = 32;
+const MAX_METHOD_LABEL_LENGTH = 40;
+const MAX_METHOD_ICON_LENGTH = 16;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+/** Labels and icons are shown as markup across the app, so they cannot carry tags. */
+const MARKUP_PATTERN = /[<>]/;
+
+/**
+ * Seed the default methods when the catalogue is empty (fresh install, or a database
+ * from before the catalogue existed). An edited catalogue is never touched.
+ */
+async function seedCleaningMethods() {
+  const row = await getOneCamelized("SELECT COUNT(*) AS count FROM cleaning_methods");
+  if (row.count > 0) return;
+  for (const [index, method] of DEFAULT_CLEANING_METHODS.entries()) {
+    await runAsync(
+      "INSERT INTO cleaning_methods (method_key, label, icon, color, is_active, sort_order) VALUES (?, ?, ?, ?, 1, ?)",
+      [method.key, method.label, method.icon, method.color, index]
+    );
+  }
+}
+
+/** API shape of a cleaning_methods row plus its vessel list. */
+function toCleaningMethod(row, vesselTags) {
+  return {
+    id: row.id,
+    key: row.methodKey,
+    label: row.label,
+    icon: row.icon || "",
+    color: row.color,
+    isActive: row.isActive === 1,
+    sortOrder: row.sortOrder,
+    vesselTags,
+  };
+}
+
+/**
+ * The whole catalogue in display order, inactive methods included.
+ * @returns {Promise<Array<{ id: number, key: string, label: string, icon: string, color: string, isActive: boolean, sortOrder: number, vesselTags: string[] }>>}
+ *   vesselTags is empty when the method is offered on every vessel
+ */
+async function listCleaningMethods() {
+  const [rows, vesselRows] = await Promise.all([
+    getAllCamelized("SELECT * FROM cleaning_methods ORDER BY sort_order ASC, id ASC"),
+    getAllCamelized("SELECT method_id, vessel_tag FROM cleaning_method_vessels ORDER BY vessel_tag ASC"),
+  ]);
+  const vesselsByMethod = new Map();
+  vesselRows.forEach((row) => {
+    if (!vesselsByMethod.has(row.methodId)) vesselsByMethod.set(row.methodId, []);
+    vesselsByMethod.get(row.methodId).push(row.vesselTag);
+  });
+  return rows.map((row) => toCleaningMethod(row, vesselsByMethod.get(row.id) || []));
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<Object|null>} Same shape as listCleaningMethods entries
+ */
+async function getCleaningMethod(id) {
+  const row = await getOneCamelized("SELECT * FROM cleaning_methods WHERE id = ?", [id]);
+  if (!row) return null;
+  const vesselRows = await getAllCamelized(
+    "SELECT vessel_tag FROM cleaning_method_vessels WHERE method_id = ? ORDER BY vessel_tag ASC",
+    [id]
+  );
+  return toCleaningMethod(row, vesselRows.map((r) => r.vesselTag));
+}
+
+/** Whether a method is offered on a vessel (no vessel list means every vessel). */
+function isMethodAvailable(method, vesselTag) {
+  return method.vesselTags.length === 0 || method.vesselTags.includes(vesselTag);
+}
+
+/**
+ * Check the cleaning method of a new or changed event against the catalogue.
+ * @param {Array<Object>} methods - From listCleaningMethods
+ * @param {string} methodKey
+ * @param {string} vesselTag - Vessel the event is recorded for
+ * @returns {string|null} Error message, or null when the method may be used
+ */
+function cleaningMethodError(methods, methodKey, vesselTag) {
+  const method = methods.find((m) => m.key === methodKey);
+  if (!method) return `Unknown cleaning method "${methodKey}"`;
+  if (!method.isActive) return `Cleaning method "${method.label}" is no longer in use`;
+  if (!isMethodAvailable(method, vesselTag)) return `Cleaning method "${method.label}" is not available on ${vesselTag}`;
+  return null;
+}
+
+/**
+ * Check a create / update body. Update bodies may leave fields out; the key cannot change
+ * once set, since events refer to it.
+ * @param {Object} body - Camelized request body
+ * @param {{ partial?: boolean }} [options]
+ * @returns {{ error: string } | { values: Object }} values holds the fields present in the body
+ */
+function readCleaningMethodBody(body, { partial = false } = {}) {
+  const values = {};
+  const has = (field) => body[field] !== undefined;
+
+  if (!partial) {
+    const key = typeof body.key === "string" ? body.key.trim().toLowerCase() : "";
+    if (!METHOD_KEY_PATTERN.test(key) || key.length > MAX_METHOD_KEY_LENGTH) {
+      return { error: `key is required: lowercase letters, digits and dashes (max ${MAX_METHOD_KEY_LENGTH} characters)` };
+    }
+    values.key = key;
+  }
+  if (!partial || has("label")) {
+    const label = typeof body.label === "string" ? body.label.trim() : "";
+    if (!label || label.length > MAX_METHOD_LABEL_LENGTH || MARKUP_PATTERN.test(label)) {
+      return { error: `label is required (max ${MAX_METHOD_LABEL_LENGTH} characters, no < or >)` };
+    }
+    values.label = label;
+  }
+  if (has("icon")) {
+    const icon = body.icon === null ? "" : String(body.icon).trim();
+    if (icon.length > MAX_METHOD_ICON_LENGTH || MARKUP_PATTERN.test(icon)) {
+      return { error: `icon must be at most ${MAX_METHOD_ICON_LENGTH} characters, no < or >` };
+    }
+    values.icon = icon || null;
+  }
+  if (!partial || has("color")) {
+    if (typeof body.color !== "string" || !COLOR_PATTERN.test(body.color)) {
+      return { error: "color must be a hex colour like #3b82f6" };
+    }
+    values.color = body.color.toLowerCase();
+  }
+  if (has("isActive")) {
+    if (typeof body.isActive !== "boolean") return { error: "isActive must be true or false" };
+    values.isActive = body.isActive;
+  }
+  if (has("sortOrder")) {
+    if (!Number.isInteger(body.sortOrder)) return { error: "sortOrder must be an integer" };
+    values.sortOrder = body.sortOrder;
+  }
+  if (has("vesselTags")) {
+    if (!Array.isArray(body.vesselTags) || !body.vesselTags.every((tag) => typeof tag === "string")) {
+      return { error: "vesselTags must be a list of vessel tags" };
+    }
+    values.vesselTags = [...new Set(body.vesselTags.map((tag) => tag.trim()).filter(Boolean))];
+  }
+  return { values };
+}
+
+async function writeMethodVessels(methodId, vesselTags) {
+  await runAsync("DELETE FROM cleaning_method_vessels WHERE method_id = ?", [methodId]);
+  for (const vesselTag of vesselTags) {
+    await runAsync("INSERT INTO cleaning_method_vessels (method_id, vessel_tag) VALUES (?, ?)", [methodId, vesselTag]);
+  }
+}
+
+/**
+ * Add a method to the catalogue (appended to the end unless sortOrder is given).
+ * @param {Object} values - From readCleaningMethodBody
+ * @returns {Promise<Object>} The created method
+ */
+async function createCleaningMethod(values) {
+  const id = await inTransaction(async () => {
+    const last = await getOneCamelized("SELECT MAX(sort_order) AS max_order FROM cleaning_methods");
+    const result = await runAsync(
+      "INSERT INTO cleaning_methods (method_key, label, icon, color, is_active, sort_order) VALUES (?, ?, ?, ?, ?, ?)",
+      [
+        values.key,
+        values.label,
+        values.icon ?? null,
+        values.color,
+        values.isActive === false ? 0 : 1,
+        values.sortOrder ?? (last.maxOrder ?? -1) + 1,
+      ]
+    );
+    await writeMethodVessels(result.lastID, values.vesselTags || []);
+    return result.lastID;
+  });
+  return getCleaningMethod(id);
+}
+
+/**
+ * Change a method's label, icon, colour, active flag, order or vessels.
+ * @param {Object} existing - From getCleaningMethod
+ * @param {Object} values - From readCleaningMethodBody with partial: true
+ * @returns {Promise<Object>} The updated method
+ */
+async function updateCleaningMethod(existing, values) {
+  await inTransaction(async () => {
+    await runAsync(
+      "UPDATE cleaning_methods SET label = ?, icon = ?, color = ?, is_active = ?, sort_order = ? WHERE id = ?",
+      [
+        values.label ?? existing.label,
+        values.icon !== undefined ? values.icon : existing.icon || null,
+        values.color ?? existing.color,
+        (values.isActive ?? existing.isActive) ? 1 : 0,
+        values.sortOrder ?? existing.sortOrder,
+        existing.id,
+      ]
+    );
+    if (values.vesselTags) await writeMethodVessels(existing.id, values.vesselTags);
+  });
+  return getCleaningMethod(existing.id);
+}
+
+/**
+ * Number of events recorded with a method, trashed ones included (they can be restored).
+ * @param {string} methodKey
+ * @returns {Promise<number>}
+ */
+async function countEventsWithMethod(methodKey) {
+  const row = await getOneCamelized("SELECT COUNT(*) AS count FROM cleaning_events WHERE cleaning_method = ?", [methodKey]);
+  return row.count;
+}
+
+/**
+ * Remove a method no event uses (its vessel rows go with ON DELETE CASCADE).
+ * @param {number} id
+ */
+async function deleteCleaningMethod(id) {
+  await runAsync("DELETE FROM cleaning_methods WHERE id = ?", [id]);
+}
+
+module.exports = {
+  DEFAULT_CLEANING_METHODS,
+  seedCleaningMethods,
+  listCleaningMethods,
+  getCleaningMethod,
+  isMethodAvailable,
+  cleaningMethodError,
+  readCleaningMethodBody,
+  createCleaningMethod,
+  updateCleaningMethod,
+  countEventsWithMethod,
+  deleteCleaningMethod,
+};
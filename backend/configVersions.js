@@ -0,0 +1,157 @@
+// configVersions.js
+const { runAsync, getAllCamelized, getOneCamelized } = require("./db");
+const { normalizeTimestamp } = require("./utils/time");
+const { LAYOUT_FIELDS, layoutAt } = require("./utils/configVersions");
+
+const VERSION_COLUMNS = `id, project_id, effective_from, num_cables, sections_per_cable, section_length, module_frequency,
+  channels_per_section, use_rope_for_tail, created_by, created_at`;
+
+/** Streamer layout of a camelized projects row (LAYOUT_FIELDS, useRopeForTail as a boolean). */
+function pickLayout(project) {
+  const layout = Object.fromEntries(LAYOUT_FIELDS.map((field) => [field, project[field]]));
+  layout.useRopeForTail = project.useRopeForTail === 1 || project.useRopeForTail === true;
+  return layout;
+}
+
+function toVersion(row) {
+  return { ...row, useRopeForTail: row.useRopeForTail === 1 };
+}
+
+/**
+ * A project's streamer configuration versions, oldest first. A project whose layout never
+ * changed has none stored; its current layout is then its only version.
+ * @param {Object} project - Camelized projects row
+ * @returns {Promise<Array<Object>>} Layouts with effectiveFrom (null = from the start)
+ */
+async function listConfigVersions(project) {
+  const rows = await getAllCamelized(
+    `SELECT ${VERSION_COLUMNS} FROM project_config_versions WHERE project_id = ? ORDER BY effective_from ASC, id ASC`,
+    [project.id]
+  );
+  return rows.length > 0 ? rows.map(toVersion) : [{ effectiveFrom: null, ...pickLayout(project) }];
+}
+
+/**
+ * Configuration versions of several projects.
+ * @param {Array<string|null>} projectNumbers - Duplicates and blanks are ignored
+ * @returns {Promise<Map<string, Array<Object>>>} Projects that do not exist are left out
+ */
+async function loadVersionsByProject(projectNumbers) {
+  const unique = [...new Set(projectNumbers.filter(Boolean))];
+  const versionsByProject = new Map();
+  if (unique.length === 0) return versionsByProject;
+  const placeholders = unique.map(() => "?").join(", ");
+  const projects = await getAllCamelized(
+    `SELECT * FROM projects WHERE project_number IN (${placeholders}) AND trash_id IS NULL`,
+    unique
+  );
+  if (projects.length === 0) return versionsByProject;
+  const rows = await getAllCamelized(
+    `SELECT ${VERSION_COLUMNS} FROM project_config_versions
+     WHERE project_id IN (${projects.map(() => "?").join(", ")}) ORDER BY effective_from ASC, id ASC`,
+    projects.map((project) => project.id)
+  );
+  projects.forEach((project) => {
+    const stored = rows.filter((row) => row.projectId === project.id).map(toVersion);
+    versionsByProject.set(
+      project.projectNumber,
+      stored.length > 0 ? stored : [{ effectiveFrom: null, ...pickLayout(project) }]
+    );
+  });
+  return versionsByProject;
+}
+
+/**
+ * The layout a project had at a time, which its events from then are validated against.
+ * @param {Object} project - Camelized projects row
+ * @param {string} at - UTC ISO timestamp
+ * @returns {Promise<Object>}
+ */
+async function projectLayoutAt(project, at) {
+  return layoutAt(await listConfigVersions(project), at);
+}
+
+/**
+ * Add layout to each event logged under an earlier configuration version of its project, so
+ * it is shown against the spread it was cleaned on. Events under the current layout are unchanged.
+ * @param {Array<Object>} events - Camelized cleaning_events rows
+ * @returns {Promise<Array<Object>>}
+ */
+async function withLayouts(events) {
+  const versionsByProject = await loadVersionsByProject(events.map((event) => event.projectNumber));
+  return events.map((event) => {
+    const versions = versionsByProject.get(event.projectNumber);
+    if (!versions || versions.length < 2) return event;
+    const layout = layoutAt(versions, event.cleanedAt);
+    if (layout === versions[versions.length - 1]) return event;
+    return { ...event, layout: pickLayout(layout) };
+  });
+}
+
+/**
+ * When a layout change takes effect: body.effectiveFrom (a time without a zone is the vessel's)
+ * or now. It cannot be in the future or before the project's current version.
+ * @param {*} value - effectiveFrom from the request body
+ * @param {string} timeZone
+ * @param {Array<Object>} versions - From listConfigVersions
+ * @returns {{ effectiveFrom: string } | { error: string }}
+ */
+function readEffectiveFrom(value, timeZone, versions) {
+  const now = new Date().toISOString();
+  if (value === undefined || value === null || value === "") return { effectiveFrom: now };
+  const effectiveFrom = normalizeTimestamp(value, timeZone);
+  if (!effectiveFrom) {
+    return { error: "effectiveFrom must be a date and time" };
+  }
+  if (effectiveFrom > now) {
+    return { error: "effectiveFrom cannot be in the future" };
+  }
+  const current = versions[versions.length - 1];
+  if (current?.effectiveFrom && effectiveFrom <= current.effectiveFrom) {
+    return { error: `effectiveFrom must be after the current configuration's (${current.effectiveFrom})` };
+  }
+  return { effectiveFrom };
+}
+
+/**
+ * Record a project's new layout from effectiveFrom. The first change also stores the layout it
+ * replaces, in effect from the start. Run it in the transaction that updates the projects row.
+ * @param {Object} project - Camelized projects row before the change
+ * @param {Object} layout - New LAYOUT_FIELDS values
+ * @param {string} effectiveFrom - UTC ISO timestamp
+ * @param {string} createdBy - Username
+ */
+async function recordConfigVersion(project, layout, effectiveFrom, createdBy) {
+  const createdAt = new Date().toISOString();
+  const insert = (from, values) =>
+    runAsync(
+      `INSERT INTO project_config_versions (project_id, effective_from, num_cables, sections_per_cable, section_length,
+         module_frequency, channels_per_section, use_rope_for_tail, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        project.id,
+        from,
+        values.numCables,
+        values.sectionsPerCable,
+        values.sectionLength,
+        values.moduleFrequency,
+        values.channelsPerSection,
+        values.useRopeForTail ? 1 : 0,
+        createdBy,
+        createdAt,
+      ]
+    );
+  const stored = await getOneCamelized("SELECT COUNT(*) AS count FROM project_config_versions WHERE project_id = ?", [project.id]);
+  if (stored.count === 0) await insert(null, pickLayout(project));
+  await insert(effectiveFrom, layout);
+}
+
+module.exports = {
+  pickLayout,
+  listConfigVersions,
+  loadVersionsByProject,
+  projectLayoutAt,
+  withLayouts,
+  readEffectiveFrom,
+  recordConfigVersion,
+};
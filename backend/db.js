@@ -1,6 +1,7 @@
 // db.js
 
 const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
 const sqlite3 = require("sqlite3").verbose();
 const fs = require("fs");
 const humps = require("humps");
@@ -11,6 +12,10 @@ const DB_FILE = process.env.DB_FILE
 
 const SCHEMA_FILE = path.join(__dirname, "schema.sql");
 const BACKUP_DIR = path.join(__dirname, "..", "backup");
+/** Event attachment files (ATTACHMENTS_DIR, default attachments/ in the project root). */
+const ATTACHMENTS_DIR = process.env.ATTACHMENTS_DIR
+  ? path.resolve(process.cwd(), process.env.ATTACHMENTS_DIR)
+  : path.join(__dirname, "..", "attachments");
 const BACKUP_INTERVAL_MS = 12 * 60 * 60 * 1000; // 12 hours in milliseconds
 const MAX_BACKUPS = 14; // Keep last 14 backups (7 days worth at 12hr intervals)
 
@@ -23,34 +28,113 @@ if (!fs.existsSync(BACKUP_DIR)) {
   fs.mkdirSync(BACKUP_DIR, { recursive: true });
 }
 
+if (!fs.existsSync(ATTACHMENTS_DIR)) {
+  fs.mkdirSync(ATTACHMENTS_DIR, { recursive: true });
+}
+
 const db = new sqlite3.Database(DB_FILE);
 
-function initDb() {
-  db.serialize(() => {
-    db.run("PRAGMA foreign_keys = ON;");
-    db.run("PRAGMA journal_mode = WAL;");
+/**
+ * Columns schema.sql gives tables that databases from earlier versions already have without
+ * them: CREATE TABLE IF NOT EXISTS leaves those tables alone, so the columns are added first
+ * (the schema's indexes and every query need them). Definitions match schema.sql.
+ */
+const ADDED_COLUMNS = [
+  ["cleaning_events", "fouling_grade", "INTEGER CHECK (fouling_grade BETWEEN 0 AND 4)"],
+  ["cleaning_events", "fouling_type", "TEXT"],
+  ["cleaning_events", "duration_minutes", "INTEGER CHECK (duration_minutes > 0)"],
+  ["cleaning_events", "crew_size", "INTEGER CHECK (crew_size > 0)"],
+  ["cleaning_events", "crew_names", "TEXT"],
+  ["cleaning_events", "equipment_unit", "TEXT"],
+  ["cleaning_events", "notes", "TEXT"],
+  ["cleaning_events", "trash_id", "INTEGER REFERENCES trash(id)"],
+  ["projects", "status", "TEXT NOT NULL DEFAULT 'planned' CHECK (status IN ('planned', 'active', 'closed', 'archived'))"],
+  ["projects", "trash_id", "INTEGER REFERENCES trash(id)"],
+  ["vessel_context", "time_zone", "TEXT"],
+  ["noise_uploads", "trash_id", "INTEGER REFERENCES trash(id)"],
+];
+
+/**
+ * Add the ADDED_COLUMNS an existing database lacks. Tables that do not exist yet are left
+ * to the schema, which creates them complete. Safe to run on every start.
+ * @returns {Promise<void>}
+ */
+async function addMissingColumns() {
+  for (const [table, column, definition] of ADDED_COLUMNS) {
+    const columns = await allAsync(`PRAGMA table_info(${table})`);
+    if (columns.length > 0 && !columns.some((existing) => existing.name === column)) {
+      await runAsync(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`Added column ${table}.${column}.`);
+    }
+  }
+}
 
-    const schema = fs.readFileSync(SCHEMA_FILE, "utf8");
+/**
+ * Bring an existing database up to date (addMissingColumns), apply the schema and start the
+ * backup scheduler.
+ * @returns {Promise<void>} Resolves once the schema has been applied
+ */
+async function initDb() {
+  await runAsync("PRAGMA foreign_keys = ON;");
+  await runAsync("PRAGMA journal_mode = WAL;");
+  await addMissingColumns();
+
+  const schema = fs.readFileSync(SCHEMA_FILE, "utf8");
+  await new Promise((resolve, reject) => {
     db.exec(schema, (err) => {
       if (err) {
         console.error("Error applying schema:", err);
+        reject(err);
       } else {
-        console.log("Database schema applied.");
-        if (process.env.NODE_ENV !== "test") {
-          startBackupScheduler();
-        }
+        resolve();
       }
     });
   });
+  console.log("Database schema applied.");
+  if (process.env.NODE_ENV !== "test") {
+    startBackupScheduler();
+  }
 }
 
-// No migration functions - fresh install only
+/**
+ * Directory holding the attachment files of a backup, next to its .db file.
+ * @param {string} backupFileName - e.g. streamer_backup_<timestamp>.db
+ * @returns {string}
+ */
+function backupAttachmentsDir(backupFileName) {
+  return path.join(BACKUP_DIR, backupFileName.replace(/\.db$/, "_attachments"));
+}
 
 /**
- * Creates a backup of the database file with timestamp
+ * Copy a directory tree of attachment files, hard-linking where possible (files are never
+ * modified in place, so backups can share them). Files already in dest are left alone.
+ * @param {string} src
+ * @param {string} dest
+ */
+function copyAttachmentFiles(src, dest) {
+  if (!fs.existsSync(src)) return;
+  fs.mkdirSync(dest, { recursive: true });
+  for (const entry of fs.readdirSync(src, { withFileTypes: true })) {
+    const from = path.join(src, entry.name);
+    const to = path.join(dest, entry.name);
+    if (entry.isDirectory()) {
+      copyAttachmentFiles(from, to);
+    } else if (!fs.existsSync(to)) {
+      try {
+        fs.linkSync(from, to);
+      } catch {
+        fs.copyFileSync(from, to);
+      }
+    }
+  }
+}
+
+/**
+ * Creates a backup of the database file with timestamp, plus a copy of the attachment files.
+ * Waits for the connection, so the copy never holds half a transaction.
  */
 function createBackup() {
-  return new Promise((resolve, reject) => {
+  return onConnection(() => new Promise((resolve, reject) => {
     const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
     const backupFileName = `streamer_backup_${timestamp}.db`;
     const backupPath = path.join(BACKUP_DIR, backupFileName);
@@ -65,6 +149,7 @@ function createBackup() {
       try {
         // Copy the main database file
         fs.copyFileSync(DB_FILE, backupPath);
+        copyAttachmentFiles(ATTACHMENTS_DIR, backupAttachmentsDir(backupFileName));
         console.log(`Database backup created: ${backupFileName}`);
         
         // Clean up old backups
@@ -76,7 +161,7 @@ function createBackup() {
         reject(copyErr);
       }
     });
-  });
+  }));
 }
 
 /**
@@ -98,6 +183,7 @@ function cleanupOldBackups() {
       const toDelete = files.slice(MAX_BACKUPS);
       for (const file of toDelete) {
         fs.unlinkSync(file.path);
+        fs.rmSync(backupAttachmentsDir(file.name), { recursive: true, force: true });
         console.log(`Deleted old backup: ${file.name}`);
       }
     }
@@ -134,6 +220,27 @@ function stopBackupScheduler() {
   }
 }
 
+/** { open } of the transaction whose work is running, so statements and inTransaction calls inside it join it. */
+const transactionContext = new AsyncLocalStorage();
+/**
+ * Statements and transactions share the one connection, so they run one at a time in call
+ * order: a statement made while a transaction is open waits for its COMMIT or ROLLBACK
+ * instead of landing inside it.
+ */
+let connectionQueue = Promise.resolve();
+
+/**
+ * Run task once the connection is free, or at once inside a transaction's work.
+ * @param {function(): Promise<*>} task
+ * @returns {Promise<*>} What task resolved to
+ */
+function onConnection(task) {
+  if (transactionContext.getStore()?.open) return task();
+  const result = connectionQueue.then(task);
+  connectionQueue = result.catch(() => {});
+  return result;
+}
+
 /**
  * Run a SQL statement (INSERT/UPDATE/DELETE).
  * @param {string} sql - SQL statement
@@ -141,12 +248,15 @@ function stopBackupScheduler() {
  * @returns {Promise<{ lastID: number, changes: number }>}
  */
 function runAsync(sql, params = []) {
-  return new Promise((resolve, reject) => {
-    db.run(sql, params, function (err) {
-      if (err) reject(err);
-      else resolve({ lastID: this.lastID, changes: this.changes });
-    });
-  });
+  return onConnection(
+    () =>
+      new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+          if (err) reject(err);
+          else resolve({ lastID: this.lastID, changes: this.changes });
+        });
+      })
+  );
 }
 
 /**
@@ -156,12 +266,15 @@ function runAsync(sql, params = []) {
  * @returns {Promise<Array<Object>>}
  */
 function allAsync(sql, params = []) {
-  return new Promise((resolve, reject) => {
-    db.all(sql, params, (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows);
-    });
-  });
+  return onConnection(
+    () =>
+      new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      })
+  );
 }
 
 /**
@@ -171,12 +284,15 @@ function allAsync(sql, params = []) {
  * @returns {Promise<Object|undefined>}
  */
 function getAsync(sql, params = []) {
-  return new Promise((resolve, reject) => {
-    db.get(sql, params, (err, row) => {
-      if (err) reject(err);
-      else resolve(row);
-    });
-  });
+  return onConnection(
+    () =>
+      new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      })
+  );
 }
 
 /**
@@ -201,6 +317,33 @@ async function getOneCamelized(sql, params = []) {
   return row ? humps.camelizeKeys(row) : null;
 }
 
+/**
+ * Run statements in a transaction: COMMIT when work resolves, ROLLBACK when it throws.
+ * It waits for the connection like a statement (see onConnection); a call made inside work joins it.
+ * @param {function(): Promise<*>} work
+ * @returns {Promise<*>} What work resolved to
+ */
+function inTransaction(work) {
+  if (transactionContext.getStore()?.open) return work();
+  const transaction = { open: true };
+  return onConnection(() =>
+    transactionContext.run(transaction, async () => {
+      await runAsync("BEGIN");
+      try {
+        const value = await work();
+        await runAsync("COMMIT");
+        return value;
+      } catch (err) {
+        await runAsync("ROLLBACK");
+        throw err;
+      } finally {
+        // Statements work left running queue up again rather than slip into the next transaction.
+        transaction.open = false;
+      }
+    })
+  );
+}
+
 process.on("SIGINT", () => {
   stopBackupScheduler();
   db.close();
@@ -217,6 +360,10 @@ module.exports = {
   getAsync,
   getAllCamelized,
   getOneCamelized,
+  inTransaction,
   DB_FILE,
   BACKUP_DIR,
+  ATTACHMENTS_DIR,
+  backupAttachmentsDir,
+  copyAttachmentFiles,
 };
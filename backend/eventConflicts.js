@@ -0,0 +1,234 @@
+// eventConflicts.js
+const { getAllCamelized } = require("./db");
+const { toInt } = require("./utils/validation");
+
+/** Hours within which cleaning the same sections again is flagged (EVENT_OVERLAP_WINDOW_HOURS, default 24). */
+const OVERLAP_WINDOW_HOURS = toInt(process.env.EVENT_OVERLAP_WINDOW_HOURS, 24);
+/** Minutes within which a same-method event on neighbouring sections is offered for merging (EVENT_ADJACENT_WINDOW_MINUTES, default 60). */
+const ADJACENT_WINDOW_MINUTES = toInt(process.env.EVENT_ADJACENT_WINDOW_MINUTES, 60);
+/**
+ * EVENT_CONFLICT_POLICY: "warn" (default) saves the event and returns the warnings;
+ * "strict" refuses events that overlap a recent cleaning. Adjacent events are always only a warning.
+ */
+const CONFLICT_POLICY = process.env.EVENT_CONFLICT_POLICY === "strict" ? "strict" : "warn";
+
+const OVERLAP_WINDOW_MS = OVERLAP_WINDOW_HOURS * 60 * 60 * 1000;
+const ADJACENT_WINDOW_MS = ADJACENT_WINDOW_MINUTES * 60 * 1000;
+
+/** "3 hr 5 min", "40 min" */
+function formatDuration(ms) {
+  const totalMins = Math.floor(ms / 60000);
+  const hours = Math.floor(totalMins / 60);
+  const mins = totalMins % 60;
+  if (hours === 0) return `${mins} min`;
+  return mins === 0 ? `${hours} hr` : `${hours} hr ${mins} min`;
+}
+
+function describeRange(event) {
+  return `${event.sectionType} sections ${event.sectionIndexStart + 1}–${event.sectionIndexEnd + 1}`;
+}
+
+/**
+ * How another event relates to a planned one: an overlap within OVERLAP_WINDOW_HOURS, a
+ * same-method neighbour within ADJACENT_WINDOW_MINUTES, or neither (null).
+ * @returns {{ type: 'overlap'|'adjacent', diffMs: number, when: string }|null} when as "3 hr earlier"
+ */
+function classifyConflict(planned, other) {
+  const plannedTime = new Date(planned.cleanedAt).getTime();
+  const otherTime = new Date(other.cleanedAt).getTime();
+  const diffMs = Math.abs(plannedTime - otherTime);
+  const overlaps = other.sectionIndexStart <= planned.sectionIndexEnd && other.sectionIndexEnd >= planned.sectionIndexStart;
+  const when = `${formatDuration(diffMs)} ${otherTime <= plannedTime ? "earlier" : "later"}`;
+  if (overlaps && diffMs < OVERLAP_WINDOW_MS) return { type: "overlap", diffMs, when };
+  const adjoins = other.sectionIndexStart <= planned.sectionIndexEnd + 1 && other.sectionIndexEnd >= planned.sectionIndexStart - 1;
+  if (!overlaps && adjoins && other.cleaningMethod === planned.cleaningMethod && diffMs < ADJACENT_WINDOW_MS) {
+    return { type: "adjacent", diffMs, when };
+  }
+  return null;
+}
+
+/**
+ * Recent events that overlap or adjoin one planned event (same streamer, section type, vessel and project).
+ * @param {Object} planned - Event to be written: streamerId, sectionType, sectionIndexStart/End (within the type),
+ *   cleaningMethod, cleanedAt, projectNumber, vesselTag
+ * @param {number} [plannedIndex=0] - Position of the event in the request (a range can be split into active + tail)
+ * @returns {Promise<Array<Object>>} Warnings, closest in time first:
+ *   { type: 'overlap'|'adjacent', plannedIndex, eventId, event, diffMs, message, merged? }
+ *   merged (adjacent only) is the section range of the combined event
+ */
+async function findEventConflicts(planned, plannedIndex = 0) {
+  const plannedTime = new Date(planned.cleanedAt).getTime();
+  if (Number.isNaN(plannedTime)) return [];
+
+  const windowMs = Math.max(OVERLAP_WINDOW_MS, ADJACENT_WINDOW_MS);
+  const candidates = await getAllCamelized(
+    `SELECT * FROM cleaning_events
+     WHERE trash_id IS NULL AND streamer_id = ? AND section_type = ? AND vessel_tag IS ? AND project_number IS ?
+       AND section_index_start <= ? AND section_index_end >= ?
+       AND datetime(cleaned_at) BETWEEN datetime(?) AND datetime(?)`,
+    [
+      planned.streamerId,
+      planned.sectionType,
+      planned.vesselTag,
+      planned.projectNumber,
+      planned.sectionIndexEnd + 1,
+      planned.sectionIndexStart - 1,
+      new Date(plannedTime - windowMs).toISOString(),
+      new Date(plannedTime + windowMs).toISOString(),
+    ]
+  );
+
+  const warnings = [];
+  for (const event of candidates) {
+    const conflict = classifyConflict(planned, event);
+    if (!conflict) continue;
+    const { diffMs, when } = conflict;
+
+    if (conflict.type === "overlap") {
+      warnings.push({
+        type: "overlap",
+        plannedIndex,
+        eventId: event.id,
+        event,
+        diffMs,
+        message: `Streamer ${event.streamerId} ${describeRange(event)} were already cleaned ${when} (event #${event.id})`,
+      });
+    } else {
+      warnings.push({
+        type: "adjacent",
+        plannedIndex,
+        eventId: event.id,
+        event,
+        diffMs,
+        message: `Streamer ${event.streamerId} ${describeRange(event)} were cleaned with ${event.cleaningMethod} ${when} (event #${event.id}); the events can be merged`,
+        merged: {
+          sectionIndexStart: Math.min(event.sectionIndexStart, planned.sectionIndexStart),
+          sectionIndexEnd: Math.max(event.sectionIndexEnd, planned.sectionIndexEnd),
+        },
+      });
+    }
+  }
+  return warnings.sort((a, b) => a.diffMs - b.diffMs);
+}
+
+/**
+ * Warnings for every event a request would write.
+ * @param {Array<Object>} plannedEvents
+ * @returns {Promise<Array<Object>>}
+ */
+async function findConflictsForEvents(plannedEvents) {
+  const warnings = [];
+  for (const [index, planned] of plannedEvents.entries()) {
+    warnings.push(...await findEventConflicts(planned, index));
+  }
+  return warnings;
+}
+
+/**
+ * Warnings for planned events against events accepted earlier in the same batch (a bulk import
+ * or file import), which are not in the database yet. Shaped like findEventConflicts' warnings,
+ * with row (0-based) instead of eventId; adjacent rows cannot be merged before they are saved.
+ * @param {Array<Object>} plannedEvents - One row's events
+ * @param {Array<{ row: number, event: Object }>} accepted - Events of earlier rows that will be written
+ * @returns {Array<Object>} Closest in time first
+ */
+function findBatchConflicts(plannedEvents, accepted) {
+  const warnings = [];
+  for (const [plannedIndex, planned] of plannedEvents.entries()) {
+    for (const { row, event } of accepted) {
+      const sameTarget = ["streamerId", "sectionType", "vesselTag", "projectNumber"].every(
+        (field) => (event[field] ?? null) === (planned[field] ?? null)
+      );
+      const conflict = sameTarget ? classifyConflict(planned, event) : null;
+      if (!conflict) continue;
+      const { type, diffMs, when } = conflict;
+      warnings.push({
+        type,
+        plannedIndex,
+        row,
+        event,
+        diffMs,
+        message:
+          type === "overlap"
+            ? `Streamer ${event.streamerId} ${describeRange(event)} are also cleaned in row ${row + 1} of this import, ${when}`
+            : `Streamer ${event.streamerId} ${describeRange(event)} are also cleaned with ${event.cleaningMethod} in row ${row + 1} of this import, ${when}`,
+      });
+    }
+  }
+  return warnings.sort((a, b) => a.diffMs - b.diffMs);
+}
+
+/**
+ * The warnings that block a write under the configured policy (overlaps when strict).
+ * @param {Array<Object>} warnings
+ * @returns {Array<Object>}
+ */
+function blockingConflicts(warnings) {
+  return CONFLICT_POLICY === "strict" ? warnings.filter((warning) => warning.type === "overlap") : [];
+}
+
+/**
+ * Check that events can be combined into one and work out the result. They must share streamer,
+ * section type, method, project and vessel, and their ranges must touch or overlap without gaps.
+ * The earliest event is kept (its time and id); the others are removed. The merged event keeps
+ * the worst fouling recorded on any of them, the summed duration, the largest crew and all
+ * their notes (one per line).
+ * @param {Array<Object>} events - Camelized cleaning_events rows (at least two)
+ * @returns {{ error: string } | { keep: Object, merged: Object, removeIds: number[] }}
+ *   merged holds the kept event's new field values
+ */
+function planEventMerge(events) {
+  const [first] = events;
+  for (const field of ["streamerId", "sectionType", "cleaningMethod", "projectNumber", "vesselTag"]) {
+    if (events.some((event) => event[field] !== first[field])) {
+      return { error: `Events to merge must have the same ${field}` };
+    }
+  }
+
+  const byStart = [...events].sort((a, b) => a.sectionIndexStart - b.sectionIndexStart);
+  let coveredEnd = byStart[0].sectionIndexEnd;
+  for (const event of byStart.slice(1)) {
+    if (event.sectionIndexStart > coveredEnd + 1) {
+      return { error: `Sections ${coveredEnd + 2}–${event.sectionIndexStart} are not covered; only adjacent or overlapping events can be merged` };
+    }
+    coveredEnd = Math.max(coveredEnd, event.sectionIndexEnd);
+  }
+
+  const keep = [...events].sort((a, b) =>
+    new Date(a.cleanedAt).getTime() - new Date(b.cleanedAt).getTime() || a.id - b.id
+  )[0];
+  const worstFouling = events
+    .filter((event) => event.foulingGrade !== null && event.foulingGrade !== undefined)
+    .sort((a, b) => b.foulingGrade - a.foulingGrade)[0];
+  const timed = events.filter((event) => event.durationMinutes !== null && event.durationMinutes !== undefined);
+  const crewed = events.filter((event) => event.crewSize !== null && event.crewSize !== undefined);
+  const largestCrew = [...crewed].sort((a, b) => b.crewSize - a.crewSize)[0];
+  const notes = [...new Set([keep, ...events].map((event) => event.notes).filter(Boolean))];
+  return {
+    keep,
+    merged: {
+      ...keep,
+      sectionIndexStart: byStart[0].sectionIndexStart,
+      sectionIndexEnd: coveredEnd,
+      foulingGrade: worstFouling ? worstFouling.foulingGrade : keep.foulingGrade,
+      foulingType: worstFouling ? worstFouling.foulingType : keep.foulingType,
+      durationMinutes: timed.length ? timed.reduce((sum, event) => sum + event.durationMinutes, 0) : keep.durationMinutes,
+      crewSize: largestCrew ? largestCrew.crewSize : keep.crewSize,
+      crewNames: largestCrew ? largestCrew.crewNames : keep.crewNames,
+      equipmentUnit: keep.equipmentUnit ?? events.find((event) => event.equipmentUnit)?.equipmentUnit ?? null,
+      notes: notes.length ? notes.join("\n") : null,
+    },
+    removeIds: events.filter((event) => event.id !== keep.id).map((event) => event.id),
+  };
+}
+
+module.exports = {
+  CONFLICT_POLICY,
+  OVERLAP_WINDOW_HOURS,
+  ADJACENT_WINDOW_MINUTES,
+  findEventConflicts,
+  findConflictsForEvents,
+  findBatchConflicts,
+  blockingConflicts,
+  planEventMerge,
+};
@@ -0,0 +1,208 @@
+// eventExport.js
+const ExcelJS = require("exceljs");
+const { getAllCamelized, getOneCamelized } = require("./db");
+const { calculateEBRange } = require("./utils/eb");
+const { classifyLinePhase, LINE_PHASES } = require("./utils/surveyLines");
+const { listSurveyLines } = require("./surveyLines");
+const { listConfigVersions } = require("./configVersions");
+const { layoutAt } = require("./utils/configVersions");
+const { DEFAULT_TIME_ZONE, zoneOffsetMinutes } = require("./utils/time");
+
+/** Output formats of GET /api/events/export. */
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" },
+};
+
+/** Rows read from the database per query while streaming. */
+const EXPORT_BATCH_SIZE = 1000;
+
+/**
+ * CSV / XLSX columns. Headers match the file import's aliases, so an export can be imported again.
+ * Section numbers are 1-based within the section type, as shown in the app.
+ */
+const EXPORT_COLUMNS = [
+  { header: "Streamer Number", value: (evt) => evt.streamerId },
+  { header: "Section Type", value: (evt) => evt.sectionType || "active" },
+  { header: "First Section", value: (evt) => evt.sectionIndexStart + 1 },
+  { header: "Last Section", value: (evt) => evt.sectionIndexEnd + 1 },
+  { header: "Cleaning Method", value: (evt) => evt.cleaningMethod },
+  {
+    header: "Date & Time",
+    value: (evt) => evt.cleanedAt,
+    // Real date cells in XLSX, so spreadsheets can sort and filter them.
+    xlsxValue: (evt, timeZone) => wallClockDate(evt.cleanedAt, timeZone),
+    numFmt: "yyyy-mm-dd hh:mm",
+  },
+  { header: "Project Number", value: (evt) => evt.projectNumber || "" },
+  { header: "Vessel Tag", value: (evt) => evt.vesselTag || "" },
+  { header: "Added By", value: (evt) => evt.addedByUsertag || "" },
+  { header: "Fouling Grade", value: (evt) => evt.foulingGrade ?? "" },
+  { header: "Fouling Type", value: (evt) => evt.foulingType || "" },
+  { header: "Duration (min)", value: (evt) => evt.durationMinutes ?? "" },
+  { header: "Crew Size", value: (evt) => evt.crewSize ?? "" },
+  { header: "Crew", value: (evt) => evt.crewNames || "" },
+  { header: "Equipment", value: (evt) => evt.equipmentUnit || "" },
+  { header: "Notes", value: (evt) => evt.notes || "" },
+];
+
+/** Optional computed columns (?include=), keyed by their JSON property name. */
+const EXPORT_EXTRA_COLUMNS = {
+  ebRange: { header: "EB Range", value: ebRangeFor },
+  channelRange: { header: "Channel Range", value: channelRangeFor },
+  surveyLine: { header: "Survey Line", value: surveyLineFor },
+};
+
+/**
+ * An instant as an XLSX date cell: its wall clock in the zone, in the Date's UTC fields. Cells
+ * have no zone, and the import reads them in the vessel's (see eventImport.js dateCellText).
+ */
+function wallClockDate(value, timeZone) {
+  const date = new Date(value);
+  return new Date(date.getTime() + zoneOffsetMinutes(date, timeZone) * 60000);
+}
+
+/** EB range of an active-section event (empty for tail sections, which have no EBs). */
+function ebRangeFor(evt, config) {
+  if (evt.sectionType === "tail") return "";
+  return calculateEBRange(evt.sectionIndexStart, evt.sectionIndexEnd, config);
+}
+
+/** Channel range ("first-last") of an active-section event (empty for tail sections). */
+function channelRangeFor(evt, config) {
+  if (evt.sectionType === "tail") return "";
+  const channelsPerSection = config.channelsPerSection;
+  return `${evt.sectionIndexStart * channelsPerSection + 1}-${(evt.sectionIndexEnd + 1) * channelsPerSection}`;
+}
+
+/** Line or line change of an event ("Seq 12 (L1001)", "Line change 12-13"); empty outside the line log. */
+function surveyLineFor(evt, config) {
+  const context = classifyLinePhase(config.surveyLines, evt.cleanedAt);
+  if (context.phase === LINE_PHASES.LINE) {
+    return context.lineName ? `Seq ${context.sequenceNumber} (${context.lineName})` : `Seq ${context.sequenceNumber}`;
+  }
+  if (context.phase === LINE_PHASES.LINE_CHANGE) return `Line change ${context.previousSequence}-${context.nextSequence}`;
+  return "";
+}
+
+/**
+ * Geometry and line log of an event's project for the computed columns: the layout the project
+ * had when the event happened (see configVersions.js). Projects are looked up once.
+ * @param {Object} baseConfig - From loadConfig(); used for events without a (live) project
+ * @returns {function(Object): Promise<Object>}
+ */
+function createProjectConfigResolver(baseConfig) {
+  const cache = new Map();
+  return async (evt) => {
+    const key = evt.projectNumber || "";
+    if (!cache.has(key)) {
+      const project = evt.projectNumber
+        ? await getOneCamelized("SELECT * FROM projects WHERE project_number = ? AND trash_id IS NULL", [evt.projectNumber])
+        : null;
+      cache.set(key, {
+        versions: project ? await listConfigVersions(project) : [baseConfig],
+        surveyLines: evt.projectNumber ? await listSurveyLines(evt.projectNumber) : [],
+      });
+    }
+    const { versions, surveyLines } = cache.get(key);
+    const layout = layoutAt(versions, evt.cleanedAt);
+    return {
+      sectionsPerCable: layout.sectionsPerCable,
+      moduleFrequency: layout.moduleFrequency,
+      channelsPerSection: layout.channelsPerSection,
+      surveyLines,
+    };
+  };
+}
+
+/**
+ * Matching events in batches, oldest first, so large exports never sit in memory at once.
+ * @param {string} where - " WHERE ..." clause
+ * @param {Array} params
+ */
+async function* iterateEvents(where, params) {
+  for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+    const batch = await getAllCamelized(
+      `SELECT * FROM cleaning_events${where} ORDER BY datetime(cleaned_at) ASC, id ASC LIMIT ? OFFSET ?`,
+      [...params, EXPORT_BATCH_SIZE, offset]
+    );
+    yield* batch;
+    if (batch.length < EXPORT_BATCH_SIZE) return;
+  }
+}
+
+/** Write a chunk, waiting for the client to catch up when the socket buffer is full. */
+function writeChunk(stream, chunk) {
+  if (stream.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onDrain = () => { stream.off("error", onError); resolve(); };
+    const onError = (err) => { stream.off("drain", onDrain); reject(err); };
+    stream.once("drain", onDrain);
+    stream.once("error", onError);
+  });
+}
+
+function csvField(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Stream the events matching a WHERE clause to a response in the given format.
+ * Headers must be set by the caller; the response is ended here.
+ * @param {import("stream").Writable} stream - The response
+ * @param {{ format: 'csv'|'json'|'xlsx', where: string, params: Array, include: string[], baseConfig: Object, timeZone?: string }} options
+ *   include lists EXPORT_EXTRA_COLUMNS keys to add; timeZone is the one XLSX dates are written in
+ * @returns {Promise<number>} Number of events written
+ */
+async function streamEventsExport(stream, { format, where, params, include, baseConfig, timeZone = DEFAULT_TIME_ZONE }) {
+  const resolveConfig = createProjectConfigResolver(baseConfig);
+  const extras = include.map((key) => [key, EXPORT_EXTRA_COLUMNS[key]]);
+  const extraValues = async (evt) => {
+    if (extras.length === 0) return [];
+    const config = await resolveConfig(evt);
+    return extras.map(([key, column]) => [key, column.value(evt, config)]);
+  };
+  let count = 0;
+
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    const sheet = workbook.addWorksheet("Events");
+    sheet.columns = [
+      ...EXPORT_COLUMNS.map(({ header, numFmt }) => ({ header, width: 16, style: numFmt ? { numFmt } : {} })),
+      ...extras.map(([, column]) => ({ header: column.header, width: 16 })),
+    ];
+    for await (const evt of iterateEvents(where, params)) {
+      const values = EXPORT_COLUMNS.map((column) => (column.xlsxValue || column.value)(evt, timeZone));
+      sheet.addRow([...values, ...(await extraValues(evt)).map(([, value]) => value)]).commit();
+      count++;
+    }
+    sheet.commit();
+    await workbook.commit();
+    return count;
+  }
+
+  if (format === "json") {
+    await writeChunk(stream, "[");
+    for await (const evt of iterateEvents(where, params)) {
+      const item = { ...evt, ...Object.fromEntries(await extraValues(evt)) };
+      await writeChunk(stream, `${count === 0 ? "\n" : ",\n"}${JSON.stringify(item)}`);
+      count++;
+    }
+    stream.end("\n]\n");
+    return count;
+  }
+
+  const headers = [...EXPORT_COLUMNS.map((column) => column.header), ...extras.map(([, column]) => column.header)];
+  await writeChunk(stream, headers.map(csvField).join(",") + "\n");
+  for await (const evt of iterateEvents(where, params)) {
+    const values = [...EXPORT_COLUMNS.map((column) => column.value(evt)), ...(await extraValues(evt)).map(([, value]) => value)];
+    await writeChunk(stream, values.map(csvField).join(",") + "\n");
+    count++;
+  }
+  stream.end();
+  return count;
+}
+
+module.exports = { EXPORT_FORMATS, EXPORT_EXTRA_COLUMNS, streamEventsExport };
@@ -0,0 +1,494 @@
+// eventImport.js
+const ExcelJS = require("exceljs");
+const { runAsync, getOneCamelized, getAllCamelized } = require("./db");
+const { buildVesselScopeCondition } = require("./utils/queryHelpers");
+const { parseFoulingGrade, parseFoulingType } = require("./utils/fouling");
+const { parseDurationMinutes } = require("./utils/effort");
+const { DEFAULT_TIME_ZONE, normalizeTimestamp, localDate } = require("./utils/time");
+
+/** Row fields a file column can be mapped to; required ones must be mapped. */
+const IMPORT_FIELDS = {
+  streamerId: { required: true, aliases: ["streamer", "streamernumber", "streamerno", "streamerid", "cable", "cablenumber", "cableno", "cableid"] },
+  sectionType: { required: false, aliases: ["sectiontype", "type"] },
+  sectionStart: { required: true, aliases: ["firstsection", "startsection", "sectionstart", "fromsection", "section", "from", "start"] },
+  sectionEnd: { required: false, aliases: ["lastsection", "endsection", "sectionend", "tosection", "to", "end"] },
+  cleaningMethod: { required: true, aliases: ["cleaningmethod", "method", "tool"] },
+  cleanedAt: { required: true, aliases: ["datetime", "dateandtime", "cleanedat", "cleaned", "timestamp", "date"] },
+  cleanedTime: { required: false, aliases: ["time", "cleanedtime"] },
+  projectNumber: { required: false, aliases: ["projectnumber", "projectno", "project", "projectid"] },
+  vesselTag: { required: false, aliases: ["vesseltag", "vessel", "vesselcode"] },
+  addedBy: { required: false, aliases: ["addedby", "addedbyusertag", "user", "operator", "loggedby"] },
+  foulingGrade: { required: false, aliases: ["foulinggrade", "fouling", "foulinglevel", "foulingseverity", "grade", "severity"] },
+  foulingType: { required: false, aliases: ["foulingtype", "foulingkind"] },
+  durationMinutes: { required: false, aliases: ["durationmin", "durationminutes", "duration", "minutes", "timespent"] },
+  startTime: { required: false, aliases: ["starttime", "started", "startedat"] },
+  crewSize: { required: false, aliases: ["crewsize", "crewcount", "crewno"] },
+  crewNames: { required: false, aliases: ["crew", "crewnames", "cleanedby"] },
+  equipmentUnit: { required: false, aliases: ["equipment", "equipmentunit", "unit"] },
+  notes: { required: false, aliases: ["notes", "note", "comment", "comments", "remarks"] },
+};
+
+const DATE_FORMATS = ["iso", "dmy", "mdy", "ymd"];
+const DELIMITERS = [",", ";", "\t", "|"];
+
+const DAY_FIRST_PATTERN = /^(\d{1,2})[./-](\d{1,2})[./-](\d{2,4})(?:[ T]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const YEAR_FIRST_PATTERN = /^(\d{4})[./](\d{1,2})[./](\d{1,2})(?:[ T]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const ISO_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Pick the delimiter that splits the first lines into the most (and a consistent number of) columns.
+ * @param {string[]} lines
+ * @returns {string}
+ */
+function detectDelimiter(lines) {
+  const sample = lines.slice(0, 10);
+  let best = ",";
+  let bestScore = 0;
+  for (const delimiter of DELIMITERS) {
+    const counts = sample.map((line) => splitCsvLine(line, delimiter).length);
+    const consistent = counts.every((count) => count === counts[0]);
+    const score = counts[0] > 1 ? counts[0] * (consistent ? 2 : 1) : 0;
+    if (score > bestScore) {
+      best = delimiter;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/** Split one CSV line, honouring double quotes ("" is an escaped quote). */
+function splitCsvLine(line, delimiter) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+function parseCsv(buffer) {
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+  const delimiter = detectDelimiter(lines);
+  return { delimiter, table: lines.map((line) => splitCsvLine(line, delimiter)) };
+}
+
+/** Excel's day zero: a time-only cell is a date on it. */
+const EXCEL_EPOCH_DATE = "1899-12-30";
+
+/**
+ * An XLSX date cell as the wall-clock text it shows, without a zone, so it is read in the
+ * vessel's time zone like a CSV value. ExcelJS gives it as a Date whose UTC fields are that
+ * wall clock. A time-only cell becomes "HH:mm:ss" and a date at midnight "YYYY-MM-DD".
+ */
+function dateCellText(value) {
+  const text = new Date(Math.round(value.getTime() / 1000) * 1000).toISOString().slice(0, 19);
+  const [date, time] = text.split("T");
+  if (date === EXCEL_EPOCH_DATE) return time;
+  return time === "00:00:00" ? date : text;
+}
+
+function cellText(value) {
+  if (value == null) return "";
+  if (value instanceof Date) return isNaN(value.getTime()) ? "" : dateCellText(value);
+  if (typeof value === "object") {
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.text !== undefined) return String(value.text);
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join("");
+  }
+  return String(value).trim();
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return { table: [] };
+  const table = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    for (let col = 1; col <= row.cellCount; col++) {
+      cells.push(cellText(row.getCell(col).value));
+    }
+    table.push(cells);
+  });
+  return { table };
+}
+
+/**
+ * Parse an uploaded CSV or XLSX file into a header row and data rows (all cell values as text).
+ * A file whose first row matches fewer than two known headers is treated as headerless.
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Used to tell XLSX from CSV
+ * @param {Object<string, { aliases: string[] }>} [fields] - Fields whose headers are known (other file kinds, e.g. line logs)
+ * @returns {Promise<{ format: 'csv'|'xlsx', delimiter: string|null, hasHeader: boolean, headers: string[], rows: string[][] }>}
+ */
+async function parseImportFile(buffer, filename, fields = IMPORT_FIELDS) {
+  const isXlsx = /\.xlsx$/i.test(filename || "");
+  const { table, delimiter = null } = isXlsx ? await parseXlsx(buffer) : parseCsv(buffer);
+  if (table.length === 0) {
+    return { format: isXlsx ? "xlsx" : "csv", delimiter, hasHeader: false, headers: [], rows: [] };
+  }
+
+  const width = Math.max(...table.map((row) => row.length));
+  const knownHeaders = table[0].filter((cell) => findFieldForHeader(cell, fields)).length;
+  const hasHeader = knownHeaders >= 2;
+  const headers = hasHeader
+    ? Array.from({ length: width }, (_, i) => table[0][i] || `Column ${i + 1}`)
+    : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+  const rows = (hasHeader ? table.slice(1) : table)
+    .map((row) => Array.from({ length: width }, (_, i) => row[i] ?? ""))
+    .filter((row) => row.some((cell) => cell !== ""));
+  return { format: isXlsx ? "xlsx" : "csv", delimiter, hasHeader, headers, rows };
+}
+
+/** The field a header names ("Cleaning Method" → cleaningMethod), or null. */
+function findFieldForHeader(header, fields = IMPORT_FIELDS) {
+  const normalized = normalizeHeader(header);
+  if (!normalized) return null;
+  return Object.keys(fields).find((field) => fields[field].aliases.includes(normalized)) || null;
+}
+
+/**
+ * Guess which column holds which field. Headerless files get the app's own export layouts
+ * (with or without a Section Type column).
+ * @param {{ hasHeader: boolean, headers: string[], rows: string[][] }} parsed
+ * @returns {Object<string, number>} field → 0-based column index
+ */
+function detectMapping(parsed) {
+  const mapping = {};
+  if (parsed.hasHeader) {
+    parsed.headers.forEach((header, index) => {
+      const field = findFieldForHeader(header);
+      if (field && mapping[field] === undefined) mapping[field] = index;
+    });
+    return mapping;
+  }
+
+  const firstRow = parsed.rows[0] || [];
+  const layout = firstRow[1] === "active" || firstRow[1] === "tail"
+    ? ["streamerId", "sectionType", "sectionStart", "sectionEnd", "cleaningMethod", "cleanedAt", "projectNumber", "vesselTag", "addedBy", "foulingGrade", "foulingType",
+      "durationMinutes", "crewSize", "crewNames", "equipmentUnit", "notes"]
+    : ["streamerId", "sectionStart", "sectionEnd", "cleaningMethod", "cleanedAt", "projectNumber", "vesselTag"];
+  layout.forEach((field, index) => {
+    if (index < parsed.headers.length) mapping[field] = index;
+  });
+  return mapping;
+}
+
+/**
+ * Guess the date format from a column's values: a first part above 12 means day first,
+ * a second part above 12 month first; ambiguous day/month dates default to day first.
+ * @param {string[]} values
+ * @returns {'iso'|'dmy'|'mdy'|'ymd'}
+ */
+function detectDateFormat(values) {
+  let dayFirst = false;
+  let monthFirst = false;
+  let sawDayMonth = false;
+  let sawYearFirst = false;
+  for (const value of values) {
+    const match = DAY_FIRST_PATTERN.exec(value);
+    if (match) {
+      sawDayMonth = true;
+      if (Number(match[1]) > 12) dayFirst = true;
+      if (Number(match[2]) > 12) monthFirst = true;
+    } else if (YEAR_FIRST_PATTERN.test(value)) {
+      sawYearFirst = true;
+    }
+  }
+  if (sawDayMonth) return monthFirst && !dayFirst ? "mdy" : "dmy";
+  return sawYearFirst ? "ymd" : "iso";
+}
+
+/**
+ * Guess whether section numbers are 0-based (any 0 present) or 1-based.
+ * @param {string[]} values
+ * @returns {0|1}
+ */
+function detectSectionBase(values) {
+  return values.some((value) => value !== "" && Number(value) === 0) ? 0 : 1;
+}
+
+/**
+ * Everything that can be detected about a parsed file: column mapping, date format, section base.
+ * @param {{ hasHeader: boolean, headers: string[], rows: string[][] }} parsed
+ * @returns {{ mapping: Object<string, number>, dateFormat: string, sectionBase: 0|1 }}
+ */
+function detectImportSettings(parsed) {
+  const mapping = detectMapping(parsed);
+  const column = (field) => (mapping[field] !== undefined ? parsed.rows.map((row) => row[mapping[field]]) : []);
+  return {
+    mapping,
+    dateFormat: detectDateFormat(column("cleanedAt")),
+    sectionBase: detectSectionBase([...column("sectionStart"), ...column("sectionEnd")]),
+  };
+}
+
+/** A wall-clock date and time in timeZone as a UTC ISO timestamp (null for impossible dates). */
+function toIsoDate(timeZone, year, month, day, hours = 0, minutes = 0, seconds = 0) {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const pad = (value) => String(value).padStart(2, "0");
+  return normalizeTimestamp(`${fullYear}-${pad(month)}-${pad(day)}T${pad(hours)}:${pad(minutes)}:${pad(seconds)}`, timeZone);
+}
+
+/**
+ * Parse a date (and optional separate time) in the given format. Times without a zone are
+ * wall-clock times in timeZone (the vessel's).
+ * @returns {string|null} UTC ISO timestamp, or null when the value does not match
+ */
+function parseDateValue(value, timeValue, dateFormat, timeZone = DEFAULT_TIME_ZONE) {
+  const time = TIME_PATTERN.exec(timeValue || "");
+  const withTime = time ? `${value} ${timeValue}` : value;
+
+  if (ISO_PATTERN.test(withTime)) {
+    return normalizeTimestamp(withTime, timeZone);
+  }
+
+  const n = (part) => (part === undefined ? 0 : Number(part));
+  if (dateFormat === "ymd") {
+    const match = YEAR_FIRST_PATTERN.exec(withTime);
+    return match ? toIsoDate(timeZone, n(match[1]), n(match[2]), n(match[3]), n(match[4]), n(match[5]), n(match[6])) : null;
+  }
+  const match = DAY_FIRST_PATTERN.exec(withTime);
+  if (!match) return null;
+  const [day, month] = dateFormat === "mdy" ? [n(match[2]), n(match[1])] : [n(match[1]), n(match[2])];
+  return toIsoDate(timeZone, n(match[3]), month, day, n(match[4]), n(match[5]), n(match[6]));
+}
+
+/**
+ * A start time of day ("06:30", in timeZone) as a timestamp before the cleaning time: the same
+ * day, or the day before when the cleaning ran past midnight.
+ * @returns {string|null} UTC ISO timestamp, or null when the value is not a time
+ */
+function startTimeBefore(cleanedAt, timeValue, timeZone) {
+  const time = TIME_PATTERN.exec(timeValue);
+  if (!time) return null;
+  const clock = `${time[1].padStart(2, "0")}:${time[2]}:${time[3] || "00"}`;
+  const day = localDate(cleanedAt, timeZone);
+  const start = normalizeTimestamp(`${day}T${clock}`, timeZone);
+  if (start && start <= cleanedAt) return start;
+  const dayBefore = new Date(`${day}T00:00:00Z`);
+  dayBefore.setUTCDate(dayBefore.getUTCDate() - 1);
+  return normalizeTimestamp(`${dayBefore.toISOString().slice(0, 10)}T${clock}`, timeZone);
+}
+
+/** "Scraper & Rope", "scraper+rope" → "scraper-rope". */
+function methodSlug(value) {
+  return String(value).trim().toLowerCase().replace(/\s*(&|\+|\/|\band\b)\s*/g, "-").replace(/\s+/g, "-");
+}
+
+/**
+ * The catalogue key of a method as written in a file: its key or its label, loosely spelled.
+ * @param {string} value
+ * @param {Array<{ key: string, label: string }>} methods - Cleaning method catalogue
+ * @returns {string|null} null when no method matches
+ */
+function normalizeMethod(value, methods) {
+  const slug = methodSlug(value);
+  const method = methods.find((m) => m.key === slug || methodSlug(m.label) === slug);
+  return method ? method.key : null;
+}
+
+/**
+ * Check import settings from the client or for a template.
+ * @param {{ mapping: Object, dateFormat: string, sectionBase: number }} settings
+ * @param {function(*): boolean} isValidColumn - Whether a mapping value is acceptable
+ *   (a column index of the file, or a header name for templates)
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateImportSettings({ mapping, dateFormat, sectionBase }, isValidColumn) {
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) return "mapping must be an object";
+  for (const [field, column] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS[field]) return `Unknown import field: ${field}`;
+    if (!isValidColumn(column)) return `Invalid column for ${field}`;
+  }
+  const missing = Object.keys(IMPORT_FIELDS).filter((field) => IMPORT_FIELDS[field].required && mapping[field] === undefined);
+  if (missing.length > 0) return `Map a column to: ${missing.join(", ")}`;
+  if (!DATE_FORMATS.includes(dateFormat)) return `dateFormat must be one of: ${DATE_FORMATS.join(", ")}`;
+  if (sectionBase !== 0 && sectionBase !== 1) return "sectionBase must be 0 or 1";
+  return null;
+}
+
+/**
+ * Turn file rows into bulk-import rows (the POST /api/events body shape).
+ * @param {string[][]} rows - Data rows from parseImportFile
+ * @param {{ mapping: Object<string, number>, dateFormat: string, sectionBase: 0|1 }} settings - Validated
+ * @param {Array<Object>} methods - Cleaning method catalogue; availability is checked when the rows are planned
+ * @param {string} [timeZone] - Zone of dates and times without one (the working vessel's)
+ * @returns {Array<{ row: Object|null, reason?: string }>} One entry per file row; row is null with a reason when it cannot be read
+ */
+function mapImportRows(rows, { mapping, dateFormat, sectionBase }, methods, timeZone = DEFAULT_TIME_ZONE) {
+  const read = (cells, field) => (mapping[field] !== undefined ? String(cells[mapping[field]] ?? "").trim() : "");
+
+  return rows.map((cells) => {
+    const streamerId = Number(read(cells, "streamerId"));
+    const start = Number(read(cells, "sectionStart"));
+    const endText = read(cells, "sectionEnd");
+    const end = endText === "" ? start : Number(endText);
+    if (!Number.isInteger(streamerId) || streamerId < 1) return { row: null, reason: "Invalid streamer number" };
+    if (!Number.isInteger(start) || !Number.isInteger(end)) return { row: null, reason: "Invalid section numbers" };
+
+    const method = normalizeMethod(read(cells, "cleaningMethod"), methods);
+    if (!method) return { row: null, reason: `Unknown cleaning method "${read(cells, "cleaningMethod")}"` };
+
+    const cleanedAt = parseDateValue(read(cells, "cleanedAt"), read(cells, "cleanedTime"), dateFormat, timeZone);
+    if (!cleanedAt) return { row: null, reason: `Unreadable date "${read(cells, "cleanedAt")}"` };
+
+    const foulingGrade = parseFoulingGrade(read(cells, "foulingGrade"));
+    if (foulingGrade === undefined) return { row: null, reason: `Invalid fouling grade "${read(cells, "foulingGrade")}"` };
+    const foulingType = parseFoulingType(read(cells, "foulingType"));
+    if (foulingType === undefined) return { row: null, reason: `Unknown fouling type "${read(cells, "foulingType")}"` };
+    const durationMinutes = parseDurationMinutes(read(cells, "durationMinutes"));
+    if (durationMinutes === undefined) return { row: null, reason: `Invalid duration "${read(cells, "durationMinutes")}"` };
+    const startText = read(cells, "startTime");
+    const startedAt = startText ? startTimeBefore(cleanedAt, startText, timeZone) : null;
+    if (startText && !startedAt) return { row: null, reason: `Unreadable start time "${startText}"` };
+
+    const row = {
+      streamerId,
+      sectionIndexStart: Math.min(start, end) - sectionBase,
+      sectionIndexEnd: Math.max(start, end) - sectionBase,
+      cleaningMethod: method,
+      cleanedAt,
+      cleaningCount: 1,
+    };
+    const sectionType = read(cells, "sectionType").toLowerCase();
+    if (sectionType === "active" || sectionType === "tail") row.sectionType = sectionType;
+    const projectNumber = read(cells, "projectNumber");
+    if (projectNumber) row.projectNumber = projectNumber;
+    const vesselTag = read(cells, "vesselTag");
+    if (vesselTag) row.vesselTag = vesselTag;
+    const addedBy = read(cells, "addedBy");
+    if (addedBy) row.addedByUsertag = addedBy;
+    if (foulingGrade !== null) row.foulingGrade = foulingGrade;
+    if (foulingType !== null) row.foulingType = foulingType;
+    // Crew and equipment are checked with the other effort fields when the rows are planned.
+    if (durationMinutes !== null) row.durationMinutes = durationMinutes;
+    else if (startedAt) row.startedAt = startedAt;
+    const crewSize = read(cells, "crewSize");
+    if (crewSize) row.crewSize = crewSize;
+    const crewNames = read(cells, "crewNames");
+    if (crewNames) row.crewNames = crewNames;
+    const equipmentUnit = read(cells, "equipmentUnit");
+    if (equipmentUnit) row.equipmentUnit = equipmentUnit;
+    const notes = read(cells, "notes");
+    if (notes) row.notes = notes;
+    return { row };
+  });
+}
+
+function parseTemplate({ mappingJson, ...template }) {
+  return { ...template, mapping: JSON.parse(mappingJson) };
+}
+
+/**
+ * Import templates, by name. Per-vessel callers only see their vessels' templates.
+ * @param {string[]|null} vesselScope - From req.vesselScope
+ * @returns {Promise<Array<Object>>} Each with mapping (field → header name), dateFormat, sectionBase
+ */
+async function listImportTemplates(vesselScope) {
+  const params = [];
+  let where = "";
+  if (vesselScope) {
+    const scope = buildVesselScopeCondition("vessel_tag", vesselScope);
+    where = `WHERE ${scope.sql}`;
+    params.push(...scope.params);
+  }
+  const rows = await getAllCamelized(`SELECT * FROM import_templates ${where} ORDER BY name COLLATE NOCASE`, params);
+  return rows.map(parseTemplate);
+}
+
+/**
+ * Look up a single import template.
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+async function getImportTemplate(id) {
+  const row = await getOneCamelized("SELECT * FROM import_templates WHERE id = ?", [id]);
+  return row ? parseTemplate(row) : null;
+}
+
+/**
+ * Create or replace (same vessel and name) an import template.
+ * @param {{ name: string, vesselTag: string, mapping: Object<string, string>, dateFormat: string, sectionBase: 0|1 }} template
+ *   mapping is field → header name
+ * @param {string} createdBy - Username
+ * @returns {Promise<Object>} The saved template
+ */
+async function saveImportTemplate({ name, vesselTag, mapping, dateFormat, sectionBase }, createdBy) {
+  await runAsync(
+    `INSERT INTO import_templates (name, vessel_tag, mapping_json, date_format, section_base, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(vessel_tag, name) DO UPDATE SET
+       mapping_json = excluded.mapping_json, date_format = excluded.date_format,
+       section_base = excluded.section_base, created_by = excluded.created_by, created_at = excluded.created_at`,
+    [name, vesselTag, JSON.stringify(mapping), dateFormat, sectionBase, createdBy, new Date().toISOString()]
+  );
+  const row = await getOneCamelized("SELECT * FROM import_templates WHERE vessel_tag = ? AND name = ?", [vesselTag, name]);
+  return parseTemplate(row);
+}
+
+/**
+ * @param {number} id
+ */
+async function deleteImportTemplate(id) {
+  await runAsync("DELETE FROM import_templates WHERE id = ?", [id]);
+}
+
+/**
+ * Settings for a file from a template: header names are matched (case and punctuation
+ * insensitive) against the file's headers; fields whose header is missing stay unmapped.
+ * @param {Object} template - From getImportTemplate
+ * @param {string[]} headers - From parseImportFile
+ * @returns {{ mapping: Object<string, number>, dateFormat: string, sectionBase: 0|1 }}
+ */
+function applyImportTemplate(template, headers) {
+  const mapping = {};
+  for (const [field, header] of Object.entries(template.mapping)) {
+    const index = headers.findIndex((candidate) => normalizeHeader(candidate) === normalizeHeader(header));
+    if (index !== -1) mapping[field] = index;
+  }
+  return { mapping, dateFormat: template.dateFormat, sectionBase: template.sectionBase };
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  DATE_FORMATS,
+  parseImportFile,
+  findFieldForHeader,
+  detectDateFormat,
+  parseDateValue,
+  detectImportSettings,
+  validateImportSettings,
+  mapImportRows,
+  listImportTemplates,
+  getImportTemplate,
+  saveImportTemplate,
+  deleteImportTemplate,
+  applyImportTemplate,
+};
@@ -0,0 +1,114 @@
+// eventRevisions.js
+const { runAsync, getAsync, getAllCamelized, getOneCamelized } = require("./db");
+
+/** Event fields tracked in the edit history (camelCase, as returned by the API). */
+const REVISION_FIELDS = [
+  "streamerId",
+  "sectionIndexStart",
+  "sectionIndexEnd",
+  "sectionType",
+  "cleaningMethod",
+  "cleanedAt",
+  "cleaningCount",
+  "projectNumber",
+  "vesselTag",
+  "foulingGrade",
+  "foulingType",
+  "durationMinutes",
+  "crewSize",
+  "crewNames",
+  "equipmentUnit",
+  "notes",
+];
+
+/**
+ * The tracked fields of an event row.
+ * @param {Object} event - Camelized cleaning_events row
+ * @returns {Object}
+ */
+function pickRevisionFields(event) {
+  return Object.fromEntries(REVISION_FIELDS.map((field) => [field, event[field] ?? null]));
+}
+
+/**
+ * Names of tracked fields that differ between two event states.
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {string[]}
+ */
+function changedFields(before, after) {
+  return REVISION_FIELDS.filter((field) => (before[field] ?? null) !== (after[field] ?? null));
+}
+
+/**
+ * Append a revision to an event's history. Nothing is written when no tracked field changed.
+ * @param {{ eventId: number, changeType: 'edit'|'revert', revertedTo?: number|null, changedBy: string, before: Object, after: Object }} revision
+ *   before/after are event rows (only tracked fields are stored)
+ * @returns {Promise<number|null>} New revision number, or null when nothing changed
+ */
+async function recordEventRevision({ eventId, changeType, revertedTo = null, changedBy, before, after }) {
+  const beforeFields = pickRevisionFields(before);
+  const afterFields = pickRevisionFields(after);
+  if (changedFields(beforeFields, afterFields).length === 0) return null;
+
+  const last = await getAsync(
+    "SELECT MAX(revision) AS revision FROM event_revisions WHERE event_id = ?",
+    [eventId]
+  );
+  const revision = (last?.revision ?? 0) + 1;
+  await runAsync(
+    `INSERT INTO event_revisions (event_id, revision, change_type, reverted_to, changed_at, changed_by, before_json, after_json)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      eventId,
+      revision,
+      changeType,
+      revertedTo,
+      new Date().toISOString(),
+      changedBy,
+      JSON.stringify(beforeFields),
+      JSON.stringify(afterFields),
+    ]
+  );
+  return revision;
+}
+
+function parseRevision({ beforeJson, afterJson, ...row }) {
+  const before = JSON.parse(beforeJson);
+  const after = JSON.parse(afterJson);
+  return { ...row, before, after, changedFields: changedFields(before, after) };
+}
+
+/**
+ * An event's revisions, newest first.
+ * @param {number} eventId
+ * @returns {Promise<Array<Object>>} Each with before, after and changedFields
+ */
+async function listEventRevisions(eventId) {
+  const rows = await getAllCamelized(
+    "SELECT * FROM event_revisions WHERE event_id = ? ORDER BY revision DESC",
+    [eventId]
+  );
+  return rows.map(parseRevision);
+}
+
+/**
+ * Look up a single revision of an event.
+ * @param {number} eventId
+ * @param {number} revision
+ * @returns {Promise<Object|null>}
+ */
+async function getEventRevision(eventId, revision) {
+  const row = await getOneCamelized(
+    "SELECT * FROM event_revisions WHERE event_id = ? AND revision = ?",
+    [eventId, revision]
+  );
+  return row ? parseRevision(row) : null;
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  recordEventRevision,
+  listEventRevisions,
+  getEventRevision,
+};
@@ -0,0 +1,231 @@
+// loginAttempts.js
+const { runAsync, getOneCamelized, getAllCamelized } = require("./db");
+const { toInt } = require("./utils/validation");
+const { buildVesselScopeCondition } = require("./utils/queryHelpers");
+
+/** Failures per username before a temporary lockout (LOGIN_MAX_FAILURES, default 5). */
+const MAX_FAILURES_PER_USERNAME = toInt(process.env.LOGIN_MAX_FAILURES, 5);
+/** Failures per client IP before a lockout (LOGIN_MAX_FAILURES_PER_IP, default 20; ship LANs share addresses). */
+const MAX_FAILURES_PER_IP = toInt(process.env.LOGIN_MAX_FAILURES_PER_IP, 20);
+/** Lockout duration (LOGIN_LOCKOUT_MINUTES, default 15). */
+const LOCKOUT_MS = toInt(process.env.LOGIN_LOCKOUT_MINUTES, 15) * 60 * 1000;
+/** Failures older than this no longer count (LOGIN_FAILURE_WINDOW_MINUTES, default 15). */
+const FAILURE_WINDOW_MS = toInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 15) * 60 * 1000;
+/** Back-off after the 2nd failure doubles from this value, capped at BACKOFF_MAX_MS. */
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30 * 1000;
+
+/**
+ * Tracking keys for one login attempt. Usernames are case-folded so case variations share a counter.
+ * @param {string} username
+ * @param {string|null} ipAddress
+ * @returns {Array<{ keyType: string, keyValue: string, maxFailures: number }>}
+ */
+function attemptKeys(username, ipAddress) {
+  const keys = [{ keyType: "username", keyValue: username.toLowerCase(), maxFailures: MAX_FAILURES_PER_USERNAME }];
+  if (ipAddress) {
+    keys.push({ keyType: "ip", keyValue: ipAddress, maxFailures: MAX_FAILURES_PER_IP });
+  }
+  return keys;
+}
+
+/**
+ * Required wait after `failedCount` consecutive failures (0 after the first).
+ * @param {number} failedCount
+ * @returns {number} milliseconds
+ */
+function backoffDelayMs(failedCount) {
+  if (failedCount < 2) return 0;
+  return Math.min(BACKOFF_BASE_MS * 2 ** (failedCount - 2), BACKOFF_MAX_MS);
+}
+
+async function getAttempt(keyType, keyValue) {
+  return getOneCamelized(
+    "SELECT * FROM login_attempts WHERE key_type = ? AND key_value = ?",
+    [keyType, keyValue]
+  );
+}
+
+/**
+ * Vessel of the account a (possibly mis-cased) username refers to, for scoping lockout events.
+ * @param {string} username
+ * @returns {Promise<string|null>}
+ */
+async function vesselTagForUsername(username) {
+  const row = await getOneCamelized(
+    "SELECT vessel_tag FROM users WHERE username = ? COLLATE NOCASE",
+    [username]
+  );
+  return row?.vesselTag ?? null;
+}
+
+/**
+ * Build the client-facing rejection for a lock or back-off.
+ * @returns {{ error: string, locked: boolean, retryAfterSeconds: number, lockedUntil?: string }}
+ */
+function buildRejection(keyType, retryAfterMs, lockedUntil = null) {
+  const retryAfterSeconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  if (lockedUntil) {
+    const minutes = Math.max(1, Math.ceil(retryAfterMs / 60000));
+    const subject = keyType === "ip"
+      ? "Too many failed sign-in attempts from this device"
+      : "Account locked after too many failed sign-in attempts";
+    return {
+      error: `${subject}. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+      locked: true,
+      retryAfterSeconds,
+      lockedUntil,
+    };
+  }
+  return {
+    error: `Too many failed attempts. Wait ${retryAfterSeconds} second${retryAfterSeconds === 1 ? "" : "s"} and try again.`,
+    locked: false,
+    retryAfterSeconds,
+  };
+}
+
+/**
+ * Check whether a login attempt may proceed (before the password is verified).
+ * @param {string} username
+ * @param {string|null} ipAddress
+ * @returns {Promise<Object|null>} Rejection (see buildRejection) or null when allowed
+ */
+async function checkLoginAllowed(username, ipAddress) {
+  const now = Date.now();
+  for (const { keyType, keyValue } of attemptKeys(username, ipAddress)) {
+    const attempt = await getAttempt(keyType, keyValue);
+    if (!attempt) continue;
+
+    const lockedUntil = attempt.lockedUntil ? new Date(attempt.lockedUntil).getTime() : 0;
+    if (lockedUntil > now) {
+      return buildRejection(keyType, lockedUntil - now, attempt.lockedUntil);
+    }
+
+    const lastFailed = new Date(attempt.lastFailedAt).getTime();
+    if (now - lastFailed < FAILURE_WINDOW_MS) {
+      const nextAllowed = lastFailed + backoffDelayMs(attempt.failedCount);
+      if (nextAllowed > now) {
+        return buildRejection(keyType, nextAllowed - now);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Record a failed login for the username and IP; locks a key once it reaches its threshold.
+ * @param {string} username
+ * @param {string|null} ipAddress
+ * @param {string|null} [vesselTag] - Vessel of the targeted account; looked up when omitted
+ * @returns {Promise<Object|null>} Lock rejection when this failure triggered a lockout, else null
+ */
+async function recordLoginFailure(username, ipAddress, vesselTag = null) {
+  const now = Date.now();
+  const nowIso = new Date(now).toISOString();
+  let rejection = null;
+
+  for (const { keyType, keyValue, maxFailures } of attemptKeys(username, ipAddress)) {
+    const attempt = await getAttempt(keyType, keyValue);
+    const stillCounting =
+      attempt &&
+      now - new Date(attempt.lastFailedAt).getTime() < FAILURE_WINDOW_MS &&
+      !(attempt.lockedUntil && new Date(attempt.lockedUntil).getTime() <= now);
+    const failedCount = stillCounting ? attempt.failedCount + 1 : 1;
+
+    let lockedUntil = null;
+    if (failedCount >= maxFailures) {
+      lockedUntil = new Date(now + LOCKOUT_MS).toISOString();
+      if (!vesselTag) vesselTag = await vesselTagForUsername(username);
+      await runAsync(
+        `INSERT INTO lockout_events (key_type, key_value, username, ip_address, vessel_tag, failed_count, locked_at, locked_until)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [keyType, keyValue, username, ipAddress, vesselTag, failedCount, nowIso, lockedUntil]
+      );
+      console.warn(`[auth] Locked ${keyType} "${keyValue}" until ${lockedUntil} after ${failedCount} failed logins`);
+      rejection = rejection || buildRejection(keyType, LOCKOUT_MS, lockedUntil);
+    }
+
+    await runAsync(
+      `INSERT INTO login_attempts (key_type, key_value, failed_count, last_failed_at, locked_until)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(key_type, key_value) DO UPDATE SET
+         failed_count = excluded.failed_count,
+         last_failed_at = excluded.last_failed_at,
+         locked_until = excluded.locked_until`,
+      [keyType, keyValue, lockedUntil ? 0 : failedCount, nowIso, lockedUntil]
+    );
+  }
+  return rejection;
+}
+
+/**
+ * Reset the username counter after a successful login.
+ * The IP counter is left to expire so one valid account cannot reset it for a shared address.
+ * @param {string} username
+ */
+async function recordLoginSuccess(username) {
+  await runAsync(
+    "DELETE FROM login_attempts WHERE key_type = 'username' AND key_value = ?",
+    [username.toLowerCase()]
+  );
+}
+
+/**
+ * List recent lockout events, newest first.
+ * @param {string[]|null} vesselScope - From req.vesselScope (null = all vessels)
+ * @param {number} [limit=100]
+ * @returns {Promise<Array<Object>>} camelCase rows plus isActive
+ */
+async function listLockoutEvents(vesselScope, limit = 100) {
+  const params = [];
+  let where = "";
+  if (vesselScope) {
+    const scope = buildVesselScopeCondition("vessel_tag", vesselScope);
+    where = `WHERE ${scope.sql}`;
+    params.push(...scope.params);
+  }
+  params.push(limit);
+  const rows = await getAllCamelized(
+    `SELECT * FROM lockout_events ${where} ORDER BY locked_at DESC LIMIT ?`,
+    params
+  );
+  const now = Date.now();
+  return rows.map((row) => ({
+    ...row,
+    isActive: !row.clearedAt && new Date(row.lockedUntil).getTime() > now,
+  }));
+}
+
+/**
+ * Look up a single lockout event.
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+async function getLockoutEvent(id) {
+  return getOneCamelized("SELECT * FROM lockout_events WHERE id = ?", [id]);
+}
+
+/**
+ * Clear a lockout: mark the event cleared and reset the counter for its key.
+ * @param {Object} event - Row from getLockoutEvent
+ * @param {string} clearedBy - Username of the SuperUser clearing it
+ */
+async function clearLockout(event, clearedBy) {
+  await runAsync(
+    "UPDATE lockout_events SET cleared_at = ?, cleared_by = ? WHERE id = ?",
+    [new Date().toISOString(), clearedBy, event.id]
+  );
+  await runAsync(
+    "DELETE FROM login_attempts WHERE key_type = ? AND key_value = ?",
+    [event.keyType, event.keyValue]
+  );
+}
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  listLockoutEvents,
+  getLockoutEvent,
+  clearLockout,
+};
@@ -1,5 +1,12 @@
 // middleware/auth.js
 const crypto = require("crypto");
+const { getActiveSession } = require("../sessions");
+const {
+  isApiToken,
+  getActiveApiToken,
+  apiTokenAllows,
+  hasWritePermission,
+} = require("../apiTokens");
 
 /** Role constants */
 const ROLES = {
@@ -11,15 +18,17 @@ const ROLES = {
 
 /**
  * Load user credentials from AUTH_USERS environment variable.
+ * Used only to seed the users table on first start (see importUsersFromEnv in users.js).
  *
  * Format per user (comma-separated list):
  *   USERNAME:PASSWORD:ROLE:VESSEL_TAG[:GLOBAL]
  *
  * - ROLE: grandsuperuser | superuser | admin | viewer
- * - VESSEL_TAG: short vessel code (e.g. TTN, RAM); use "ALL" or empty for global users
+ * - VESSEL_TAG: short vessel code (e.g. TTN, RAM); several vessels separated by "|" (TTN|RAM,
+ *   the first is the default working vessel); use "ALL" or empty for global users
  * - GLOBAL (optional): "true" marks the user as global (all vessels)
  *
- * @returns {Object.<string, { password: string, role: string, vesselTag: string|null, isGlobal: boolean }>}
+ * @returns {Object.<string, { password: string, role: string, vesselTag: string|null, vesselTags: string[], isGlobal: boolean }>}
  */
 function loadUsersFromEnv() {
   const authUsersEnv = process.env.AUTH_USERS;
@@ -46,11 +55,12 @@ function loadUsersFromEnv() {
     const password = parts[1].trim();
     const role = parts[2].trim();
 
-    // Format with vessel tag (and optional global flag)
+    // Format with vessel tag(s) (and optional global flag)
     const rawVesselTag = (parts[3] || "").trim();
-    const vesselTag = rawVesselTag === "" || rawVesselTag.toUpperCase() === "ALL"
-      ? null
-      : rawVesselTag;
+    const vesselTags = rawVesselTag === "" || rawVesselTag.toUpperCase() === "ALL"
+      ? []
+      : [...new Set(rawVesselTag.split("|").map((tag) => tag.trim()).filter(Boolean))];
+    const vesselTag = vesselTags[0] || null;
 
     let isGlobal = false;
     if (parts.length >= 5) {
@@ -72,6 +82,7 @@ function loadUsersFromEnv() {
       password,
       role,
       vesselTag,
+      vesselTags,
       isGlobal,
     };
   });
@@ -102,36 +113,120 @@ function isGlobalUser(user) {
 /**
  * Get the effective vessel scope for a user.
  * - Global users: null (no restriction)
- * - Per-vessel users: their vesselTag
- * @param {{ vesselTag?: string|null, isGlobal?: boolean, role?: string }} user
- * @returns {string|null}
+ * - Per-vessel users: the vessel tags assigned to them
+ * @param {{ vesselTag?: string|null, vesselTags?: string[], isGlobal?: boolean, role?: string }} user
+ * @returns {string[]|null}
  */
 function getVesselScope(user) {
-  return isGlobalUser(user) ? null : user?.vesselTag || null;
+  if (isGlobalUser(user)) return null;
+  const tags = user?.vesselTags?.length ? user.vesselTags : [user?.vesselTag].filter(Boolean);
+  return tags.length > 0 ? tags : null;
 }
 
 /**
- * Create auth middleware that validates Bearer token against the given session store.
- * @param {Map<string, Object>} sessions - Session store (token -> session)
+ * Whether a vessel tag is inside a vessel scope (null scope = every vessel).
+ * @param {string[]|null} vesselScope - From req.vesselScope
+ * @param {string|null} vesselTag
+ * @returns {boolean}
+ */
+function isInVesselScope(vesselScope, vesselTag) {
+  return !vesselScope || vesselScope.includes(vesselTag);
+}
+
+/**
+ * Pick the vessel a request works on (creating events, resolving the active project, per-vessel config).
+ * The X-Vessel-Tag header (the header vessel switcher) wins when it is inside the user's scope;
+ * otherwise per-vessel users fall back to their default vessel and global users to none.
+ * @param {Object} user
+ * @param {string[]|null} vesselScope
+ * @param {string|undefined} requestedVessel - X-Vessel-Tag header value
+ * @returns {{ vesselTag: string|null, error?: string }}
+ */
+function resolveWorkingVessel(user, vesselScope, requestedVessel) {
+  const requested = typeof requestedVessel === "string" ? requestedVessel.trim() : "";
+  if (requested) {
+    if (!isInVesselScope(vesselScope, requested)) {
+      return { vesselTag: null, error: `Vessel ${requested} is not assigned to this user` };
+    }
+    return { vesselTag: requested };
+  }
+  if (!vesselScope) return { vesselTag: null };
+  return { vesselTag: isInVesselScope(vesselScope, user.vesselTag) ? user.vesselTag : vesselScope[0] };
+}
+
+/**
+ * Authenticate a request carrying an API token ("smt_..."): token must be unrevoked and
+ * its permissions must cover the method/path. The token acts as a vessel-scoped
+ * admin (write permissions) or viewer (read only), so SuperUser routes stay closed.
+ */
+async function authenticateApiToken(token, req, res, next) {
+  let apiToken;
+  try {
+    apiToken = await getActiveApiToken(token);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: "Failed to verify API token" });
+  }
+
+  if (!apiToken) {
+    return res.status(401).json({ error: "Invalid or revoked API token" });
+  }
+  if (!apiTokenAllows(apiToken.permissions, req.method, req.path)) {
+    return res.status(403).json({ error: "API token does not permit this request" });
+  }
+
+  req.user = {
+    apiTokenId: apiToken.id,
+    username: `api:${apiToken.name}`,
+    role: hasWritePermission(apiToken.permissions) ? ROLES.ADMIN : ROLES.VIEWER,
+    vesselTag: apiToken.vesselTag,
+    vesselTags: [apiToken.vesselTag],
+    isGlobal: false,
+    permissions: apiToken.permissions,
+  };
+  req.vesselScope = [apiToken.vesselTag];
+  req.workingVessel = apiToken.vesselTag;
+  next();
+}
+
+/**
+ * Create auth middleware that validates Bearer token against the persisted sessions table,
+ * or against api_tokens for "smt_" tokens.
+ * Expired, idle or disabled-user sessions and revoked API tokens are rejected with 401.
  * @returns {function} Express middleware
  */
-function createAuthMiddleware(sessions) {
-  return function authMiddleware(req, res, next) {
+function createAuthMiddleware() {
+  return async function authMiddleware(req, res, next) {
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith("Bearer ")) {
       return res.status(401).json({ error: "Unauthorized" });
     }
 
     const token = authHeader.slice(7);
-    const session = sessions.get(token);
+    if (isApiToken(token)) {
+      return authenticateApiToken(token, req, res, next);
+    }
+
+    let session;
+    try {
+      session = await getActiveSession(token);
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: "Failed to verify session" });
+    }
 
     if (!session) {
       return res.status(401).json({ error: "Invalid or expired session" });
     }
 
     req.user = session;
-    // Attach vessel scope for downstream middleware/handlers.
+    // Attach vessel scope and working vessel for downstream middleware/handlers.
     req.vesselScope = getVesselScope(session);
+    const working = resolveWorkingVessel(session, req.vesselScope, req.get("X-Vessel-Tag"));
+    if (working.error) {
+      return res.status(403).json({ error: working.error });
+    }
+    req.workingVessel = working.vesselTag;
     next();
   };
 }
@@ -139,7 +234,7 @@ function createAuthMiddleware(sessions) {
 /**
  * Attach vessel scope to the request based on the authenticated user.
  * Global users → req.vesselScope = null (no restriction).
- * Per-vessel users → req.vesselScope = user.vesselTag.
+ * Per-vessel users → req.vesselScope = their vessel tags.
  */
 function withVesselScope(req, _res, next) {
   req.vesselScope = getVesselScope(req.user);
@@ -172,6 +267,13 @@ function superUserOnly(req, res, next) {
   return requireRole([ROLES.SUPER_USER, ROLES.GRAND_SUPER_USER])(req, res, next);
 }
 
+/**
+ * Express middleware: allow only grand superuser role.
+ */
+function grandSuperUserOnly(req, res, next) {
+  return requireRole([ROLES.GRAND_SUPER_USER])(req, res, next);
+}
+
 /**
  * Express middleware: allow admin or superuser.
  */
@@ -186,8 +288,11 @@ module.exports = {
   createAuthMiddleware,
   isGlobalUser,
   getVesselScope,
+  isInVesselScope,
+  resolveWorkingVessel,
   withVesselScope,
   requireRole,
   superUserOnly,
+  grandSuperUserOnly,
   adminOrAbove,
 };
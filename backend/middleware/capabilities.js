@@ -0,0 +1,21 @@
+// middleware/capabilities.js
+const { hasCapability } = require("../capabilities");
+
+/**
+ * Factory for capability guards (see capabilities.js for the role -> capability table).
+ * @param {string} capability - One of CAPABILITIES
+ * @returns {function} Express middleware
+ */
+function requireCapability(capability) {
+  return function capabilityGuard(req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    if (!hasCapability(req.user, capability)) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    next();
+  };
+}
+
+module.exports = { requireCapability };
@@ -0,0 +1,111 @@
+// projectLifecycle.js
+const { runAsync, getAllCamelized, getOneCamelized } = require("./db");
+const { CAPABILITIES, hasCapability } = require("./capabilities");
+const { listConfigVersions } = require("./configVersions");
+const { summarizeCloseOut } = require("./utils/closeOut");
+
+/** Project lifecycle (projects.status): planned → active → closed → archived. */
+const PROJECT_STATUSES = {
+  PLANNED: "planned",
+  ACTIVE: "active",
+  CLOSED: "closed",
+  ARCHIVED: "archived",
+};
+
+/** Statuses whose events, deployments, noise data and line log need projects.editLocked to change. */
+const LOCKED_STATUSES = [PROJECT_STATUSES.CLOSED, PROJECT_STATUSES.ARCHIVED];
+
+/**
+ * Allowed status changes per current status. Activating a planned project as the vessel's
+ * active project also starts it; reopening a closed project needs projects.editLocked.
+ */
+const STATUS_TRANSITIONS = {
+  [PROJECT_STATUSES.PLANNED]: [PROJECT_STATUSES.ACTIVE],
+  [PROJECT_STATUSES.ACTIVE]: [PROJECT_STATUSES.CLOSED],
+  [PROJECT_STATUSES.CLOSED]: [PROJECT_STATUSES.ARCHIVED, PROJECT_STATUSES.ACTIVE],
+  [PROJECT_STATUSES.ARCHIVED]: [PROJECT_STATUSES.CLOSED],
+};
+
+/**
+ * Why a project cannot move from one status to another, if it cannot.
+ * @param {string} from
+ * @param {*} to
+ * @returns {string|null}
+ */
+function statusTransitionError(from, to) {
+  if (!Object.values(PROJECT_STATUSES).includes(to)) {
+    return `status must be one of: ${Object.values(PROJECT_STATUSES).join(", ")}`;
+  }
+  if (!(STATUS_TRANSITIONS[from] || []).includes(to)) {
+    return `Cannot change the status from ${from} to ${to}`;
+  }
+  return null;
+}
+
+/**
+ * Why a user may not change a project's events, deployments, noise data or line log:
+ * the project is closed or archived and the user lacks projects.editLocked (GrandSuperUsers by default).
+ * @param {Object} user - req.user
+ * @param {string|null} projectNumber
+ * @returns {Promise<string|null>} Message for a 403, or null when changes are allowed
+ */
+async function projectLockError(user, projectNumber) {
+  if (!projectNumber || hasCapability(user, CAPABILITIES.PROJECTS_EDIT_LOCKED)) return null;
+  const project = await getOneCamelized("SELECT status FROM projects WHERE project_number = ?", [projectNumber]);
+  if (!project || !LOCKED_STATUSES.includes(project.status)) return null;
+  return `Project ${projectNumber} is ${project.status}; its data is read-only`;
+}
+
+/**
+ * Close-out summary of a project from its current events and configuration versions (see summarizeCloseOut).
+ * @param {Object} project - Camelized projects row
+ * @returns {Promise<Object>}
+ */
+async function buildCloseOut(project) {
+  const events = await getAllCamelized(
+    `SELECT streamer_id, section_index_start, section_index_end, section_type, cleaning_method, cleaned_at
+     FROM cleaning_events WHERE project_number = ? AND trash_id IS NULL`,
+    [project.projectNumber]
+  );
+  return summarizeCloseOut(events, await listConfigVersions(project));
+}
+
+/**
+ * The close-out recorded when a project was closed.
+ * @param {number} projectId
+ * @returns {Promise<{ closedAt: string, closedBy: string, summary: Object }|null>}
+ */
+async function getCloseOut(projectId) {
+  const row = await getOneCamelized(
+    "SELECT closed_at, closed_by, summary FROM project_close_outs WHERE project_id = ?",
+    [projectId]
+  );
+  return row ? { closedAt: row.closedAt, closedBy: row.closedBy, summary: JSON.parse(row.summary) } : null;
+}
+
+/**
+ * Record a project's close-out, replacing the one of an earlier close.
+ * @param {number} projectId
+ * @param {Object} summary - From buildCloseOut
+ * @param {string} closedBy - Username
+ * @returns {Promise<{ closedAt: string, closedBy: string, summary: Object }>}
+ */
+async function saveCloseOut(projectId, summary, closedBy) {
+  const closedAt = new Date().toISOString();
+  await runAsync(
+    `INSERT INTO project_close_outs (project_id, closed_at, closed_by, summary) VALUES (?, ?, ?, ?)
+     ON CONFLICT(project_id) DO UPDATE SET closed_at = excluded.closed_at, closed_by = excluded.closed_by, summary = excluded.summary`,
+    [projectId, closedAt, closedBy, JSON.stringify(summary)]
+  );
+  return { closedAt, closedBy, summary };
+}
+
+module.exports = {
+  PROJECT_STATUSES,
+  LOCKED_STATUSES,
+  statusTransitionError,
+  projectLockError,
+  buildCloseOut,
+  getCloseOut,
+  saveCloseOut,
+};
@@ -0,0 +1,93 @@
+// routes/apiTokens.js
+const express = require("express");
+const humps = require("humps");
+const {
+  isValidPermissionList,
+  createApiToken,
+  getApiTokenById,
+  listApiTokens,
+  revokeApiToken,
+} = require("../apiTokens");
+const { requireValidId } = require("../utils/validation");
+const { sendError } = require("../utils/errors");
+const { isInVesselScope } = require("../middleware/auth");
+
+const MAX_TOKEN_NAME_LENGTH = 64;
+
+/**
+ * Create API tokens router (list, issue, revoke).
+ * Per-vessel SuperUsers can only manage tokens bound to their own vessel.
+ * @param {function} authMiddleware
+ * @param {function} canManageSecurity - security.manage capability guard
+ * @returns {express.Router}
+ */
+function createApiTokensRouter(authMiddleware, canManageSecurity) {
+  const router = express.Router();
+
+  router.get("/api/tokens", authMiddleware, canManageSecurity, async (req, res) => {
+    try {
+      res.json(await listApiTokens(req.vesselScope));
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to fetch API tokens");
+    }
+  });
+
+  router.post("/api/tokens", authMiddleware, canManageSecurity, async (req, res) => {
+    try {
+      const bodyData = humps.decamelizeKeys(req.body);
+      const name = typeof bodyData.name === "string" ? bodyData.name.trim() : "";
+      const { permissions } = bodyData;
+      const requestedVessel = typeof bodyData.vessel_tag === "string" ? bodyData.vessel_tag.trim() : "";
+
+      if (!name || name.length > MAX_TOKEN_NAME_LENGTH) {
+        return sendError(res, 400, `Token name is required (max ${MAX_TOKEN_NAME_LENGTH} characters)`);
+      }
+      if (!isValidPermissionList(permissions)) {
+        return sendError(res, 400, "Permissions must be one or more of: read, events:write, noise:write");
+      }
+
+      // Per-vessel SuperUsers issue tokens for one of their vessels (the working vessel by default).
+      const vesselTag = requestedVessel || (req.vesselScope ? req.workingVessel : "");
+      if (!vesselTag) {
+        return sendError(res, 400, "Vessel tag is required");
+      }
+      if (!isInVesselScope(req.vesselScope, vesselTag)) {
+        return sendError(res, 403, "You can only issue tokens for your own vessels");
+      }
+
+      const { token, apiToken } = await createApiToken({
+        name,
+        vesselTag,
+        permissions: [...new Set(permissions)],
+        createdBy: req.user.username,
+      });
+      res.json({ ...apiToken, token });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to create API token");
+    }
+  });
+
+  router.delete("/api/tokens/:id", authMiddleware, canManageSecurity, async (req, res) => {
+    try {
+      const id = requireValidId(req, res);
+      if (id === null) return;
+
+      const apiToken = await getApiTokenById(id);
+      if (!apiToken || !isInVesselScope(req.vesselScope, apiToken.vesselTag)) {
+        return sendError(res, 404, "API token not found");
+      }
+
+      await revokeApiToken(id, req.user.username);
+      res.json(await getApiTokenById(id));
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to revoke API token");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createApiTokensRouter };
@@ -0,0 +1,182 @@
+// routes/attachments.js
+const express = require("express");
+const fs = require("fs");
+const {
+  listAttachments,
+  getAttachmentRecord,
+  saveAttachment,
+  deleteAttachment,
+  attachmentFilePath,
+  thumbnailFilePath,
+} = require("../attachments");
+const { getOneCamelized } = require("../db");
+const { requireValidId } = require("../utils/validation");
+const { sendError } = require("../utils/errors");
+const { isInVesselScope } = require("../middleware/auth");
+const { AUDIT_ACTIONS, recordAudit } = require("../audit");
+const { projectLockError } = require("../projectLifecycle");
+
+/** Longest accepted caption. */
+const MAX_CAPTION_LENGTH = 500;
+
+/** A live event the caller may see, or null. */
+async function findVisibleEvent(req, id) {
+  const event = await getOneCamelized("SELECT * FROM cleaning_events WHERE id = ? AND trash_id IS NULL", [id]);
+  return event && isInVesselScope(req.vesselScope, event.vesselTag) ? event : null;
+}
+
+/** An attachment of a live event the caller may see, or null. */
+async function findVisibleAttachment(req, id) {
+  const record = await getAttachmentRecord(id);
+  if (!record || record.eventTrashId !== null || !isInVesselScope(req.vesselScope, record.eventVesselTag)) {
+    return null;
+  }
+  return record;
+}
+
+/**
+ * Create event attachments router (list, upload, download, thumbnail, delete).
+ * Anyone who can see an event can see its attachments; uploading and deleting need events.write.
+ * @param {function} authMiddleware
+ * @param {function} canWriteEvents - events.write capability guard
+ * @returns {express.Router}
+ */
+function createAttachmentsRouter(authMiddleware, canWriteEvents) {
+  const router = express.Router();
+
+  router.get("/api/events/:id/attachments", authMiddleware, async (req, res) => {
+    try {
+      const id = requireValidId(req, res);
+      if (id === null) return;
+
+      if (!(await findVisibleEvent(req, id))) {
+        return sendError(res, 404, "Event not found");
+      }
+      res.json(await listAttachments(id));
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to fetch attachments");
+    }
+  });
+
+  /**
+   * POST /api/events/:id/attachments
+   * Body { filename, content (base64), caption? }. Images (JPEG, PNG, WebP, GIF, TIFF) get a
+   * thumbnail; documents (PDF, text, CSV, Word, Excel) are stored as they are.
+   */
+  router.post("/api/events/:id/attachments", authMiddleware, canWriteEvents, async (req, res) => {
+    try {
+      const id = requireValidId(req, res);
+      if (id === null) return;
+
+      const event = await findVisibleEvent(req, id);
+      if (!event) {
+        return sendError(res, 404, "Event not found");
+      }
+      const lockError = await projectLockError(req.user, event.projectNumber);
+      if (lockError) {
+        return sendError(res, 403, lockError);
+      }
+      const { filename, content } = req.body || {};
+      if (typeof filename !== "string" || filename.trim() === "") {
+        return sendError(res, 400, "filename is required");
+      }
+      if (typeof content !== "string" || content === "") {
+        return sendError(res, 400, "content must be the base64-encoded file");
+      }
+      const caption = typeof req.body.caption === "string" ? req.body.caption.trim() : "";
+      if (caption.length > MAX_CAPTION_LENGTH) {
+        return sendError(res, 400, `caption must be at most ${MAX_CAPTION_LENGTH} characters`);
+      }
+
+      const result = await saveAttachment(
+        { eventId: id, filename: filename.trim(), buffer: Buffer.from(content, "base64"), caption: caption || null },
+        req.user.username
+      );
+      if (result.error) {
+        return sendError(res, 400, result.error);
+      }
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.ATTACHMENT_UPLOAD,
+        targetId: result.attachment.id,
+        vesselTag: event.vesselTag,
+        after: result.attachment,
+      });
+      res.json(result.attachment);
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to upload attachment");
+    }
+  });
+
+  router.get("/api/attachments/:id/file", authMiddleware, async (req, res) => {
+    try {
+      const id = requireValidId(req, res);
+      if (id === null) return;
+
+      const record = await findVisibleAttachment(req, id);
+      if (!record) {
+        return sendError(res, 404, "Attachment not found");
+      }
+      const filePath = attachmentFilePath(record);
+      if (!fs.existsSync(filePath)) {
+        return sendError(res, 404, "Attachment file is missing");
+      }
+      res.download(filePath, record.originalName, { headers: { "Content-Type": record.mimeType } });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to download attachment");
+    }
+  });
+
+  router.get("/api/attachments/:id/thumbnail", authMiddleware, async (req, res) => {
+    try {
+      const id = requireValidId(req, res);
+      if (id === null) return;
+
+      const record = await findVisibleAttachment(req, id);
+      if (!record || !record.hasThumbnail) {
+        return sendError(res, 404, "Thumbnail not found");
+      }
+      const filePath = thumbnailFilePath(record);
+      if (!fs.existsSync(filePath)) {
+        return sendError(res, 404, "Thumbnail not found");
+      }
+      res.sendFile(filePath, { headers: { "Content-Type": "image/jpeg", "Cache-Control": "private, max-age=86400" } });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to fetch thumbnail");
+    }
+  });
+
+  router.delete("/api/attachments/:id", authMiddleware, canWriteEvents, async (req, res) => {
+    try {
+      const id = requireValidId(req, res);
+      if (id === null) return;
+
+      const record = await findVisibleAttachment(req, id);
+      if (!record) {
+        return sendError(res, 404, "Attachment not found");
+      }
+      const lockError = await projectLockError(req.user, record.eventProjectNumber);
+      if (lockError) {
+        return sendError(res, 403, lockError);
+      }
+      await deleteAttachment(record);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.ATTACHMENT_DELETE,
+        targetId: id,
+        vesselTag: record.eventVesselTag,
+        before: { id, eventId: record.eventId, originalName: record.originalName, caption: record.caption },
+      });
+      res.json({ success: true });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to delete attachment");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAttachmentsRouter };
@@ -0,0 +1,34 @@
+// routes/audit.js
+const express = require("express");
+const { listAuditEntries } = require("../audit");
+const { sendError } = require("../utils/errors");
+
+/**
+ * Create audit router (filterable list of recorded data mutations).
+ * Per-vessel users only see entries for their own vessels.
+ * @param {function} authMiddleware
+ * @param {function} canViewAudit - audit.view capability guard
+ * @returns {express.Router}
+ */
+function createAuditRouter(authMiddleware, canViewAudit) {
+  const router = express.Router();
+
+  // GET /api/audit?action=&targetType=&targetId=&username=&vesselTag=&from=&to=&limit=&offset=
+  router.get("/api/audit", authMiddleware, canViewAudit, async (req, res) => {
+    try {
+      const { action, targetType, targetId, username, vesselTag, from, to, limit, offset } = req.query;
+      res.json(
+        await listAuditEntries(req.vesselScope, {
+          action, targetType, targetId, username, vesselTag, from, to, limit, offset,
+        })
+      );
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to fetch audit log");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuditRouter };
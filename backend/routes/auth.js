@@ -1,64 +1,223 @@
 // routes/auth.js
 const express = require("express");
-const { generateSessionToken } = require("../middleware/auth");
+const { generateSessionToken, isGlobalUser } = require("../middleware/auth");
+const { getUserByUsername, verifyPassword } = require("../users");
+const { createSession, deleteSessionByToken, purgeExpiredSessions } = require("../sessions");
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require("../loginAttempts");
+const {
+  isTwoFactorRole,
+  isTwoFactorRequired,
+  startEnrollment,
+  verifyTotp,
+  useRecoveryCode,
+  enableTwoFactor,
+  createLoginChallenge,
+  getLoginChallenge,
+  recordChallengeFailure,
+  deleteLoginChallenge,
+} = require("../twoFactor");
+const { capabilitiesFor } = require("../capabilities");
+const { listVesselTags } = require("../activeProject");
 const { sendError } = require("../utils/errors");
 
 /**
- * Create auth router (login, logout, session).
- * @param {Map} sessions - Session store
- * @param {Object} users - User credentials from loadUsersFromEnv()
+ * Send a 429 for a throttled or locked-out login, with Retry-After.
+ * @param {Object} res - Express response
+ * @param {{ error: string, locked: boolean, retryAfterSeconds: number, lockedUntil?: string }} rejection
+ */
+function sendLoginRejection(res, rejection) {
+  res.set("Retry-After", String(rejection.retryAfterSeconds));
+  res.status(429).json({
+    error: rejection.error,
+    locked: rejection.locked,
+    retryAfterSeconds: rejection.retryAfterSeconds,
+    lockedUntil: rejection.lockedUntil ?? null,
+  });
+}
+
+/**
+ * Vessels a user can pick in the header switcher: their assigned vessels,
+ * or every vessel with projects for global users.
+ * @param {{ role: string, isGlobal: boolean|number, vesselTags: string[] }} user
+ * @returns {Promise<string[]>}
+ */
+async function switchableVessels(user) {
+  return isGlobalUser(user) ? listVesselTags() : user.vesselTags;
+}
+
+/**
+ * Create a session for a fully authenticated user and build the login response.
+ * @param {Object} req - Express request (client IP / user agent are stored with the session)
+ * @param {Object} user - camelCase users row
+ * @returns {Promise<Object>} Login response body
+ */
+async function startSession(req, user) {
+  await purgeExpiredSessions();
+  const token = generateSessionToken();
+  await createSession(token, user.id, {
+    ipAddress: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+  return {
+    token,
+    username: user.username,
+    role: user.role,
+    vesselTag: user.vesselTag ?? null,
+    vesselTags: await switchableVessels(user),
+    isGlobal: user.isGlobal === 1,
+    capabilities: capabilitiesFor({ role: user.role, isGlobal: user.isGlobal === 1 }),
+    message: "Login successful",
+  };
+}
+
+/**
+ * Create auth router (login with optional TOTP second step, logout, session).
  * @param {function} authMiddleware - Auth middleware for protected routes
  * @returns {express.Router}
  */
-function createAuthRouter(sessions, users, authMiddleware) {
+function createAuthRouter(authMiddleware) {
   const router = express.Router();
 
-  router.post("/api/login", (req, res) => {
-    const { username, password } = req.body;
+  router.post("/api/login", async (req, res) => {
+    try {
+      const { username, password } = req.body;
 
-    if (!username || !password) {
-      return sendError(res, 400, "Username and password required");
-    }
+      if (!username || !password || typeof username !== "string" || typeof password !== "string") {
+        return sendError(res, 400, "Username and password required");
+      }
+
+      const ipAddress = req.ip || null;
+      const rejection = await checkLoginAllowed(username, ipAddress);
+      if (rejection) {
+        return sendLoginRejection(res, rejection);
+      }
+
+      const user = await getUserByUsername(username);
+      if (!user || user.isActive !== 1 || !(await verifyPassword(user, password))) {
+        const lockout = await recordLoginFailure(username, ipAddress, user?.vesselTag ?? null);
+        if (lockout) {
+          return sendLoginRejection(res, lockout);
+        }
+        return sendError(res, 401, "Invalid credentials");
+      }
 
-    const user = users[username];
-    if (!user || user.password !== password) {
-      return sendError(res, 401, "Invalid credentials");
+      // Second factor: the username counter is only reset once the code step succeeds too,
+      // so wrong codes count towards the same lockout as wrong passwords.
+      if (isTwoFactorRole(user.role) && (user.totpEnabled === 1 || isTwoFactorRequired(user.role))) {
+        const enrollmentRequired = user.totpEnabled !== 1;
+        const challengeToken = createLoginChallenge(user, { enrollment: enrollmentRequired });
+        return res.json({
+          twoFactorRequired: true,
+          enrollmentRequired,
+          challengeToken,
+          enrollment: enrollmentRequired ? await startEnrollment(user) : null,
+        });
+      }
+
+      await recordLoginSuccess(username);
+      res.json(await startSession(req, user));
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Login failed");
     }
+  });
+
+  router.post("/api/login/2fa", async (req, res) => {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+      const challenge = getLoginChallenge(challengeToken);
+      if (!challenge) {
+        return res.status(401).json({
+          error: "Sign-in timed out. Enter your password again.",
+          challengeExpired: true,
+        });
+      }
 
-    const token = generateSessionToken();
-    sessions.set(token, {
-      username,
-      role: user.role,
-      vesselTag: user.vesselTag ?? null,
-      isGlobal: Boolean(user.isGlobal),
-    });
-
-    res.json({
-      token,
-      username,
-      role: user.role,
-      vesselTag: user.vesselTag ?? null,
-      isGlobal: Boolean(user.isGlobal),
-      message: "Login successful",
-    });
+      const ipAddress = req.ip || null;
+      const rejection = await checkLoginAllowed(challenge.username, ipAddress);
+      if (rejection) {
+        // A short back-off keeps the challenge; a lockout ends it.
+        if (rejection.locked) deleteLoginChallenge(challengeToken);
+        return sendLoginRejection(res, rejection);
+      }
+
+      const user = await getUserByUsername(challenge.username);
+      if (!user || user.isActive !== 1) {
+        deleteLoginChallenge(challengeToken);
+        return sendError(res, 401, "Invalid credentials");
+      }
+
+      let verified = false;
+      let recoveryCodes = null;
+      if (challenge.enrollment) {
+        if (typeof code !== "string") {
+          return sendError(res, 400, "Authentication code required");
+        }
+        recoveryCodes = await enableTwoFactor(user.id, code);
+        verified = recoveryCodes !== null;
+      } else if (typeof recoveryCode === "string" && recoveryCode.trim()) {
+        verified = await useRecoveryCode(user.id, recoveryCode);
+      } else if (typeof code === "string") {
+        verified = await verifyTotp(user.id, code);
+      } else {
+        return sendError(res, 400, "Authentication code required");
+      }
+
+      if (!verified) {
+        const lockout = await recordLoginFailure(user.username, ipAddress, user.vesselTag ?? null);
+        const stillUsable = recordChallengeFailure(challengeToken);
+        if (lockout) {
+          deleteLoginChallenge(challengeToken);
+          return sendLoginRejection(res, lockout);
+        }
+        if (!stillUsable) {
+          return res.status(401).json({
+            error: "Too many invalid codes. Enter your password again.",
+            challengeExpired: true,
+          });
+        }
+        return sendError(res, 401, "Invalid authentication code");
+      }
+
+      deleteLoginChallenge(challengeToken);
+      await recordLoginSuccess(user.username);
+      const session = await startSession(req, user);
+      res.json(recoveryCodes ? { ...session, recoveryCodes } : session);
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Login failed");
+    }
   });
 
-  router.post("/api/logout", (req, res) => {
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith("Bearer ")) {
-      const token = authHeader.slice(7);
-      sessions.delete(token);
+  router.post("/api/logout", async (req, res) => {
+    try {
+      const authHeader = req.headers.authorization;
+      if (authHeader && authHeader.startsWith("Bearer ")) {
+        const token = authHeader.slice(7);
+        await deleteSessionByToken(token);
+      }
+      res.json({ success: true, message: "Logged out successfully" });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Logout failed");
     }
-    res.json({ success: true, message: "Logged out successfully" });
   });
 
-  router.get("/api/session", authMiddleware, (req, res) => {
-    res.json({
-      username: req.user.username,
-      role: req.user.role,
-      vesselTag: req.user.vesselTag ?? null,
-      isGlobal: Boolean(req.user.isGlobal),
-    });
+  router.get("/api/session", authMiddleware, async (req, res) => {
+    try {
+      res.json({
+        username: req.user.username,
+        role: req.user.role,
+        vesselTag: req.user.vesselTag ?? null,
+        vesselTags: await switchableVessels(req.user),
+        workingVessel: req.workingVessel,
+        isGlobal: Boolean(req.user.isGlobal),
+        capabilities: capabilitiesFor(req.user),
+      });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to load session");
+    }
   });
 
   return router;
@@ -3,20 +3,29 @@ const express = require("express");
 const path = require("path");
 const fs = require("fs");
 const humps = require("humps");
-const { createBackup, BACKUP_DIR, DB_FILE } = require("../db");
+const {
+  createBackup,
+  BACKUP_DIR,
+  DB_FILE,
+  ATTACHMENTS_DIR,
+  backupAttachmentsDir,
+  copyAttachmentFiles,
+} = require("../db");
 const { sendError } = require("../utils/errors");
-const { isGlobalUser } = require("../middleware/auth");
+const { CAPABILITIES } = require("../capabilities");
+const { AUDIT_ACTIONS, recordAudit, recordAuditAfterRestart } = require("../audit");
 
 /**
  * Create backups router (list, create, restore).
  * @param {function} authMiddleware
- * @param {function} superUserOnly
+ * @param {function} requireCapability - Capability guard factory
  * @returns {express.Router}
  */
-function createBackupsRouter(authMiddleware, superUserOnly) {
+function createBackupsRouter(authMiddleware, requireCapability) {
   const router = express.Router();
+  const canManageBackups = requireCapability(CAPABILITIES.BACKUPS_MANAGE);
 
-  router.get("/api/backups", authMiddleware, superUserOnly, async (_req, res) => {
+  router.get("/api/backups", authMiddleware, canManageBackups, async (_req, res) => {
     try {
       if (!fs.existsSync(BACKUP_DIR)) {
         return res.json({ backups: [] });
@@ -43,9 +52,14 @@ function createBackupsRouter(authMiddleware, superUserOnly) {
     }
   });
 
-  router.post("/api/backups", authMiddleware, superUserOnly, async (_req, res) => {
+  router.post("/api/backups", authMiddleware, canManageBackups, async (req, res) => {
     try {
       const backupPath = await createBackup();
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.BACKUP_CREATE,
+        targetId: path.basename(backupPath),
+        after: { filename: path.basename(backupPath) },
+      });
       res.json({ success: true, path: backupPath });
     } catch (err) {
       console.error(err);
@@ -53,14 +67,10 @@ function createBackupsRouter(authMiddleware, superUserOnly) {
     }
   });
 
-  router.post("/api/backups/:filename/restore", authMiddleware, superUserOnly, async (req, res) => {
+  // Restoring a backup replaces the entire database; backups.restore is global-only.
+  router.post("/api/backups/:filename/restore", authMiddleware, requireCapability(CAPABILITIES.BACKUPS_RESTORE), async (req, res) => {
     try {
       const { filename } = req.params;
-
-      // Restoring a backup replaces the entire database; restrict to global superusers.
-      if (!isGlobalUser(req.user)) {
-        return sendError(res, 403, "Grand SuperUser access required to restore backups");
-      }
       const backupPath = path.join(BACKUP_DIR, filename);
 
       if (!filename.startsWith("streamer_backup_") || !filename.endsWith(".db") || filename.includes("..")) {
@@ -71,9 +81,23 @@ function createBackupsRouter(authMiddleware, superUserOnly) {
         return sendError(res, 404, "Backup file not found");
       }
 
-      if (process.env.NODE_ENV !== "test") {
+      const entry = {
+        action: AUDIT_ACTIONS.BACKUP_RESTORE,
+        targetId: filename,
+        vesselTag: null,
+        after: { restoredFrom: filename },
+      };
+      if (process.env.NODE_ENV === "test") {
+        await recordAudit(req, entry);
+      } else {
+        // The restored database replaces the live audit_log, so the entry is written into it
+        // at the restart the restore needs.
+        recordAuditAfterRestart(req, entry);
         await createBackup();
         fs.copyFileSync(backupPath, DB_FILE);
+        // Bring back the backup's attachment files; files the restored database no longer
+        // references are removed at the next start (removeOrphanedAttachmentFiles).
+        copyAttachmentFiles(backupAttachmentsDir(filename), ATTACHMENTS_DIR);
       }
 
       res.json({
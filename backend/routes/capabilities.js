@@ -0,0 +1,47 @@
+// routes/capabilities.js
+const express = require("express");
+const {
+  CONFIGURABLE_ROLES,
+  isValidCapability,
+  getCapabilityMatrix,
+  setRoleCapabilities,
+} = require("../capabilities");
+const { sendError } = require("../utils/errors");
+
+/**
+ * Create capabilities router (view and edit the role -> capability matrix).
+ * GrandSuperUsers always hold every capability, so only the other roles are editable.
+ * @param {function} authMiddleware
+ * @param {function} grandSuperUserOnly
+ * @returns {express.Router}
+ */
+function createCapabilitiesRouter(authMiddleware, grandSuperUserOnly) {
+  const router = express.Router();
+
+  router.get("/api/capabilities", authMiddleware, grandSuperUserOnly, (_req, res) => {
+    res.json(getCapabilityMatrix());
+  });
+
+  router.put("/api/capabilities/:role", authMiddleware, grandSuperUserOnly, async (req, res) => {
+    try {
+      const { role } = req.params;
+      if (!CONFIGURABLE_ROLES.includes(role)) {
+        return sendError(res, 400, "Capabilities can only be changed for superuser, admin and viewer");
+      }
+      const { capabilities } = req.body;
+      if (!Array.isArray(capabilities) || !capabilities.every(isValidCapability)) {
+        return sendError(res, 400, "Invalid capability list");
+      }
+
+      await setRoleCapabilities(role, capabilities);
+      res.json(getCapabilityMatrix());
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to update capabilities");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCapabilitiesRouter };
@@ -0,0 +1,156 @@
+// routes/cleaningMethods.js
+const express = require("express");
+const {
+  listCleaningMethods,
+  getCleaningMethod,
+  readCleaningMethodBody,
+  createCleaningMethod,
+  updateCleaningMethod,
+  countEventsWithMethod,
+  deleteCleaningMethod,
+} = require("../cleaningMethods");
+const { requireValidId } = require("../utils/validation");
+const { sendError } = require("../utils/errors");
+const { isInVesselScope } = require("../middleware/auth");
+const { AUDIT_ACTIONS, recordAudit } = require("../audit");
+
+/**
+ * Whether the caller may manage a method offered on these vessels. Methods for every
+ * vessel (empty list) are shared, so only users with all-vessel access change them.
+ */
+function canManageVessels(vesselScope, vesselTags) {
+  if (vesselScope === null) return true;
+  return vesselTags.length > 0 && vesselTags.every((tag) => isInVesselScope(vesselScope, tag));
+}
+
+/** Audit log vessel of a method: its first vessel, none for shared methods. */
+function auditVessel(method) {
+  return method.vesselTags[0] ?? null;
+}
+
+/**
+ * Create cleaning methods router (catalogue list for everyone, create / update / delete).
+ * Per-vessel users can only manage methods restricted to their own vessels.
+ * @param {function} authMiddleware
+ * @param {function} canManageMethods - methods.manage capability guard
+ * @returns {express.Router}
+ */
+function createCleaningMethodsRouter(authMiddleware, canManageMethods) {
+  const router = express.Router();
+
+  router.get("/api/cleaning-methods", authMiddleware, async (req, res) => {
+    try {
+      res.json(await listCleaningMethods());
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to fetch cleaning methods");
+    }
+  });
+
+  router.post("/api/cleaning-methods", authMiddleware, canManageMethods, async (req, res) => {
+    try {
+      const parsed = readCleaningMethodBody(req.body || {});
+      if (parsed.error) {
+        return sendError(res, 400, parsed.error);
+      }
+      const { values } = parsed;
+      // Per-vessel users add methods for their working vessel unless they name their vessels.
+      if (!values.vesselTags?.length && req.vesselScope !== null) {
+        values.vesselTags = [req.workingVessel];
+      }
+      if (!canManageVessels(req.vesselScope, values.vesselTags || [])) {
+        return sendError(res, 403, "You can only add methods for your own vessels");
+      }
+      const methods = await listCleaningMethods();
+      if (methods.some((method) => method.key === values.key)) {
+        return sendError(res, 409, `A cleaning method with key "${values.key}" already exists`);
+      }
+
+      const created = await createCleaningMethod(values);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.METHOD_CREATE,
+        targetId: created.id,
+        vesselTag: auditVessel(created),
+        after: created,
+      });
+      res.json(created);
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to create cleaning method");
+    }
+  });
+
+  /**
+   * PUT /api/cleaning-methods/:id
+   * Body with any of { label, icon, color, isActive, sortOrder, vesselTags }; the key is fixed.
+   */
+  router.put("/api/cleaning-methods/:id", authMiddleware, canManageMethods, async (req, res) => {
+    try {
+      const id = requireValidId(req, res);
+      if (id === null) return;
+
+      const existing = await getCleaningMethod(id);
+      if (!existing) {
+        return sendError(res, 404, "Cleaning method not found");
+      }
+      if (!canManageVessels(req.vesselScope, existing.vesselTags)) {
+        return sendError(res, 403, "This method is shared with other vessels");
+      }
+      const parsed = readCleaningMethodBody(req.body || {}, { partial: true });
+      if (parsed.error) {
+        return sendError(res, 400, parsed.error);
+      }
+      if (parsed.values.vesselTags && !canManageVessels(req.vesselScope, parsed.values.vesselTags)) {
+        return sendError(res, 403, "You can only offer methods on your own vessels");
+      }
+
+      const updated = await updateCleaningMethod(existing, parsed.values);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.METHOD_UPDATE,
+        targetId: id,
+        vesselTag: auditVessel(updated),
+        before: existing,
+        after: updated,
+      });
+      res.json(updated);
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to update cleaning method");
+    }
+  });
+
+  router.delete("/api/cleaning-methods/:id", authMiddleware, canManageMethods, async (req, res) => {
+    try {
+      const id = requireValidId(req, res);
+      if (id === null) return;
+
+      const existing = await getCleaningMethod(id);
+      if (!existing) {
+        return sendError(res, 404, "Cleaning method not found");
+      }
+      if (!canManageVessels(req.vesselScope, existing.vesselTags)) {
+        return sendError(res, 403, "This method is shared with other vessels");
+      }
+      const eventCount = await countEventsWithMethod(existing.key);
+      if (eventCount > 0) {
+        return sendError(res, 409, `${eventCount} event(s) use "${existing.label}"; deactivate it instead`);
+      }
+
+      await deleteCleaningMethod(id);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.METHOD_DELETE,
+        targetId: id,
+        vesselTag: auditVessel(existing),
+        before: existing,
+      });
+      res.json({ success: true });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to delete cleaning method");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCleaningMethodsRouter };
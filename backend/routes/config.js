@@ -2,26 +2,44 @@
 const express = require("express");
 const humps = require("humps");
 const { defaultConfig, loadConfig, saveConfig } = require("../config");
-const { runAsync } = require("../db");
+const { runAsync, inTransaction } = require("../db");
 const { getActiveProjectForVessel } = require("../activeProject");
 const { toInt } = require("../utils/validation");
 const { sendError } = require("../utils/errors");
-const { isGlobalUser } = require("../middleware/auth");
+const { CAPABILITIES } = require("../capabilities");
+const { AUDIT_ACTIONS, recordAudit } = require("../audit");
+const { isValidTimeZone } = require("../utils/time");
+const { getVesselTimeZone, setVesselTimeZone } = require("../vesselTime");
+const { layoutChanged } = require("../utils/configVersions");
+const { pickLayout, listConfigVersions, readEffectiveFrom, recordConfigVersion } = require("../configVersions");
+
+/** Streamer configuration fields of a project row (audit before/after state). */
+function pickProjectConfig(project) {
+  return {
+    projectNumber: project.projectNumber,
+    numCables: project.numCables,
+    sectionsPerCable: project.sectionsPerCable,
+    sectionLength: project.sectionLength,
+    moduleFrequency: project.moduleFrequency,
+    channelsPerSection: project.channelsPerSection,
+    useRopeForTail: project.useRopeForTail === 1,
+  };
+}
 
 /**
- * Create config router (GET/PUT /api/config).
+ * Create config router (GET/PUT /api/config, PUT /api/config/time-zone).
  * @param {function} authMiddleware
- * @param {function} superUserOnly
+ * @param {function} requireCapability - Capability guard factory
  * @returns {express.Router}
  */
-function createConfigRouter(authMiddleware, superUserOnly) {
+function createConfigRouter(authMiddleware, requireCapability) {
   const router = express.Router();
 
   router.get("/api/config", authMiddleware, async (req, res) => {
     try {
       const config = await loadConfig();
       const base = humps.camelizeKeys(config);
-      const vesselTag = req.vesselScope || config.vesselTag || defaultConfig.vesselTag;
+      const vesselTag = req.workingVessel || config.vesselTag || defaultConfig.vesselTag;
       const activeProject = await getActiveProjectForVessel(vesselTag);
       if (activeProject) {
         base.activeProjectNumber = activeProject.projectNumber;
@@ -33,6 +51,8 @@ function createConfigRouter(authMiddleware, superUserOnly) {
         base.channelsPerSection = activeProject.channelsPerSection ?? base.channelsPerSection;
         base.useRopeForTail = activeProject.useRopeForTail === 1;
       }
+      // Zone the server reads this session's dates in (UTC when no vessel is selected).
+      base.timeZone = await getVesselTimeZone(req.workingVessel);
       res.json(base);
     } catch (err) {
       console.error(err);
@@ -40,7 +60,35 @@ function createConfigRouter(authMiddleware, superUserOnly) {
     }
   });
 
-  router.put("/api/config", authMiddleware, superUserOnly, async (req, res) => {
+  /** Set the working vessel's time zone (IANA name, e.g. "Europe/Oslo"). */
+  router.put("/api/config/time-zone", authMiddleware, requireCapability(CAPABILITIES.CONFIG_EDIT), async (req, res) => {
+    try {
+      const vesselTag = req.workingVessel;
+      if (!vesselTag) {
+        return sendError(res, 400, "Select a vessel first");
+      }
+      const timeZone = typeof req.body?.timeZone === "string" ? req.body.timeZone.trim() : "";
+      if (!isValidTimeZone(timeZone)) {
+        return sendError(res, 400, "timeZone must be an IANA time zone such as Europe/Oslo");
+      }
+
+      const before = await getVesselTimeZone(vesselTag);
+      await setVesselTimeZone(vesselTag, timeZone);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.CONFIG_UPDATE,
+        targetId: vesselTag,
+        vesselTag,
+        before: { vesselTag, timeZone: before },
+        after: { vesselTag, timeZone },
+      });
+      res.json({ vesselTag, timeZone });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to save time zone");
+    }
+  });
+
+  router.put("/api/config", authMiddleware, requireCapability(CAPABILITIES.CONFIG_EDIT), async (req, res) => {
     try {
       const bodyData = humps.decamelizeKeys(req.body);
       const partial = {
@@ -57,42 +105,71 @@ function createConfigRouter(authMiddleware, superUserOnly) {
       }
 
       if (req.vesselScope) {
-        partial.vesselTag = req.vesselScope;
-        const activeProject = await getActiveProjectForVessel(req.vesselScope);
+        partial.vesselTag = req.workingVessel;
+        const activeProject = await getActiveProjectForVessel(req.workingVessel);
         if (activeProject) {
-          await runAsync(
-            `UPDATE projects SET
-            num_cables = ?,
-            sections_per_cable = ?,
-            section_length = ?,
-            module_frequency = ?,
-            channels_per_section = ?,
-            use_rope_for_tail = ?,
-            vessel_tag = ?
-          WHERE id = ?`,
-            [
-              partial.numCables,
-              partial.sectionsPerCable,
-              partial.sectionLength,
-              partial.moduleFrequency,
-              partial.channelsPerSection,
-              partial.useRopeForTail ? 1 : 0,
-              partial.vesselTag,
-              activeProject.id,
-            ]
-          );
+          // A layout change is a new configuration version of the project (see configVersions.js).
+          let effectiveFrom = null;
+          if (layoutChanged(pickLayout(activeProject), partial)) {
+            const read = readEffectiveFrom(
+              bodyData?.effective_from,
+              await getVesselTimeZone(req.workingVessel),
+              await listConfigVersions(activeProject)
+            );
+            if (read.error) {
+              return sendError(res, 400, read.error);
+            }
+            effectiveFrom = read.effectiveFrom;
+          }
+          await inTransaction(async () => {
+            await runAsync(
+              `UPDATE projects SET
+              num_cables = ?,
+              sections_per_cable = ?,
+              section_length = ?,
+              module_frequency = ?,
+              channels_per_section = ?,
+              use_rope_for_tail = ?,
+              vessel_tag = ?
+            WHERE id = ?`,
+              [
+                partial.numCables,
+                partial.sectionsPerCable,
+                partial.sectionLength,
+                partial.moduleFrequency,
+                partial.channelsPerSection,
+                partial.useRopeForTail ? 1 : 0,
+                partial.vesselTag,
+                activeProject.id,
+              ]
+            );
+            if (effectiveFrom) {
+              await recordConfigVersion(activeProject, partial, effectiveFrom, req.user.username);
+            }
+          });
+          const updatedProject = await getActiveProjectForVessel(req.workingVessel);
+          await recordAudit(req, {
+            action: AUDIT_ACTIONS.CONFIG_UPDATE,
+            targetId: activeProject.projectNumber,
+            before: pickProjectConfig(activeProject),
+            after: { ...pickProjectConfig(updatedProject), ...(effectiveFrom && { effectiveFrom }) },
+          });
         }
       } else {
-        if (!isGlobalUser(req.user)) {
-          return sendError(res, 403, "Grand SuperUser access required to change global configuration");
-        }
+        const before = await loadConfig();
         await saveConfig(partial);
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.CONFIG_UPDATE,
+          vesselTag: null,
+          before,
+          after: await loadConfig(),
+        });
       }
 
       const config = await loadConfig();
       const base = humps.camelizeKeys(config);
       if (req.vesselScope) {
-        const activeProject = await getActiveProjectForVessel(req.vesselScope);
+        const activeProject = await getActiveProjectForVessel(req.workingVessel);
         if (activeProject) {
           base.activeProjectNumber = activeProject.projectNumber;
           base.vesselTag = activeProject.vesselTag || defaultConfig.vesselTag;
@@ -104,6 +181,7 @@ function createConfigRouter(authMiddleware, superUserOnly) {
           base.useRopeForTail = activeProject.useRopeForTail === 1;
         }
       }
+      base.timeZone = await getVesselTimeZone(req.workingVessel);
       res.json(base);
     } catch (err) {
       console.error(err);
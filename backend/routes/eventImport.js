@@ -0,0 +1,232 @@
+// routes/eventImport.js
+const express = require("express");
+const {
+  IMPORT_FIELDS,
+  parseImportFile,
+  detectImportSettings,
+  validateImportSettings,
+  mapImportRows,
+  listImportTemplates,
+  getImportTemplate,
+  saveImportTemplate,
+  deleteImportTemplate,
+  applyImportTemplate,
+} = require("../eventImport");
+const { planBulkImport, commitBulkImport, describeRejectedRows } = require("../bulkImport");
+const { requireValidId } = require("../utils/validation");
+const { sendError } = require("../utils/errors");
+const { isInVesselScope } = require("../middleware/auth");
+const { AUDIT_ACTIONS, recordAudit } = require("../audit");
+const { listCleaningMethods } = require("../cleaningMethods");
+const { resolveRequestTimeZone } = require("../vesselTime");
+
+/** Largest accepted import file (bytes, before base64 encoding). */
+const IMPORT_MAX_BYTES = 10 * 1024 * 1024;
+/** JSON body limit for the import routes: the file travels base64-encoded (4/3 larger). */
+const IMPORT_BODY_LIMIT = "15mb";
+const SAMPLE_ROWS = 10;
+
+/**
+ * Decode { filename, content } (content base64) and parse the file.
+ * Sends a 400 and returns null when the upload is missing, too large or unreadable.
+ * @param {Object<string, { aliases: string[] }>} [fields] - Known headers (default: event import fields)
+ */
+async function readUploadedFile(req, res, fields = IMPORT_FIELDS) {
+  const { filename, content } = req.body || {};
+  if (typeof filename !== "string" || !/\.(csv|txt|xlsx)$/i.test(filename)) {
+    sendError(res, 400, "filename must end in .csv, .txt or .xlsx");
+    return null;
+  }
+  if (typeof content !== "string" || content === "") {
+    sendError(res, 400, "content must be the base64-encoded file");
+    return null;
+  }
+  const buffer = Buffer.from(content, "base64");
+  if (buffer.length > IMPORT_MAX_BYTES) {
+    sendError(res, 400, `File is larger than ${IMPORT_MAX_BYTES / (1024 * 1024)} MB`);
+    return null;
+  }
+  try {
+    const parsed = await parseImportFile(buffer, filename, fields);
+    if (parsed.rows.length === 0) {
+      sendError(res, 400, "The file has no data rows");
+      return null;
+    }
+    return parsed;
+  } catch (err) {
+    console.error(err);
+    sendError(res, 400, "Could not read the file; upload a CSV or XLSX file");
+    return null;
+  }
+}
+
+/**
+ * Create event import router (file analysis, import with column mapping, mapping templates).
+ * @param {function} authMiddleware
+ * @param {function} canWriteEvents - events.write capability guard
+ * @returns {express.Router}
+ */
+function createEventImportRouter(authMiddleware, canWriteEvents) {
+  const router = express.Router();
+
+  /**
+   * POST /api/events/import/analyze
+   * Body { filename, content }: detected format, headers, first rows, the mappable fields and
+   * the settings (mapping field → column index, dateFormat, sectionBase) an import would use by default.
+   */
+  router.post("/api/events/import/analyze", authMiddleware, canWriteEvents, async (req, res) => {
+    try {
+      const parsed = await readUploadedFile(req, res);
+      if (!parsed) return;
+
+      res.json({
+        format: parsed.format,
+        delimiter: parsed.delimiter,
+        hasHeader: parsed.hasHeader,
+        headers: parsed.headers,
+        sampleRows: parsed.rows.slice(0, SAMPLE_ROWS),
+        rowCount: parsed.rows.length,
+        fields: Object.entries(IMPORT_FIELDS).map(([key, { required }]) => ({ key, required })),
+        detected: detectImportSettings(parsed),
+      });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to analyze file");
+    }
+  });
+
+  /**
+   * POST /api/events/import
+   * Body { filename, content, mapping?, dateFormat?, sectionBase?, templateId?, dryRun? }.
+   * Settings come from the body, else the template, else detection. The mapped rows go through
+   * the bulk import pipeline: dryRun returns { counts, results, rows } (rows are the mapped
+   * POST /api/events bodies, null where the file row could not be read); otherwise all rows are
+   * imported in one transaction, or none when any is rejected.
+   */
+  router.post("/api/events/import", authMiddleware, canWriteEvents, async (req, res) => {
+    try {
+      const parsed = await readUploadedFile(req, res);
+      if (!parsed) return;
+
+      let defaults = detectImportSettings(parsed);
+      if (req.body.templateId !== undefined && req.body.templateId !== null) {
+        const template = await getImportTemplate(Number(req.body.templateId));
+        if (!template || !isInVesselScope(req.vesselScope, template.vesselTag)) {
+          return sendError(res, 404, "Import template not found");
+        }
+        defaults = applyImportTemplate(template, parsed.headers);
+      }
+      const settings = {
+        mapping: req.body.mapping ?? defaults.mapping,
+        dateFormat: req.body.dateFormat ?? defaults.dateFormat,
+        sectionBase: req.body.sectionBase ?? defaults.sectionBase,
+      };
+      const settingsError = validateImportSettings(
+        settings,
+        (column) => Number.isInteger(column) && column >= 0 && column < parsed.headers.length
+      );
+      if (settingsError) {
+        return sendError(res, 400, settingsError);
+      }
+
+      const mapped = mapImportRows(parsed.rows, settings, await listCleaningMethods(), await resolveRequestTimeZone(req));
+      const rows = mapped.map((entry) => entry.row);
+      const plan = await planBulkImport(req, rows.map((row) => row || {}));
+      // Rows the mapping could not read are rejected with the mapping's reason.
+      const results = plan.results.map((result, index) =>
+        mapped[index].row ? result : { ...result, reason: mapped[index].reason }
+      );
+
+      if (req.body.dryRun === true) {
+        return res.json({ dryRun: true, settings, counts: plan.counts, results, rows });
+      }
+
+      const rejectedMessage = describeRejectedRows(results);
+      if (rejectedMessage) {
+        return sendError(res, 400, rejectedMessage);
+      }
+
+      const createdIds = await commitBulkImport(results);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.EVENTS_BULK_IMPORT,
+        after: { filename: req.body.filename, successCount: results.length, createdIds },
+      });
+      res.json({ successCount: results.length, errorCount: 0, createdCount: createdIds.length, errors: [] });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "File import failed");
+    }
+  });
+
+  router.get("/api/import-templates", authMiddleware, canWriteEvents, async (req, res) => {
+    try {
+      res.json(await listImportTemplates(req.vesselScope));
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to fetch import templates");
+    }
+  });
+
+  /**
+   * POST /api/import-templates
+   * Body { name, mapping (field → header name), dateFormat, sectionBase }. Saved for the
+   * working vessel; an existing template of the same name is replaced.
+   */
+  router.post("/api/import-templates", authMiddleware, canWriteEvents, async (req, res) => {
+    try {
+      const { mapping, dateFormat, sectionBase } = req.body;
+      const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+      if (!name || name.length > 100) {
+        return sendError(res, 400, "name is required (max 100 characters)");
+      }
+      const settingsError = validateImportSettings(
+        { mapping, dateFormat, sectionBase },
+        (column) => typeof column === "string" && column.trim() !== ""
+      );
+      if (settingsError) {
+        return sendError(res, 400, settingsError);
+      }
+
+      const template = await saveImportTemplate(
+        { name, vesselTag: req.workingVessel, mapping, dateFormat, sectionBase },
+        req.user.username
+      );
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.IMPORT_TEMPLATE_SAVE,
+        targetId: template.id,
+        after: template,
+      });
+      res.json(template);
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to save import template");
+    }
+  });
+
+  router.delete("/api/import-templates/:id", authMiddleware, canWriteEvents, async (req, res) => {
+    try {
+      const id = requireValidId(req, res);
+      if (id === null) return;
+
+      const template = await getImportTemplate(id);
+      if (!template || !isInVesselScope(req.vesselScope, template.vesselTag)) {
+        return sendError(res, 404, "Import template not found");
+      }
+      await deleteImportTemplate(id);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.IMPORT_TEMPLATE_DELETE,
+        targetId: id,
+        vesselTag: template.vesselTag,
+        before: template,
+      });
+      res.json({ success: true });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to delete import template");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createEventImportRouter, readUploadedFile, IMPORT_BODY_LIMIT };
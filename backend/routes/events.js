@@ -1,178 +1,297 @@
 // routes/events.js
 const express = require("express");
 const humps = require("humps");
-const { runAsync, getAllCamelized, getOneCamelized } = require("../db");
+const { runAsync, getAllCamelized, getOneCamelized, inTransaction } = require("../db");
 const { defaultConfig, loadConfig } = require("../config");
-const { getActiveProjectForVessel } = require("../activeProject");
-const { requireValidId } = require("../utils/validation");
+const { requireValidId, toInt } = require("../utils/validation");
 const { sendError } = require("../utils/errors");
-const { ROLES, isGlobalUser } = require("../middleware/auth");
-const { splitSectionRange, validateRangeForType } = require("../utils/sectionType");
+const { CAPABILITIES, hasCapability } = require("../capabilities");
+const { isInVesselScope } = require("../middleware/auth");
+const { buildEventsListConditions, buildVesselScopeCondition } = require("../utils/queryHelpers");
+const { validateRangeForType } = require("../utils/sectionType");
+const { AUDIT_ACTIONS, recordAudit } = require("../audit");
+const { moveEventsToTrash, isProjectTrashed } = require("../trash");
+const { planNewEvent, insertPlannedEvents, planBulkImport, commitBulkImport, describeRejectedRows } = require("../bulkImport");
+const { recordEventRevision, listEventRevisions, getEventRevision } = require("../eventRevisions");
+const { EXPORT_FORMATS, EXPORT_EXTRA_COLUMNS, streamEventsExport } = require("../eventExport");
+const { findConflictsForEvents, blockingConflicts, planEventMerge } = require("../eventConflicts");
+const { readFoulingFields } = require("../utils/fouling");
+const { readEffortFields } = require("../utils/effort");
+const { readNotes } = require("../utils/notes");
+const { normalizeTimestamp } = require("../utils/time");
+const { getVesselTimeZone, resolveRequestTimeZone } = require("../vesselTime");
+const { listCleaningMethods, cleaningMethodError } = require("../cleaningMethods");
+const { withSurveyLines } = require("../surveyLines");
+const { projectLockError } = require("../projectLifecycle");
+const { pickLayout, projectLayoutAt, withLayouts } = require("../configVersions");
+const { streamerError } = require("../utils/configVersions");
+
+/** Columns GET /api/events can sort by (?sort=) and the SQL expression each orders on. */
+const EVENT_SORT_COLUMNS = {
+  cleanedAt: "datetime(cleaned_at)",
+  projectNumber: "project_number",
+  vesselTag: "vessel_tag",
+  addedBy: "LOWER(COALESCE(added_by_usertag, ''))",
+  streamerId: "streamer_id",
+  sectionIndexStart: "section_index_start",
+  sectionCount: "(section_index_end - section_index_start + 1)",
+  cleaningMethod: "cleaning_method",
+  foulingGrade: "COALESCE(fouling_grade, -1)",
+  durationMinutes: "COALESCE(duration_minutes, -1)",
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
 
 /**
- * Create events router (CRUD, bulk delete).
+ * Read the event filters shared by the log and the export (?project, start, end, streamer,
+ * sectionStart, sectionEnd, sectionType, method, addedBy, notes) and add the caller's vessel scope.
+ * start / end are days in the vessel's time zone.
+ * @param {express.Request} req
+ * @returns {Promise<{ conditions: string[], params: Array } | { error: string }>}
+ */
+async function readEventFilters(req) {
+  const { project, start, end, sectionType, method, addedBy, notes } = req.query;
+  const filters = { project, start, end, sectionType, method, addedBy, notes };
+  for (const key of ["streamer", "sectionStart", "sectionEnd"]) {
+    const raw = req.query[key];
+    if (raw === undefined || raw === "") continue;
+    const value = Number(raw);
+    if (!Number.isInteger(value)) {
+      return { error: `Invalid ${key} filter` };
+    }
+    filters[key] = value;
+  }
+  if (sectionType && sectionType !== "active" && sectionType !== "tail") {
+    return { error: "sectionType must be 'active' or 'tail'" };
+  }
+
+  filters.timeZone = await resolveRequestTimeZone(req);
+  const { conditions, params } = buildEventsListConditions(filters);
+  // Per-vessel scoping: non-global users only see their vessels' events.
+  if (req.vesselScope) {
+    const scope = buildVesselScopeCondition("vessel_tag", req.vesselScope);
+    conditions.push(scope.sql);
+    params.push(...scope.params);
+  }
+  return { conditions, params };
+}
+
+/** Trash label for a single event, e.g. "Streamer 3, active sections 1–4 (rope, 2026-10-19)". */
+function describeEvent(event) {
+  return `Streamer ${event.streamerId}, ${event.sectionType} sections ${event.sectionIndexStart + 1}–${event.sectionIndexEnd + 1}` +
+    ` (${event.cleaningMethod}, ${String(event.cleanedAt).slice(0, 10)})`;
+}
+
+/**
+ * Config used to validate an event's streamer and section range: the app config with the
+ * streamer layout the project had at cleanedAt applied (when the project exists; see configVersions.js).
+ * @param {Object} config - From loadConfig()
+ * @param {string|null} projectNumber
+ * @param {string} cleanedAt - UTC ISO timestamp
+ * @returns {Promise<Object>}
+ */
+async function resolveEventConfig(config, projectNumber, cleanedAt) {
+  if (!projectNumber) return config;
+  const projectRow = await getOneCamelized(
+    "SELECT * FROM projects WHERE project_number = ? AND trash_id IS NULL",
+    [projectNumber]
+  );
+  if (!projectRow) return config;
+  return { ...config, ...pickLayout(await projectLayoutAt(projectRow, cleanedAt)) };
+}
+
+/**
+ * Overwrite an event's editable fields and return the updated row.
+ * @param {number} id
+ * @param {Object} values - streamerId, sectionIndexStart, sectionIndexEnd, sectionType, cleaningMethod,
+ *   cleanedAt, cleaningCount, projectNumber, vesselTag, foulingGrade, foulingType, durationMinutes, crewSize,
+ *   crewNames, equipmentUnit, notes
+ * @returns {Promise<Object>}
+ */
+async function writeEventFields(id, values) {
+  await runAsync(
+    `UPDATE cleaning_events
+     SET streamer_id = ?, section_index_start = ?, section_index_end = ?, section_type = ?, cleaning_method = ?, cleaned_at = ?, cleaning_count = ?, project_number = ?, vessel_tag = ?,
+       fouling_grade = ?, fouling_type = ?, duration_minutes = ?, crew_size = ?, crew_names = ?, equipment_unit = ?,
+       notes = ?
+     WHERE id = ?`,
+    [
+      values.streamerId,
+      values.sectionIndexStart,
+      values.sectionIndexEnd,
+      values.sectionType,
+      values.cleaningMethod,
+      values.cleanedAt,
+      values.cleaningCount,
+      values.projectNumber,
+      values.vesselTag,
+      values.foulingGrade ?? null,
+      values.foulingType ?? null,
+      values.durationMinutes ?? null,
+      values.crewSize ?? null,
+      values.crewNames ?? null,
+      values.equipmentUnit ?? null,
+      values.notes ?? null,
+      id,
+    ]
+  );
+  return getOneCamelized("SELECT * FROM cleaning_events WHERE id = ?", [id]);
+}
+
+/**
+ * Create events router (CRUD, bulk delete, edit history).
  * @param {function} authMiddleware
- * @param {function} adminOrAbove
+ * @param {function} requireCapability - Capability guard factory
  * @returns {express.Router}
  */
-function createEventsRouter(authMiddleware, adminOrAbove) {
+function createEventsRouter(authMiddleware, requireCapability) {
   const router = express.Router();
+  const canWriteEvents = requireCapability(CAPABILITIES.EVENTS_WRITE);
+  const canDeleteEvents = requireCapability(CAPABILITIES.EVENTS_DELETE);
 
+  /**
+   * GET /api/events
+   * Filters: project, start/end (dates), streamer, sectionStart/sectionEnd (0-based, overlapping),
+   * sectionType, method, addedBy and notes (substrings). Sorting: sort (see EVENT_SORT_COLUMNS), order asc|desc.
+   * With limit and/or offset the response is one page { events, total, limit, offset };
+   * without them it is the full array. Each event carries its attachmentCount and surveyLine
+   * (the line or line change of its project's line log it happened during, see surveyLines.js);
+   * events logged under an earlier configuration version of their project also carry that layout.
+   */
   router.get("/api/events", authMiddleware, async (req, res) => {
     try {
-      const { project } = req.query;
-      let sql = "SELECT * FROM cleaning_events";
-      const params = [];
-      const conditions = [];
-
-      if (project) {
-        conditions.push("project_number = ?");
-        params.push(project);
+      const filters = await readEventFilters(req);
+      if (filters.error) {
+        return sendError(res, 400, filters.error);
       }
 
-      // Per-vessel scoping: non-global users only see their vessel's events.
-      if (req.vesselScope) {
-        conditions.push("vessel_tag = ?");
-        params.push(req.vesselScope);
+      const sortColumn = EVENT_SORT_COLUMNS[req.query.sort || "cleanedAt"];
+      if (!sortColumn) {
+        return sendError(res, 400, `sort must be one of: ${Object.keys(EVENT_SORT_COLUMNS).join(", ")}`);
+      }
+      const order = req.query.order || "desc";
+      if (order !== "asc" && order !== "desc") {
+        return sendError(res, 400, "order must be 'asc' or 'desc'");
       }
 
-      if (conditions.length > 0) {
-        sql += " WHERE " + conditions.join(" AND ");
+      const { conditions, params } = filters;
+      const where = " WHERE " + conditions.join(" AND ");
+      const direction = order.toUpperCase();
+      const sql = `SELECT *,
+          (SELECT COUNT(*) FROM event_attachments WHERE event_attachments.event_id = cleaning_events.id) AS attachment_count
+        FROM cleaning_events${where} ORDER BY ${sortColumn} ${direction}, id ${direction}`;
+
+      if (req.query.limit === undefined && req.query.offset === undefined) {
+        return res.json(await withLayouts(await withSurveyLines(await getAllCamelized(sql, params))));
       }
 
-      sql += " ORDER BY datetime(cleaned_at) DESC";
-      const rows = await getAllCamelized(sql, params);
-      res.json(rows);
+      const limit = Math.min(Math.max(toInt(req.query.limit, DEFAULT_PAGE_SIZE), 1), MAX_PAGE_SIZE);
+      const offset = Math.max(toInt(req.query.offset, 0), 0);
+      const [countRow, rows] = await Promise.all([
+        getOneCamelized(`SELECT COUNT(*) AS total FROM cleaning_events${where}`, params),
+        getAllCamelized(`${sql} LIMIT ? OFFSET ?`, [...params, limit, offset]),
+      ]);
+      res.json({ events: await withLayouts(await withSurveyLines(rows)), total: countRow.total, limit, offset });
     } catch (err) {
       console.error(err);
       sendError(res, 500, "Failed to fetch events");
     }
   });
 
-  router.post("/api/events", authMiddleware, adminOrAbove, async (req, res) => {
+  /**
+   * GET /api/events/export?format=csv|json|xlsx&include=ebRange,channelRange,surveyLine
+   * Streams the events matching the GET /api/events filters, oldest first. CSV and XLSX use the
+   * import-compatible columns; JSON is an array of event objects. include adds computed columns.
+   */
+  router.get("/api/events/export", authMiddleware, async (req, res) => {
     try {
-      const bodyData = humps.decamelizeKeys(req.body);
-      const {
-        streamer_id,
-        section_index_start,
-        section_index_end,
-        section_type: body_section_type,
-        cleaning_method,
-        cleaned_at,
-        cleaning_count,
-        project_number,
-        vessel_tag,
-      } = bodyData;
-
-      if (
-        !Number.isFinite(streamer_id) ||
-        !Number.isFinite(section_index_start) ||
-        !Number.isFinite(section_index_end) ||
-        typeof cleaning_method !== "string" ||
-        typeof cleaned_at !== "string"
-      ) {
-        return sendError(res, 400, "Invalid payload");
+      const format = req.query.format || "csv";
+      const formatInfo = EXPORT_FORMATS[format];
+      if (!formatInfo) {
+        return sendError(res, 400, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`);
       }
-
-      const config = await loadConfig();
-      const projectNumberMissing = project_number === undefined || project_number === null || project_number === "";
-      let finalProjectNumber = projectNumberMissing ? null : project_number;
-      let finalVesselTag = vessel_tag || defaultConfig.vesselTag;
-      let activeProject = null;
-      if (finalProjectNumber === undefined || finalProjectNumber === null) {
-        const vesselTagForResolve = req.vesselScope || config.vesselTag || defaultConfig.vesselTag;
-        activeProject = vesselTagForResolve
-          ? await getActiveProjectForVessel(vesselTagForResolve)
-          : null;
-        if (!activeProject) {
-          return sendError(
-            res,
-            400,
-            "No active project for this vessel. Set an active project first."
-          );
-        }
-        finalProjectNumber = activeProject.projectNumber;
-        finalVesselTag = activeProject.vesselTag || defaultConfig.vesselTag;
-      }
-      if (req.vesselScope) {
-        finalVesselTag = req.vesselScope;
-      }
-      const projectRow = activeProject || await getOneCamelized("SELECT * FROM projects WHERE project_number = ?", [finalProjectNumber]);
-      const eventConfig = {
-        ...config,
-        sectionsPerCable: projectRow?.sectionsPerCable ?? config.sectionsPerCable,
-        useRopeForTail: projectRow != null ? projectRow.useRopeForTail === 1 : config.useRopeForTail,
-      };
-      const count = Number.isFinite(cleaning_count) ? cleaning_count : 1;
-      const addedByUsertag = bodyData.added_by_usertag != null
-        ? String(bodyData.added_by_usertag).trim() || null
-        : (req.user?.username ?? null);
-
-      const insertOne = async (sectionType, start, end) => {
-        const result = await runAsync(
-          `INSERT INTO cleaning_events (streamer_id, section_index_start, section_index_end, section_type, cleaning_method, cleaned_at, cleaning_count, project_number, vessel_tag, added_by_usertag)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            streamer_id,
-            start,
-            end,
-            sectionType,
-            cleaning_method,
-            cleaned_at,
-            count,
-            finalProjectNumber,
-            finalVesselTag,
-            addedByUsertag,
-          ]
-        );
-        return getOneCamelized("SELECT * FROM cleaning_events WHERE id = ?", [result.lastID]);
-      };
-
-      const explicitSectionType = body_section_type === "active" || body_section_type === "tail" ? body_section_type : null;
-      if (explicitSectionType) {
-        const validation = validateRangeForType(
-          section_index_start,
-          section_index_end,
-          explicitSectionType,
-          eventConfig
-        );
-        if (!validation.valid) {
-          return sendError(res, 400, validation.message);
-        }
-        const created = await insertOne(explicitSectionType, section_index_start, section_index_end);
-        return res.json(created);
+      const include = req.query.include ? String(req.query.include).split(",").map((key) => key.trim()) : [];
+      const unknown = include.find((key) => !EXPORT_EXTRA_COLUMNS[key]);
+      if (unknown !== undefined) {
+        return sendError(res, 400, `include must list: ${Object.keys(EXPORT_EXTRA_COLUMNS).join(", ")}`);
+      }
+      const filters = await readEventFilters(req);
+      if (filters.error) {
+        return sendError(res, 400, filters.error);
       }
 
-      const { active, tail } = splitSectionRange(
-        section_index_start,
-        section_index_end,
-        eventConfig
+      const date = new Date().toISOString().split("T")[0];
+      const projectSuffix = req.query.project ? `-${String(req.query.project).replace(/[^\w.-]/g, "_")}` : "";
+      res.setHeader("Content-Type", formatInfo.contentType);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="streamer-cleaning-events${projectSuffix}-${date}.${formatInfo.extension}"`
       );
+      await streamEventsExport(res, {
+        format,
+        where: " WHERE " + filters.conditions.join(" AND "),
+        params: filters.params,
+        include,
+        baseConfig: await loadConfig(),
+        timeZone: filters.timeZone,
+      });
+    } catch (err) {
+      console.error(err);
+      // Once streaming has started the status is sent; cut the download short instead.
+      if (res.headersSent) return res.destroy(err);
+      res.removeHeader("Content-Disposition");
+      sendError(res, 500, "Failed to export events");
+    }
+  });
 
-      if (!active && !tail) {
-        return sendError(res, 400, "Section range out of bounds or tail sections not configured");
+  /**
+   * POST /api/events
+   * Creates the event (two when the range spans active and tail sections). The response carries
+   * `warnings` for recent overlapping or adjacent same-method events (see eventConflicts.js);
+   * under the strict policy an overlap is refused with 409. `dryRun: true` only returns the
+   * planned events and warnings.
+   */
+  router.post("/api/events", authMiddleware, canWriteEvents, async (req, res) => {
+    try {
+      // Validated and split like a bulk-import row (see planNewEvent in bulkImport.js).
+      const [config, methods] = await Promise.all([loadConfig(), listCleaningMethods()]);
+      const plan = await planNewEvent(req, req.body, config, methods);
+      if (plan.status === "rejected") {
+        return sendError(res, plan.httpStatus, plan.reason);
+      }
+
+      const warnings = await findConflictsForEvents(plan.events);
+      if (req.body.dryRun === true) {
+        return res.json({ dryRun: true, events: plan.events, warnings });
+      }
+      const blocking = blockingConflicts(warnings);
+      if (blocking.length > 0) {
+        return res.status(409).json({ error: blocking[0].message, warnings });
       }
 
-      if (active && tail) {
-        const [createdActive, createdTail] = await Promise.all([
-          insertOne("active", active.start, active.end),
-          insertOne("tail", tail.start, tail.end),
-        ]);
-        return res.json({ created: [createdActive, createdTail] });
+      const created = [];
+      for (const id of await insertPlannedEvents(plan.events)) {
+        const event = await getOneCamelized("SELECT * FROM cleaning_events WHERE id = ?", [id]);
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.EVENT_CREATE,
+          targetId: event.id,
+          vesselTag: event.vesselTag,
+          after: event,
+        });
+        created.push(event);
       }
-      if (active) {
-        const created = await insertOne("active", active.start, active.end);
-        return res.json(created);
+      if (created.length === 2) {
+        return res.json({ created, warnings });
       }
-      const created = await insertOne("tail", tail.start, tail.end);
-      return res.json(created);
+      return res.json({ ...created[0], warnings });
     } catch (err) {
       console.error(err);
       sendError(res, 500, "Failed to create event");
     }
   });
 
-  router.put("/api/events/:id", authMiddleware, adminOrAbove, async (req, res) => {
+  router.put("/api/events/:id", authMiddleware, canWriteEvents, async (req, res) => {
     try {
       const id = requireValidId(req, res);
       if (id === null) return;
@@ -188,6 +307,14 @@ function createEventsRouter(authMiddleware, adminOrAbove) {
         cleaning_count,
         project_number,
         vessel_tag,
+        fouling_grade,
+        fouling_type,
+        duration_minutes,
+        started_at,
+        crew_size,
+        crew_names,
+        equipment_unit,
+        notes,
       } = bodyData;
       if (
         !Number.isFinite(streamer_id) ||
@@ -199,13 +326,44 @@ function createEventsRouter(authMiddleware, adminOrAbove) {
         return sendError(res, 400, "Invalid payload");
       }
 
-      const existing = await getOneCamelized("SELECT * FROM cleaning_events WHERE id = ?", [id]);
+      const existing = await getOneCamelized("SELECT * FROM cleaning_events WHERE id = ? AND trash_id IS NULL", [id]);
       if (!existing) {
         return sendError(res, 404, "Event not found");
       }
+      const timeZone = await getVesselTimeZone(existing.vesselTag);
+      const cleanedAt = normalizeTimestamp(cleaned_at, timeZone);
+      if (!cleanedAt) {
+        return sendError(res, 400, "cleanedAt must be a date and time");
+      }
+      // Fouling fields left out of the body keep their values; null clears them.
+      const fouling = readFoulingFields(
+        fouling_grade !== undefined ? fouling_grade : existing.foulingGrade,
+        fouling_type !== undefined ? fouling_type : existing.foulingType
+      );
+      if (fouling.error) {
+        return sendError(res, 400, fouling.error);
+      }
+      // Same for effort: a duration comes from durationMinutes or startedAt, and new crew names
+      // without a crew size recount the crew.
+      const durationGiven = duration_minutes !== undefined || started_at !== undefined;
+      const effort = readEffortFields({
+        durationMinutes: durationGiven ? duration_minutes : existing.durationMinutes,
+        startedAt: started_at,
+        cleanedAt,
+        crewSize: crew_size !== undefined || crew_names !== undefined ? crew_size : existing.crewSize,
+        crewNames: crew_names !== undefined ? crew_names : existing.crewNames,
+        equipmentUnit: equipment_unit !== undefined ? equipment_unit : existing.equipmentUnit,
+      }, timeZone);
+      if (effort.error) {
+        return sendError(res, 400, effort.error);
+      }
+      const eventNotes = readNotes(notes !== undefined ? notes : existing.notes);
+      if (eventNotes.error) {
+        return sendError(res, 400, eventNotes.error);
+      }
 
       // Per-vessel users cannot modify events from another vessel.
-      if (req.vesselScope && existing.vesselTag && existing.vesselTag !== req.vesselScope) {
+      if (existing.vesselTag && !isInVesselScope(req.vesselScope, existing.vesselTag)) {
         return sendError(res, 403, "Cannot modify events from another vessel");
       }
       const sectionType = body_section_type ?? existing?.sectionType ?? "active";
@@ -216,24 +374,10 @@ function createEventsRouter(authMiddleware, adminOrAbove) {
           ? project_number
           : null;
       const effectiveProjectNumber = projectNumberFromBody || existing.projectNumber || null;
-      let eventConfig = config;
-      if (effectiveProjectNumber) {
-        const projectRow = await getOneCamelized(
-          "SELECT * FROM projects WHERE project_number = ?",
-          [effectiveProjectNumber]
-        );
-        if (projectRow) {
-          eventConfig = {
-            ...config,
-            sectionsPerCable: projectRow.sectionsPerCable ?? config.sectionsPerCable,
-            useRopeForTail:
-              projectRow.useRopeForTail === 1
-                ? true
-                : projectRow.useRopeForTail === 0
-                ? false
-                : config.useRopeForTail,
-          };
-        }
+      const eventConfig = await resolveEventConfig(config, effectiveProjectNumber, cleanedAt);
+      const streamerMessage = streamerError(streamer_id, eventConfig);
+      if (streamerMessage) {
+        return sendError(res, 400, streamerMessage);
       }
       const validation = validateRangeForType(
         section_index_start,
@@ -247,31 +391,60 @@ function createEventsRouter(authMiddleware, adminOrAbove) {
 
       const finalProjectNumber =
         project_number !== undefined ? project_number : existing.projectNumber || null;
+      if (finalProjectNumber && finalProjectNumber !== existing.projectNumber && await isProjectTrashed(finalProjectNumber)) {
+        return sendError(res, 400, `Project ${finalProjectNumber} is in the trash`);
+      }
+      // Neither the event's project nor the one it moves to may be closed.
+      const lockError =
+        (await projectLockError(req.user, existing.projectNumber)) || (await projectLockError(req.user, finalProjectNumber));
+      if (lockError) {
+        return sendError(res, 403, lockError);
+      }
 
       let finalVesselTag =
         vessel_tag !== undefined ? vessel_tag : existing.vesselTag || defaultConfig.vesselTag;
-      if (req.vesselScope) {
-        finalVesselTag = req.vesselScope;
-      }
-
-      await runAsync(
-        `UPDATE cleaning_events
-       SET streamer_id = ?, section_index_start = ?, section_index_end = ?, section_type = ?, cleaning_method = ?, cleaned_at = ?, cleaning_count = ?, project_number = ?, vessel_tag = ?
-       WHERE id = ?`,
-        [
-          streamer_id,
-          section_index_start,
-          section_index_end,
-          sectionType,
-          cleaning_method,
-          cleaned_at,
-          Number.isFinite(cleaning_count) ? cleaning_count : 1,
-          finalProjectNumber,
-          finalVesselTag,
-          id,
-        ]
-      );
-      const updated = await getOneCamelized("SELECT * FROM cleaning_events WHERE id = ?", [id]);
+      if (!isInVesselScope(req.vesselScope, finalVesselTag)) {
+        finalVesselTag = isInVesselScope(req.vesselScope, existing.vesselTag)
+          ? existing.vesselTag
+          : req.workingVessel;
+      }
+      // Events keep a method that was later deactivated or restricted; a new choice must be available.
+      if (cleaning_method !== existing.cleaningMethod) {
+        const methodError = cleaningMethodError(await listCleaningMethods(), cleaning_method, finalVesselTag);
+        if (methodError) {
+          return sendError(res, 400, methodError);
+        }
+      }
+
+      const updated = await writeEventFields(id, {
+        streamerId: streamer_id,
+        sectionIndexStart: section_index_start,
+        sectionIndexEnd: section_index_end,
+        sectionType,
+        cleaningMethod: cleaning_method,
+        cleanedAt,
+        cleaningCount: Number.isFinite(cleaning_count) ? cleaning_count : 1,
+        projectNumber: finalProjectNumber,
+        vesselTag: finalVesselTag,
+        foulingGrade: fouling.foulingGrade,
+        foulingType: fouling.foulingType,
+        ...effort,
+        notes: eventNotes.notes,
+      });
+      await recordEventRevision({
+        eventId: id,
+        changeType: "edit",
+        changedBy: req.user.username,
+        before: existing,
+        after: updated,
+      });
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.EVENT_UPDATE,
+        targetId: id,
+        vesselTag: updated.vesselTag,
+        before: existing,
+        after: updated,
+      });
       res.json(updated);
     } catch (err) {
       console.error(err);
@@ -279,23 +452,146 @@ function createEventsRouter(authMiddleware, adminOrAbove) {
     }
   });
 
-  router.delete("/api/events/:id", authMiddleware, adminOrAbove, async (req, res) => {
+  /**
+   * Look up a live event the caller may see (per-vessel users only their vessels' events).
+   * @returns {Promise<Object|null>}
+   */
+  async function findScopedEvent(req, id) {
+    const params = [id];
+    let sql = "SELECT * FROM cleaning_events WHERE id = ? AND trash_id IS NULL";
+    if (req.vesselScope) {
+      const scope = buildVesselScopeCondition("vessel_tag", req.vesselScope);
+      sql += ` AND ${scope.sql}`;
+      params.push(...scope.params);
+    }
+    return getOneCamelized(sql, params);
+  }
+
+  /**
+   * GET /api/events/:id/history
+   * The event's current state and its revisions, newest first.
+   */
+  router.get("/api/events/:id/history", authMiddleware, async (req, res) => {
     try {
       const id = requireValidId(req, res);
       if (id === null) return;
 
-      const params = [id];
-      let sql = "DELETE FROM cleaning_events WHERE id = ?";
-      // Per-vessel users may only delete events for their vessel.
-      if (req.vesselScope) {
-        sql += " AND vessel_tag = ?";
-        params.push(req.vesselScope);
+      const event = await findScopedEvent(req, id);
+      if (!event) {
+        return sendError(res, 404, "Event not found");
       }
+      res.json({ event, revisions: await listEventRevisions(id) });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to fetch event history");
+    }
+  });
+
+  /**
+   * POST /api/events/:id/revert
+   * Body { revision }: restore the values the event had before that revision. The revert
+   * is itself recorded as a new revision, so it can be undone the same way.
+   */
+  router.post("/api/events/:id/revert", authMiddleware, canWriteEvents, async (req, res) => {
+    try {
+      const id = requireValidId(req, res);
+      if (id === null) return;
+
+      const revisionNumber = Number(req.body?.revision);
+      if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+        return sendError(res, 400, "Invalid revision");
+      }
+
+      const existing = await findScopedEvent(req, id);
+      if (!existing) {
+        return sendError(res, 404, "Event not found");
+      }
+      const revision = await getEventRevision(id, revisionNumber);
+      if (!revision) {
+        return sendError(res, 404, "Revision not found");
+      }
+
+      const values = revision.before;
+      if (values.vesselTag && !isInVesselScope(req.vesselScope, values.vesselTag)) {
+        return sendError(res, 403, "Cannot revert to a revision from another vessel");
+      }
+      if (values.projectNumber && values.projectNumber !== existing.projectNumber && await isProjectTrashed(values.projectNumber)) {
+        return sendError(res, 400, `Project ${values.projectNumber} is in the trash`);
+      }
+      const lockError =
+        (await projectLockError(req.user, existing.projectNumber)) || (await projectLockError(req.user, values.projectNumber));
+      if (lockError) {
+        return sendError(res, 403, lockError);
+      }
+      const eventConfig = await resolveEventConfig(await loadConfig(), values.projectNumber, values.cleanedAt);
+      const streamerMessage = streamerError(values.streamerId, eventConfig);
+      if (streamerMessage) {
+        return sendError(res, 400, streamerMessage);
+      }
+      const validation = validateRangeForType(
+        values.sectionIndexStart,
+        values.sectionIndexEnd,
+        values.sectionType,
+        eventConfig
+      );
+      if (!validation.valid) {
+        return sendError(res, 400, validation.message);
+      }
+
+      const updated = await writeEventFields(id, values);
+      await recordEventRevision({
+        eventId: id,
+        changeType: "revert",
+        revertedTo: revisionNumber,
+        changedBy: req.user.username,
+        before: existing,
+        after: updated,
+      });
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.EVENT_REVERT,
+        targetId: id,
+        vesselTag: updated.vesselTag,
+        before: existing,
+        after: updated,
+      });
+      res.json(updated);
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to revert event");
+    }
+  });
+
+  router.delete("/api/events/:id", authMiddleware, canDeleteEvents, async (req, res) => {
+    try {
+      const id = requireValidId(req, res);
+      if (id === null) return;
 
-      const result = await runAsync(sql, params);
-      if (result.changes === 0) {
+      // Per-vessel users may only delete events for their vessels.
+      const existing = await findScopedEvent(req, id);
+      if (!existing) {
         return sendError(res, 404, "Event not found");
       }
+      const lockError = await projectLockError(req.user, existing.projectNumber);
+      if (lockError) {
+        return sendError(res, 403, lockError);
+      }
+      // Deleted events go to the trash; SuperUsers can restore them until the retention period ends.
+      await moveEventsToTrash(
+        { sql: "id = ?", params: [id] },
+        {
+          itemType: "event",
+          label: describeEvent(existing),
+          projectNumber: existing.projectNumber,
+          vesselTag: existing.vesselTag,
+        },
+        req.user.username
+      );
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.EVENT_DELETE,
+        targetId: id,
+        vesselTag: existing.vesselTag,
+        before: existing,
+      });
       res.json({ success: true });
     } catch (err) {
       console.error(err);
@@ -305,156 +601,177 @@ function createEventsRouter(authMiddleware, adminOrAbove) {
 
   /**
    * POST /api/events/bulk
-   * Accepts { rows: [...] } where each row has the same shape as POST /api/events.
-   * Processes rows sequentially using the same validation + split logic.
-   * Returns { successCount, errorCount, errors[] } — never throws on partial failure.
+   * Accepts { rows: [...], dryRun? } where each row has the same shape as POST /api/events.
+   * Every row is planned first (validation + active/tail split + duplicate check, see bulkImport.js):
+   * - dryRun: nothing is written; returns { dryRun: true, counts, results[] } with one result per row
+   *   (status create / split / duplicate / rejected, reason, planned events)
+   * - otherwise the whole batch is inserted in one transaction, or nothing when any row is rejected (400).
+   *   Duplicates are inserted; leave them out of rows to skip them.
+   * Returns { successCount, errorCount, createdCount, errors[] }.
    */
-  router.post("/api/events/bulk", authMiddleware, adminOrAbove, async (req, res) => {
+  router.post("/api/events/bulk", authMiddleware, canWriteEvents, async (req, res) => {
     try {
-      const { rows } = req.body;
+      const { rows, dryRun = false } = req.body;
       if (!Array.isArray(rows) || rows.length === 0) {
         return sendError(res, 400, "rows must be a non-empty array");
       }
 
-      const config = await loadConfig();
-      let successCount = 0;
-      const errors = [];
-
-      for (const row of rows) {
-        try {
-          const bodyData = humps.decamelizeKeys(row);
-          const {
-            streamer_id,
-            section_index_start,
-            section_index_end,
-            section_type: body_section_type,
-            cleaning_method,
-            cleaned_at,
-            cleaning_count,
-            project_number,
-            vessel_tag,
-            added_by_usertag,
-          } = bodyData;
-
-          if (
-            !Number.isFinite(streamer_id) ||
-            !Number.isFinite(section_index_start) ||
-            !Number.isFinite(section_index_end) ||
-            typeof cleaning_method !== "string" ||
-            typeof cleaned_at !== "string"
-          ) {
-            errors.push({ row, reason: "Invalid payload" });
-            continue;
-          }
-
-          let finalProjectNumber = project_number ?? null;
-          let finalVesselTag = vessel_tag || "TTN";
-          let activeProject = null;
-
-          if (finalProjectNumber === null || finalProjectNumber === undefined) {
-            const vesselTagForResolve = req.vesselScope || config.vesselTag || "TTN";
-            activeProject = vesselTagForResolve
-              ? await getActiveProjectForVessel(vesselTagForResolve)
-              : null;
-            if (!activeProject) {
-              errors.push({ row, reason: "No active project for this vessel" });
-              continue;
-            }
-            finalProjectNumber = activeProject.projectNumber;
-            finalVesselTag = activeProject.vesselTag || "TTN";
-          }
-
-          if (req.vesselScope) finalVesselTag = req.vesselScope;
-
-          const projectRow = activeProject ||
-            await getOneCamelized("SELECT * FROM projects WHERE project_number = ?", [finalProjectNumber]);
-
-          const eventConfig = {
-            ...config,
-            sectionsPerCable: projectRow?.sectionsPerCable ?? config.sectionsPerCable,
-            useRopeForTail: projectRow != null
-              ? projectRow.useRopeForTail === 1
-              : config.useRopeForTail,
-          };
-
-          const count = Number.isFinite(cleaning_count) ? cleaning_count : 1;
-          const addedBy = added_by_usertag != null
-            ? String(added_by_usertag).trim() || null
-            : (req.user?.username ?? null);
-
-          const insertOne = async (sectionType, start, end) => {
-            await runAsync(
-              `INSERT INTO cleaning_events
-                (streamer_id, section_index_start, section_index_end, section_type,
-                 cleaning_method, cleaned_at, cleaning_count, project_number, vessel_tag, added_by_usertag)
-               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-              [streamer_id, start, end, sectionType, cleaning_method, cleaned_at,
-               count, finalProjectNumber, finalVesselTag, addedBy]
-            );
-          };
-
-          const explicitType =
-            body_section_type === "active" || body_section_type === "tail"
-              ? body_section_type
-              : null;
-
-          if (explicitType) {
-            const validation = validateRangeForType(
-              section_index_start, section_index_end, explicitType, eventConfig
-            );
-            if (!validation.valid) {
-              errors.push({ row, reason: validation.message });
-              continue;
-            }
-            await insertOne(explicitType, section_index_start, section_index_end);
-          } else {
-            const { active, tail } = splitSectionRange(
-              section_index_start, section_index_end, eventConfig
-            );
-            if (!active && !tail) {
-              errors.push({ row, reason: "Section range out of bounds" });
-              continue;
-            }
-            if (active) await insertOne("active", active.start, active.end);
-            if (tail) await insertOne("tail", tail.start, tail.end);
-          }
-
-          successCount++;
-        } catch (rowErr) {
-          errors.push({ row, reason: rowErr.message || "Insert failed" });
-        }
+      const { counts, results } = await planBulkImport(req, rows);
+      if (dryRun) {
+        return res.json({ dryRun: true, counts, results });
+      }
+
+      const rejectedMessage = describeRejectedRows(results);
+      if (rejectedMessage) {
+        return sendError(res, 400, rejectedMessage);
       }
 
-      res.json({ successCount, errorCount: errors.length, errors });
+      const createdIds = await commitBulkImport(results);
+      // One entry per import rather than per row; the created ids identify the rows.
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.EVENTS_BULK_IMPORT,
+        after: { successCount: results.length, createdIds },
+      });
+      res.json({ successCount: results.length, errorCount: 0, createdCount: createdIds.length, errors: [] });
     } catch (err) {
       console.error(err);
       sendError(res, 500, "Bulk import failed");
     }
   });
 
-  router.delete("/api/events", authMiddleware, adminOrAbove, async (req, res) => {
+  /**
+   * POST /api/events/merge
+   * Body { eventIds: [...] } (two or more): combine adjacent or overlapping events of the same
+   * streamer, section type, method and project into the earliest one, in one transaction.
+   * The other events go to the trash and their attachments move to the kept event, which gets an edit revision.
+   */
+  router.post("/api/events/merge", authMiddleware, canWriteEvents, async (req, res) => {
+    try {
+      const { eventIds } = req.body;
+      if (!Array.isArray(eventIds) || eventIds.length < 2 || !eventIds.every(Number.isInteger)) {
+        return sendError(res, 400, "eventIds must list at least two event ids");
+      }
+      const ids = [...new Set(eventIds)];
+      if (ids.length < 2) {
+        return sendError(res, 400, "eventIds must list at least two different events");
+      }
+
+      const events = [];
+      for (const id of ids) {
+        const event = await findScopedEvent(req, id);
+        if (!event) {
+          return sendError(res, 404, `Event ${id} not found`);
+        }
+        events.push(event);
+      }
+      const plan = planEventMerge(events);
+      if (plan.error) {
+        return sendError(res, 400, plan.error);
+      }
+      // Merged events share one project.
+      const lockError = await projectLockError(req.user, plan.keep.projectNumber);
+      if (lockError) {
+        return sendError(res, 403, lockError);
+      }
+
+      const merged = await inTransaction(async () => {
+        const updated = await writeEventFields(plan.keep.id, plan.merged);
+        const placeholders = plan.removeIds.map(() => "?").join(", ");
+        await runAsync(
+          `UPDATE event_attachments SET event_id = ? WHERE event_id IN (${placeholders})`,
+          [plan.keep.id, ...plan.removeIds]
+        );
+        // The merged-away events go to the trash (restorable, revisions kept), as a delete does.
+        const removed = events.filter((event) => plan.removeIds.includes(event.id));
+        await moveEventsToTrash(
+          { sql: `id IN (${placeholders})`, params: plan.removeIds },
+          {
+            itemType: removed.length === 1 ? "event" : "events",
+            label: removed.length === 1
+              ? `${describeEvent(removed[0])}, merged into event ${plan.keep.id}`
+              : `${removed.length} events merged into event ${plan.keep.id}`,
+            projectNumber: plan.keep.projectNumber,
+            vesselTag: plan.keep.vesselTag,
+          },
+          req.user.username
+        );
+        await recordEventRevision({
+          eventId: plan.keep.id,
+          changeType: "edit",
+          changedBy: req.user.username,
+          before: plan.keep,
+          after: updated,
+        });
+        return updated;
+      });
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.EVENTS_MERGE,
+        targetId: merged.id,
+        vesselTag: merged.vesselTag,
+        before: events,
+        after: merged,
+      });
+      res.json({ event: merged, removedIds: plan.removeIds });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to merge events");
+    }
+  });
+
+  router.delete("/api/events", authMiddleware, async (req, res) => {
     try {
       const project = req.query.project;
       if (project) {
-        // Per-vessel users can only clear events for their own vessel, even when a project is specified.
-        const params = [project];
-        let sql = "DELETE FROM cleaning_events WHERE project_number = ?";
+        if (!hasCapability(req.user, CAPABILITIES.EVENTS_CLEAR_PROJECT)) {
+          return sendError(res, 403, "Access denied");
+        }
+        // The trash entry is tagged with the project's vessel, so it must be one the user can restore from.
+        const projectRow = await getOneCamelized("SELECT vessel_tag FROM projects WHERE project_number = ?", [project]);
+        if (projectRow && !isInVesselScope(req.vesselScope, projectRow.vesselTag)) {
+          return sendError(res, 403, "Cannot clear events of a project from another vessel");
+        }
+        const lockError = await projectLockError(req.user, project);
+        if (lockError) {
+          return sendError(res, 403, lockError);
+        }
+        // Per-vessel users can only clear events for their own vessels, even when a project is specified.
+        const condition = { sql: "project_number = ?", params: [project] };
         if (req.vesselScope) {
-          sql += " AND vessel_tag = ?";
-          params.push(req.vesselScope);
+          const scope = buildVesselScopeCondition("vessel_tag", req.vesselScope);
+          condition.sql += ` AND ${scope.sql}`;
+          condition.params.push(...scope.params);
         }
-
-        const result = await runAsync(sql, params);
-        return res.json({ success: true, deletedCount: result.changes });
+        const vesselTag = projectRow?.vesselTag ?? req.workingVessel;
+        const { count } = await moveEventsToTrash(
+          condition,
+          { itemType: "events", label: `All events of project ${project}`, projectNumber: project, vesselTag },
+          req.user.username
+        );
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.EVENTS_CLEAR,
+          targetId: project,
+          vesselTag,
+          before: { projectNumber: project, eventCount: count },
+        });
+        return res.json({ success: true, deletedCount: count });
       }
 
-      // Global clear: only allowed for global superusers (including grand superuser).
-      if (!isGlobalUser(req.user) || (req.user.role !== ROLES.SUPER_USER && req.user.role !== ROLES.GRAND_SUPER_USER)) {
+      // Global clear: events.clearAll is global-only, so per-vessel users never hold it.
+      if (!hasCapability(req.user, CAPABILITIES.EVENTS_CLEAR_ALL)) {
         return sendError(res, 403, "Grand SuperUser access required for global clear");
       }
 
-      const result = await runAsync("DELETE FROM cleaning_events");
-      res.json({ success: true, deletedCount: result.changes });
+      const { count } = await moveEventsToTrash(
+        null,
+        { itemType: "events", label: "All events (every project)" },
+        req.user.username
+      );
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.EVENTS_CLEAR,
+        vesselTag: null,
+        before: { projectNumber: null, eventCount: count },
+      });
+      res.json({ success: true, deletedCount: count });
     } catch (err) {
       console.error(err);
       sendError(res, 500, "Failed to clear events");
@@ -0,0 +1,48 @@
+// routes/lockouts.js
+const express = require("express");
+const { listLockoutEvents, getLockoutEvent, clearLockout } = require("../loginAttempts");
+const { requireValidId } = require("../utils/validation");
+const { sendError } = require("../utils/errors");
+const { isInVesselScope } = require("../middleware/auth");
+
+/**
+ * Create lockouts router (list login lockout events, clear a lockout).
+ * Per-vessel SuperUsers only see lockouts of their own vessel's accounts.
+ * @param {function} authMiddleware
+ * @param {function} canManageSecurity - security.manage capability guard
+ * @returns {express.Router}
+ */
+function createLockoutsRouter(authMiddleware, canManageSecurity) {
+  const router = express.Router();
+
+  router.get("/api/lockouts", authMiddleware, canManageSecurity, async (req, res) => {
+    try {
+      res.json(await listLockoutEvents(req.vesselScope));
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to fetch lockouts");
+    }
+  });
+
+  router.delete("/api/lockouts/:id", authMiddleware, canManageSecurity, async (req, res) => {
+    try {
+      const id = requireValidId(req, res);
+      if (id === null) return;
+
+      const event = await getLockoutEvent(id);
+      if (!event || !isInVesselScope(req.vesselScope, event.vesselTag)) {
+        return sendError(res, 404, "Lockout not found");
+      }
+
+      await clearLockout(event, req.user.username);
+      res.json({ success: true });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to clear lockout");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createLockoutsRouter };
@@ -2,15 +2,20 @@
 const express = require("express");
 const { runAsync, getAllCamelized, getOneCamelized } = require("../db");
 const { sendError } = require("../utils/errors");
+const { CAPABILITIES } = require("../capabilities");
+const { isInVesselScope } = require("../middleware/auth");
+const { buildVesselScopeCondition } = require("../utils/queryHelpers");
+const { AUDIT_ACTIONS, recordAudit } = require("../audit");
+const { projectLockError } = require("../projectLifecycle");
 
 /**
  * Create noise data router (upload RMS batch, fetch by upload ID, list batches).
  * All noise data is scoped to a specific project.
  * @param {function} authMiddleware
- * @param {function} adminOrAbove
+ * @param {function} requireCapability - Capability guard factory
  * @returns {express.Router}
  */
-function createNoiseRouter(authMiddleware, adminOrAbove) {
+function createNoiseRouter(authMiddleware, requireCapability) {
   const router = express.Router();
 
   // List all upload batches for a project, newest first
@@ -21,12 +26,13 @@ function createNoiseRouter(authMiddleware, adminOrAbove) {
         return res.json([]);
       }
 
-      const conditions = ["project_number = ?"];
+      const conditions = ["project_number = ?", "trash_id IS NULL"];
       const params = [project];
 
       if (req.vesselScope) {
-        conditions.push("vessel_tag = ?");
-        params.push(req.vesselScope);
+        const scope = buildVesselScopeCondition("vessel_tag", req.vesselScope);
+        conditions.push(scope.sql);
+        params.push(...scope.params);
       }
 
       const sql = `SELECT * FROM noise_uploads WHERE ${conditions.join(" AND ")} ORDER BY uploaded_at DESC`;
@@ -49,15 +55,16 @@ function createNoiseRouter(authMiddleware, adminOrAbove) {
 
       let uploadRow;
       if (uploadId) {
-        const conditions = ["id = ?"];
+        const conditions = ["id = ?", "trash_id IS NULL"];
         const params = [uploadId];
         if (project) {
           conditions.push("project_number = ?");
           params.push(project);
         }
         if (req.vesselScope) {
-          conditions.push("vessel_tag = ?");
-          params.push(req.vesselScope);
+          const scope = buildVesselScopeCondition("vessel_tag", req.vesselScope);
+          conditions.push(scope.sql);
+          params.push(...scope.params);
         }
         uploadRow = await getOneCamelized(
           `SELECT * FROM noise_uploads WHERE ${conditions.join(" AND ")}`,
@@ -65,11 +72,12 @@ function createNoiseRouter(authMiddleware, adminOrAbove) {
         );
       } else {
         // Fetch latest for the given project
-        const conditions = ["project_number = ?"];
+        const conditions = ["project_number = ?", "trash_id IS NULL"];
         const params = [project];
         if (req.vesselScope) {
-          conditions.push("vessel_tag = ?");
-          params.push(req.vesselScope);
+          const scope = buildVesselScopeCondition("vessel_tag", req.vesselScope);
+          conditions.push(scope.sql);
+          params.push(...scope.params);
         }
         uploadRow = await getOneCamelized(
           `SELECT * FROM noise_uploads WHERE ${conditions.join(" AND ")} ORDER BY uploaded_at DESC LIMIT 1`,
@@ -107,7 +115,7 @@ function createNoiseRouter(authMiddleware, adminOrAbove) {
   });
 
   // Upload a new RMS noise batch (admin and above), scoped to a project
-  router.post("/api/noise-data", authMiddleware, adminOrAbove, async (req, res) => {
+  router.post("/api/noise-data", authMiddleware, requireCapability(CAPABILITIES.NOISE_UPLOAD), async (req, res) => {
     try {
       const { projectNumber, label, noiseData } = req.body;
 
@@ -120,16 +128,20 @@ function createNoiseRouter(authMiddleware, adminOrAbove) {
 
       // Look up the project to get vessel_tag for the denormalized field + scope check
       const project = await getOneCamelized(
-        "SELECT vessel_tag FROM projects WHERE project_number = ?",
+        "SELECT vessel_tag FROM projects WHERE project_number = ? AND trash_id IS NULL",
         [projectNumber]
       );
       if (!project) {
         return sendError(res, 404, `Project ${projectNumber} not found`);
       }
 
-      // Vessel-scoped users can only upload for their own vessel's projects
-      if (req.vesselScope && project.vesselTag !== req.vesselScope) {
-        return sendError(res, 403, "Project does not belong to your vessel");
+      // Vessel-scoped users can only upload for their own vessels' projects
+      if (!isInVesselScope(req.vesselScope, project.vesselTag)) {
+        return sendError(res, 403, "Project does not belong to your vessels");
+      }
+      const lockError = await projectLockError(req.user, projectNumber);
+      if (lockError) {
+        return sendError(res, 403, lockError);
       }
 
       // Insert the batch header
@@ -163,6 +175,16 @@ function createNoiseRouter(authMiddleware, adminOrAbove) {
         "SELECT * FROM noise_uploads WHERE id = ?",
         [uploadId]
       );
+      const measurements = await getOneCamelized(
+        "SELECT COUNT(*) AS count FROM noise_data WHERE upload_id = ?",
+        [uploadId]
+      );
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.NOISE_UPLOAD,
+        targetId: uploadId,
+        vesselTag: project.vesselTag,
+        after: { ...upload, measurementCount: measurements.count },
+      });
 
       res.status(201).json({ uploadId: upload.id, uploadedAt: upload.uploadedAt });
     } catch (err) {
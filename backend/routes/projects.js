@@ -1,30 +1,61 @@
 // routes/projects.js
 const express = require("express");
 const humps = require("humps");
-const { runAsync, getAsync, allAsync, getAllCamelized, getOneCamelized } = require("../db");
+const { runAsync, getAsync, allAsync, getAllCamelized, getOneCamelized, inTransaction } = require("../db");
 const { defaultConfig, loadConfig, saveConfig } = require("../config");
 const { getActiveProjectForVessel } = require("../activeProject");
 const { requireValidId, toInt } = require("../utils/validation");
 const { sendError } = require("../utils/errors");
-const { isGlobalUser } = require("../middleware/auth");
+const { isInVesselScope } = require("../middleware/auth");
+const { buildVesselScopeCondition } = require("../utils/queryHelpers");
+const { CAPABILITIES, hasCapability } = require("../capabilities");
+const { AUDIT_ACTIONS, recordAudit } = require("../audit");
+const { moveEventsToTrash, moveProjectToTrash, isProjectTrashed } = require("../trash");
+const {
+  PROJECT_STATUSES,
+  LOCKED_STATUSES,
+  statusTransitionError,
+  projectLockError,
+  buildCloseOut,
+  getCloseOut,
+  saveCloseOut,
+} = require("../projectLifecycle");
+const { layoutChanged } = require("../utils/configVersions");
+const { pickLayout, listConfigVersions, readEffectiveFrom, recordConfigVersion } = require("../configVersions");
+const { getVesselTimeZone } = require("../vesselTime");
+
+/**
+ * Current deployments of a project, as audit before/after state.
+ * @param {number} projectId
+ * @returns {Promise<Array<Object>>}
+ */
+function loadDeploymentRows(projectId) {
+  return getAllCamelized(
+    "SELECT streamer_id, deployment_date, is_coated FROM streamer_deployments WHERE project_id = ? ORDER BY streamer_id",
+    [projectId]
+  );
+}
 
 /**
  * Create projects router (CRUD, activate, streamer-deployments, cleanup).
  * @param {function} authMiddleware
- * @param {function} superUserOnly
+ * @param {function} requireCapability - Capability guard factory
  * @returns {express.Router}
  */
-function createProjectsRouter(authMiddleware, superUserOnly) {
+function createProjectsRouter(authMiddleware, requireCapability) {
   const router = express.Router();
+  const canManageProjects = requireCapability(CAPABILITIES.PROJECTS_MANAGE);
+  const canEditDeployments = requireCapability(CAPABILITIES.DEPLOYMENTS_EDIT);
 
   router.get("/api/projects/stats", authMiddleware, async (req, res) => {
     try {
       const params = [];
-      let where = "WHERE project_number IS NOT NULL";
+      let where = "WHERE project_number IS NOT NULL AND trash_id IS NULL";
 
       if (req.vesselScope) {
-        where += " AND vessel_tag = ?";
-        params.push(req.vesselScope);
+        const scope = buildVesselScopeCondition("vessel_tag", req.vesselScope);
+        where += ` AND ${scope.sql}`;
+        params.push(...scope.params);
       }
 
       const rows = await allAsync(
@@ -50,14 +81,14 @@ function createProjectsRouter(authMiddleware, superUserOnly) {
 
   router.get("/api/projects", authMiddleware, async (req, res) => {
     try {
-      const params = [];
       if (req.vesselScope) {
+        const scope = buildVesselScopeCondition("p.vessel_tag", req.vesselScope);
         const sql = `SELECT p.*, CASE WHEN v.vessel_tag IS NOT NULL THEN 1 ELSE 0 END AS is_active
           FROM projects p
-          LEFT JOIN vessel_context v ON v.active_project_id = p.id AND v.vessel_tag = ?
-          WHERE p.vessel_tag = ?
+          LEFT JOIN vessel_context v ON v.active_project_id = p.id AND v.vessel_tag = p.vessel_tag
+          WHERE p.trash_id IS NULL AND ${scope.sql}
           ORDER BY p.created_at DESC`;
-        const rows = await getAllCamelized(sql, [req.vesselScope, req.vesselScope]);
+        const rows = await getAllCamelized(sql, scope.params);
         res.json(
           rows.map((p) => ({
             ...p,
@@ -69,6 +100,7 @@ function createProjectsRouter(authMiddleware, superUserOnly) {
         const sql = `SELECT p.*, CASE WHEN v.active_project_id IS NOT NULL THEN 1 ELSE 0 END AS is_active
           FROM projects p
           LEFT JOIN vessel_context v ON v.active_project_id = p.id
+          WHERE p.trash_id IS NULL
           ORDER BY p.created_at DESC`;
         const rows = await getAllCamelized(sql, []);
         res.json(
@@ -87,7 +119,9 @@ function createProjectsRouter(authMiddleware, superUserOnly) {
 
   router.get("/api/projects/active", authMiddleware, async (req, res) => {
     try {
-      const vesselTag = req.vesselScope || req.query.vessel_tag || null;
+      // ?vessel_tag= picks one of the caller's vessels; otherwise the working vessel.
+      const requested = req.query.vessel_tag || req.workingVessel || null;
+      const vesselTag = isInVesselScope(req.vesselScope, requested) ? requested : req.workingVessel;
       if (!vesselTag) return res.json(null);
       const project = await getActiveProjectForVessel(vesselTag);
       if (!project) return res.json(null);
@@ -102,7 +136,7 @@ function createProjectsRouter(authMiddleware, superUserOnly) {
     }
   });
 
-  router.post("/api/projects", authMiddleware, superUserOnly, async (req, res) => {
+  router.post("/api/projects", authMiddleware, canManageProjects, async (req, res) => {
     try {
       const bodyData = humps.decamelizeKeys(req.body);
       const {
@@ -124,11 +158,11 @@ function createProjectsRouter(authMiddleware, superUserOnly) {
       const created_at = new Date().toISOString();
 
       // Determine effective vessel tag:
-      // - Global users may choose or fall back to default.
-      // - Per-vessel users are always scoped to their vessel.
-      let effectiveVesselTag = vessel_tag || defaultConfig.vesselTag;
-      if (req.vesselScope) {
-        effectiveVesselTag = req.vesselScope;
+      // - Global users may choose or fall back to the working vessel / default.
+      // - Per-vessel users may choose one of their vessels, else the working vessel.
+      let effectiveVesselTag = vessel_tag || req.workingVessel || defaultConfig.vesselTag;
+      if (!isInVesselScope(req.vesselScope, effectiveVesselTag)) {
+        effectiveVesselTag = req.workingVessel;
       }
 
       const result = await runAsync(
@@ -152,6 +186,12 @@ function createProjectsRouter(authMiddleware, superUserOnly) {
 
       const created = await getOneCamelized("SELECT * FROM projects WHERE id = ?", [result.lastID]);
       if (created) {
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.PROJECT_CREATE,
+          targetId: created.id,
+          vesselTag: created.vesselTag,
+          after: created,
+        });
         const isActive = (await getActiveProjectForVessel(created.vesselTag))?.id === created.id;
         res.json({
           ...created,
@@ -164,33 +204,136 @@ function createProjectsRouter(authMiddleware, superUserOnly) {
     } catch (err) {
       console.error(err);
       if (err.message?.includes("UNIQUE constraint failed")) {
-        sendError(res, 400, "Project number already exists");
+        const inTrash = await isProjectTrashed(req.body?.projectNumber).catch(() => false);
+        sendError(res, 400, inTrash
+          ? "Project number already exists in the trash; restore it or delete it permanently"
+          : "Project number already exists");
       } else {
         sendError(res, 500, "Failed to create project");
       }
     }
   });
 
-  router.put("/api/projects/:id/activate", authMiddleware, superUserOnly, async (req, res) => {
+  /**
+   * POST /api/projects/:id/clone
+   * Body { projectNumber, projectName?, includeDeployments?, includeComments? }: a new project on
+   * the same vessel with the source's streamer configuration. includeDeployments copies each
+   * streamer's coating status with the deployment date cleared (needs deployments.edit);
+   * includeComments copies the comments. Events, noise data and line logs stay behind.
+   */
+  router.post("/api/projects/:id/clone", authMiddleware, canManageProjects, async (req, res) => {
     try {
       const id = requireValidId(req, res);
       if (id === null) return;
 
-      const projectRow = await getOneCamelized("SELECT * FROM projects WHERE id = ?", [id]);
+      const source = await getOneCamelized("SELECT * FROM projects WHERE id = ? AND trash_id IS NULL", [id]);
+      if (!source) {
+        return sendError(res, 404, "Project not found");
+      }
+      if (!isInVesselScope(req.vesselScope, source.vesselTag)) {
+        return sendError(res, 403, "Cannot clone project from another vessel");
+      }
+
+      const { projectNumber, projectName, includeDeployments, includeComments } = req.body || {};
+      if (!projectNumber || typeof projectNumber !== "string" || !projectNumber.trim()) {
+        return sendError(res, 400, "Project number is required");
+      }
+      if (includeDeployments === true && !hasCapability(req.user, CAPABILITIES.DEPLOYMENTS_EDIT)) {
+        return sendError(res, 403, "Copying deployments requires deployments.edit");
+      }
+
+      const deployments = includeDeployments === true ? await loadDeploymentRows(id) : [];
+      const createdId = await inTransaction(async () => {
+        const result = await runAsync(
+          `INSERT INTO projects (
+          project_number, project_name, vessel_tag, created_at,
+          num_cables, sections_per_cable, section_length, module_frequency, channels_per_section, use_rope_for_tail, comments
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            projectNumber.trim(),
+            projectName || null,
+            source.vesselTag,
+            new Date().toISOString(),
+            source.numCables,
+            source.sectionsPerCable,
+            source.sectionLength,
+            source.moduleFrequency,
+            source.channelsPerSection,
+            source.useRopeForTail,
+            includeComments === true ? source.comments : null,
+          ]
+        );
+        for (const deployment of deployments) {
+          await runAsync(
+            "INSERT INTO streamer_deployments (project_id, streamer_id, deployment_date, is_coated) VALUES (?, ?, NULL, ?)",
+            [result.lastID, deployment.streamerId, deployment.isCoated]
+          );
+        }
+        return result.lastID;
+      });
+
+      const created = await getOneCamelized("SELECT * FROM projects WHERE id = ?", [createdId]);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.PROJECT_CLONE,
+        targetId: created.id,
+        vesselTag: created.vesselTag,
+        before: { sourceProjectNumber: source.projectNumber },
+        after: { ...created, deployments: await loadDeploymentRows(created.id) },
+      });
+      res.json({
+        ...created,
+        useRopeForTail: created.useRopeForTail === 1,
+        isActive: false,
+        copiedDeployments: deployments.length,
+      });
+    } catch (err) {
+      console.error(err);
+      if (err.message?.includes("UNIQUE constraint failed")) {
+        const inTrash = await isProjectTrashed(req.body.projectNumber.trim()).catch(() => false);
+        sendError(res, 400, inTrash
+          ? "Project number already exists in the trash; restore it or delete it permanently"
+          : "Project number already exists");
+      } else {
+        sendError(res, 500, "Failed to clone project");
+      }
+    }
+  });
+
+  router.put("/api/projects/:id/activate", authMiddleware, canManageProjects, async (req, res) => {
+    try {
+      const id = requireValidId(req, res);
+      if (id === null) return;
+
+      const projectRow = await getOneCamelized("SELECT * FROM projects WHERE id = ? AND trash_id IS NULL", [id]);
       if (!projectRow) {
         return sendError(res, 404, "Project not found");
       }
-      if (req.vesselScope && projectRow.vesselTag !== req.vesselScope) {
+      if (!isInVesselScope(req.vesselScope, projectRow.vesselTag)) {
         return sendError(res, 403, "Cannot activate project from another vessel");
       }
+      if (LOCKED_STATUSES.includes(projectRow.status)) {
+        return sendError(res, 400, `Project ${projectRow.projectNumber} is ${projectRow.status}; reopen it first`);
+      }
 
       const vesselTag = projectRow.vesselTag || defaultConfig.vesselTag;
+      const previous = await getActiveProjectForVessel(vesselTag);
       const updatedAt = new Date().toISOString();
       await runAsync(
         `INSERT INTO vessel_context (vessel_tag, active_project_id, updated_at) VALUES (?, ?, ?)
          ON CONFLICT(vessel_tag) DO UPDATE SET active_project_id = excluded.active_project_id, updated_at = excluded.updated_at`,
         [vesselTag, id, updatedAt]
       );
+      // The first activation starts a planned project.
+      if (projectRow.status === PROJECT_STATUSES.PLANNED) {
+        await runAsync("UPDATE projects SET status = ? WHERE id = ?", [PROJECT_STATUSES.ACTIVE, id]);
+      }
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.PROJECT_ACTIVATE,
+        targetId: id,
+        vesselTag,
+        before: { activeProjectNumber: previous?.projectNumber ?? null },
+        after: { activeProjectNumber: projectRow.projectNumber },
+      });
 
       const project = await getOneCamelized("SELECT * FROM projects WHERE id = ?", [id]);
       if (project) {
@@ -208,16 +351,131 @@ function createProjectsRouter(authMiddleware, superUserOnly) {
     }
   });
 
-  router.put("/api/projects/:id", authMiddleware, superUserOnly, async (req, res) => {
+  /**
+   * PUT /api/projects/:id/status
+   * Body { status }: move the project along planned → active → closed → archived (an archived
+   * project can go back to closed; projects.editLocked allows reopening a closed one). Closing records
+   * the close-out summary and clears the project as its vessel's active project; closed and
+   * archived projects' events, deployments, noise data and line log are read-only without
+   * projects.editLocked. Returns the project with its closeOut (null before the first close).
+   */
+  router.put("/api/projects/:id/status", authMiddleware, canManageProjects, async (req, res) => {
+    try {
+      const id = requireValidId(req, res);
+      if (id === null) return;
+
+      const project = await getOneCamelized("SELECT * FROM projects WHERE id = ? AND trash_id IS NULL", [id]);
+      if (!project) {
+        return sendError(res, 404, "Project not found");
+      }
+      if (!isInVesselScope(req.vesselScope, project.vesselTag)) {
+        return sendError(res, 403, "Cannot change the status of a project from another vessel");
+      }
+
+      const status = req.body?.status;
+      const transitionError = statusTransitionError(project.status, status);
+      if (transitionError) {
+        return sendError(res, 400, transitionError);
+      }
+      if (
+        project.status === PROJECT_STATUSES.CLOSED &&
+        status === PROJECT_STATUSES.ACTIVE &&
+        !hasCapability(req.user, CAPABILITIES.PROJECTS_EDIT_LOCKED)
+      ) {
+        return sendError(res, 403, "Reopening a closed project requires the projects.editLocked capability");
+      }
+
+      await inTransaction(async () => {
+        await runAsync("UPDATE projects SET status = ? WHERE id = ?", [status, id]);
+        if (status === PROJECT_STATUSES.CLOSED && project.status === PROJECT_STATUSES.ACTIVE) {
+          await saveCloseOut(id, await buildCloseOut(project), req.user.username);
+          await runAsync("UPDATE vessel_context SET active_project_id = NULL, updated_at = ? WHERE active_project_id = ?", [
+            new Date().toISOString(),
+            id,
+          ]);
+        }
+      });
+
+      const updated = await getOneCamelized("SELECT * FROM projects WHERE id = ?", [id]);
+      const closeOut = await getCloseOut(id);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.PROJECT_STATUS,
+        targetId: id,
+        vesselTag: updated.vesselTag,
+        before: { projectNumber: project.projectNumber, status: project.status },
+        after: { projectNumber: project.projectNumber, status, ...(status === PROJECT_STATUSES.CLOSED ? { closeOut } : {}) },
+      });
+      const isActive = (await getActiveProjectForVessel(updated.vesselTag))?.id === id;
+      res.json({
+        ...updated,
+        useRopeForTail: updated.useRopeForTail === 1,
+        isActive,
+        closeOut,
+      });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to change project status");
+    }
+  });
+
+  /**
+   * GET /api/projects/:id/close-out
+   * The close-out summary recorded when the project was closed ({ closedAt, closedBy, summary }),
+   * or for a project not closed yet a preview from its current events ({ preview: true, summary }).
+   * summary: coverage, never-cleaned section ranges and distance cleaned by method (see utils/closeOut.js).
+   */
+  router.get("/api/projects/:id/close-out", authMiddleware, async (req, res) => {
     try {
       const id = requireValidId(req, res);
       if (id === null) return;
 
-      const existing = await getOneCamelized("SELECT * FROM projects WHERE id = ?", [id]);
+      const project = await getOneCamelized("SELECT * FROM projects WHERE id = ? AND trash_id IS NULL", [id]);
+      if (!project || !isInVesselScope(req.vesselScope, project.vesselTag)) {
+        return sendError(res, 404, "Project not found");
+      }
+      const closeOut = LOCKED_STATUSES.includes(project.status) ? await getCloseOut(id) : null;
+      res.json({
+        projectNumber: project.projectNumber,
+        status: project.status,
+        ...(closeOut || { preview: true, summary: await buildCloseOut(project) }),
+      });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to build close-out summary");
+    }
+  });
+
+  /**
+   * GET /api/projects/:id/config-versions
+   * The project's streamer configuration versions, oldest first: each layout with effectiveFrom
+   * (null = from the start). The last one is the current layout.
+   */
+  router.get("/api/projects/:id/config-versions", authMiddleware, async (req, res) => {
+    try {
+      const id = requireValidId(req, res);
+      if (id === null) return;
+
+      const project = await getOneCamelized("SELECT * FROM projects WHERE id = ? AND trash_id IS NULL", [id]);
+      if (!project || !isInVesselScope(req.vesselScope, project.vesselTag)) {
+        return sendError(res, 404, "Project not found");
+      }
+      res.json({ projectNumber: project.projectNumber, versions: await listConfigVersions(project) });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to load configuration versions");
+    }
+  });
+
+  router.put("/api/projects/:id", authMiddleware, canManageProjects, async (req, res) => {
+    try {
+      const id = requireValidId(req, res);
+      if (id === null) return;
+
+      const existing = await getOneCamelized("SELECT * FROM projects WHERE id = ? AND trash_id IS NULL", [id]);
       if (!existing) {
         return sendError(res, 404, "Project not found");
       }
-      if (req.vesselScope && existing.vesselTag !== req.vesselScope) {
+      if (!isInVesselScope(req.vesselScope, existing.vesselTag)) {
         return sendError(res, 403, "Cannot update project from another vessel");
       }
 
@@ -232,43 +490,78 @@ function createProjectsRouter(authMiddleware, superUserOnly) {
         channels_per_section,
         use_rope_for_tail,
         comments,
+        effective_from,
       } = bodyData;
 
-      // Determine effective vessel tag for update.
+      // Determine effective vessel tag for update (per-vessel users stay within their vessels).
       let effectiveVesselTag = vessel_tag || existing.vesselTag || defaultConfig.vesselTag;
-      if (req.vesselScope) {
-        effectiveVesselTag = req.vesselScope;
+      if (!isInVesselScope(req.vesselScope, effectiveVesselTag)) {
+        effectiveVesselTag = existing.vesselTag;
       }
 
-      await runAsync(
-        `UPDATE projects SET
-        project_name = ?,
-        vessel_tag = ?,
-        num_cables = ?,
-        sections_per_cable = ?,
-        section_length = ?,
-        module_frequency = ?,
-        channels_per_section = ?,
-        use_rope_for_tail = ?,
-        comments = ?
-      WHERE id = ?`,
-        [
-          project_name || null,
-          effectiveVesselTag,
-          toInt(num_cables, defaultConfig.numCables),
-          toInt(sections_per_cable, defaultConfig.sectionsPerCable),
-          toInt(section_length, defaultConfig.sectionLength),
-          toInt(module_frequency, defaultConfig.moduleFrequency),
-          toInt(channels_per_section, defaultConfig.channelsPerSection),
-          use_rope_for_tail === false ? 0 : 1,
-          comments !== undefined ? comments : null,
-          id,
-        ]
-      );
+      const layout = {
+        numCables: toInt(num_cables, defaultConfig.numCables),
+        sectionsPerCable: toInt(sections_per_cable, defaultConfig.sectionsPerCable),
+        sectionLength: toInt(section_length, defaultConfig.sectionLength),
+        moduleFrequency: toInt(module_frequency, defaultConfig.moduleFrequency),
+        channelsPerSection: toInt(channels_per_section, defaultConfig.channelsPerSection),
+        useRopeForTail: use_rope_for_tail !== false,
+      };
+      // A layout change is a new configuration version; earlier events keep the layout they were logged on.
+      let effectiveFrom = null;
+      if (layoutChanged(pickLayout(existing), layout)) {
+        const read = readEffectiveFrom(
+          effective_from,
+          await getVesselTimeZone(existing.vesselTag),
+          await listConfigVersions(existing)
+        );
+        if (read.error) {
+          return sendError(res, 400, read.error);
+        }
+        effectiveFrom = read.effectiveFrom;
+      }
+
+      await inTransaction(async () => {
+        await runAsync(
+          `UPDATE projects SET
+          project_name = ?,
+          vessel_tag = ?,
+          num_cables = ?,
+          sections_per_cable = ?,
+          section_length = ?,
+          module_frequency = ?,
+          channels_per_section = ?,
+          use_rope_for_tail = ?,
+          comments = ?
+        WHERE id = ?`,
+          [
+            project_name || null,
+            effectiveVesselTag,
+            layout.numCables,
+            layout.sectionsPerCable,
+            layout.sectionLength,
+            layout.moduleFrequency,
+            layout.channelsPerSection,
+            layout.useRopeForTail ? 1 : 0,
+            comments !== undefined ? comments : null,
+            id,
+          ]
+        );
+        if (effectiveFrom) {
+          await recordConfigVersion(existing, layout, effectiveFrom, req.user.username);
+        }
+      });
 
       const updated = await getOneCamelized("SELECT * FROM projects WHERE id = ?", [id]);
       let isActive = false;
       if (updated) {
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.PROJECT_UPDATE,
+          targetId: id,
+          vesselTag: updated.vesselTag,
+          before: existing,
+          after: effectiveFrom ? { ...updated, configEffectiveFrom: effectiveFrom } : updated,
+        });
         const activeForVessel = await getActiveProjectForVessel(updated.vesselTag || defaultConfig.vesselTag);
         isActive = activeForVessel?.id === updated.id;
       }
@@ -287,21 +580,35 @@ function createProjectsRouter(authMiddleware, superUserOnly) {
     }
   });
 
-  router.post("/api/projects/deactivate", authMiddleware, superUserOnly, async (req, res) => {
+  router.post("/api/projects/deactivate", authMiddleware, canManageProjects, async (req, res) => {
     try {
       if (req.vesselScope) {
+        const previous = await getActiveProjectForVessel(req.workingVessel);
         await runAsync("UPDATE vessel_context SET active_project_id = NULL, updated_at = ? WHERE vessel_tag = ?", [
           new Date().toISOString(),
-          req.vesselScope,
+          req.workingVessel,
         ]);
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.PROJECT_DEACTIVATE,
+          targetId: previous?.id ?? null,
+          before: { activeProjectNumber: previous?.projectNumber ?? null },
+          after: { activeProjectNumber: null },
+        });
       } else {
-        if (!isGlobalUser(req.user)) {
-          return sendError(res, 403, "Grand SuperUser access required to deactivate all projects");
-        }
+        const previous = await getAllCamelized(
+          `SELECT v.vessel_tag, p.project_number AS active_project_number
+           FROM vessel_context v JOIN projects p ON p.id = v.active_project_id`
+        );
         await runAsync("UPDATE vessel_context SET active_project_id = NULL, updated_at = ?", [
           new Date().toISOString(),
         ]);
         await saveConfig({ activeProjectNumber: null });
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.PROJECT_DEACTIVATE,
+          vesselTag: null,
+          before: previous,
+          after: { activeProjectNumber: null },
+        });
       }
       res.json({ success: true });
     } catch (err) {
@@ -310,20 +617,20 @@ function createProjectsRouter(authMiddleware, superUserOnly) {
     }
   });
 
-  router.delete("/api/projects/:id", authMiddleware, superUserOnly, async (req, res) => {
+  router.delete("/api/projects/:id", authMiddleware, canManageProjects, async (req, res) => {
     try {
       const id = requireValidId(req, res);
       if (id === null) return;
 
-      const project = await getAsync("SELECT * FROM projects WHERE id = ?", [id]);
+      const project = await getAsync("SELECT * FROM projects WHERE id = ? AND trash_id IS NULL", [id]);
       if (!project) return sendError(res, 404, "Project not found");
 
-      if (req.vesselScope && project.vessel_tag !== req.vesselScope) {
+      if (!isInVesselScope(req.vesselScope, project.vessel_tag)) {
         return sendError(res, 403, "Cannot delete project from another vessel");
       }
 
       const eventCount = await getAsync(
-        "SELECT COUNT(*) as count FROM cleaning_events WHERE project_number = ?",
+        "SELECT COUNT(*) as count FROM cleaning_events WHERE project_number = ? AND trash_id IS NULL",
         [project.project_number]
       );
       const deploymentCount = await getAsync(
@@ -339,7 +646,13 @@ function createProjectsRouter(authMiddleware, superUserOnly) {
         });
       }
 
-      await runAsync("DELETE FROM projects WHERE id = ?", [id]);
+      await moveProjectToTrash(humps.camelizeKeys(project), req.user.username);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.PROJECT_DELETE,
+        targetId: id,
+        vesselTag: project.vessel_tag,
+        before: humps.camelizeKeys(project),
+      });
       res.json({ success: true });
     } catch (err) {
       console.error(err);
@@ -347,21 +660,38 @@ function createProjectsRouter(authMiddleware, superUserOnly) {
     }
   });
 
-  router.delete("/api/projects/:id/force", authMiddleware, superUserOnly, async (req, res) => {
+  router.delete("/api/projects/:id/force", authMiddleware, canManageProjects, async (req, res) => {
     try {
       const id = requireValidId(req, res);
       if (id === null) return;
 
-      const project = await getAsync("SELECT * FROM projects WHERE id = ?", [id]);
+      const project = await getAsync("SELECT * FROM projects WHERE id = ? AND trash_id IS NULL", [id]);
       if (!project) return sendError(res, 404, "Project not found");
 
-      if (req.vesselScope && project.vessel_tag !== req.vesselScope) {
+      if (!isInVesselScope(req.vesselScope, project.vessel_tag)) {
         return sendError(res, 403, "Cannot delete project from another vessel");
       }
+      const lockError = await projectLockError(req.user, project.project_number);
+      if (lockError) {
+        return sendError(res, 403, lockError);
+      }
 
-      await runAsync("DELETE FROM cleaning_events WHERE project_number = ?", [project.project_number]);
-      await runAsync("DELETE FROM streamer_deployments WHERE project_id = ?", [id]);
-      await runAsync("DELETE FROM projects WHERE id = ?", [id]);
+      // The project goes to the trash with its events, deployments and noise uploads.
+      const deploymentCount = await getAsync(
+        "SELECT COUNT(*) as count FROM streamer_deployments WHERE project_id = ?",
+        [id]
+      );
+      const { eventCount } = await moveProjectToTrash(humps.camelizeKeys(project), req.user.username);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.PROJECT_FORCE_DELETE,
+        targetId: id,
+        vesselTag: project.vessel_tag,
+        before: {
+          ...humps.camelizeKeys(project),
+          eventCount,
+          deploymentCount: deploymentCount.count,
+        },
+      });
       res.json({ success: true });
     } catch (err) {
       console.error(err);
@@ -374,9 +704,9 @@ function createProjectsRouter(authMiddleware, superUserOnly) {
       const id = requireValidId(req, res);
       if (id === null) return;
 
-      const project = await getAsync("SELECT * FROM projects WHERE id = ?", [id]);
+      const project = await getAsync("SELECT * FROM projects WHERE id = ? AND trash_id IS NULL", [id]);
       if (!project) return sendError(res, 404, "Project not found");
-      if (req.vesselScope && project.vessel_tag !== req.vesselScope) {
+      if (!isInVesselScope(req.vesselScope, project.vessel_tag)) {
         return sendError(res, 403, "Cannot view deployments for project from another vessel");
       }
 
@@ -399,17 +729,22 @@ function createProjectsRouter(authMiddleware, superUserOnly) {
     }
   });
 
-  router.put("/api/projects/:id/streamer-deployments", authMiddleware, superUserOnly, async (req, res) => {
+  router.put("/api/projects/:id/streamer-deployments", authMiddleware, canEditDeployments, async (req, res) => {
     try {
       const id = requireValidId(req, res);
       if (id === null) return;
 
-      const project = await getAsync("SELECT * FROM projects WHERE id = ?", [id]);
+      const project = await getAsync("SELECT * FROM projects WHERE id = ? AND trash_id IS NULL", [id]);
       if (!project) return sendError(res, 404, "Project not found");
-      if (req.vesselScope && project.vessel_tag !== req.vesselScope) {
+      if (!isInVesselScope(req.vesselScope, project.vessel_tag)) {
         return sendError(res, 403, "Cannot update deployments for project from another vessel");
       }
+      const lockError = await projectLockError(req.user, project.project_number);
+      if (lockError) {
+        return sendError(res, 403, lockError);
+      }
 
+      const before = await loadDeploymentRows(id);
       const bodyData = humps.decamelizeKeys(req.body);
       for (const [streamerNum, data] of Object.entries(bodyData)) {
         const streamerId = parseInt(streamerNum, 10);
@@ -424,6 +759,13 @@ function createProjectsRouter(authMiddleware, superUserOnly) {
           [id, streamerId, deploymentDate, isCoatedVal]
         );
       }
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.DEPLOYMENTS_UPDATE,
+        targetId: id,
+        vesselTag: project.vessel_tag,
+        before,
+        after: await loadDeploymentRows(id),
+      });
       res.json({ success: true });
     } catch (err) {
       console.error(err);
@@ -431,21 +773,37 @@ function createProjectsRouter(authMiddleware, superUserOnly) {
     }
   });
 
-  router.delete("/api/projects/:id/streamer-deployments/:streamerId", authMiddleware, superUserOnly, async (req, res) => {
+  router.delete("/api/projects/:id/streamer-deployments/:streamerId", authMiddleware, canEditDeployments, async (req, res) => {
     try {
       const id = requireValidId(req, res);
       if (id === null) return;
 
-      const project = await getAsync("SELECT * FROM projects WHERE id = ?", [id]);
+      const project = await getAsync("SELECT * FROM projects WHERE id = ? AND trash_id IS NULL", [id]);
       if (!project) return sendError(res, 404, "Project not found");
-      if (req.vesselScope && project.vessel_tag !== req.vesselScope) {
+      if (!isInVesselScope(req.vesselScope, project.vessel_tag)) {
         return sendError(res, 403, "Cannot clear deployments for project from another vessel");
       }
+      const lockError = await projectLockError(req.user, project.project_number);
+      if (lockError) {
+        return sendError(res, 403, lockError);
+      }
 
       const streamerId = toInt(req.params.streamerId, NaN);
       if (Number.isNaN(streamerId)) return sendError(res, 400, "Invalid streamer ID");
 
+      const existing = await getOneCamelized(
+        "SELECT streamer_id, deployment_date, is_coated FROM streamer_deployments WHERE project_id = ? AND streamer_id = ?",
+        [id, streamerId]
+      );
       await runAsync("DELETE FROM streamer_deployments WHERE project_id = ? AND streamer_id = ?", [id, streamerId]);
+      if (existing) {
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.DEPLOYMENTS_CLEAR,
+          targetId: id,
+          vesselTag: project.vessel_tag,
+          before: existing,
+        });
+      }
       res.json({ success: true });
     } catch (err) {
       console.error(err);
@@ -453,12 +811,9 @@ function createProjectsRouter(authMiddleware, superUserOnly) {
     }
   });
 
-  router.post("/api/cleanup-streamers", authMiddleware, superUserOnly, async (req, res) => {
+  // streamers.cleanup is global-only, so per-vessel users never pass this guard.
+  router.post("/api/cleanup-streamers", authMiddleware, requireCapability(CAPABILITIES.STREAMERS_CLEANUP), async (req, res) => {
     try {
-      if (!isGlobalUser(req.user)) {
-        return sendError(res, 403, "Grand SuperUser access required to cleanup orphaned streamers");
-      }
-
       const { maxStreamerId, projectId, projectNumber } = req.body;
       const id = typeof maxStreamerId === "number" ? maxStreamerId : parseInt(maxStreamerId, 10);
       if (Number.isNaN(id) || id < 1) return sendError(res, 400, "Invalid maxStreamerId");
@@ -469,17 +824,50 @@ function createProjectsRouter(authMiddleware, superUserOnly) {
         return sendError(res, 400, "Invalid or missing projectNumber");
       }
 
-      const eventsResult = await runAsync(
-        "DELETE FROM cleaning_events WHERE streamer_id > ? AND project_number = ?",
-        [id, String(projectNumber).trim()]
+      const project = await getOneCamelized("SELECT * FROM projects WHERE id = ?", [pid]);
+      const trimmedProjectNumber = String(projectNumber).trim();
+      const lockError = await projectLockError(req.user, trimmedProjectNumber);
+      if (lockError) {
+        return sendError(res, 403, lockError);
+      }
+      // Only events logged under the current layout: earlier ones were on streamers that existed then.
+      const versions = project ? await listConfigVersions(project) : [];
+      const currentFrom = versions[versions.length - 1]?.effectiveFrom ?? null;
+      const condition = { sql: "streamer_id > ? AND project_number = ?", params: [id, trimmedProjectNumber] };
+      if (currentFrom) {
+        condition.sql += " AND cleaned_at >= ?";
+        condition.params.push(currentFrom);
+      }
+      const { count: deletedEvents } = await moveEventsToTrash(
+        condition,
+        {
+          itemType: "events",
+          label: `Events on streamers above ${id} in project ${trimmedProjectNumber}` +
+            (currentFrom ? ` since ${currentFrom.slice(0, 10)}` : ""),
+          projectNumber: trimmedProjectNumber,
+          vesselTag: project?.vesselTag ?? null,
+        },
+        req.user.username
       );
       const deploymentsResult = await runAsync(
         "DELETE FROM streamer_deployments WHERE streamer_id > ? AND project_id = ?",
         [id, pid]
       );
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.STREAMERS_CLEANUP,
+        targetId: pid,
+        vesselTag: project?.vesselTag ?? null,
+        before: {
+          projectNumber: trimmedProjectNumber,
+          maxStreamerId: id,
+          since: currentFrom,
+          eventCount: deletedEvents,
+          deploymentCount: deploymentsResult.changes,
+        },
+      });
       res.json({
         success: true,
-        deletedEvents: eventsResult.changes,
+        deletedEvents,
         deletedDeployments: deploymentsResult.changes,
       });
     } catch (err) {
@@ -0,0 +1,88 @@
+// routes/sessions.js
+const express = require("express");
+const {
+  listActiveSessions,
+  getSessionOwner,
+  deleteSessionById,
+  deleteUserSessions,
+} = require("../sessions");
+const { getUserById } = require("../users");
+const { isGlobalUser, isInVesselScope } = require("../middleware/auth");
+const { requireValidId } = require("../utils/validation");
+const { sendError } = require("../utils/errors");
+
+/**
+ * Whether a user falls inside the caller's vessel scope (every vessel assigned to them).
+ * Per-vessel callers cannot see or revoke sessions of global users.
+ * @param {{ role: string, vesselTag: string|null, vesselTags: string[], isGlobal: boolean|number }} user
+ * @param {string[]|null} vesselScope
+ * @returns {boolean}
+ */
+function isUserInScope(user, vesselScope) {
+  if (!vesselScope) return true;
+  const vesselTags = user.vesselTags.length > 0 ? user.vesselTags : [user.vesselTag];
+  return !isGlobalUser(user) && vesselTags.every((tag) => isInVesselScope(vesselScope, tag));
+}
+
+/**
+ * Create sessions router (list active sessions, revoke one session or all of a user's sessions).
+ * Per-vessel SuperUsers only see users of their own vessel.
+ * @param {function} authMiddleware
+ * @param {function} canManageSecurity - security.manage capability guard
+ * @returns {express.Router}
+ */
+function createSessionsRouter(authMiddleware, canManageSecurity) {
+  const router = express.Router();
+
+  router.get("/api/sessions", authMiddleware, canManageSecurity, async (req, res) => {
+    try {
+      const rows = await listActiveSessions(req.vesselScope);
+      res.json(rows.map((row) => ({ ...row, isCurrent: row.id === req.user.sessionId })));
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to fetch sessions");
+    }
+  });
+
+  router.delete("/api/sessions/:id", authMiddleware, canManageSecurity, async (req, res) => {
+    try {
+      const id = requireValidId(req, res);
+      if (id === null) return;
+
+      const owner = await getSessionOwner(id);
+      if (!owner || !isUserInScope(owner, req.vesselScope)) {
+        return sendError(res, 404, "Session not found");
+      }
+
+      await deleteSessionById(id);
+      res.json({ success: true, revoked: 1 });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to revoke session");
+    }
+  });
+
+  router.delete("/api/sessions/user/:id", authMiddleware, canManageSecurity, async (req, res) => {
+    try {
+      const userId = requireValidId(req, res);
+      if (userId === null) return;
+
+      const user = await getUserById(userId);
+      if (!user || !isUserInScope(user, req.vesselScope)) {
+        return sendError(res, 404, "User not found");
+      }
+
+      // Revoking your own sessions keeps the one making the request.
+      const keep = userId === req.user.userId ? req.user.sessionId : null;
+      const revoked = await deleteUserSessions(userId, keep);
+      res.json({ success: true, revoked });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to revoke sessions");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSessionsRouter };
@@ -5,33 +5,101 @@ const { loadConfig, defaultConfig } = require("../config");
 const { getActiveProjectForVessel } = require("../activeProject");
 const { toInt } = require("../utils/validation");
 const { sendError } = require("../utils/errors");
-const { buildEventsWhereClause } = require("../utils/queryHelpers");
+const { buildEventsWhereClause, buildVesselScopeCondition } = require("../utils/queryHelpers");
 const { calculateEBRange } = require("../utils/eb");
+const { FOULING_GRADES, FOULING_TYPES } = require("../utils/fouling");
+const { summarizeEffort } = require("../utils/effort");
+const { summarizeLinePhases } = require("../utils/surveyLines");
+const { loadLinesByProject } = require("../surveyLines");
+const { resolveRequestTimeZone } = require("../vesselTime");
+const { dayRangeUtc } = require("../utils/time");
+const { listConfigVersions } = require("../configVersions");
+const { layoutsDuring, availableSections } = require("../utils/configVersions");
 
 /**
  * Resolve config for stats/last-cleaned: when project is in query or default vessel has active project, use that project's sectionsPerCable and useRopeForTail.
+ * layouts are the project's configuration versions (see configVersions.js), for availability across layout changes.
  */
 async function getEffectiveConfig(req) {
   const config = await loadConfig();
   const project = req.query?.project;
-  const vesselTag = req.vesselScope || config.vesselTag || defaultConfig.vesselTag;
+  const vesselTag = req.workingVessel || config.vesselTag || defaultConfig.vesselTag;
   let projectRow = null;
   if (project) {
-    projectRow = await getOneCamelized("SELECT * FROM projects WHERE project_number = ?", [project]);
+    projectRow = await getOneCamelized("SELECT * FROM projects WHERE project_number = ? AND trash_id IS NULL", [project]);
   } else {
     projectRow = await getActiveProjectForVessel(vesselTag);
   }
-  return {
+  const effective = {
     ...config,
     numCables: projectRow?.numCables ?? config.numCables,
     sectionsPerCable: projectRow?.sectionsPerCable ?? config.sectionsPerCable,
     useRopeForTail: projectRow != null ? projectRow.useRopeForTail === 1 : config.useRopeForTail,
     sectionLength: projectRow?.sectionLength ?? config.sectionLength,
   };
+  effective.layouts = projectRow ? await listConfigVersions(projectRow) : [effective];
+  return effective;
 }
 
 /**
- * Create stats router (stats, last-cleaned, stats/filter, eb-range).
+ * Index of an event's section in the current heatmap layout (tail sections after the active
+ * ones), or null for an active section beyond it (cleaned on an earlier, longer spread).
+ */
+function layoutIndex(sectionType, section, sectionsPerCable) {
+  if (sectionType === "tail") return sectionsPerCable + section;
+  return section < sectionsPerCable ? section : null;
+}
+
+/**
+ * Per-section value of the first row covering each section, laid out like the heatmap (tail
+ * sections after the active ones): { [streamerId]: [value | null] }.
+ * @param {Array<Object>} rows - Camelized cleaning_events rows, latest first
+ * @param {Object} config - From getEffectiveConfig
+ * @param {function(Object): *} pick - The value to keep for a row
+ * @returns {Object}
+ */
+function latestBySection(rows, config, pick) {
+  const sectionsPerCable = config.sectionsPerCable;
+  const totalSections = sectionsPerCable + (config.useRopeForTail ? 0 : 5);
+  const map = {};
+  for (let streamerId = 1; streamerId <= config.numCables; streamerId++) {
+    map[streamerId] = Array(totalSections).fill(null);
+  }
+  for (const r of rows) {
+    const arr = map[r.streamerId];
+    if (!arr) continue;
+    for (let s = r.sectionIndexStart; s <= r.sectionIndexEnd; s++) {
+      const idx = layoutIndex(r.sectionType, s, sectionsPerCable);
+      if (idx !== null && idx < totalSections && !arr[idx]) arr[idx] = pick(r);
+    }
+  }
+  return map;
+}
+
+/**
+ * Per-streamer totals of events: { [streamerId]: { events, sectionCleanings, firstCleanedAt } },
+ * for the streamer cards and tooltips (which no longer load every event).
+ */
+function summarizeStreamers(rows) {
+  const summary = {};
+  for (const r of rows) {
+    const streamer = summary[r.streamerId] || (summary[r.streamerId] = { events: 0, sectionCleanings: 0, firstCleanedAt: null });
+    streamer.events++;
+    streamer.sectionCleanings += r.sectionIndexEnd - r.sectionIndexStart + 1;
+    if (!streamer.firstCleanedAt || r.cleanedAt < streamer.firstCleanedAt) streamer.firstCleanedAt = r.cleanedAt;
+  }
+  return summary;
+}
+
+/** Grade counts (index = grade) with their event total and average grade. */
+function summarizeGrades(counts) {
+  const total = counts.reduce((acc, n) => acc + n, 0);
+  const weighted = counts.reduce((acc, n, grade) => acc + n * grade, 0);
+  return { counts, total, averageGrade: total > 0 ? Math.round((weighted / total) * 100) / 100 : null };
+}
+
+/**
+ * Create stats router (stats, last-cleaned, last-fouling, last-notes, stats/filter, stats/fouling, eb-range).
  * @param {function} authMiddleware
  * @returns {express.Router}
  */
@@ -67,20 +135,19 @@ function createStatsRouter(authMiddleware) {
       const { project } = req.query;
       const config = await getEffectiveConfig(req);
       const sectionLength = config.sectionLength || 1;
-      const sectionsPerCable = config.sectionsPerCable;
-      const tailSections = config.useRopeForTail ? 0 : 5;
-      const totalAvailableSections = config.numCables * sectionsPerCable;
-      const totalAvailableTail = config.numCables * tailSections;
+      // Every section the spread had under any of its layouts.
+      const available = availableSections(config.layouts);
 
-      let whereClause = "";
+      let whereClause = " WHERE trash_id IS NULL";
       const params = [];
       if (project) {
-        whereClause = " WHERE project_number = ?";
+        whereClause += " AND project_number = ?";
         params.push(project);
       }
       if (req.vesselScope) {
-        whereClause += whereClause ? " AND vessel_tag = ?" : " WHERE vessel_tag = ?";
-        params.push(req.vesselScope);
+        const scope = buildVesselScopeCondition("vessel_tag", req.vesselScope);
+        whereClause += ` AND ${scope.sql}`;
+        params.push(...scope.params);
       }
 
       const totalEvents = await getAsync(
@@ -104,14 +171,13 @@ function createStatsRouter(authMiddleware) {
       const uniqueTailSections = new Set();
       for (const evt of allEvents) {
         const isTail = evt.sectionType === "tail";
-        const base = isTail ? sectionsPerCable : 0;
         for (let s = evt.sectionIndexStart; s <= evt.sectionIndexEnd; s++) {
-          const globalIdx = base + s;
-          uniqueSections.add(`${evt.streamerId}-${globalIdx}`);
+          const key = `${evt.streamerId}-${evt.sectionType}-${s}`;
+          uniqueSections.add(key);
           if (isTail) {
-            uniqueTailSections.add(`${evt.streamerId}-${globalIdx}`);
+            uniqueTailSections.add(key);
           } else {
-            uniqueActiveSections.add(`${evt.streamerId}-${globalIdx}`);
+            uniqueActiveSections.add(key);
           }
         }
       }
@@ -123,8 +189,8 @@ function createStatsRouter(authMiddleware) {
         uniqueCleanedSections: uniqueSections.size,
         activeCleanedSections: uniqueActiveSections.size,
         tailCleanedSections: uniqueTailSections.size,
-        totalAvailableSections,
-        totalAvailableTail,
+        totalAvailableSections: available.active,
+        totalAvailableTail: available.tail,
       });
     } catch (err) {
       console.error(err);
@@ -132,76 +198,135 @@ function createStatsRouter(authMiddleware) {
     }
   });
 
+  /**
+   * GET /api/last-cleaned?project=
+   * Last cleaning time per section ({ lastCleaned: { [streamerId]: [cleanedAt | null] } }, tail
+   * sections after the active ones) and per-streamer totals (streamers, see summarizeStreamers).
+   */
   router.get("/api/last-cleaned", authMiddleware, async (req, res) => {
     try {
       const { project } = req.query;
       const config = await getEffectiveConfig(req);
-      const sectionsPerCable = config.sectionsPerCable;
-      const cableCount = config.numCables;
-      const tailSections = config.useRopeForTail ? 0 : 5;
-      const totalSections = sectionsPerCable + tailSections;
 
       let sql = `SELECT streamer_id, section_index_start, section_index_end, section_type, cleaned_at FROM cleaning_events`;
       const params = [];
-      const conditions = [];
+      const conditions = ["trash_id IS NULL"];
       if (project) {
         conditions.push("project_number = ?");
         params.push(project);
       }
       if (req.vesselScope) {
-        conditions.push("vessel_tag = ?");
-        params.push(req.vesselScope);
-      }
-      if (conditions.length > 0) {
-        sql += " WHERE " + conditions.join(" AND ");
+        const scope = buildVesselScopeCondition("vessel_tag", req.vesselScope);
+        conditions.push(scope.sql);
+        params.push(...scope.params);
       }
+      sql += " WHERE " + conditions.join(" AND ");
       sql += " ORDER BY datetime(cleaned_at) DESC";
       const rows = await getAllCamelized(sql, params);
 
-      const map = {};
-      for (let streamerId = 1; streamerId <= cableCount; streamerId++) {
-        map[streamerId] = Array(totalSections).fill(null);
+      res.json({ lastCleaned: latestBySection(rows, config, (r) => r.cleanedAt), streamers: summarizeStreamers(rows) });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to compute last-cleaned");
+    }
+  });
+
+  /**
+   * GET /api/last-fouling?project=
+   * Last observed fouling per section, laid out like /api/last-cleaned (tail sections after the
+   * active ones): { lastFouling: { [streamerId]: [{ grade, type, observedAt } | null] } }.
+   * Events without a fouling grade are skipped, so a later ungraded cleaning keeps the last grade.
+   */
+  router.get("/api/last-fouling", authMiddleware, async (req, res) => {
+    try {
+      const { project } = req.query;
+      const config = await getEffectiveConfig(req);
+
+      const params = [];
+      const conditions = ["trash_id IS NULL", "fouling_grade IS NOT NULL"];
+      if (project) {
+        conditions.push("project_number = ?");
+        params.push(project);
       }
-      for (const r of rows) {
-        const arr = map[r.streamerId];
-        if (!arr) continue;
-        const base = r.sectionType === "tail" ? sectionsPerCable : 0;
-        for (let s = r.sectionIndexStart; s <= r.sectionIndexEnd; s++) {
-          const idx = base + s;
-          if (idx < totalSections && !arr[idx]) arr[idx] = r.cleanedAt;
-        }
+      if (req.vesselScope) {
+        const scope = buildVesselScopeCondition("vessel_tag", req.vesselScope);
+        conditions.push(scope.sql);
+        params.push(...scope.params);
       }
-      res.json({ lastCleaned: map });
+      const rows = await getAllCamelized(
+        `SELECT streamer_id, section_index_start, section_index_end, section_type, cleaned_at, fouling_grade, fouling_type
+         FROM cleaning_events WHERE ${conditions.join(" AND ")} ORDER BY datetime(cleaned_at) DESC, id DESC`,
+        params
+      );
+
+      const lastFouling = latestBySection(rows, config, (r) => ({
+        grade: r.foulingGrade,
+        type: r.foulingType,
+        observedAt: r.cleanedAt,
+      }));
+      res.json({ lastFouling });
     } catch (err) {
       console.error(err);
-      sendError(res, 500, "Failed to compute last-cleaned");
+      sendError(res, 500, "Failed to compute last fouling");
+    }
+  });
+
+  /**
+   * GET /api/last-notes?project=
+   * Notes of the last event with notes per section, laid out like /api/last-cleaned, for the
+   * section tooltips: { lastNotes: { [streamerId]: [{ notes, cleanedAt } | null] } }.
+   */
+  router.get("/api/last-notes", authMiddleware, async (req, res) => {
+    try {
+      const { project } = req.query;
+      const config = await getEffectiveConfig(req);
+
+      const params = [];
+      const conditions = ["trash_id IS NULL", "notes IS NOT NULL"];
+      if (project) {
+        conditions.push("project_number = ?");
+        params.push(project);
+      }
+      if (req.vesselScope) {
+        const scope = buildVesselScopeCondition("vessel_tag", req.vesselScope);
+        conditions.push(scope.sql);
+        params.push(...scope.params);
+      }
+      const rows = await getAllCamelized(
+        `SELECT streamer_id, section_index_start, section_index_end, section_type, cleaned_at, notes
+         FROM cleaning_events WHERE ${conditions.join(" AND ")} ORDER BY datetime(cleaned_at) DESC, id DESC`,
+        params
+      );
+
+      res.json({ lastNotes: latestBySection(rows, config, (r) => ({ notes: r.notes, cleanedAt: r.cleanedAt })) });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to compute last notes");
     }
   });
 
+  /**
+   * GET /api/last-cleaned-filtered?project=&start=&end=
+   * /api/last-cleaned for the events of a date range.
+   */
   router.get("/api/last-cleaned-filtered", authMiddleware, async (req, res) => {
     try {
       const { start, end, project } = req.query;
       const config = await getEffectiveConfig(req);
-      const sectionsPerCable = config.sectionsPerCable;
-      const cableCount = config.numCables;
-      const tailSections = config.useRopeForTail ? 0 : 5;
-      const totalSections = sectionsPerCable + tailSections;
 
       const { sql: baseWhereSql, params: baseParams } = buildEventsWhereClause({
         project,
         start,
         end,
+        timeZone: await resolveRequestTimeZone(req),
       });
 
       let whereSql = baseWhereSql;
       const whereParams = [...baseParams];
       if (req.vesselScope) {
-        if (!whereSql) {
-          whereSql = " WHERE vessel_tag = ?";
-        } else {
-          whereSql += " AND vessel_tag = ?";
-        }
-        whereParams.push(req.vesselScope);
+        const scope = buildVesselScopeCondition("vessel_tag", req.vesselScope);
+        whereSql += ` AND ${scope.sql}`;
+        whereParams.push(...scope.params);
       }
       const sql =
         `SELECT streamer_id, section_index_start, section_index_end, section_type, cleaned_at FROM cleaning_events` +
@@ -209,48 +334,39 @@ function createStatsRouter(authMiddleware) {
         " ORDER BY datetime(cleaned_at) DESC";
       const rows = await getAllCamelized(sql, whereParams);
 
-      const map = {};
-      for (let streamerId = 1; streamerId <= cableCount; streamerId++) {
-        map[streamerId] = Array(totalSections).fill(null);
-      }
-      for (const r of rows) {
-        const arr = map[r.streamerId];
-        if (!arr) continue;
-        const base = r.sectionType === "tail" ? sectionsPerCable : 0;
-        for (let s = r.sectionIndexStart; s <= r.sectionIndexEnd; s++) {
-          const idx = base + s;
-          if (idx < totalSections && !arr[idx]) arr[idx] = r.cleanedAt;
-        }
-      }
-      res.json({ lastCleaned: map });
+      res.json({ lastCleaned: latestBySection(rows, config, (r) => r.cleanedAt), streamers: summarizeStreamers(rows) });
     } catch (err) {
       console.error(err);
       sendError(res, 500, "Failed to compute filtered last-cleaned");
     }
   });
 
+  /**
+   * GET /api/stats/filter?project=&start=&end=
+   * Totals of the filtered events, with effort (hours, crew hours, km per hour by method and
+   * hours per streamer) from the events that have a duration, and linePhases: events and
+   * distance cleaned during lines, during line changes and outside the projects' line logs.
+   */
   router.get("/api/stats/filter", authMiddleware, async (req, res) => {
     try {
       const { start, end, project } = req.query;
       const config = await getEffectiveConfig(req);
       const sectionLength = config.sectionLength || 1;
-      const sectionsPerCable = config.sectionsPerCable;
+      const timeZone = await resolveRequestTimeZone(req);
 
       const { sql: baseWhereSql, params: baseParams } = buildEventsWhereClause({
         project,
         start,
         end,
+        timeZone,
       });
 
       let whereSql = baseWhereSql;
       const whereParams = [...baseParams];
       if (req.vesselScope) {
-        if (!whereSql) {
-          whereSql = " WHERE vessel_tag = ?";
-        } else {
-          whereSql += " AND vessel_tag = ?";
-        }
-        whereParams.push(req.vesselScope);
+        const scope = buildVesselScopeCondition("vessel_tag", req.vesselScope);
+        whereSql += ` AND ${scope.sql}`;
+        whereParams.push(...scope.params);
       }
 
       const sql =
@@ -272,17 +388,19 @@ function createStatsRouter(authMiddleware) {
         const len = (r.sectionIndexEnd - r.sectionIndexStart + 1) * sectionLength;
         byMethod[r.cleaningMethod] = (byMethod[r.cleaningMethod] || 0) + len;
         const isTail = r.sectionType === "tail";
-        const base = isTail ? sectionsPerCable : 0;
         for (let s = r.sectionIndexStart; s <= r.sectionIndexEnd; s++) {
-          const globalIdx = base + s;
-          uniqueSections.add(`${r.streamerId}-${globalIdx}`);
+          const key = `${r.streamerId}-${r.sectionType}-${s}`;
+          uniqueSections.add(key);
           if (isTail) {
-            uniqueTailSections.add(`${r.streamerId}-${globalIdx}`);
+            uniqueTailSections.add(key);
           } else {
-            uniqueActiveSections.add(`${r.streamerId}-${globalIdx}`);
+            uniqueActiveSections.add(key);
           }
         }
       }
+      // Sections of the layouts in effect during the period.
+      const { from, until } = dayRangeUtc(start, end, timeZone);
+      const available = availableSections(layoutsDuring(config.layouts, from, until));
       res.json({
         events: rows.length,
         totalDistance,
@@ -291,6 +409,10 @@ function createStatsRouter(authMiddleware) {
         uniqueCleanedSections: uniqueSections.size,
         activeCleanedSections: uniqueActiveSections.size,
         tailCleanedSections: uniqueTailSections.size,
+        totalAvailableSections: available.active,
+        totalAvailableTail: available.tail,
+        effort: summarizeEffort(rows, sectionLength),
+        linePhases: summarizeLinePhases(rows, await loadLinesByProject(rows.map((r) => r.projectNumber)), sectionLength),
       });
     } catch (err) {
       console.error(err);
@@ -298,6 +420,77 @@ function createStatsRouter(authMiddleware) {
     }
   });
 
+  /**
+   * GET /api/stats/fouling?project=&start=&end=
+   * Fouling grade distribution of graded events, counted in sections (an event over 10 sections
+   * counts 10): by streamer, by coating (is_coated of the streamer's deployment in the event's
+   * project: coated / uncoated / unknown) and by fouling type. Each distribution is
+   * { counts: [per grade 0–4], total, averageGrade }.
+   */
+  router.get("/api/stats/fouling", authMiddleware, async (req, res) => {
+    try {
+      const { start, end, project } = req.query;
+      const { sql: baseWhereSql, params: baseParams } = buildEventsWhereClause({
+        project,
+        start,
+        end,
+        timeZone: await resolveRequestTimeZone(req),
+      });
+
+      let whereSql = baseWhereSql;
+      const whereParams = [...baseParams];
+      if (req.vesselScope) {
+        const scope = buildVesselScopeCondition("vessel_tag", req.vesselScope);
+        whereSql += ` AND ${scope.sql}`;
+        whereParams.push(...scope.params);
+      }
+
+      const rows = await getAllCamelized(
+        `SELECT streamer_id, section_index_start, section_index_end, fouling_grade, fouling_type,
+           (SELECT d.is_coated FROM streamer_deployments d JOIN projects p ON p.id = d.project_id
+            WHERE p.project_number = cleaning_events.project_number AND d.streamer_id = cleaning_events.streamer_id) AS is_coated
+         FROM cleaning_events${whereSql}`,
+        whereParams
+      );
+
+      const emptyCounts = () => FOULING_GRADES.map(() => 0);
+      const byStreamer = {};
+      const byCoating = { coated: emptyCounts(), uncoated: emptyCounts(), unknown: emptyCounts() };
+      const byType = Object.fromEntries([...FOULING_TYPES, "unspecified"].map((type) => [type, 0]));
+      let gradedEvents = 0;
+      let ungradedEvents = 0;
+
+      for (const r of rows) {
+        if (r.foulingGrade === null) {
+          ungradedEvents++;
+          continue;
+        }
+        gradedEvents++;
+        const sections = r.sectionIndexEnd - r.sectionIndexStart + 1;
+        byStreamer[r.streamerId] = byStreamer[r.streamerId] || emptyCounts();
+        byStreamer[r.streamerId][r.foulingGrade] += sections;
+        const coating = r.isCoated === 1 ? "coated" : r.isCoated === 0 ? "uncoated" : "unknown";
+        byCoating[coating][r.foulingGrade] += sections;
+        const type = byType[r.foulingType] !== undefined ? r.foulingType : "unspecified";
+        byType[type] += sections;
+      }
+
+      const summarizeAll = (groups) =>
+        Object.fromEntries(Object.entries(groups).map(([key, counts]) => [key, summarizeGrades(counts)]));
+      res.json({
+        grades: FOULING_GRADES,
+        gradedEvents,
+        ungradedEvents,
+        byStreamer: summarizeAll(byStreamer),
+        byCoating: summarizeAll(byCoating),
+        byType,
+      });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to get fouling stats");
+    }
+  });
+
   return router;
 }
 
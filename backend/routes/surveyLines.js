@@ -0,0 +1,153 @@
+// routes/surveyLines.js
+const express = require("express");
+const { getOneCamelized, getAllCamelized } = require("../db");
+const { sendError } = require("../utils/errors");
+const { isInVesselScope } = require("../middleware/auth");
+const { AUDIT_ACTIONS, recordAudit } = require("../audit");
+const { getVesselTimeZone } = require("../vesselTime");
+const { classifyLinePhase, LINE_PHASES } = require("../utils/surveyLines");
+const {
+  LINE_LOG_FIELDS,
+  listSurveyLines,
+  readLineLog,
+  planLineImport,
+  saveSurveyLines,
+  clearSurveyLines,
+} = require("../surveyLines");
+const { readUploadedFile } = require("./eventImport");
+const { describeRejectedRows } = require("../bulkImport");
+const { projectLockError } = require("../projectLifecycle");
+
+/**
+ * The project a line log request is for, or null after sending a 400 / 404.
+ * Vessel-scoped users only reach their own vessels' projects.
+ */
+async function findScopedProject(req, res, projectNumber) {
+  if (!projectNumber) {
+    sendError(res, 400, "project is required");
+    return null;
+  }
+  const project = await getOneCamelized(
+    "SELECT project_number, vessel_tag FROM projects WHERE project_number = ? AND trash_id IS NULL",
+    [projectNumber]
+  );
+  if (!project || !isInVesselScope(req.vesselScope, project.vesselTag)) {
+    sendError(res, 404, `Project ${projectNumber} not found`);
+    return null;
+  }
+  return project;
+}
+
+/**
+ * Create survey line router (line log per project: list, CSV/XLSX import, clear).
+ * @param {function} authMiddleware
+ * @param {function} canImportLines - lines.import capability guard
+ * @returns {express.Router}
+ */
+function createSurveyLinesRouter(authMiddleware, canImportLines) {
+  const router = express.Router();
+
+  /**
+   * GET /api/survey-lines?project=X
+   * The project's line log in time order, each line with the number of cleanings during it.
+   */
+  router.get("/api/survey-lines", authMiddleware, async (req, res) => {
+    try {
+      const project = await findScopedProject(req, res, req.query.project);
+      if (!project) return;
+
+      const lines = await listSurveyLines(project.projectNumber);
+      const events = await getAllCamelized(
+        "SELECT cleaned_at FROM cleaning_events WHERE project_number = ? AND trash_id IS NULL",
+        [project.projectNumber]
+      );
+      const cleanings = new Map();
+      events.forEach((event) => {
+        const context = classifyLinePhase(lines, event.cleanedAt);
+        if (context.phase === LINE_PHASES.LINE) {
+          cleanings.set(context.sequenceNumber, (cleanings.get(context.sequenceNumber) || 0) + 1);
+        }
+      });
+      res.json({
+        projectNumber: project.projectNumber,
+        lines: lines.map((line) => ({ ...line, cleanings: cleanings.get(line.sequenceNumber) || 0 })),
+      });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to load survey lines");
+    }
+  });
+
+  /**
+   * POST /api/survey-lines/import
+   * Body { projectNumber, filename, content, dryRun? }: a line log (sequence, line name, start,
+   * end; times without a zone in the project vessel's zone). Sequences already logged are
+   * updated, others added. dryRun returns { counts, results }; otherwise every line is saved
+   * in one transaction, or none when any row is rejected.
+   */
+  router.post("/api/survey-lines/import", authMiddleware, canImportLines, async (req, res) => {
+    try {
+      const project = await findScopedProject(req, res, req.body?.projectNumber);
+      if (!project) return;
+      const lockError = await projectLockError(req.user, project.projectNumber);
+      if (lockError) {
+        return sendError(res, 403, lockError);
+      }
+      const parsed = await readUploadedFile(req, res, LINE_LOG_FIELDS);
+      if (!parsed) return;
+
+      const read = readLineLog(parsed, await getVesselTimeZone(project.vesselTag));
+      if (read.error) {
+        return sendError(res, 400, read.error);
+      }
+      const plan = planLineImport(await listSurveyLines(project.projectNumber), read.results);
+      if (req.body.dryRun === true) {
+        return res.json({ dryRun: true, counts: plan.counts, results: plan.results });
+      }
+
+      const rejectedMessage = describeRejectedRows(plan.results);
+      if (rejectedMessage) {
+        return sendError(res, 400, rejectedMessage);
+      }
+      await saveSurveyLines(project.projectNumber, plan.results);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.SURVEY_LINES_IMPORT,
+        targetId: project.projectNumber,
+        vesselTag: project.vesselTag,
+        after: { filename: req.body.filename, created: plan.counts.created, updated: plan.counts.updated },
+      });
+      res.json({ counts: plan.counts });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Line log import failed");
+    }
+  });
+
+  /** DELETE /api/survey-lines?project=X - Remove the project's line log. */
+  router.delete("/api/survey-lines", authMiddleware, canImportLines, async (req, res) => {
+    try {
+      const project = await findScopedProject(req, res, req.query.project);
+      if (!project) return;
+      const lockError = await projectLockError(req.user, project.projectNumber);
+      if (lockError) {
+        return sendError(res, 403, lockError);
+      }
+
+      const removed = await clearSurveyLines(project.projectNumber);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.SURVEY_LINES_CLEAR,
+        targetId: project.projectNumber,
+        vesselTag: project.vesselTag,
+        before: { lineCount: removed },
+      });
+      res.json({ removed });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to clear survey lines");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSurveyLinesRouter };
@@ -0,0 +1,90 @@
+// routes/trash.js
+const express = require("express");
+const { listTrash, getTrashEntry, restoreTrashEntry, purgeTrashEntry } = require("../trash");
+const { AUDIT_ACTIONS, recordAudit } = require("../audit");
+const { requireValidId } = require("../utils/validation");
+const { sendError } = require("../utils/errors");
+const { isInVesselScope } = require("../middleware/auth");
+const { projectLockError } = require("../projectLifecycle");
+
+/**
+ * Create trash router (list deleted events/projects, restore, delete permanently).
+ * Per-vessel users only see and act on their own vessels' entries.
+ * @param {function} authMiddleware
+ * @param {function} canManageTrash - trash.manage capability guard
+ * @returns {express.Router}
+ */
+function createTrashRouter(authMiddleware, canManageTrash) {
+  const router = express.Router();
+
+  /** Entry by :id, or null after sending 400/404 (out-of-scope entries look missing). */
+  async function findEntry(req, res) {
+    const id = requireValidId(req, res);
+    if (id === null) return null;
+    const entry = await getTrashEntry(id);
+    if (!entry || (req.vesselScope && !isInVesselScope(req.vesselScope, entry.vesselTag))) {
+      sendError(res, 404, "Trash entry not found");
+      return null;
+    }
+    return entry;
+  }
+
+  router.get("/api/trash", authMiddleware, canManageTrash, async (req, res) => {
+    try {
+      res.json(await listTrash(req.vesselScope));
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to fetch trash");
+    }
+  });
+
+  router.post("/api/trash/:id/restore", authMiddleware, canManageTrash, async (req, res) => {
+    try {
+      const entry = await findEntry(req, res);
+      if (!entry) return;
+      // Events go back into their project, which may have been closed since.
+      const lockError = entry.itemType !== "project" ? await projectLockError(req.user, entry.projectNumber) : null;
+      if (lockError) {
+        return sendError(res, 403, lockError);
+      }
+
+      const result = await restoreTrashEntry(entry);
+      if (!result.restored) {
+        return sendError(res, 409, result.error);
+      }
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.TRASH_RESTORE,
+        targetId: entry.id,
+        vesselTag: entry.vesselTag,
+        before: entry,
+      });
+      res.json({ success: true });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to restore from trash");
+    }
+  });
+
+  router.delete("/api/trash/:id", authMiddleware, canManageTrash, async (req, res) => {
+    try {
+      const entry = await findEntry(req, res);
+      if (!entry) return;
+
+      await purgeTrashEntry(entry.id);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.TRASH_PURGE,
+        targetId: entry.id,
+        vesselTag: entry.vesselTag,
+        before: entry,
+      });
+      res.json({ success: true });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to delete from trash");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTrashRouter };
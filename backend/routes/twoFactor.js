@@ -0,0 +1,125 @@
+// routes/twoFactor.js
+const express = require("express");
+const { getUserByUsername, verifyPassword } = require("../users");
+const {
+  isTwoFactorRequired,
+  startEnrollment,
+  verifyTotp,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorStatus,
+} = require("../twoFactor");
+const { sendError } = require("../utils/errors");
+
+/**
+ * Create two-factor router: the signed-in SuperUser manages their own TOTP
+ * enrollment and recovery codes. (GrandSuperUsers reset other accounts via /api/users/:id/2fa.)
+ * @param {function} authMiddleware
+ * @param {function} superUserOnly
+ * @returns {express.Router}
+ */
+function createTwoFactorRouter(authMiddleware, superUserOnly) {
+  const router = express.Router();
+
+  /** Load the caller's users row; sends 404 and returns null when missing. */
+  async function loadCurrentUser(req, res) {
+    const user = await getUserByUsername(req.user.username);
+    if (!user) {
+      sendError(res, 404, "User not found");
+      return null;
+    }
+    return user;
+  }
+
+  router.get("/api/account/2fa", authMiddleware, superUserOnly, async (req, res) => {
+    try {
+      const user = await loadCurrentUser(req, res);
+      if (!user) return;
+      res.json(await getTwoFactorStatus(user));
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to fetch two-factor status");
+    }
+  });
+
+  router.post("/api/account/2fa/setup", authMiddleware, superUserOnly, async (req, res) => {
+    try {
+      const user = await loadCurrentUser(req, res);
+      if (!user) return;
+      if (user.totpEnabled === 1) {
+        return sendError(res, 409, "Two-factor authentication is already enabled");
+      }
+      res.json(await startEnrollment(user));
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to start two-factor setup");
+    }
+  });
+
+  router.post("/api/account/2fa/enable", authMiddleware, superUserOnly, async (req, res) => {
+    try {
+      const user = await loadCurrentUser(req, res);
+      if (!user) return;
+      if (user.totpEnabled === 1) {
+        return sendError(res, 409, "Two-factor authentication is already enabled");
+      }
+      if (!user.totpSecret) {
+        return sendError(res, 400, "Start two-factor setup first");
+      }
+      if (typeof req.body.code !== "string") {
+        return sendError(res, 400, "Authentication code required");
+      }
+
+      const recoveryCodes = await enableTwoFactor(user.id, req.body.code);
+      if (!recoveryCodes) {
+        return sendError(res, 400, "Invalid authentication code");
+      }
+      res.json({ enabled: true, recoveryCodes });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to enable two-factor authentication");
+    }
+  });
+
+  router.post("/api/account/2fa/recovery-codes", authMiddleware, superUserOnly, async (req, res) => {
+    try {
+      const user = await loadCurrentUser(req, res);
+      if (!user) return;
+      if (user.totpEnabled !== 1) {
+        return sendError(res, 400, "Two-factor authentication is not enabled");
+      }
+      if (typeof req.body.code !== "string" || !(await verifyTotp(user.id, req.body.code))) {
+        return sendError(res, 400, "Invalid authentication code");
+      }
+      res.json({ recoveryCodes: await regenerateRecoveryCodes(user.id) });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to regenerate recovery codes");
+    }
+  });
+
+  router.post("/api/account/2fa/disable", authMiddleware, superUserOnly, async (req, res) => {
+    try {
+      const user = await loadCurrentUser(req, res);
+      if (!user) return;
+      if (isTwoFactorRequired(user.role)) {
+        return sendError(res, 403, "Two-factor authentication is required for your role");
+      }
+      const { password } = req.body;
+      if (typeof password !== "string" || !(await verifyPassword(user, password))) {
+        return sendError(res, 400, "Incorrect password");
+      }
+
+      await disableTwoFactor(user.id);
+      res.json({ enabled: false });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to disable two-factor authentication");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTwoFactorRouter };
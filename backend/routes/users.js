@@ -0,0 +1,232 @@
+// routes/users.js
+const express = require("express");
+const humps = require("humps");
+const {
+  MIN_PASSWORD_LENGTH,
+  isValidRole,
+  hashPassword,
+  getUserById,
+  listUsers,
+  createUser,
+  updateUserFields,
+  setUserVessels,
+} = require("../users");
+const { requireValidId } = require("../utils/validation");
+const { sendError } = require("../utils/errors");
+const { ROLES } = require("../middleware/auth");
+const { deleteUserSessions } = require("../sessions");
+const { disableTwoFactor } = require("../twoFactor");
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const VESSEL_TAG_PATTERN = /^[A-Za-z0-9_.-]{1,32}$/;
+
+/**
+ * Resolve vessel tags / global flag for a role, mirroring the AUTH_USERS rules.
+ * Vessels come as an array or a string separated by commas or "|"; the first is the default.
+ * @param {string} role
+ * @param {*} rawVesselTags
+ * @param {*} rawIsGlobal
+ * @returns {{ vesselTags: string[], isGlobal: boolean, error?: string }}
+ */
+function resolveVesselScope(role, rawVesselTags, rawIsGlobal) {
+  const list = Array.isArray(rawVesselTags)
+    ? rawVesselTags
+    : typeof rawVesselTags === "string" ? rawVesselTags.split(/[,|]/) : [];
+  const trimmed = list.map((tag) => (typeof tag === "string" ? tag.trim() : "")).filter(Boolean);
+  const vesselTags = trimmed.some((tag) => tag.toUpperCase() === "ALL") ? [] : [...new Set(trimmed)];
+  const isGlobal = role === ROLES.GRAND_SUPER_USER || rawIsGlobal === true;
+  if (vesselTags.some((tag) => !VESSEL_TAG_PATTERN.test(tag))) {
+    return { vesselTags, isGlobal, error: "Vessel tags may only contain letters, digits, '.', '_' or '-'" };
+  }
+  if (vesselTags.length === 0 && !isGlobal) {
+    return { vesselTags, isGlobal, error: "Vessel tag is required for non-global users" };
+  }
+  return { vesselTags, isGlobal };
+}
+
+/**
+ * Create users router (list, create, disable/enable, reset password, change role/vessel, reset 2FA).
+ * All endpoints are restricted to GrandSuperUsers.
+ * @param {function} authMiddleware
+ * @param {function} grandSuperUserOnly
+ * @returns {express.Router}
+ */
+function createUsersRouter(authMiddleware, grandSuperUserOnly) {
+  const router = express.Router();
+
+  /** Load the target user for :id routes; sends 404 and returns null when missing. */
+  async function loadTargetUser(req, res) {
+    const id = requireValidId(req, res);
+    if (id === null) return null;
+    const user = await getUserById(id);
+    if (!user) {
+      sendError(res, 404, "User not found");
+      return null;
+    }
+    return user;
+  }
+
+  router.get("/api/users", authMiddleware, grandSuperUserOnly, async (_req, res) => {
+    try {
+      res.json(await listUsers());
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to fetch users");
+    }
+  });
+
+  router.post("/api/users", authMiddleware, grandSuperUserOnly, async (req, res) => {
+    try {
+      const bodyData = humps.decamelizeKeys(req.body);
+      const username = typeof bodyData.username === "string" ? bodyData.username.trim() : "";
+      const { password, role } = bodyData;
+
+      if (!USERNAME_PATTERN.test(username)) {
+        return sendError(res, 400, "Username must be 1-64 letters, digits, '.', '_' or '-'");
+      }
+      if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+        return sendError(res, 400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      }
+      if (!isValidRole(role)) {
+        return sendError(res, 400, "Invalid role");
+      }
+      const scope = resolveVesselScope(role, bodyData.vessel_tags ?? bodyData.vessel_tag, bodyData.is_global);
+      if (scope.error) {
+        return sendError(res, 400, scope.error);
+      }
+
+      const created = await createUser({
+        username,
+        password,
+        role,
+        vesselTags: scope.vesselTags,
+        isGlobal: scope.isGlobal,
+      });
+      res.json(created);
+    } catch (err) {
+      console.error(err);
+      if (err.message?.includes("UNIQUE constraint failed")) {
+        sendError(res, 400, "Username already exists");
+      } else {
+        sendError(res, 500, "Failed to create user");
+      }
+    }
+  });
+
+  router.put("/api/users/:id/disable", authMiddleware, grandSuperUserOnly, async (req, res) => {
+    try {
+      const user = await loadTargetUser(req, res);
+      if (!user) return;
+      if (user.id === req.user.userId) {
+        return sendError(res, 400, "You cannot disable your own account");
+      }
+
+      await updateUserFields(user.id, { is_active: 0 });
+      await deleteUserSessions(user.id);
+      res.json(await getUserById(user.id));
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to disable user");
+    }
+  });
+
+  router.put("/api/users/:id/enable", authMiddleware, grandSuperUserOnly, async (req, res) => {
+    try {
+      const user = await loadTargetUser(req, res);
+      if (!user) return;
+
+      await updateUserFields(user.id, { is_active: 1 });
+      res.json(await getUserById(user.id));
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to enable user");
+    }
+  });
+
+  router.put("/api/users/:id/password", authMiddleware, grandSuperUserOnly, async (req, res) => {
+    try {
+      const user = await loadTargetUser(req, res);
+      if (!user) return;
+
+      const { password } = req.body;
+      if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+        return sendError(res, 400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      }
+
+      await updateUserFields(user.id, { password_hash: await hashPassword(password) });
+      // Keep the caller signed in when they change their own account.
+      await deleteUserSessions(user.id, user.id === req.user.userId ? req.user.sessionId : null);
+      res.json({ success: true });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to reset password");
+    }
+  });
+
+  router.put("/api/users/:id/role", authMiddleware, grandSuperUserOnly, async (req, res) => {
+    try {
+      const user = await loadTargetUser(req, res);
+      if (!user) return;
+
+      const { role } = req.body;
+      if (!isValidRole(role)) {
+        return sendError(res, 400, "Invalid role");
+      }
+      if (user.id === req.user.userId && role !== user.role) {
+        return sendError(res, 400, "You cannot change your own role");
+      }
+      const scope = resolveVesselScope(role, user.vesselTags, user.isGlobal);
+      if (scope.error) {
+        return sendError(res, 400, scope.error);
+      }
+
+      await updateUserFields(user.id, { role, is_global: scope.isGlobal ? 1 : 0 });
+      await deleteUserSessions(user.id, user.id === req.user.userId ? req.user.sessionId : null);
+      res.json(await getUserById(user.id));
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to change role");
+    }
+  });
+
+  router.put("/api/users/:id/vessel", authMiddleware, grandSuperUserOnly, async (req, res) => {
+    try {
+      const user = await loadTargetUser(req, res);
+      if (!user) return;
+
+      const bodyData = humps.decamelizeKeys(req.body);
+      const scope = resolveVesselScope(user.role, bodyData.vessel_tags ?? bodyData.vessel_tag, bodyData.is_global);
+      if (scope.error) {
+        return sendError(res, 400, scope.error);
+      }
+
+      await setUserVessels(user.id, scope.vesselTags);
+      await updateUserFields(user.id, { is_global: scope.isGlobal ? 1 : 0 });
+      // Keep the caller signed in when they change their own account.
+      await deleteUserSessions(user.id, user.id === req.user.userId ? req.user.sessionId : null);
+      res.json(await getUserById(user.id));
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to change vessel");
+    }
+  });
+
+  // For a lost authenticator: the user signs in with the password alone
+  // (or re-enrolls at login when their role requires 2FA).
+  router.delete("/api/users/:id/2fa", authMiddleware, grandSuperUserOnly, async (req, res) => {
+    try {
+      const user = await loadTargetUser(req, res);
+      if (!user) return;
+
+      await disableTwoFactor(user.id);
+      res.json(await getUserById(user.id));
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to reset two-factor authentication");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createUsersRouter };
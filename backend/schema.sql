@@ -25,7 +25,17 @@ CREATE TABLE IF NOT EXISTS cleaning_events (
   project_number TEXT,
   vessel_tag TEXT DEFAULT 'TTN',
   added_by_usertag TEXT,
+  -- Fouling observed before cleaning (optional): grade 0 none .. 4 severe, type per utils/fouling.js
+  fouling_grade INTEGER CHECK (fouling_grade BETWEEN 0 AND 4),
+  fouling_type TEXT,
+  -- Effort (optional, see utils/effort.js): minutes spent, crew, and the equipment unit used (e.g. "SCUE 2")
+  duration_minutes INTEGER CHECK (duration_minutes > 0),
+  crew_size INTEGER CHECK (crew_size > 0),
+  crew_names TEXT,
+  equipment_unit TEXT,
+  notes TEXT,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  trash_id INTEGER REFERENCES trash(id),
   FOREIGN KEY(project_number) REFERENCES projects(project_number) ON DELETE CASCADE
 );
 
@@ -34,6 +44,39 @@ CREATE INDEX IF NOT EXISTS idx_cleaning_events_streamer ON cleaning_events(strea
 CREATE INDEX IF NOT EXISTS idx_cleaning_events_date ON cleaning_events(cleaned_at);
 CREATE INDEX IF NOT EXISTS idx_cleaning_events_project ON cleaning_events(project_number);
 CREATE INDEX IF NOT EXISTS idx_cleaning_events_section_type ON cleaning_events(section_type);
+CREATE INDEX IF NOT EXISTS idx_cleaning_events_trash ON cleaning_events(trash_id);
+
+-- Edit history of cleaning events (see eventRevisions.js): one row per edit or revert, numbered per event.
+-- before_json/after_json hold the editable fields; reverting to a revision restores its before_json.
+CREATE TABLE IF NOT EXISTS event_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_id INTEGER NOT NULL REFERENCES cleaning_events(id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,
+  change_type TEXT NOT NULL CHECK (change_type IN ('edit', 'revert')),
+  reverted_to INTEGER,
+  changed_at TEXT NOT NULL,
+  changed_by TEXT NOT NULL,
+  before_json TEXT NOT NULL,
+  after_json TEXT NOT NULL,
+  UNIQUE (event_id, revision)
+);
+
+-- Photos and documents attached to cleaning events (see attachments.js). The files live in ATTACHMENTS_DIR
+-- under stored_name; images also get a JPEG thumbnail at thumbs/<stored_name>.jpg.
+CREATE TABLE IF NOT EXISTS event_attachments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_id INTEGER NOT NULL REFERENCES cleaning_events(id) ON DELETE CASCADE,
+  original_name TEXT NOT NULL,
+  stored_name TEXT NOT NULL UNIQUE,
+  mime_type TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  has_thumbnail INTEGER NOT NULL DEFAULT 0,
+  caption TEXT,
+  uploaded_by TEXT,
+  uploaded_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_attachments_event ON event_attachments(event_id);
 
 -- Projects table - tracks all defined projects with their streamer configuration
 -- Active project per vessel is stored in vessel_context, not here.
@@ -49,13 +92,33 @@ CREATE TABLE IF NOT EXISTS projects (
   module_frequency INTEGER DEFAULT 4,
   channels_per_section INTEGER DEFAULT 6,
   use_rope_for_tail INTEGER DEFAULT 1,
-  comments TEXT
+  comments TEXT,
+  -- Lifecycle (see projectLifecycle.js); closed and archived projects are read-only
+  status TEXT NOT NULL DEFAULT 'planned' CHECK (status IN ('planned', 'active', 'closed', 'archived')),
+  trash_id INTEGER REFERENCES trash(id)
 );
 
--- Per-vessel context: which project is active for each vessel (one active per vessel).
+-- Survey lines: a project's acquisition line log (sequence, line name, start and end in UTC), imported
+-- from CSV. Events are matched to the line or line change their cleaned_at falls in (see surveyLines.js).
+CREATE TABLE IF NOT EXISTS survey_lines (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  project_number TEXT NOT NULL,
+  sequence_number INTEGER NOT NULL CHECK (sequence_number > 0),
+  line_name TEXT,
+  started_at TEXT NOT NULL,
+  ended_at TEXT NOT NULL,
+  FOREIGN KEY(project_number) REFERENCES projects(project_number) ON DELETE CASCADE,
+  UNIQUE(project_number, sequence_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_survey_lines_project ON survey_lines(project_number, started_at);
+
+-- Per-vessel context: which project is active for each vessel (one active per vessel) and the
+-- IANA time zone the vessel keeps its day in (NULL = UTC; see vesselTime.js).
 CREATE TABLE IF NOT EXISTS vessel_context (
   vessel_tag TEXT PRIMARY KEY,
   active_project_id INTEGER,
+  time_zone TEXT,
   updated_at TEXT,
   FOREIGN KEY (active_project_id) REFERENCES projects(id) ON DELETE SET NULL
 );
@@ -76,6 +139,68 @@ CREATE TABLE IF NOT EXISTS streamer_deployments (
 -- Index for streamer_deployments
 CREATE INDEX IF NOT EXISTS idx_streamer_deployments_project ON streamer_deployments(project_id);
 
+-- Close-out summary recorded when a project is closed (JSON, see utils/closeOut.js)
+CREATE TABLE IF NOT EXISTS project_close_outs (
+  project_id INTEGER PRIMARY KEY,
+  closed_at TEXT NOT NULL,
+  closed_by TEXT,
+  summary TEXT NOT NULL,
+  FOREIGN KEY(project_id) REFERENCES projects(id) ON DELETE CASCADE
+);
+
+-- Streamer configuration versions (see configVersions.js): the layout a project had from effective_from
+-- (UTC; NULL = from the start) until the next version. The projects row holds the latest one.
+CREATE TABLE IF NOT EXISTS project_config_versions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  project_id INTEGER NOT NULL,
+  effective_from TEXT,
+  num_cables INTEGER NOT NULL,
+  sections_per_cable INTEGER NOT NULL,
+  section_length INTEGER NOT NULL,
+  module_frequency INTEGER NOT NULL,
+  channels_per_section INTEGER NOT NULL,
+  use_rope_for_tail INTEGER NOT NULL,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  FOREIGN KEY(project_id) REFERENCES projects(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_config_versions_project ON project_config_versions(project_id, effective_from);
+
+-- Catalogue of cleaning methods (see cleaningMethods.js); cleaning_events.cleaning_method holds method_key.
+-- Inactive methods stay for existing events but cannot be chosen for new ones.
+CREATE TABLE IF NOT EXISTS cleaning_methods (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  method_key TEXT UNIQUE NOT NULL,
+  label TEXT NOT NULL,
+  icon TEXT,
+  color TEXT NOT NULL,
+  is_active INTEGER NOT NULL DEFAULT 1,
+  sort_order INTEGER NOT NULL DEFAULT 0
+);
+
+-- Vessels a cleaning method is offered on; a method without rows is offered on every vessel.
+CREATE TABLE IF NOT EXISTS cleaning_method_vessels (
+  method_id INTEGER NOT NULL,
+  vessel_tag TEXT NOT NULL,
+  PRIMARY KEY (method_id, vessel_tag),
+  FOREIGN KEY(method_id) REFERENCES cleaning_methods(id) ON DELETE CASCADE
+);
+
+-- Saved column mappings for event file imports (see eventImport.js), per vessel.
+-- mapping_json maps import fields to header names, so a template fits files with the same headers in any order.
+CREATE TABLE IF NOT EXISTS import_templates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  vessel_tag TEXT NOT NULL,
+  mapping_json TEXT NOT NULL,
+  date_format TEXT NOT NULL,
+  section_base INTEGER NOT NULL DEFAULT 1,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  UNIQUE (vessel_tag, name)
+);
+
 -- Noise data: one row per CSV upload (batch header), scoped to a project
 CREATE TABLE IF NOT EXISTS noise_uploads (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -83,6 +208,7 @@ CREATE TABLE IF NOT EXISTS noise_uploads (
   vessel_tag TEXT NOT NULL,
   label TEXT,
   uploaded_at TEXT NOT NULL DEFAULT (datetime('now')),
+  trash_id INTEGER REFERENCES trash(id),
   FOREIGN KEY(project_number) REFERENCES projects(project_number) ON DELETE CASCADE
 );
 
@@ -96,3 +222,147 @@ CREATE TABLE IF NOT EXISTS noise_data (
 );
 
 CREATE INDEX IF NOT EXISTS idx_noise_data_upload ON noise_data(upload_id);
+
+-- Trash: one entry per delete action (see trash.js). Deleted rows keep their data and point here via
+-- trash_id; every query skips rows with a trash_id. Restoring clears trash_id, purging deletes the rows.
+-- item_type: 'event' (single event), 'events' (clear/cleanup of many) or 'project' (with its events,
+-- deployments and noise uploads). vessel_tag is NULL for a clear across all vessels.
+CREATE TABLE IF NOT EXISTS trash (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  item_type TEXT NOT NULL CHECK (item_type IN ('event', 'events', 'project')),
+  label TEXT NOT NULL,
+  project_number TEXT,
+  vessel_tag TEXT,
+  item_count INTEGER NOT NULL DEFAULT 0,
+  deleted_at TEXT NOT NULL,
+  deleted_by TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_trash_deleted ON trash(deleted_at);
+
+-- User accounts: bcrypt-hashed passwords, role and vessel scope.
+-- vessel_tag is the default working vessel; user_vessels holds every vessel assigned.
+-- totp_secret is pending until totp_enabled = 1; totp_last_counter blocks code replay.
+-- Seeded once from AUTH_USERS when empty; managed via /api/users afterwards.
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username TEXT UNIQUE NOT NULL,
+  password_hash TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('grandsuperuser', 'superuser', 'admin', 'viewer')),
+  vessel_tag TEXT,
+  is_global INTEGER NOT NULL DEFAULT 0,
+  is_active INTEGER NOT NULL DEFAULT 1,
+  totp_secret TEXT,
+  totp_enabled INTEGER NOT NULL DEFAULT 0,
+  totp_last_counter INTEGER,
+  created_at TEXT NOT NULL,
+  updated_at TEXT
+);
+
+-- Vessels a non-global user may see and work on (includes users.vessel_tag).
+CREATE TABLE IF NOT EXISTS user_vessels (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  vessel_tag TEXT NOT NULL,
+  PRIMARY KEY (user_id, vessel_tag)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_vessels_vessel ON user_vessels(vessel_tag);
+
+-- Login sessions: only a SHA-256 hash of the bearer token is stored.
+-- A session expires at expires_at (absolute) or after the idle timeout since last_seen_at.
+CREATE TABLE IF NOT EXISTS sessions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  token_hash TEXT UNIQUE NOT NULL,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TEXT NOT NULL,
+  last_seen_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  ip_address TEXT,
+  user_agent TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+
+-- Failed login tracking per username and per client IP (back-off + temporary lockout).
+CREATE TABLE IF NOT EXISTS login_attempts (
+  key_type TEXT NOT NULL CHECK (key_type IN ('username', 'ip')),
+  key_value TEXT NOT NULL,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  last_failed_at TEXT NOT NULL,
+  locked_until TEXT,
+  PRIMARY KEY (key_type, key_value)
+);
+
+-- Lockout history, visible to SuperUsers (vessel_tag = vessel of the targeted account, if known).
+CREATE TABLE IF NOT EXISTS lockout_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  key_type TEXT NOT NULL CHECK (key_type IN ('username', 'ip')),
+  key_value TEXT NOT NULL,
+  username TEXT,
+  ip_address TEXT,
+  vessel_tag TEXT,
+  failed_count INTEGER NOT NULL,
+  locked_at TEXT NOT NULL,
+  locked_until TEXT NOT NULL,
+  cleared_at TEXT,
+  cleared_by TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_lockout_events_vessel ON lockout_events(vessel_tag);
+
+-- Long-lived API tokens for scripts/integrations (only a SHA-256 hash is stored).
+-- permissions: comma-separated list of read, events:write, noise:write.
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  token_prefix TEXT NOT NULL,
+  vessel_tag TEXT NOT NULL,
+  permissions TEXT NOT NULL,
+  created_by TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  last_used_at TEXT,
+  revoked_at TEXT,
+  revoked_by TEXT
+);
+
+-- Role -> capability grants (see capabilities.js); seeded with defaults, edited by GrandSuperUsers.
+-- grandsuperuser is not listed: it always holds every capability.
+CREATE TABLE IF NOT EXISTS role_capabilities (
+  role TEXT NOT NULL CHECK (role IN ('superuser', 'admin', 'viewer')),
+  capability TEXT NOT NULL,
+  granted INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (role, capability)
+);
+
+-- One-time 2FA recovery codes (SHA-256 hashes); used_at is set when a code is spent.
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  used_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id);
+
+-- Audit trail of data mutations (see audit.js). No foreign keys: entries outlive deleted users and targets.
+-- vessel_tag is NULL for global changes (global config, backups); before_json/after_json hold the changed state.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at TEXT NOT NULL,
+  user_id INTEGER,
+  username TEXT NOT NULL,
+  role TEXT,
+  vessel_tag TEXT,
+  action TEXT NOT NULL,
+  target_type TEXT NOT NULL,
+  target_id TEXT,
+  before_json TEXT,
+  after_json TEXT,
+  ip_address TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_vessel ON audit_log(vessel_tag);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id);
@@ -9,24 +9,62 @@ const { initDb } = require("./db");
 const {
   loadUsersFromEnv,
   createAuthMiddleware,
+  grandSuperUserOnly,
   superUserOnly,
-  adminOrAbove,
 } = require("./middleware/auth");
+const { requireCapability } = require("./middleware/capabilities");
+const { CAPABILITIES, loadRoleCapabilities } = require("./capabilities");
+const { importUsersFromEnv } = require("./users");
+const { purgeExpiredSessions } = require("./sessions");
+const { purgeExpiredTrash, startTrashPurgeScheduler } = require("./trash");
+const { ATTACHMENT_BODY_LIMIT, removeOrphanedAttachmentFiles } = require("./attachments");
+const { seedCleaningMethods } = require("./cleaningMethods");
+const { normalizeEventTimestamps } = require("./vesselTime");
+const { recordPendingAudit } = require("./audit");
 const { createAuthRouter } = require("./routes/auth");
+const { createUsersRouter } = require("./routes/users");
+const { createSessionsRouter } = require("./routes/sessions");
+const { createLockoutsRouter } = require("./routes/lockouts");
+const { createApiTokensRouter } = require("./routes/apiTokens");
+const { createTwoFactorRouter } = require("./routes/twoFactor");
+const { createCapabilitiesRouter } = require("./routes/capabilities");
+const { createAuditRouter } = require("./routes/audit");
+const { createTrashRouter } = require("./routes/trash");
 const { createBackupsRouter } = require("./routes/backups");
 const { createConfigRouter } = require("./routes/config");
+const { createCleaningMethodsRouter } = require("./routes/cleaningMethods");
 const { createProjectsRouter } = require("./routes/projects");
 const { createEventsRouter } = require("./routes/events");
+const { createEventImportRouter, IMPORT_BODY_LIMIT } = require("./routes/eventImport");
+const { createAttachmentsRouter } = require("./routes/attachments");
 const { createStatsRouter } = require("./routes/stats");
 const { createNoiseRouter } = require("./routes/noise");
+const { createSurveyLinesRouter } = require("./routes/surveyLines");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-initDb();
 
-const users = loadUsersFromEnv();
-const sessions = new Map();
-const authMiddleware = createAuthMiddleware(sessions);
+// Schema first, then write audit entries kept for this start (a backup restore's),
+// seed the users table from AUTH_USERS (first start only),
+// load the role -> capability table, seed the default cleaning methods, store event times in UTC ISO form,
+// drop sessions that expired while the server was down
+// purge trash past its retention period and drop attachment files the database no longer
+// references (e.g. after a backup restore)
+const ready = initDb()
+  .then(() => recordPendingAudit())
+  .then(() => importUsersFromEnv(loadUsersFromEnv()))
+  .then(() => loadRoleCapabilities())
+  .then(() => seedCleaningMethods())
+  .then(() => normalizeEventTimestamps())
+  .then(() => purgeExpiredSessions())
+  .then(() => purgeExpiredTrash())
+  .then(() => removeOrphanedAttachmentFiles())
+  .catch((err) => {
+    console.error("Startup failed:", err);
+    process.exit(1);
+  });
+
+const authMiddleware = createAuthMiddleware();
 
 app.use(helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" },
@@ -59,6 +97,10 @@ app.use(
   })
 );
 
+// File imports carry the file base64-encoded, so they get a larger body limit.
+app.use("/api/events/import", express.json({ limit: IMPORT_BODY_LIMIT }));
+app.use("/api/survey-lines/import", express.json({ limit: IMPORT_BODY_LIMIT }));
+app.use("/api/events/:id/attachments", express.json({ limit: ATTACHMENT_BODY_LIMIT }));
 app.use(express.json());
 // serve frontend
 app.use(express.static(path.join(__dirname, "..", "public")));
@@ -79,21 +121,46 @@ app.get("/planning", (_req, res) => {
 });
 
 // Mount route modules
-const authRouter = createAuthRouter(sessions, users, authMiddleware);
-const backupsRouter = createBackupsRouter(authMiddleware, superUserOnly);
-const configRouter = createConfigRouter(authMiddleware, superUserOnly);
-const projectsRouter = createProjectsRouter(authMiddleware, superUserOnly);
-const eventsRouter = createEventsRouter(authMiddleware, adminOrAbove);
+const authRouter = createAuthRouter(authMiddleware);
+const usersRouter = createUsersRouter(authMiddleware, grandSuperUserOnly);
+const canManageSecurity = requireCapability(CAPABILITIES.SECURITY_MANAGE);
+const sessionsRouter = createSessionsRouter(authMiddleware, canManageSecurity);
+const lockoutsRouter = createLockoutsRouter(authMiddleware, canManageSecurity);
+const apiTokensRouter = createApiTokensRouter(authMiddleware, canManageSecurity);
+const twoFactorRouter = createTwoFactorRouter(authMiddleware, superUserOnly);
+const capabilitiesRouter = createCapabilitiesRouter(authMiddleware, grandSuperUserOnly);
+const auditRouter = createAuditRouter(authMiddleware, requireCapability(CAPABILITIES.AUDIT_VIEW));
+const trashRouter = createTrashRouter(authMiddleware, requireCapability(CAPABILITIES.TRASH_MANAGE));
+const backupsRouter = createBackupsRouter(authMiddleware, requireCapability);
+const configRouter = createConfigRouter(authMiddleware, requireCapability);
+const cleaningMethodsRouter = createCleaningMethodsRouter(authMiddleware, requireCapability(CAPABILITIES.METHODS_MANAGE));
+const projectsRouter = createProjectsRouter(authMiddleware, requireCapability);
+const eventsRouter = createEventsRouter(authMiddleware, requireCapability);
+const eventImportRouter = createEventImportRouter(authMiddleware, requireCapability(CAPABILITIES.EVENTS_WRITE));
+const attachmentsRouter = createAttachmentsRouter(authMiddleware, requireCapability(CAPABILITIES.EVENTS_WRITE));
 const statsRouter = createStatsRouter(authMiddleware);
-const noiseRouter = createNoiseRouter(authMiddleware, adminOrAbove);
+const noiseRouter = createNoiseRouter(authMiddleware, requireCapability);
+const surveyLinesRouter = createSurveyLinesRouter(authMiddleware, requireCapability(CAPABILITIES.LINES_IMPORT));
 
 app.use("/", authRouter);
+app.use("/", usersRouter);
+app.use("/", sessionsRouter);
+app.use("/", lockoutsRouter);
+app.use("/", apiTokensRouter);
+app.use("/", twoFactorRouter);
+app.use("/", capabilitiesRouter);
+app.use("/", auditRouter);
+app.use("/", trashRouter);
 app.use("/", backupsRouter);
 app.use("/", configRouter);
+app.use("/", cleaningMethodsRouter);
 app.use("/", projectsRouter);
+app.use("/", eventImportRouter);
+app.use("/", attachmentsRouter);
 app.use("/", eventsRouter);
 app.use("/", statsRouter);
 app.use("/", noiseRouter);
+app.use("/", surveyLinesRouter);
 
 // fallback
 app.get("*", (_req, res) => {
@@ -102,10 +169,13 @@ app.get("*", (_req, res) => {
 
 // Only start server when run directly (not when required for tests)
 if (require.main === module) {
-  app.listen(PORT, "0.0.0.0", () => {
-    console.log(`Server running on http://localhost:${PORT}`);
+  ready.then(() => {
+    startTrashPurgeScheduler();
+    app.listen(PORT, "0.0.0.0", () => {
+      console.log(`Server running on http://localhost:${PORT}`);
+    });
   });
 }
 
-module.exports = { app };
+module.exports = { app, ready };
 
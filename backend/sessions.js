@@ -0,0 +1,191 @@
+// sessions.js
+const crypto = require("crypto");
+const { runAsync, getOneCamelized, getAllCamelized } = require("./db");
+const { toInt } = require("./utils/validation");
+const { buildVesselScopeCondition } = require("./utils/queryHelpers");
+const { USER_VESSEL_TAGS_SQL, splitVesselTags } = require("./utils/vesselTags");
+
+/** Absolute session lifetime (SESSION_MAX_AGE_HOURS, default 12h). */
+const SESSION_MAX_AGE_MS = toInt(process.env.SESSION_MAX_AGE_HOURS, 12) * 60 * 60 * 1000;
+/** Idle timeout since last request (SESSION_IDLE_TIMEOUT_MINUTES, default 120 min). */
+const SESSION_IDLE_TIMEOUT_MS = toInt(process.env.SESSION_IDLE_TIMEOUT_MINUTES, 120) * 60 * 1000;
+/** last_seen_at is only rewritten when older than this, to avoid a write per request. */
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+const MAX_USER_AGENT_LENGTH = 255;
+
+/**
+ * Hash a bearer token for storage/lookup; raw tokens never touch the database.
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/** ISO timestamp before which last_seen_at counts as idle. */
+function idleCutoff(now = Date.now()) {
+  return new Date(now - SESSION_IDLE_TIMEOUT_MS).toISOString();
+}
+
+/**
+ * Persist a new session for a user.
+ * @param {string} token - Raw bearer token returned to the client
+ * @param {number} userId
+ * @param {{ ipAddress?: string|null, userAgent?: string|null }} client
+ */
+async function createSession(token, userId, { ipAddress = null, userAgent = null } = {}) {
+  const now = Date.now();
+  await runAsync(
+    `INSERT INTO sessions (token_hash, user_id, created_at, last_seen_at, expires_at, ip_address, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      hashToken(token),
+      userId,
+      new Date(now).toISOString(),
+      new Date(now).toISOString(),
+      new Date(now + SESSION_MAX_AGE_MS).toISOString(),
+      ipAddress,
+      userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+    ]
+  );
+}
+
+/**
+ * Resolve a bearer token to its session and (active) user, refreshing last_seen_at.
+ * Returns null for unknown, expired, idle or disabled-user sessions.
+ * @param {string} token
+ * @returns {Promise<{ sessionId: number, userId: number, username: string, role: string, vesselTag: string|null, vesselTags: string[], isGlobal: boolean }|null>}
+ */
+async function getActiveSession(token) {
+  const now = Date.now();
+  const row = await getOneCamelized(
+    `SELECT s.id AS session_id, s.last_seen_at, u.id AS user_id, u.username, u.role, u.vessel_tag, u.is_global,
+            ${USER_VESSEL_TAGS_SQL} AS vessel_tags
+     FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.token_hash = ? AND s.expires_at > ? AND s.last_seen_at > ? AND u.is_active = 1`,
+    [hashToken(token), new Date(now).toISOString(), idleCutoff(now)]
+  );
+  if (!row) return null;
+
+  if (now - new Date(row.lastSeenAt).getTime() > LAST_SEEN_RESOLUTION_MS) {
+    await runAsync("UPDATE sessions SET last_seen_at = ? WHERE id = ?", [
+      new Date(now).toISOString(),
+      row.sessionId,
+    ]);
+  }
+
+  return {
+    sessionId: row.sessionId,
+    userId: row.userId,
+    username: row.username,
+    role: row.role,
+    vesselTag: row.vesselTag ?? null,
+    vesselTags: splitVesselTags(row.vesselTags, row.vesselTag ?? null),
+    isGlobal: row.isGlobal === 1,
+  };
+}
+
+/**
+ * Look up a session's owner (for scope checks before revoking).
+ * @param {number} id
+ * @returns {Promise<{ id: number, userId: number, role: string, vesselTag: string|null, vesselTags: string[], isGlobal: number }|null>}
+ */
+async function getSessionOwner(id) {
+  const row = await getOneCamelized(
+    `SELECT s.id, s.user_id, u.role, u.vessel_tag, u.is_global,
+            ${USER_VESSEL_TAGS_SQL} AS vessel_tags
+     FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = ?`,
+    [id]
+  );
+  return row ? { ...row, vesselTags: splitVesselTags(row.vesselTags, row.vesselTag ?? null) } : null;
+}
+
+/**
+ * Delete the session for a raw token (logout).
+ * @param {string} token
+ */
+async function deleteSessionByToken(token) {
+  await runAsync("DELETE FROM sessions WHERE token_hash = ?", [hashToken(token)]);
+}
+
+/**
+ * Delete a session by id.
+ * @param {number} id
+ * @returns {Promise<number>} Rows deleted
+ */
+async function deleteSessionById(id) {
+  const result = await runAsync("DELETE FROM sessions WHERE id = ?", [id]);
+  return result.changes;
+}
+
+/**
+ * Delete every session belonging to a user, optionally keeping one (e.g. the caller's own).
+ * @param {number} userId
+ * @param {number|null} [exceptSessionId]
+ * @returns {Promise<number>} Rows deleted
+ */
+async function deleteUserSessions(userId, exceptSessionId = null) {
+  const result = await runAsync(
+    "DELETE FROM sessions WHERE user_id = ? AND id IS NOT ?",
+    [userId, exceptSessionId]
+  );
+  return result.changes;
+}
+
+/**
+ * Remove sessions past their absolute lifetime or idle timeout.
+ * @returns {Promise<number>} Rows deleted
+ */
+async function purgeExpiredSessions() {
+  const now = Date.now();
+  const result = await runAsync(
+    "DELETE FROM sessions WHERE expires_at <= ? OR last_seen_at <= ?",
+    [new Date(now).toISOString(), idleCutoff(now)]
+  );
+  return result.changes;
+}
+
+/**
+ * List active sessions, optionally limited to users whose vessels all lie inside a vessel scope.
+ * Global users are only visible when vesselScope is null.
+ * @param {string[]|null} vesselScope - From req.vesselScope
+ * @returns {Promise<Array<Object>>} camelCase rows with user details
+ */
+async function listActiveSessions(vesselScope) {
+  const now = Date.now();
+  const params = [new Date(now).toISOString(), idleCutoff(now)];
+  let scopeClause = "";
+  if (vesselScope) {
+    const primary = buildVesselScopeCondition("u.vessel_tag", vesselScope);
+    const assigned = buildVesselScopeCondition("uv.vessel_tag", vesselScope);
+    scopeClause = `AND ${primary.sql} AND u.is_global = 0 AND u.role != 'grandsuperuser'
+       AND NOT EXISTS (SELECT 1 FROM user_vessels uv WHERE uv.user_id = u.id AND NOT ${assigned.sql})`;
+    params.push(...primary.params, ...assigned.params);
+  }
+  return getAllCamelized(
+    `SELECT s.id, s.user_id, u.username, u.role, u.vessel_tag, s.created_at, s.last_seen_at,
+            s.expires_at, s.ip_address, s.user_agent
+     FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.expires_at > ? AND s.last_seen_at > ? AND u.is_active = 1 ${scopeClause}
+     ORDER BY s.last_seen_at DESC`,
+    params
+  );
+}
+
+module.exports = {
+  hashToken,
+  SESSION_MAX_AGE_MS,
+  SESSION_IDLE_TIMEOUT_MS,
+  createSession,
+  getActiveSession,
+  getSessionOwner,
+  deleteSessionByToken,
+  deleteSessionById,
+  deleteUserSessions,
+  purgeExpiredSessions,
+  listActiveSessions,
+};
@@ -0,0 +1,176 @@
+// surveyLines.js
+const { runAsync, getAllCamelized, inTransaction } = require("./db");
+const { findFieldForHeader, detectDateFormat, parseDateValue } = require("./eventImport");
+const { classifyLinePhase, findOverlappingLines } = require("./utils/surveyLines");
+
+/** Line log columns a file header can name; headerless files use HEADERLESS_LAYOUT. */
+const LINE_LOG_FIELDS = {
+  sequenceNumber: { required: true, aliases: ["sequence", "seq", "sequencenumber", "sequenceno", "seqno", "seqnumber"] },
+  lineName: { required: false, aliases: ["line", "linename", "linenumber", "lineno", "lineid", "name"] },
+  startedAt: { required: true, aliases: ["start", "starttime", "started", "startedat", "sol", "startofline", "fsptime", "firstshottime"] },
+  endedAt: { required: true, aliases: ["end", "endtime", "ended", "endedat", "eol", "endofline", "lsptime", "lastshottime"] },
+};
+const HEADERLESS_LAYOUT = ["sequenceNumber", "lineName", "startedAt", "endedAt"];
+const MAX_LINE_NAME_LENGTH = 64;
+
+/**
+ * A project's line log, in time order.
+ * @param {string} projectNumber
+ * @returns {Promise<Array<{ id: number, projectNumber: string, sequenceNumber: number, lineName: string|null, startedAt: string, endedAt: string }>>}
+ */
+async function listSurveyLines(projectNumber) {
+  return getAllCamelized(
+    `SELECT id, project_number, sequence_number, line_name, started_at, ended_at
+     FROM survey_lines WHERE project_number = ? ORDER BY started_at ASC`,
+    [projectNumber]
+  );
+}
+
+/**
+ * Line logs of several projects.
+ * @param {string[]} projectNumbers
+ * @returns {Promise<Map<string, Array<Object>>>} Project number → lines in time order
+ */
+async function loadLinesByProject(projectNumbers) {
+  const unique = [...new Set(projectNumbers.filter(Boolean))];
+  const linesByProject = new Map(unique.map((projectNumber) => [projectNumber, []]));
+  if (unique.length === 0) return linesByProject;
+  const rows = await getAllCamelized(
+    `SELECT project_number, sequence_number, line_name, started_at, ended_at FROM survey_lines
+     WHERE project_number IN (${unique.map(() => "?").join(", ")}) ORDER BY started_at ASC`,
+    unique
+  );
+  rows.forEach((row) => linesByProject.get(row.projectNumber).push(row));
+  return linesByProject;
+}
+
+/**
+ * Add surveyLine (see classifyLinePhase) to each event: the line its cleaned_at falls in,
+ * the line change it happened during, or { phase: "outside" }.
+ * @param {Array<Object>} events - Camelized cleaning_events rows
+ * @returns {Promise<Array<Object>>}
+ */
+async function withSurveyLines(events) {
+  const linesByProject = await loadLinesByProject(events.map((event) => event.projectNumber));
+  return events.map((event) => ({
+    ...event,
+    surveyLine: classifyLinePhase(linesByProject.get(event.projectNumber) || [], event.cleanedAt),
+  }));
+}
+
+/**
+ * Read the lines of a parsed line log file (from parseImportFile with LINE_LOG_FIELDS).
+ * Times without a zone are read in timeZone (the project vessel's).
+ * @param {{ hasHeader: boolean, headers: string[], rows: string[][] }} parsed
+ * @param {string} timeZone
+ * @returns {{ error: string } | { results: Array<{ index: number, line: Object|null, reason?: string }> }}
+ *   line is null for rows that could not be read
+ */
+function readLineLog(parsed, timeZone) {
+  const mapping = {};
+  if (parsed.hasHeader) {
+    parsed.headers.forEach((header, index) => {
+      const field = findFieldForHeader(header, LINE_LOG_FIELDS);
+      if (field && mapping[field] === undefined) mapping[field] = index;
+    });
+  } else {
+    HEADERLESS_LAYOUT.forEach((field, index) => {
+      if (index < parsed.headers.length) mapping[field] = index;
+    });
+  }
+  const missing = Object.keys(LINE_LOG_FIELDS).filter((field) => LINE_LOG_FIELDS[field].required && mapping[field] === undefined);
+  if (missing.length > 0) {
+    return { error: `The line log needs sequence, start and end columns (missing: ${missing.join(", ")})` };
+  }
+
+  const read = (cells, field) => (mapping[field] === undefined ? "" : String(cells[mapping[field]] ?? "").trim());
+  const dateFormat = detectDateFormat(parsed.rows.flatMap((cells) => [read(cells, "startedAt"), read(cells, "endedAt")]));
+  const seen = new Set();
+  const results = parsed.rows.map((cells, index) => {
+    const reject = (reason) => ({ index, line: null, reason });
+    const sequenceNumber = Number(read(cells, "sequenceNumber"));
+    if (!Number.isInteger(sequenceNumber) || sequenceNumber < 1) return reject("Sequence must be a positive whole number");
+    if (seen.has(sequenceNumber)) return reject(`Sequence ${sequenceNumber} appears more than once`);
+    seen.add(sequenceNumber);
+    const lineName = read(cells, "lineName");
+    if (lineName.length > MAX_LINE_NAME_LENGTH) return reject(`Line name must be at most ${MAX_LINE_NAME_LENGTH} characters`);
+    const startedAt = parseDateValue(read(cells, "startedAt"), "", dateFormat, timeZone);
+    const endedAt = parseDateValue(read(cells, "endedAt"), "", dateFormat, timeZone);
+    if (!startedAt || !endedAt) return reject("Start and end must be dates and times");
+    if (endedAt <= startedAt) return reject("The line must end after it starts");
+    return { index, line: { sequenceNumber, lineName: lineName || null, startedAt, endedAt } };
+  });
+  return { results };
+}
+
+/**
+ * Merge imported lines into a project's log: a sequence already in the log is updated,
+ * others are added. The first imported line found overlapping another line is rejected
+ * (the stored log never overlaps, so any overlap involves an imported line).
+ * @param {Array<Object>} existing - From listSurveyLines
+ * @param {Array<{ index: number, line: Object|null, reason?: string }>} results - From readLineLog
+ * @returns {{ counts: { created: number, updated: number, rejected: number }, results: Array<Object> }}
+ *   each result gets status "created", "updated" or "rejected"
+ */
+function planLineImport(existing, results) {
+  const bySequence = new Map(existing.map((line) => [line.sequenceNumber, line]));
+  results.forEach((result) => {
+    if (result.line) bySequence.set(result.line.sequenceNumber, result.line);
+  });
+  const merged = [...bySequence.values()].sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  const overlap = findOverlappingLines(merged);
+
+  const counts = { created: 0, updated: 0, rejected: 0 };
+  const planned = results.map((result) => {
+    let status = "rejected";
+    let reason = result.reason;
+    if (result.line && overlap && overlap.includes(result.line)) {
+      const other = overlap.find((line) => line !== result.line);
+      reason = `Sequence ${result.line.sequenceNumber} overlaps sequence ${other.sequenceNumber}`;
+    } else if (result.line) {
+      status = existing.some((line) => line.sequenceNumber === result.line.sequenceNumber) ? "updated" : "created";
+    }
+    counts[status] += 1;
+    return reason ? { index: result.index, status, reason } : { index: result.index, status, line: result.line };
+  });
+  return { counts, results: planned };
+}
+
+/**
+ * Write planned lines (nothing rejected) in one transaction.
+ * @param {string} projectNumber
+ * @param {Array<Object>} results - From planLineImport
+ */
+async function saveSurveyLines(projectNumber, results) {
+  await inTransaction(async () => {
+    for (const { line } of results) {
+      await runAsync(
+        `INSERT INTO survey_lines (project_number, sequence_number, line_name, started_at, ended_at) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(project_number, sequence_number) DO UPDATE SET
+           line_name = excluded.line_name, started_at = excluded.started_at, ended_at = excluded.ended_at`,
+        [projectNumber, line.sequenceNumber, line.lineName, line.startedAt, line.endedAt]
+      );
+    }
+  });
+}
+
+/**
+ * Remove a project's line log.
+ * @param {string} projectNumber
+ * @returns {Promise<number>} Lines removed
+ */
+async function clearSurveyLines(projectNumber) {
+  const result = await runAsync("DELETE FROM survey_lines WHERE project_number = ?", [projectNumber]);
+  return result.changes;
+}
+
+module.exports = {
+  LINE_LOG_FIELDS,
+  listSurveyLines,
+  loadLinesByProject,
+  withSurveyLines,
+  readLineLog,
+  planLineImport,
+  saveSurveyLines,
+  clearSurveyLines,
+};
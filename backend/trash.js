@@ -0,0 +1,215 @@
+// trash.js
+const { runAsync, getAsync, getOneCamelized, getAllCamelized, inTransaction } = require("./db");
+const { toInt } = require("./utils/validation");
+const { buildVesselScopeCondition } = require("./utils/queryHelpers");
+const { removeOrphanedAttachmentFiles } = require("./attachments");
+
+/** Days a trash entry is kept before it is purged for good (TRASH_RETENTION_DAYS, default 30). */
+const TRASH_RETENTION_DAYS = toInt(process.env.TRASH_RETENTION_DAYS, 30);
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+/** How often the running server looks for expired entries. */
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+async function insertEntry({ itemType, label, projectNumber = null, vesselTag = null }, deletedBy) {
+  const result = await runAsync(
+    `INSERT INTO trash (item_type, label, project_number, vessel_tag, item_count, deleted_at, deleted_by)
+     VALUES (?, ?, ?, ?, 0, ?, ?)`,
+    [itemType, label, projectNumber, vesselTag, new Date().toISOString(), deletedBy]
+  );
+  return result.lastID;
+}
+
+/**
+ * Move matching (not yet trashed) events to one new trash entry.
+ * @param {{ sql: string, params: Array }|null} condition - Extra WHERE condition on cleaning_events; null for all events
+ * @param {{ itemType: 'event'|'events', label: string, projectNumber?: string|null, vesselTag?: string|null }} entry
+ * @param {string} deletedBy - Username
+ * @returns {Promise<{ trashId: number|null, count: number }>} trashId is null when nothing matched
+ */
+async function moveEventsToTrash(condition, entry, deletedBy) {
+  return inTransaction(async () => {
+    const trashId = await insertEntry(entry, deletedBy);
+    const where = condition ? ` AND ${condition.sql}` : "";
+    const result = await runAsync(
+      `UPDATE cleaning_events SET trash_id = ? WHERE trash_id IS NULL${where}`,
+      [trashId, ...(condition ? condition.params : [])]
+    );
+    if (result.changes === 0) {
+      await runAsync("DELETE FROM trash WHERE id = ?", [trashId]);
+      return { trashId: null, count: 0 };
+    }
+    await runAsync("UPDATE trash SET item_count = ? WHERE id = ?", [result.changes, trashId]);
+    return { trashId, count: result.changes };
+  });
+}
+
+/**
+ * Move a project to the trash together with its events and noise uploads. Deployments stay
+ * attached to the project row and return with it; an active project is deactivated.
+ * @param {{ id: number, projectNumber: string, projectName?: string|null, vesselTag?: string|null }} project
+ * @param {string} deletedBy - Username
+ * @returns {Promise<{ trashId: number, eventCount: number }>}
+ */
+async function moveProjectToTrash(project, deletedBy) {
+  return inTransaction(async () => {
+    const label = project.projectName
+      ? `${project.projectNumber} – ${project.projectName}`
+      : project.projectNumber;
+    const trashId = await insertEntry(
+      { itemType: "project", label, projectNumber: project.projectNumber, vesselTag: project.vesselTag ?? null },
+      deletedBy
+    );
+    await runAsync("UPDATE projects SET trash_id = ? WHERE id = ?", [trashId, project.id]);
+    const events = await runAsync(
+      "UPDATE cleaning_events SET trash_id = ? WHERE trash_id IS NULL AND project_number = ?",
+      [trashId, project.projectNumber]
+    );
+    await runAsync(
+      "UPDATE noise_uploads SET trash_id = ? WHERE trash_id IS NULL AND project_number = ?",
+      [trashId, project.projectNumber]
+    );
+    await runAsync(
+      "UPDATE vessel_context SET active_project_id = NULL, updated_at = ? WHERE active_project_id = ?",
+      [new Date().toISOString(), project.id]
+    );
+    await runAsync("UPDATE trash SET item_count = ? WHERE id = ?", [events.changes, trashId]);
+    return { trashId, eventCount: events.changes };
+  });
+}
+
+/**
+ * Whether a project number belongs to a project in the trash.
+ * @param {string} projectNumber
+ * @returns {Promise<boolean>}
+ */
+async function isProjectTrashed(projectNumber) {
+  const row = await getAsync(
+    "SELECT 1 AS trashed FROM projects WHERE project_number = ? AND trash_id IS NOT NULL",
+    [projectNumber]
+  );
+  return Boolean(row);
+}
+
+function withExpiry(entry) {
+  return {
+    ...entry,
+    expiresAt: new Date(new Date(entry.deletedAt).getTime() + TRASH_RETENTION_MS).toISOString(),
+  };
+}
+
+/**
+ * Trash entries, newest first. Per-vessel callers only see their vessels' entries.
+ * @param {string[]|null} vesselScope - From req.vesselScope
+ * @returns {Promise<Array<Object>>}
+ */
+async function listTrash(vesselScope) {
+  const params = [];
+  let where = "";
+  if (vesselScope) {
+    const scope = buildVesselScopeCondition("vessel_tag", vesselScope);
+    where = `WHERE ${scope.sql}`;
+    params.push(...scope.params);
+  }
+  const rows = await getAllCamelized(`SELECT * FROM trash ${where} ORDER BY deleted_at DESC, id DESC`, params);
+  return rows.map(withExpiry);
+}
+
+/**
+ * Look up a single trash entry.
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+async function getTrashEntry(id) {
+  const row = await getOneCamelized("SELECT * FROM trash WHERE id = ?", [id]);
+  return row ? withExpiry(row) : null;
+}
+
+/**
+ * Bring back everything in a trash entry.
+ * @param {Object} entry - Row from getTrashEntry
+ * @returns {Promise<{ restored: boolean, error?: string }>} error when events would come back without their project
+ */
+async function restoreTrashEntry(entry) {
+  if (entry.itemType !== "project") {
+    const orphan = await getAsync(
+      `SELECT e.project_number FROM cleaning_events e
+       LEFT JOIN projects p ON p.project_number = e.project_number
+       WHERE e.trash_id = ? AND e.project_number IS NOT NULL AND (p.id IS NULL OR p.trash_id IS NOT NULL)
+       LIMIT 1`,
+      [entry.id]
+    );
+    if (orphan) {
+      return { restored: false, error: `Project ${orphan.project_number} is in the trash or no longer exists; restore it first` };
+    }
+  }
+
+  await inTransaction(async () => {
+    await runAsync("UPDATE projects SET trash_id = NULL WHERE trash_id = ?", [entry.id]);
+    await runAsync("UPDATE cleaning_events SET trash_id = NULL WHERE trash_id = ?", [entry.id]);
+    await runAsync("UPDATE noise_uploads SET trash_id = NULL WHERE trash_id = ?", [entry.id]);
+    await runAsync("DELETE FROM trash WHERE id = ?", [entry.id]);
+  });
+  return { restored: true };
+}
+
+/**
+ * Permanently delete everything in a trash entry. Deleting a project cascades to its
+ * deployments, noise data and any of its events trashed separately; entries left empty
+ * by that are dropped too, and so are the files of the deleted events' attachments.
+ * @param {number} id
+ */
+async function purgeTrashEntry(id) {
+  await inTransaction(async () => {
+    await runAsync("DELETE FROM cleaning_events WHERE trash_id = ?", [id]);
+    await runAsync("DELETE FROM noise_uploads WHERE trash_id = ?", [id]);
+    await runAsync("DELETE FROM projects WHERE trash_id = ?", [id]);
+    await runAsync(
+      `DELETE FROM trash WHERE id = ?
+         OR (NOT EXISTS (SELECT 1 FROM cleaning_events WHERE trash_id = trash.id)
+             AND NOT EXISTS (SELECT 1 FROM projects WHERE trash_id = trash.id))`,
+      [id]
+    );
+  });
+  await removeOrphanedAttachmentFiles();
+}
+
+/**
+ * Purge entries older than the retention period.
+ * @returns {Promise<number>} Number of entries purged
+ */
+async function purgeExpiredTrash() {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_MS).toISOString();
+  const expired = await getAllCamelized("SELECT id FROM trash WHERE deleted_at < ? ORDER BY id", [cutoff]);
+  for (const { id } of expired) {
+    await purgeTrashEntry(id);
+  }
+  if (expired.length > 0) {
+    console.log(`[trash] Purged ${expired.length} entry(ies) older than ${TRASH_RETENTION_DAYS} days.`);
+  }
+  return expired.length;
+}
+
+let purgeInterval = null;
+
+/**
+ * Periodically purge expired trash while the server runs (startup purge is done by server.js).
+ */
+function startTrashPurgeScheduler() {
+  purgeInterval = setInterval(() => {
+    purgeExpiredTrash().catch((err) => console.error("Trash purge failed:", err));
+  }, PURGE_INTERVAL_MS);
+  purgeInterval.unref();
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  moveEventsToTrash,
+  moveProjectToTrash,
+  isProjectTrashed,
+  listTrash,
+  getTrashEntry,
+  restoreTrashEntry,
+  purgeTrashEntry,
+  purgeExpiredTrash,
+  startTrashPurgeScheduler,
+};
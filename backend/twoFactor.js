@@ -0,0 +1,259 @@
+// twoFactor.js
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const { runAsync, getOneCamelized, getAsync } = require("./db");
+const { hashToken } = require("./sessions");
+const { updateUserFields } = require("./users");
+const { ROLES } = require("./middleware/auth");
+const { generateSecret, verifyCode, buildOtpauthUrl } = require("./utils/totp");
+
+/** Issuer shown in authenticator apps. */
+const TOTP_ISSUER = "Streamer Maintenance";
+/** Roles that may enroll a second factor. */
+const TWO_FACTOR_ROLES = [ROLES.GRAND_SUPER_USER, ROLES.SUPER_USER];
+/** Roles that must use a second factor (TWO_FACTOR_REQUIRED_ROLES, comma-separated; default none). */
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || "")
+  .split(",")
+  .map((role) => role.trim().toLowerCase())
+  .filter((role) => {
+    if (!role) return false;
+    if (!TWO_FACTOR_ROLES.includes(role)) {
+      console.warn(`[auth] Ignoring TWO_FACTOR_REQUIRED_ROLES entry "${role}" – only superuser and grandsuperuser use 2FA`);
+      return false;
+    }
+    return true;
+  });
+const RECOVERY_CODE_COUNT = 10;
+/** Time allowed between the password step and the code step. */
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+/** Wrong codes accepted per challenge before the password must be entered again. */
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+/**
+ * Pending second-factor logins, keyed by hashed challenge token.
+ * Kept in memory: a restart only means signing in with the password again.
+ * @type {Map<string, { userId: number, username: string, enrollment: boolean, attempts: number, expiresAt: number }>}
+ */
+const challenges = new Map();
+
+/**
+ * Whether the role may enroll 2FA.
+ * @param {string} role
+ * @returns {boolean}
+ */
+function isTwoFactorRole(role) {
+  return TWO_FACTOR_ROLES.includes(role);
+}
+
+/**
+ * Whether the role is required to use 2FA.
+ * @param {string} role
+ * @returns {boolean}
+ */
+function isTwoFactorRequired(role) {
+  return TWO_FACTOR_REQUIRED_ROLES.includes(role);
+}
+
+/**
+ * Normalize a recovery code for hashing (case and separators ignored).
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Generate a pending secret for a user (replaces any earlier pending one) with its QR code.
+ * The secret only takes effect once confirmed through enableTwoFactor.
+ * @param {{ id: number, username: string, vesselTag?: string|null }} user
+ * @returns {Promise<{ secret: string, otpauthUrl: string, qrCode: string }>} qrCode is a PNG data URL
+ */
+async function startEnrollment(user) {
+  const secret = generateSecret();
+  await updateUserFields(user.id, { totp_secret: secret, totp_enabled: 0, totp_last_counter: null });
+  const otpauthUrl = buildOtpauthUrl({
+    secret,
+    accountName: user.vesselTag ? `${user.username} (${user.vesselTag})` : user.username,
+    issuer: TOTP_ISSUER,
+  });
+  const qrCode = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 200 });
+  return { secret, otpauthUrl, qrCode };
+}
+
+/**
+ * Check a TOTP code for a user, rejecting a code whose time step was already used.
+ * @param {number} userId
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+async function verifyTotp(userId, code) {
+  const row = await getOneCamelized(
+    "SELECT totp_secret, totp_last_counter FROM users WHERE id = ?",
+    [userId]
+  );
+  if (!row?.totpSecret) return false;
+
+  const counter = verifyCode(row.totpSecret, code);
+  if (counter === null || (row.totpLastCounter !== null && counter <= row.totpLastCounter)) {
+    return false;
+  }
+  await runAsync("UPDATE users SET totp_last_counter = ? WHERE id = ?", [counter, userId]);
+  return true;
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set.
+ * @param {number} userId
+ * @returns {Promise<string[]>} Plaintext codes (only ever returned here)
+ */
+async function regenerateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  const now = new Date().toISOString();
+  await runAsync("DELETE FROM user_recovery_codes WHERE user_id = ?", [userId]);
+  for (const code of codes) {
+    await runAsync(
+      "INSERT INTO user_recovery_codes (user_id, code_hash, created_at) VALUES (?, ?, ?)",
+      [userId, hashToken(normalizeRecoveryCode(code)), now]
+    );
+  }
+  return codes;
+}
+
+/**
+ * Spend a recovery code.
+ * @param {number} userId
+ * @param {string} code
+ * @returns {Promise<boolean>} True if the code was valid and unused
+ */
+async function useRecoveryCode(userId, code) {
+  const result = await runAsync(
+    "UPDATE user_recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL",
+    [new Date().toISOString(), userId, hashToken(normalizeRecoveryCode(code))]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Confirm the pending secret with a code and turn 2FA on.
+ * @param {number} userId
+ * @param {string} code
+ * @returns {Promise<string[]|null>} New recovery codes, or null if the code was wrong
+ */
+async function enableTwoFactor(userId, code) {
+  if (!(await verifyTotp(userId, code))) return null;
+  await updateUserFields(userId, { totp_enabled: 1 });
+  return regenerateRecoveryCodes(userId);
+}
+
+/**
+ * Turn 2FA off and forget the secret and recovery codes.
+ * @param {number} userId
+ */
+async function disableTwoFactor(userId) {
+  await updateUserFields(userId, { totp_secret: null, totp_enabled: 0, totp_last_counter: null });
+  await runAsync("DELETE FROM user_recovery_codes WHERE user_id = ?", [userId]);
+}
+
+/**
+ * 2FA status for a user.
+ * @param {{ id: number, role: string }} user
+ * @returns {Promise<{ enabled: boolean, required: boolean, recoveryCodesRemaining: number }>}
+ */
+async function getTwoFactorStatus(user) {
+  const row = await getOneCamelized("SELECT totp_enabled FROM users WHERE id = ?", [user.id]);
+  const codes = await getAsync(
+    "SELECT COUNT(*) AS count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL",
+    [user.id]
+  );
+  return {
+    enabled: row?.totpEnabled === 1,
+    required: isTwoFactorRequired(user.role),
+    recoveryCodesRemaining: codes.count,
+  };
+}
+
+function purgeExpiredChallenges(now = Date.now()) {
+  for (const [key, challenge] of challenges) {
+    if (challenge.expiresAt <= now) challenges.delete(key);
+  }
+}
+
+/**
+ * Start the second login step after a correct password.
+ * @param {{ id: number, username: string }} user
+ * @param {{ enrollment: boolean }} options - enrollment: user must set up 2FA before signing in
+ * @returns {string} Raw challenge token for the client
+ */
+function createLoginChallenge(user, { enrollment }) {
+  purgeExpiredChallenges();
+  const token = crypto.randomBytes(32).toString("hex");
+  challenges.set(hashToken(token), {
+    userId: user.id,
+    username: user.username,
+    enrollment,
+    attempts: 0,
+    expiresAt: Date.now() + CHALLENGE_TTL_MS,
+  });
+  return token;
+}
+
+/**
+ * Look up a pending challenge.
+ * @param {string} token
+ * @returns {Object|null} Challenge or null when unknown/expired
+ */
+function getLoginChallenge(token) {
+  if (typeof token !== "string") return null;
+  const challenge = challenges.get(hashToken(token));
+  if (!challenge) return null;
+  if (challenge.expiresAt <= Date.now()) {
+    challenges.delete(hashToken(token));
+    return null;
+  }
+  return challenge;
+}
+
+/**
+ * Count a wrong code against a challenge; drops it after CHALLENGE_MAX_ATTEMPTS.
+ * @param {string} token
+ * @returns {boolean} True if the challenge is still usable
+ */
+function recordChallengeFailure(token) {
+  const challenge = getLoginChallenge(token);
+  if (!challenge) return false;
+  challenge.attempts++;
+  if (challenge.attempts >= CHALLENGE_MAX_ATTEMPTS) {
+    challenges.delete(hashToken(token));
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Finish a challenge (successful second step).
+ * @param {string} token
+ */
+function deleteLoginChallenge(token) {
+  challenges.delete(hashToken(token));
+}
+
+module.exports = {
+  TWO_FACTOR_REQUIRED_ROLES,
+  isTwoFactorRole,
+  isTwoFactorRequired,
+  startEnrollment,
+  verifyTotp,
+  regenerateRecoveryCodes,
+  useRecoveryCode,
+  enableTwoFactor,
+  disableTwoFactor,
+  getTwoFactorStatus,
+  createLoginChallenge,
+  getLoginChallenge,
+  recordChallengeFailure,
+  deleteLoginChallenge,
+};
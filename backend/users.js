@@ -0,0 +1,182 @@
+// users.js
+const bcrypt = require("bcryptjs");
+const { runAsync, getAsync, getOneCamelized, getAllCamelized } = require("./db");
+const { ROLES } = require("./middleware/auth");
+const { USER_VESSEL_TAGS_SQL, splitVesselTags } = require("./utils/vesselTags");
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+
+/** users columns plus the comma-joined vessel tags from user_vessels. */
+const USER_SELECT = `SELECT u.*, ${USER_VESSEL_TAGS_SQL} AS vessel_tags FROM users u`;
+
+/**
+ * Whether the given string is one of the known roles.
+ * @param {string} role
+ * @returns {boolean}
+ */
+function isValidRole(role) {
+  return Object.values(ROLES).includes(role);
+}
+
+/**
+ * Hash a plaintext password with bcrypt.
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+/**
+ * Normalize a users row (camelCase) for API responses and session data.
+ * Never includes the password hash.
+ * @param {Object} row - Row from getOneCamelized/getAllCamelized
+ * @returns {{ id: number, username: string, role: string, vesselTag: string|null, vesselTags: string[], isGlobal: boolean, isActive: boolean, twoFactorEnabled: boolean, createdAt: string, updatedAt: string|null }}
+ */
+function toPublicUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    vesselTag: row.vesselTag ?? null,
+    vesselTags: splitVesselTags(row.vesselTags, row.vesselTag ?? null),
+    isGlobal: row.isGlobal === 1,
+    isActive: row.isActive === 1,
+    twoFactorEnabled: row.totpEnabled === 1,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt ?? null,
+  };
+}
+
+/**
+ * Look up a user (including password hash) by username.
+ * @param {string} username
+ * @returns {Promise<Object|null>} camelCase row (vesselTags as an array) or null
+ */
+async function getUserByUsername(username) {
+  const row = await getOneCamelized(`${USER_SELECT} WHERE u.username = ?`, [username]);
+  return row ? { ...row, vesselTags: splitVesselTags(row.vesselTags, row.vesselTag ?? null) } : null;
+}
+
+/**
+ * Look up a user by id.
+ * @param {number} id
+ * @returns {Promise<Object|null>} Public user or null
+ */
+async function getUserById(id) {
+  const row = await getOneCamelized(`${USER_SELECT} WHERE u.id = ?`, [id]);
+  return row ? toPublicUser(row) : null;
+}
+
+/**
+ * List all users ordered by username.
+ * @returns {Promise<Array<Object>>} Public users
+ */
+async function listUsers() {
+  const rows = await getAllCamelized(`${USER_SELECT} ORDER BY u.username COLLATE NOCASE`);
+  return rows.map(toPublicUser);
+}
+
+/**
+ * Compare a plaintext password against a user's stored hash.
+ * @param {{ passwordHash: string }} user
+ * @param {string} password
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(user, password) {
+  if (!user?.passwordHash) return false;
+  return bcrypt.compare(password, user.passwordHash);
+}
+
+/**
+ * Replace the vessels assigned to a user. The first tag becomes the default working vessel.
+ * @param {number} id
+ * @param {string[]} vesselTags
+ */
+async function setUserVessels(id, vesselTags) {
+  await runAsync("DELETE FROM user_vessels WHERE user_id = ?", [id]);
+  for (const vesselTag of vesselTags) {
+    await runAsync("INSERT OR IGNORE INTO user_vessels (user_id, vessel_tag) VALUES (?, ?)", [id, vesselTag]);
+  }
+  await updateUserFields(id, { vessel_tag: vesselTags[0] || null });
+}
+
+/**
+ * Insert a new user with a hashed password.
+ * @param {{ username: string, password: string, role: string, vesselTags?: string[], isGlobal?: boolean }} data
+ * @returns {Promise<Object>} Created public user
+ */
+async function createUser({ username, password, role, vesselTags = [], isGlobal = false }) {
+  const passwordHash = await hashPassword(password);
+  const result = await runAsync(
+    `INSERT INTO users (username, password_hash, role, vessel_tag, is_global, is_active, created_at)
+     VALUES (?, ?, ?, ?, ?, 1, ?)`,
+    [username, passwordHash, role, vesselTags[0] || null, isGlobal ? 1 : 0, new Date().toISOString()]
+  );
+  for (const vesselTag of vesselTags) {
+    await runAsync("INSERT OR IGNORE INTO user_vessels (user_id, vessel_tag) VALUES (?, ?)", [result.lastID, vesselTag]);
+  }
+  return getUserById(result.lastID);
+}
+
+/**
+ * Update selected columns of a user and bump updated_at.
+ * @param {number} id
+ * @param {Object} fields - snake_case column -> value
+ */
+async function updateUserFields(id, fields) {
+  const columns = Object.keys(fields);
+  const assignments = columns.map((column) => `${column} = ?`);
+  assignments.push("updated_at = ?");
+  await runAsync(
+    `UPDATE users SET ${assignments.join(", ")} WHERE id = ?`,
+    [...columns.map((column) => fields[column]), new Date().toISOString(), id]
+  );
+}
+
+/**
+ * One-time import of AUTH_USERS entries into the users table.
+ * Only runs while the table is empty, so later edits made through the API are never overwritten.
+ * @param {Object.<string, { password: string, role: string, vesselTags: string[], isGlobal: boolean }>} envUsers - From loadUsersFromEnv()
+ * @returns {Promise<number>} Number of users imported
+ */
+async function importUsersFromEnv(envUsers) {
+  const existing = await getAsync("SELECT COUNT(*) AS count FROM users");
+  if (existing.count > 0) return 0;
+
+  let imported = 0;
+  for (const [username, user] of Object.entries(envUsers)) {
+    if (!isValidRole(user.role)) {
+      console.warn(`[auth] Skipping AUTH_USERS entry for "${username}" – unknown role "${user.role}"`);
+      continue;
+    }
+    await createUser({
+      username,
+      password: user.password,
+      role: user.role,
+      vesselTags: user.vesselTags,
+      isGlobal: user.isGlobal,
+    });
+    imported++;
+  }
+  if (imported > 0) {
+    console.log(`[auth] Imported ${imported} user(s) from AUTH_USERS into the database.`);
+  }
+  return imported;
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  isValidRole,
+  hashPassword,
+  toPublicUser,
+  getUserByUsername,
+  getUserById,
+  listUsers,
+  verifyPassword,
+  createUser,
+  updateUserFields,
+  setUserVessels,
+  importUsersFromEnv,
+};
@@ -0,0 +1,87 @@
+// utils/closeOut.js
+const { layoutAt, streamerSections } = require("./configVersions");
+
+/**
+ * Contiguous runs of uncleaned sections on one streamer and section type.
+ * @param {Set<number>} cleaned - 0-based section indexes cleaned at least once
+ * @param {number} count - Sections of this type per streamer
+ * @returns {Array<{ start: number, end: number }>}
+ */
+function uncleanedRanges(cleaned, count) {
+  const ranges = [];
+  let start = null;
+  for (let s = 0; s <= count; s++) {
+    const gap = s < count && !cleaned.has(s);
+    if (gap && start === null) start = s;
+    if (!gap && start !== null) {
+      ranges.push({ start, end: s - 1 });
+      start = null;
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Close-out summary of a project: final coverage, sections never cleaned and distance cleaned
+ * by method, from its events and configuration versions. Coverage counts every section the
+ * spread had under any of its layouts (as GET /api/stats does); distances use the section
+ * length in effect when each event happened.
+ * @param {Array<Object>} events - Camelized cleaning_events rows of the project
+ * @param {Array<{ effectiveFrom: string|null, numCables: number, sectionsPerCable: number, sectionLength: number, useRopeForTail: boolean }>} versions
+ *   From listConfigVersions, oldest first
+ * @returns {{ totalEvents: number, firstCleanedAt: string|null, lastCleanedAt: string|null,
+ *   coverage: { cleanedSections: number, totalSections: number, percent: number },
+ *   neverCleaned: { count: number, ranges: Array<{ streamerId: number, sectionType: 'active'|'tail', start: number, end: number }> },
+ *   totalDistance: number, distanceByMethod: Object<string, number> }} Distances in metres; section
+ *   indexes 0-based within their type
+ */
+function summarizeCloseOut(events, versions) {
+  const cleaned = new Map();
+  const distanceByMethod = {};
+  let totalDistance = 0;
+  let firstCleanedAt = null;
+  let lastCleanedAt = null;
+  for (const evt of events) {
+    const sectionType = evt.sectionType === "tail" ? "tail" : "active";
+    const key = `${evt.streamerId}-${sectionType}`;
+    if (!cleaned.has(key)) cleaned.set(key, new Set());
+    for (let s = evt.sectionIndexStart; s <= evt.sectionIndexEnd; s++) cleaned.get(key).add(s);
+
+    const distance = (evt.sectionIndexEnd - evt.sectionIndexStart + 1) * layoutAt(versions, evt.cleanedAt).sectionLength;
+    totalDistance += distance;
+    distanceByMethod[evt.cleaningMethod] = (distanceByMethod[evt.cleaningMethod] || 0) + distance;
+    if (!firstCleanedAt || evt.cleanedAt < firstCleanedAt) firstCleanedAt = evt.cleanedAt;
+    if (!lastCleanedAt || evt.cleanedAt > lastCleanedAt) lastCleanedAt = evt.cleanedAt;
+  }
+
+  const ranges = [];
+  let totalSections = 0;
+  let neverCleanedCount = 0;
+  for (const { streamerId, ...sectionCounts } of streamerSections(versions)) {
+    for (const [sectionType, count] of Object.entries(sectionCounts)) {
+      const done = cleaned.get(`${streamerId}-${sectionType}`) || new Set();
+      uncleanedRanges(done, count).forEach(({ start, end }) => {
+        ranges.push({ streamerId, sectionType, start, end });
+        neverCleanedCount += end - start + 1;
+      });
+      totalSections += count;
+    }
+  }
+
+  const cleanedSections = totalSections - neverCleanedCount;
+  return {
+    totalEvents: events.length,
+    firstCleanedAt,
+    lastCleanedAt,
+    coverage: {
+      cleanedSections,
+      totalSections,
+      percent: totalSections > 0 ? Math.round((cleanedSections / totalSections) * 1000) / 10 : 0,
+    },
+    neverCleaned: { count: neverCleanedCount, ranges },
+    totalDistance,
+    distanceByMethod,
+  };
+}
+
+module.exports = { summarizeCloseOut };
@@ -0,0 +1,97 @@
+// utils/configVersions.js
+
+/** Tail sections per streamer when the tail is not a rope (as in GET /api/stats). */
+const TAIL_SECTIONS = 5;
+
+/** Streamer layout fields a configuration version records (projects columns, camelized). */
+const LAYOUT_FIELDS = ["numCables", "sectionsPerCable", "sectionLength", "moduleFrequency", "channelsPerSection", "useRopeForTail"];
+
+/** Whether two layouts differ in any of LAYOUT_FIELDS (useRopeForTail compared as a flag). */
+function layoutChanged(before, after) {
+  return LAYOUT_FIELDS.some((field) =>
+    field === "useRopeForTail" ? Boolean(before[field]) !== Boolean(after[field]) : before[field] !== after[field]
+  );
+}
+
+/**
+ * The version in effect at a time: the last one effective from then or earlier. Times before
+ * the first version (and a version without effectiveFrom) fall under the first one.
+ * @param {Array<{ effectiveFrom: string|null }>} versions - Oldest first
+ * @param {string} at - UTC ISO timestamp
+ * @returns {Object|null} null when there are no versions
+ */
+function layoutAt(versions, at) {
+  let current = versions[0] || null;
+  for (const version of versions) {
+    if (version.effectiveFrom && version.effectiveFrom > at) break;
+    current = version;
+  }
+  return current;
+}
+
+/**
+ * Versions in effect at some point of a period (either end open; see dayRangeUtc).
+ * @param {Array<{ effectiveFrom: string|null }>} versions - Oldest first
+ * @param {string|null} from - UTC ISO timestamp
+ * @param {string|null} until - UTC ISO timestamp, exclusive
+ * @returns {Array<Object>}
+ */
+function layoutsDuring(versions, from, until) {
+  return versions.filter((version, index) => {
+    const next = versions[index + 1];
+    if (from && next?.effectiveFrom && next.effectiveFrom <= from) return false;
+    if (until && index > 0 && version.effectiveFrom && version.effectiveFrom >= until) return false;
+    return true;
+  });
+}
+
+/**
+ * Sections each streamer had under any of the layouts: the longest active length of the
+ * layouts it was part of, plus the tail when one of them had no rope.
+ * @param {Array<{ numCables: number, sectionsPerCable: number, useRopeForTail: boolean }>} layouts
+ * @returns {Array<{ streamerId: number, active: number, tail: number }>}
+ */
+function streamerSections(layouts) {
+  const streamers = Math.max(0, ...layouts.map((layout) => layout.numCables));
+  const sections = [];
+  for (let streamerId = 1; streamerId <= streamers; streamerId++) {
+    const present = layouts.filter((layout) => layout.numCables >= streamerId);
+    sections.push({
+      streamerId,
+      active: Math.max(...present.map((layout) => layout.sectionsPerCable)),
+      tail: present.some((layout) => !layout.useRopeForTail) ? TAIL_SECTIONS : 0,
+    });
+  }
+  return sections;
+}
+
+/**
+ * Sections that existed under any of the layouts, each counted once (see streamerSections).
+ * @param {Array<{ numCables: number, sectionsPerCable: number, useRopeForTail: boolean }>} layouts
+ * @returns {{ active: number, tail: number }}
+ */
+function availableSections(layouts) {
+  return streamerSections(layouts).reduce(
+    (total, streamer) => ({ active: total.active + streamer.active, tail: total.tail + streamer.tail }),
+    { active: 0, tail: 0 }
+  );
+}
+
+/** Why a streamer is not part of a layout, if it is not. */
+function streamerError(streamerId, layout) {
+  if (!Number.isInteger(streamerId) || streamerId < 1 || streamerId > layout.numCables) {
+    return `Streamer must be 1..${layout.numCables}`;
+  }
+  return null;
+}
+
+module.exports = {
+  TAIL_SECTIONS,
+  LAYOUT_FIELDS,
+  layoutChanged,
+  layoutAt,
+  layoutsDuring,
+  streamerSections,
+  availableSections,
+  streamerError,
+};
@@ -0,0 +1,189 @@
+// utils/effort.js
+const { DEFAULT_TIME_ZONE, normalizeTimestamp } = require("./time");
+
+/** Longest accepted cleaning duration (one event), in minutes. */
+const MAX_DURATION_MINUTES = 24 * 60;
+const MAX_CREW_SIZE = 50;
+const MAX_CREW_NAMES_LENGTH = 200;
+const MAX_EQUIPMENT_LENGTH = 64;
+
+/**
+ * Read a duration: minutes as a number or text ("90"), or hours and minutes ("1:30").
+ * Empty means not recorded.
+ * @param {*} value
+ * @returns {number|null|undefined} Minutes, null when empty, undefined when invalid
+ */
+function parseDurationMinutes(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (text === "") return null;
+  const clock = /^(\d{1,2}):([0-5]\d)$/.exec(text);
+  const minutes = clock ? Number(clock[1]) * 60 + Number(clock[2]) : Number(text);
+  return Number.isInteger(minutes) && minutes > 0 && minutes <= MAX_DURATION_MINUTES ? minutes : undefined;
+}
+
+/**
+ * Minutes between a start time and the event time (cleaned_at, the end of the cleaning).
+ * A start without a zone is read in timeZone.
+ * @returns {number|undefined} undefined unless the start is a valid time before the end, within a day
+ */
+function durationBetween(startedAt, cleanedAt, timeZone) {
+  const start = normalizeTimestamp(startedAt, timeZone);
+  if (!start) return undefined;
+  const minutes = Math.round((new Date(cleanedAt).getTime() - new Date(start).getTime()) / 60000);
+  return Number.isInteger(minutes) && minutes > 0 && minutes <= MAX_DURATION_MINUTES ? minutes : undefined;
+}
+
+/**
+ * Read crew names: a list or comma / semicolon separated text → "Anna, Ben".
+ * @param {*} value
+ * @returns {string[]|null|undefined} The names, null when empty, undefined when not a list or text
+ */
+function parseCrewNames(value) {
+  if (value === undefined || value === null) return null;
+  let names;
+  if (Array.isArray(value)) {
+    if (!value.every((name) => typeof name === "string")) return undefined;
+    names = value;
+  } else if (typeof value === "string") {
+    names = value.split(/[,;]/);
+  } else {
+    return undefined;
+  }
+  const trimmed = names.map((name) => name.trim()).filter(Boolean);
+  return trimmed.length > 0 ? trimmed : null;
+}
+
+/**
+ * Validate the optional effort fields of an event payload. The duration comes from
+ * durationMinutes or, when that is empty, from startedAt and cleanedAt. A crew size left
+ * empty is the number of crew names.
+ * @param {{ durationMinutes?: *, startedAt?: *, cleanedAt: string, crewSize?: *, crewNames?: *, equipmentUnit?: * }} fields
+ *   cleanedAt already normalized to UTC
+ * @param {string} [timeZone] - Vessel zone a startedAt without a zone is read in
+ * @returns {{ error: string } | { durationMinutes: number|null, crewSize: number|null, crewNames: string|null, equipmentUnit: string|null }}
+ */
+function readEffortFields({ durationMinutes, startedAt, cleanedAt, crewSize, crewNames, equipmentUnit }, timeZone = DEFAULT_TIME_ZONE) {
+  let duration = parseDurationMinutes(durationMinutes);
+  if (duration === undefined) {
+    return { error: `durationMinutes must be 1–${MAX_DURATION_MINUTES} minutes (or h:mm)` };
+  }
+  if (duration === null && startedAt !== undefined && startedAt !== null && startedAt !== "") {
+    duration = durationBetween(startedAt, cleanedAt, timeZone);
+    if (duration === undefined) {
+      return { error: "startedAt must be a time before cleanedAt, at most 24 hours earlier" };
+    }
+  }
+
+  const names = parseCrewNames(crewNames);
+  if (names === undefined) {
+    return { error: "crewNames must be a list of names or comma-separated text" };
+  }
+  const crewNamesText = names ? names.join(", ") : null;
+  if (crewNamesText && crewNamesText.length > MAX_CREW_NAMES_LENGTH) {
+    return { error: `crewNames must be at most ${MAX_CREW_NAMES_LENGTH} characters` };
+  }
+
+  let size = null;
+  if (crewSize !== undefined && crewSize !== null && crewSize !== "") {
+    size = Number(crewSize);
+    if (!Number.isInteger(size) || size < 1 || size > MAX_CREW_SIZE) {
+      return { error: `crewSize must be an integer 1–${MAX_CREW_SIZE}` };
+    }
+    if (names && size < names.length) {
+      return { error: "crewSize is smaller than the number of crew names" };
+    }
+  } else if (names) {
+    size = names.length;
+  }
+
+  const unit = equipmentUnit === undefined || equipmentUnit === null ? "" : String(equipmentUnit).trim();
+  if (unit.length > MAX_EQUIPMENT_LENGTH) {
+    return { error: `equipmentUnit must be at most ${MAX_EQUIPMENT_LENGTH} characters` };
+  }
+
+  return { durationMinutes: duration, crewSize: size, crewNames: crewNamesText, equipmentUnit: unit || null };
+}
+
+/**
+ * Share a duration among the events one cleaning is split into (active and tail sections),
+ * in proportion to their section counts, so totals still add up.
+ * @param {number|null} minutes
+ * @param {number[]} sectionCounts - Sections of each event
+ * @returns {Array<number|null>} Minutes per event (at least 1 each)
+ */
+function splitDuration(minutes, sectionCounts) {
+  if (minutes === null || sectionCounts.length < 2) return sectionCounts.map(() => minutes);
+  const totalSections = sectionCounts.reduce((sum, count) => sum + count, 0);
+  let left = minutes;
+  return sectionCounts.map((count, index) => {
+    if (index === sectionCounts.length - 1) return Math.max(1, left);
+    const share = Math.max(1, Math.round((minutes * count) / totalSections));
+    left -= share;
+    return share;
+  });
+}
+
+/** Hours with two decimals. */
+function toHours(minutes) {
+  return Math.round((minutes / 60) * 100) / 100;
+}
+
+/**
+ * Effort metrics of a set of events (GET /api/stats/filter). Only events with a duration count
+ * towards hours and speed, so km per hour is distance over the hours actually recorded.
+ * @param {Array<Object>} rows - Camelized cleaning_events rows
+ * @param {number} sectionLength - Metres per section
+ * @returns {{ totalHours: number, crewHours: number, timedEvents: number, untimedEvents: number,
+ *   byMethod: Object<string, { hours: number, distance: number, kmPerHour: number|null }>,
+ *   byStreamer: Object<string, number> }} crewHours counts each hour once per crew member
+ *   (events without a crew size count one)
+ */
+function summarizeEffort(rows, sectionLength) {
+  let totalMinutes = 0;
+  let crewMinutes = 0;
+  let timedEvents = 0;
+  const methodMinutes = {};
+  const methodDistance = {};
+  const streamerMinutes = {};
+  for (const r of rows) {
+    if (r.durationMinutes === null || r.durationMinutes === undefined) continue;
+    timedEvents += 1;
+    totalMinutes += r.durationMinutes;
+    crewMinutes += r.durationMinutes * (r.crewSize || 1);
+    methodMinutes[r.cleaningMethod] = (methodMinutes[r.cleaningMethod] || 0) + r.durationMinutes;
+    methodDistance[r.cleaningMethod] =
+      (methodDistance[r.cleaningMethod] || 0) + (r.sectionIndexEnd - r.sectionIndexStart + 1) * sectionLength;
+    streamerMinutes[r.streamerId] = (streamerMinutes[r.streamerId] || 0) + r.durationMinutes;
+  }
+
+  const byMethod = {};
+  for (const [method, minutes] of Object.entries(methodMinutes)) {
+    const distance = methodDistance[method];
+    byMethod[method] = {
+      hours: toHours(minutes),
+      distance,
+      kmPerHour: Math.round((distance / 1000 / (minutes / 60)) * 100) / 100,
+    };
+  }
+  const byStreamer = {};
+  for (const [streamerId, minutes] of Object.entries(streamerMinutes)) {
+    byStreamer[streamerId] = toHours(minutes);
+  }
+  return {
+    totalHours: toHours(totalMinutes),
+    crewHours: toHours(crewMinutes),
+    timedEvents,
+    untimedEvents: rows.length - timedEvents,
+    byMethod,
+    byStreamer,
+  };
+}
+
+module.exports = {
+  MAX_DURATION_MINUTES,
+  parseDurationMinutes,
+  readEffortFields,
+  splitDuration,
+  summarizeEffort,
+};
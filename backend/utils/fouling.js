@@ -0,0 +1,63 @@
+// utils/fouling.js
+
+/** Fouling grades observed at cleaning time, by grade (0–4). */
+const FOULING_GRADES = ["None", "Light", "Moderate", "Heavy", "Severe"];
+const MAX_FOULING_GRADE = FOULING_GRADES.length - 1;
+
+/** Kinds of fouling an event can record. */
+const FOULING_TYPES = ["barnacles", "algae", "goose-necks", "mixed", "other"];
+
+/**
+ * Read a fouling grade: an integer 0–4 or its label ("Heavy"). Empty means not recorded.
+ * @param {*} value
+ * @returns {number|null|undefined} The grade, null when empty, undefined when invalid
+ */
+function parseFoulingGrade(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const text = String(value).trim();
+  if (text === "") return null;
+  const byLabel = FOULING_GRADES.findIndex((label) => label.toLowerCase() === text.toLowerCase());
+  if (byLabel !== -1) return byLabel;
+  const grade = Number(text);
+  return Number.isInteger(grade) && grade >= 0 && grade <= MAX_FOULING_GRADE ? grade : undefined;
+}
+
+/**
+ * Read a fouling type: "Goose necks", "goose_neck" → "goose-necks". Empty means not recorded.
+ * @param {*} value
+ * @returns {string|null|undefined} The type, null when empty, undefined when unknown
+ */
+function parseFoulingType(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim().toLowerCase().replace(/[\s_]+/g, "-");
+  if (text === "") return null;
+  if (FOULING_TYPES.includes(text)) return text;
+  return FOULING_TYPES.includes(`${text}s`) ? `${text}s` : undefined;
+}
+
+/**
+ * Validate the optional fouling fields of an event payload.
+ * @param {*} grade - fouling_grade from the body
+ * @param {*} type - fouling_type from the body
+ * @returns {{ error: string } | { foulingGrade: number|null, foulingType: string|null }}
+ */
+function readFoulingFields(grade, type) {
+  const foulingGrade = parseFoulingGrade(grade);
+  if (foulingGrade === undefined) {
+    return { error: `foulingGrade must be an integer 0–${MAX_FOULING_GRADE}` };
+  }
+  const foulingType = parseFoulingType(type);
+  if (foulingType === undefined) {
+    return { error: `foulingType must be one of: ${FOULING_TYPES.join(", ")}` };
+  }
+  return { foulingGrade, foulingType };
+}
+
+module.exports = {
+  FOULING_GRADES,
+  MAX_FOULING_GRADE,
+  FOULING_TYPES,
+  parseFoulingGrade,
+  parseFoulingType,
+  readFoulingFields,
+};
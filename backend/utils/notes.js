@@ -0,0 +1,21 @@
+// utils/notes.js
+
+const MAX_NOTES_LENGTH = 1000;
+
+/**
+ * Read an event's free-text notes ("section 45 had a damaged skin, skipped").
+ * Blank means no notes.
+ * @param {*} value
+ * @returns {{ error: string } | { notes: string|null }}
+ */
+function readNotes(value) {
+  if (value === undefined || value === null) return { notes: null };
+  if (typeof value !== "string") return { error: "notes must be text" };
+  const notes = value.trim();
+  if (notes.length > MAX_NOTES_LENGTH) {
+    return { error: `notes must be at most ${MAX_NOTES_LENGTH} characters` };
+  }
+  return { notes: notes || null };
+}
+
+module.exports = { MAX_NOTES_LENGTH, readNotes };
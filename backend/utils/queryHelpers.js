@@ -1,32 +1,111 @@
 // utils/queryHelpers.js
+const { dayRangeUtc } = require("./time");
 
 /**
- * Build WHERE clause and params for cleaning_events queries filtered by project and date range.
- * @param {{ project?: string, start?: string, end?: string }} query - project_number, start date, end date
- * @returns {{ sql: string, params: Array }} sql is " WHERE ..." or "", params for placeholders
+ * Conditions shared by all cleaning_events queries: live events, project and date range.
+ * start / end are calendar days in timeZone (the vessel's; UTC when left out), compared as
+ * UTC instants since cleaned_at is stored in UTC.
+ * @param {{ project?: string, start?: string, end?: string, timeZone?: string }} query
+ * @returns {{ conditions: string[], params: Array }}
  */
-function buildEventsWhereClause(query) {
+function collectEventConditions(query) {
   const params = [];
-  const conditions = [];
+  const conditions = ["trash_id IS NULL"];
 
   if (query.project) {
     conditions.push("project_number = ?");
     params.push(query.project);
   }
 
-  if (query.start && query.end) {
-    conditions.push("DATE(cleaned_at) BETWEEN DATE(?) AND DATE(?)");
-    params.push(query.start, query.end);
-  } else if (query.start) {
-    conditions.push("DATE(cleaned_at) >= DATE(?)");
-    params.push(query.start);
-  } else if (query.end) {
-    conditions.push("DATE(cleaned_at) <= DATE(?)");
-    params.push(query.end);
+  const { from, until } = dayRangeUtc(query.start, query.end, query.timeZone);
+  if (from) {
+    conditions.push("datetime(cleaned_at) >= datetime(?)");
+    params.push(from);
+  }
+  if (until) {
+    conditions.push("datetime(cleaned_at) < datetime(?)");
+    params.push(until);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Build WHERE clause and params for cleaning_events queries filtered by project and date range.
+ * Trashed events are always excluded.
+ * @param {{ project?: string, start?: string, end?: string }} query - project_number, start date, end date
+ * @returns {{ sql: string, params: Array }} sql is " WHERE ...", params for placeholders
+ */
+function buildEventsWhereClause(query) {
+  const { conditions, params } = collectEventConditions(query);
+  return { sql: " WHERE " + conditions.join(" AND "), params };
+}
+
+/**
+ * LIKE pattern matching text anywhere in a value, with %, _ and \ in the text taken literally
+ * (use with ESCAPE '\').
+ * @param {string} text
+ * @returns {string}
+ */
+function likeSubstring(text) {
+  return `%${String(text).replace(/[\\%_]/g, "\\$&")}%`;
+}
+
+/**
+ * Conditions for the event log filters of GET /api/events, on top of project and date range.
+ * Numeric filters must already be integers (the route validates them).
+ * @param {{ project?: string, start?: string, end?: string, streamer?: number, sectionStart?: number,
+ *   sectionEnd?: number, sectionType?: string, method?: string, addedBy?: string, notes?: string }} query
+ *   sectionStart/sectionEnd are 0-based indexes; events overlapping that range match.
+ *   addedBy and notes match substrings.
+ * @returns {{ conditions: string[], params: Array }}
+ */
+function buildEventsListConditions(query) {
+  const { conditions, params } = collectEventConditions(query);
+
+  if (query.streamer != null) {
+    conditions.push("streamer_id = ?");
+    params.push(query.streamer);
+  }
+  if (query.sectionStart != null) {
+    conditions.push("section_index_end >= ?");
+    params.push(query.sectionStart);
+  }
+  if (query.sectionEnd != null) {
+    conditions.push("section_index_start <= ?");
+    params.push(query.sectionEnd);
+  }
+  if (query.sectionType) {
+    conditions.push("section_type = ?");
+    params.push(query.sectionType);
+  }
+  if (query.method) {
+    conditions.push("cleaning_method = ?");
+    params.push(query.method);
+  }
+  if (query.addedBy) {
+    conditions.push("added_by_usertag LIKE ? ESCAPE '\\'");
+    params.push(likeSubstring(query.addedBy));
+  }
+  if (query.notes) {
+    conditions.push("notes LIKE ? ESCAPE '\\'");
+    params.push(likeSubstring(query.notes));
   }
 
-  const sql = conditions.length > 0 ? " WHERE " + conditions.join(" AND ") : "";
-  return { sql, params };
+  return { conditions, params };
+}
+
+/**
+ * Build an "IN (...)" condition restricting a vessel_tag column to a vessel scope.
+ * @param {string} column - e.g. "vessel_tag" or "p.vessel_tag"
+ * @param {string[]} vesselScope - From req.vesselScope (callers skip this when it is null)
+ * @returns {{ sql: string, params: string[] }}
+ */
+function buildVesselScopeCondition(column, vesselScope) {
+  return {
+    sql: `${column} IN (${vesselScope.map(() => "?").join(", ")})`,
+    params: [...vesselScope],
+  };
 }
 
-module.exports = { buildEventsWhereClause };
+module.exports = { buildEventsWhereClause, buildEventsListConditions, buildVesselScopeCondition, likeSubstring };
@@ -0,0 +1,81 @@
+// utils/surveyLines.js
+
+/** Where an event happened relative to the project's line log. */
+const LINE_PHASES = {
+  LINE: "line",
+  LINE_CHANGE: "lineChange",
+  OUTSIDE: "outside",
+};
+
+/**
+ * Place an instant in a line log: on a line (start to end, both included), in the line change
+ * between two consecutive lines, or outside the log (before the first line, after the last,
+ * or no lines at all).
+ * @param {Array<{ sequenceNumber: number, lineName: string|null, startedAt: string, endedAt: string }>} lines
+ *   Sorted by start, not overlapping
+ * @param {string} time - UTC ISO timestamp (an event's cleaned_at)
+ * @returns {{ phase: 'line', sequenceNumber: number, lineName: string|null }
+ *   | { phase: 'lineChange', previousSequence: number, nextSequence: number }
+ *   | { phase: 'outside' }}
+ */
+function classifyLinePhase(lines, time) {
+  const instant = new Date(time).getTime();
+  let previous = null;
+  for (const line of lines) {
+    if (instant < new Date(line.startedAt).getTime()) {
+      return previous
+        ? { phase: LINE_PHASES.LINE_CHANGE, previousSequence: previous.sequenceNumber, nextSequence: line.sequenceNumber }
+        : { phase: LINE_PHASES.OUTSIDE };
+    }
+    if (instant <= new Date(line.endedAt).getTime()) {
+      return { phase: LINE_PHASES.LINE, sequenceNumber: line.sequenceNumber, lineName: line.lineName };
+    }
+    previous = line;
+  }
+  return { phase: LINE_PHASES.OUTSIDE };
+}
+
+/**
+ * First pair of lines whose times overlap, if any.
+ * @param {Array<{ sequenceNumber: number, startedAt: string, endedAt: string }>} lines - Sorted by start
+ * @returns {[Object, Object]|null}
+ */
+function findOverlappingLines(lines) {
+  for (let i = 1; i < lines.length; i++) {
+    if (new Date(lines[i].startedAt) <= new Date(lines[i - 1].endedAt)) return [lines[i - 1], lines[i]];
+  }
+  return null;
+}
+
+/**
+ * Events and distance cleaned during lines, during line changes and outside the line log
+ * (GET /api/stats/filter). Events of projects without lines count as outside.
+ * @param {Array<Object>} rows - Camelized cleaning_events rows
+ * @param {Map<string, Array<Object>>} linesByProject - Sorted line log per project number
+ * @param {number} sectionLength - Metres per section
+ * @returns {{ line: { events: number, distance: number }, lineChange: { events: number, distance: number },
+ *   outside: { events: number, distance: number }, loggedLines: number }} loggedLines counts the lines
+ *   of the events' projects
+ */
+function summarizeLinePhases(rows, linesByProject, sectionLength) {
+  const summary = {};
+  Object.values(LINE_PHASES).forEach((phase) => {
+    summary[phase] = { events: 0, distance: 0 };
+  });
+  const projects = new Set();
+  for (const r of rows) {
+    projects.add(r.projectNumber);
+    const { phase } = classifyLinePhase(linesByProject.get(r.projectNumber) || [], r.cleanedAt);
+    summary[phase].events += 1;
+    summary[phase].distance += (r.sectionIndexEnd - r.sectionIndexStart + 1) * sectionLength;
+  }
+  summary.loggedLines = [...projects].reduce((sum, project) => sum + (linesByProject.get(project) || []).length, 0);
+  return summary;
+}
+
+module.exports = {
+  LINE_PHASES,
+  classifyLinePhase,
+  findOverlappingLines,
+  summarizeLinePhases,
+};
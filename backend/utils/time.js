@@ -0,0 +1,149 @@
+// utils/time.js
+
+/** Zone of vessels without a configured one, and of timestamps stored before zones existed. */
+const DEFAULT_TIME_ZONE = "UTC";
+
+const ZONED_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+const WALL_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Whether an IANA time zone name ("Europe/Oslo", "UTC") is known to this runtime.
+ * @param {*} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || timeZone.trim() === "") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a zone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+  return {
+    year: value("year"),
+    month: value("month"),
+    day: value("day"),
+    hour: value("hour"),
+    minute: value("minute"),
+    second: value("second"),
+  };
+}
+
+/** Minutes the zone is ahead of UTC at an instant (Europe/Oslo in summer: 120). */
+function zoneOffsetMinutes(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * The instant a wall-clock time in a zone refers to. Times skipped by a DST change move
+ * forward by the gap; repeated times resolve to the first occurrence.
+ * @returns {Date}
+ */
+function wallTimeToUtc(year, month, day, hour, minute, second, millisecond, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  const dayMs = 24 * 60 * 60000;
+  // The offsets a day either side cover both sides of any DST change that day.
+  const offsetBefore = zoneOffsetMinutes(new Date(wall - dayMs), timeZone);
+  const offsetAfter = zoneOffsetMinutes(new Date(wall + dayMs), timeZone);
+  const candidates = [wall - offsetBefore * 60000, wall - offsetAfter * 60000].sort((a, b) => a - b);
+  const matching = candidates.filter((instant) => instant + zoneOffsetMinutes(new Date(instant), timeZone) * 60000 === wall);
+  return new Date(matching.length > 0 ? matching[0] : wall - offsetBefore * 60000);
+}
+
+/**
+ * Normalize an event timestamp to UTC ISO ("2026-10-01T08:00:00.000Z"). Values with a zone
+ * or offset keep their instant; wall-clock values ("2026-10-01T10:00") are read in timeZone.
+ * @param {*} value
+ * @param {string} [timeZone]
+ * @returns {string|null} null when the value is not a date and time
+ */
+function normalizeTimestamp(value, timeZone = DEFAULT_TIME_ZONE) {
+  if (typeof value !== "string" || value.trim() === "") return null;
+  const text = value.trim();
+  if (ZONED_PATTERN.test(text)) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+  const match = WALL_TIME_PATTERN.exec(text);
+  if (!match) return null;
+  const n = (part) => (part === undefined ? 0 : Number(part));
+  const [year, month, day] = [n(match[1]), n(match[2]), n(match[3])];
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+  const millis = match[7] === undefined ? 0 : Number(match[7].padEnd(3, "0"));
+  const date = wallTimeToUtc(year, month, day, n(match[4]), n(match[5]), n(match[6]), millis, timeZone);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * UTC start of a calendar day ("2026-10-01") in a zone.
+ * @returns {string|null} ISO timestamp, or null when the date is invalid
+ */
+function startOfDayUtc(dateText, timeZone = DEFAULT_TIME_ZONE) {
+  const match = DATE_PATTERN.exec(String(dateText || "").trim().slice(0, 10));
+  if (!match) return null;
+  return normalizeTimestamp(`${match[1]}-${match[2]}-${match[3]}T00:00`, timeZone);
+}
+
+/**
+ * UTC bounds of a date range given as calendar days in a zone: from the start of the first
+ * day (inclusive) to the start of the day after the last (exclusive).
+ * @param {string} [start] - "YYYY-MM-DD"
+ * @param {string} [end] - "YYYY-MM-DD"
+ * @param {string} [timeZone]
+ * @returns {{ from: string|null, until: string|null }}
+ */
+function dayRangeUtc(start, end, timeZone = DEFAULT_TIME_ZONE) {
+  let until = null;
+  const endMatch = DATE_PATTERN.exec(String(end || "").trim().slice(0, 10));
+  if (endMatch) {
+    const next = new Date(Date.UTC(Number(endMatch[1]), Number(endMatch[2]) - 1, Number(endMatch[3]) + 1));
+    until = startOfDayUtc(next.toISOString().slice(0, 10), timeZone);
+  }
+  return { from: start ? startOfDayUtc(start, timeZone) : null, until };
+}
+
+/**
+ * Calendar day of an instant in a zone.
+ * @param {string|Date} value
+ * @param {string} [timeZone]
+ * @returns {string|null} "YYYY-MM-DD"
+ */
+function localDate(value, timeZone = DEFAULT_TIME_ZONE) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return null;
+  const p = zonedParts(date, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  zoneOffsetMinutes,
+  normalizeTimestamp,
+  dayRangeUtc,
+  localDate,
+};
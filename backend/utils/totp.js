@@ -0,0 +1,135 @@
+// utils/totp.js
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 s step).
+// Pure Node crypto: no network access is needed to enroll or verify.
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as unpadded RFC 4648 base32 (the format authenticator apps expect).
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode base32 (case-insensitive; spaces and padding ignored).
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random 160-bit secret.
+ * @returns {string} base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Time step counter for a timestamp.
+ * @param {number} [timeMs=Date.now()]
+ * @returns {number}
+ */
+function timeCounter(timeMs = Date.now()) {
+  return Math.floor(timeMs / 1000 / STEP_SECONDS);
+}
+
+/**
+ * HOTP value for a counter (RFC 4226 dynamic truncation).
+ * @param {string} secret - base32
+ * @param {number} counter
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, counter) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(binary).padStart(DIGITS, "0");
+}
+
+/**
+ * Check a code against the current time step ±window (tolerates clock drift).
+ * @param {string} secret - base32
+ * @param {string} code - User input; spaces are ignored
+ * @param {{ window?: number, timeMs?: number }} [options]
+ * @returns {number|null} Matching counter (for replay protection) or null
+ */
+function verifyCode(secret, code, { window = 1, timeMs = Date.now() } = {}) {
+  const normalized = String(code).replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const current = timeCounter(timeMs);
+  for (let offset = -window; offset <= window; offset++) {
+    const counter = current + offset;
+    const expected = generateCode(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return counter;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for QR enrollment.
+ * @param {{ secret: string, accountName: string, issuer: string }} params
+ * @returns {string}
+ */
+function buildOtpauthUrl({ secret, accountName, issuer }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${query.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  timeCounter,
+  verifyCode,
+  buildOtpauthUrl,
+};
@@ -0,0 +1,18 @@
+// utils/vesselTags.js
+
+/** Subquery yielding a user's assigned vessels as one comma-joined column (alias the users table "u"). */
+const USER_VESSEL_TAGS_SQL = "(SELECT GROUP_CONCAT(vessel_tag) FROM user_vessels WHERE user_id = u.id)";
+
+/**
+ * Turn a GROUP_CONCAT'ed vessel_tags column into a list with the default vessel first.
+ * @param {string|null} joined - Comma-separated tags
+ * @param {string|null} primary - users.vessel_tag
+ * @returns {string[]}
+ */
+function splitVesselTags(joined, primary) {
+  const tags = joined ? joined.split(",").sort() : [];
+  if (!primary || !tags.includes(primary)) return tags;
+  return [primary, ...tags.filter((tag) => tag !== primary)];
+}
+
+module.exports = { USER_VESSEL_TAGS_SQL, splitVesselTags };
@@ -0,0 +1,67 @@
+// vesselTime.js
+const { runAsync, getOneCamelized, getAllCamelized } = require("./db");
+const { DEFAULT_TIME_ZONE, normalizeTimestamp } = require("./utils/time");
+
+/**
+ * Time zone a vessel keeps its day in (date filters, daily figures, "vessel time" display).
+ * @param {string|null} vesselTag
+ * @returns {Promise<string>} The configured zone, or UTC
+ */
+async function getVesselTimeZone(vesselTag) {
+  if (!vesselTag) return DEFAULT_TIME_ZONE;
+  const row = await getOneCamelized("SELECT time_zone FROM vessel_context WHERE vessel_tag = ?", [vesselTag]);
+  return row?.timeZone || DEFAULT_TIME_ZONE;
+}
+
+/**
+ * Set a vessel's time zone (creates its vessel_context row when it has none yet).
+ * @param {string} vesselTag
+ * @param {string} timeZone - Validated IANA zone name
+ */
+async function setVesselTimeZone(vesselTag, timeZone) {
+  await runAsync(
+    `INSERT INTO vessel_context (vessel_tag, time_zone, updated_at) VALUES (?, ?, ?)
+     ON CONFLICT(vessel_tag) DO UPDATE SET time_zone = excluded.time_zone, updated_at = excluded.updated_at`,
+    [vesselTag, timeZone, new Date().toISOString()]
+  );
+}
+
+/**
+ * Zone a request's dates are read in: the filtered project's vessel (?project=), otherwise
+ * the working vessel.
+ * @param {express.Request} req
+ * @returns {Promise<string>}
+ */
+async function resolveRequestTimeZone(req) {
+  let vesselTag = req.workingVessel || null;
+  if (req.query?.project) {
+    const project = await getOneCamelized("SELECT vessel_tag FROM projects WHERE project_number = ?", [req.query.project]);
+    vesselTag = project?.vesselTag || vesselTag;
+  }
+  return getVesselTimeZone(vesselTag);
+}
+
+/**
+ * Rewrite event timestamps not yet in UTC ISO form ("2026-10-01T08:00:00.000Z"), so they sort
+ * and filter by instant. Values without a zone were always read as UTC, so they stay UTC.
+ * Unreadable values are left alone.
+ */
+async function normalizeEventTimestamps() {
+  const rows = await getAllCamelized(
+    `SELECT id, cleaned_at FROM cleaning_events
+     WHERE cleaned_at NOT GLOB '[0-9][0-9][0-9][0-9]-[0-9][0-9]-[0-9][0-9]T[0-9][0-9]:[0-9][0-9]:[0-9][0-9].[0-9][0-9][0-9]Z'`
+  );
+  for (const row of rows) {
+    const normalized = normalizeTimestamp(row.cleanedAt, DEFAULT_TIME_ZONE);
+    if (normalized) {
+      await runAsync("UPDATE cleaning_events SET cleaned_at = ? WHERE id = ?", [normalized, row.id]);
+    }
+  }
+}
+
+module.exports = {
+  getVesselTimeZone,
+  setVesselTimeZone,
+  resolveRequestTimeZone,
+  normalizeEventTimestamps,
+};
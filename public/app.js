@@ -6,8 +6,6 @@
 import {
   config,
   setConfig,
-  events,
-  setEvents,
   projects,
   setProjects,
   selectedMethod,
@@ -19,7 +17,6 @@ import {
   isFinalizing,
   setIsFinalizing,
   getActiveProject,
-  getFilteredEvents,
 } from "./js/state.js";
 import * as API from "./js/api.js";
 import {
@@ -30,6 +27,8 @@ import {
   showSuccessToast,
   showAccessDeniedToast,
   formatDateTime,
+  formatDate,
+  escapeHtml,
 } from "./js/ui.js";
 import {
   setOnShowAppCallback,
@@ -42,8 +41,8 @@ import {
   handleLogout,
   updateUIForRole,
   setupPasswordToggle,
-  isSuperUser,
-  isAdminOrAbove,
+  can,
+  canClearEvents,
   isAdmin,
 } from "./js/auth.js";
 import { initModals, openModal, closeModal } from "./js/modals.js";
@@ -51,6 +50,28 @@ import * as Projects from "./js/projects.js";
 import * as StreamerUtils from "./js/streamer-utils.js";
 import { computeStreamerTooltipData } from "./js/streamer-tooltip.js";
 import { initPDFGeneration } from "./pdf-generator.js";
+import { initFileImport, openFileImport } from "./js/eventImport.js";
+import { initAttachments, openAttachments, showTooltipThumbnails } from "./js/attachments.js";
+import {
+  formatFouling,
+  readFoulingInputs,
+  setFoulingInputs,
+  applyFoulingMode,
+} from "./js/fouling.js";
+import { formatDuration, readEffortInputs, setEffortInputs } from "./js/effort.js";
+import { toDateTimeInputs, fromDateTimeInputs } from "./js/timeZone.js";
+import { formatSurveyLine } from "./js/surveyLines.js";
+import { isProjectReadOnly } from "./js/projectLifecycle.js";
+import {
+  loadCleaningMethods,
+  getCleaningMethods,
+  methodsForVessel,
+  currentMethodVessel,
+  fillMethodSelect,
+  renderMethodTiles,
+  methodLabel,
+  methodDisplay,
+} from "./js/cleaningMethods.js";
 import {
   refreshStatsFiltered,
   resetFilter,
@@ -77,6 +98,12 @@ const getEBRangeForSectionRange = StreamerUtils.getEBRangeForSectionRange;
    ============================================================================ */
 
 let tooltip = null;
+/** Section the tooltip is shown (or being loaded) for, "streamerId-sectionIndex", and the last pointer event. */
+let tooltipSection = null;
+let tooltipPointer = null;
+/** loadSectionHistory results by section; cleared whenever the heatmap is re-rendered. */
+const sectionHistoryCache = new Map();
+let sectionMapsPromise = null;
 
 function createTooltip() {
   if (tooltip) return tooltip;
@@ -103,8 +130,65 @@ function positionTooltipNearCursor(element, event) {
   element.style.top = `${y}px`;
 }
 
-function showSectionTooltip(e, streamerId, sectionIndex) {
+/**
+ * Cleaning history of a heatmap section: its last 5 events (newest first) and total from the
+ * paged GET /api/events, with the last fouling and note from /api/last-fouling and /api/last-notes.
+ * Fetched on first hover and kept until the heatmap is re-rendered.
+ */
+function loadSectionHistory(streamerId, sectionIndex) {
+  const key = `${streamerId}-${sectionIndex}`;
+  if (!sectionHistoryCache.has(key)) {
+    const isTail = sectionIndex >= config.sectionsPerCable;
+    const relIndex = isTail ? sectionIndex - config.sectionsPerCable : sectionIndex;
+    const project = selectedProjectFilter ? { project: selectedProjectFilter } : {};
+    if (!sectionMapsPromise) {
+      sectionMapsPromise = Promise.all([API.fetchLastFouling(project), API.fetchLastNotes(project)]);
+    }
+    const history = Promise.all([
+      API.fetchEventsPage({
+        ...project,
+        streamer: streamerId,
+        sectionType: isTail ? 'tail' : 'active',
+        sectionStart: relIndex,
+        sectionEnd: relIndex,
+        sort: 'cleanedAt',
+        order: 'desc',
+        limit: 5,
+      }),
+      sectionMapsPromise,
+    ]).then(([page, [{ lastFouling }, { lastNotes }]]) => ({
+      recent: page.events,
+      total: page.total,
+      fouling: lastFouling[streamerId]?.[sectionIndex] || null,
+      note: lastNotes[streamerId]?.[sectionIndex] || null,
+    }));
+    // Forget a failed lookup so the next hover tries again.
+    history.catch(() => sectionHistoryCache.delete(key));
+    sectionHistoryCache.set(key, history);
+  }
+  return sectionHistoryCache.get(key);
+}
+
+async function showSectionTooltip(e, streamerId, sectionIndex) {
   const tooltip = createTooltip();
+  const key = `${streamerId}-${sectionIndex}`;
+  tooltipPointer = e;
+  if (tooltipSection === key) {
+    if (tooltip.classList.contains('show')) positionTooltipNearCursor(tooltip, e);
+    return;
+  }
+  tooltipSection = key;
+
+  let history;
+  try {
+    history = await loadSectionHistory(streamerId, sectionIndex);
+  } catch (err) {
+    console.error(err);
+    return;
+  }
+  // The pointer has moved on to another section (or left the heatmap) meanwhile.
+  if (tooltipSection !== key) return;
+
   const streamerNum = streamerId;
   const sectionsPerCable = config.sectionsPerCable;
 
@@ -113,25 +197,9 @@ function showSectionTooltip(e, streamerId, sectionIndex) {
   const relIndex = isTail ? sectionIndex - sectionsPerCable : sectionIndex;
   const sectionLabel = formatSectionLabel(relIndex, isTail ? 'tail' : 'active');
 
-  // Get cleaning history for this specific section (by section_type and indices)
-  const sectionEvents = events.filter(evt => {
-    if (evt.streamerId !== streamerId) return false;
-    if (isTail) {
-      if (evt.sectionType !== 'tail') return false;
-      return relIndex >= evt.sectionIndexStart && relIndex <= evt.sectionIndexEnd;
-    }
-    if (evt.sectionType !== 'active') return false;
-    return sectionIndex >= evt.sectionIndexStart && sectionIndex <= evt.sectionIndexEnd;
-  });
-
-  const totalCleanings = sectionEvents.length;
-
-  // Sort by date (newest first) — copy so we don't mutate before methodCounts
-  const sortedByDate = [...sectionEvents].sort((a, b) =>
-    new Date(b.cleanedAt) - new Date(a.cleanedAt)
-  );
+  const totalCleanings = history.total;
+  const sortedByDate = history.recent;
 
-  // Get last cleaned date from sorted list
   let lastCleaned = null;
   let lastMethod = null;
   let daysSince = null;
@@ -151,7 +219,7 @@ function showSectionTooltip(e, streamerId, sectionIndex) {
         <span class="tooltip-label">Last Cleaned</span>
       </div>
       <div class="tooltip-row" style="margin-top: 4px">
-        <span class="tooltip-value">${lastMethod}</span>
+        <span class="tooltip-value">${methodDisplay(lastMethod)}</span>
       </div>
       <div class="tooltip-row">
         <span class="tooltip-value">${formatDateTime(lastCleaned)}</span>
@@ -160,6 +228,10 @@ function showSectionTooltip(e, streamerId, sectionIndex) {
         <span class="tooltip-age ${ageClass}">${daysSince} days ago</span>
       </div>
     `;
+    const lastLine = formatSurveyLine(sortedByDate[0].surveyLine);
+    if (lastLine) {
+      html += `<div class="tooltip-row"><span class="tooltip-value">🧭 ${escapeHtml(lastLine)}</span></div>`;
+    }
   } else {
     html += `
       <div class="tooltip-row">
@@ -178,16 +250,52 @@ function showSectionTooltip(e, streamerId, sectionIndex) {
     </div>
   `;
 
+  const lastGraded = history.fouling;
+  if (lastGraded) {
+    html += `
+      <div class="tooltip-section">
+        <div class="tooltip-row">
+          <span class="tooltip-label">Last Fouling</span>
+          <span class="tooltip-value">${formatFouling(lastGraded.grade, lastGraded.type)}</span>
+        </div>
+      </div>
+    `;
+  }
+
+  const lastNoted = history.note;
+  if (lastNoted) {
+    html += `
+      <div class="tooltip-section">
+        <div class="tooltip-row">
+          <span class="tooltip-label">📝 Note (${formatDateTime(lastNoted.cleanedAt)})</span>
+        </div>
+        <div class="tooltip-row tooltip-notes">${escapeHtml(lastNoted.notes)}</div>
+      </div>
+    `;
+  }
+
+  // Photos of the last cleaning, filled in once loaded
+  const lastEvent = sortedByDate[0];
+  if (lastEvent?.attachmentCount > 0) {
+    html += `
+      <div class="tooltip-section">
+        <div class="tooltip-row">
+          <span class="tooltip-label">📎 Last cleaning: ${lastEvent.attachmentCount} attachment(s)</span>
+        </div>
+        <div class="tooltip-thumbs"></div>
+      </div>
+    `;
+  }
+
   // Last 5 cleanings by date
   if (sortedByDate.length > 0) {
-    const lastFive = sortedByDate.slice(0, 5);
+    const lastFive = sortedByDate;
     html += `<div class="tooltip-section"><div class="tooltip-row"><span class="tooltip-label">Last 5 cleanings</span></div>`;
     lastFive.forEach(evt => {
-      const icon = getMethodIcon(evt.cleaningMethod);
       html += `
         <div class="tooltip-row">
           <span class="tooltip-value">${formatDateTime(evt.cleanedAt)}</span>
-          <span class="tooltip-method">${icon} ${evt.cleaningMethod}</span>
+          <span class="tooltip-method">${methodDisplay(evt.cleaningMethod)}</span>
         </div>
       `;
     });
@@ -195,19 +303,25 @@ function showSectionTooltip(e, streamerId, sectionIndex) {
   }
 
   tooltip.innerHTML = html;
+  const thumbsEl = tooltip.querySelector('.tooltip-thumbs');
+  if (thumbsEl) showTooltipThumbnails(thumbsEl, lastEvent);
 
   // Make visible, then position using shared helper
   tooltip.classList.add('show');
-  positionTooltipNearCursor(tooltip, e);
+  positionTooltipNearCursor(tooltip, tooltipPointer);
 }
 
 function hideSectionTooltip() {
+  tooltipSection = null;
   if (tooltip) tooltip.classList.remove('show');
 }
 
 /* ------------ Attach Tooltip Listeners ------------ */
 
 function attachTooltipListeners() {
+  // Section data may have changed since the last render.
+  sectionHistoryCache.clear();
+  sectionMapsPromise = null;
   const cells = document.querySelectorAll('.hm-vcell:not(.hm-module):not(.hm-channel-ref):not(.hm-tail-ref)');
   cells.forEach(cell => {
     cell.addEventListener('mouseenter', (e) => {
@@ -238,120 +352,35 @@ function attachTooltipListeners() {
   });
 }
 
-function getMethodIcon(method) {
-  const icons = {
-    rope: '🪢',
-    scraper: '🛠️',
-    'scraper-rope': '🪢🛠️',
-    scue: '⚙️',
-    knife: '🔪'
-  };
-  return icons[method] || '🔧';
-}
-
 /* ------------ Project API (see js/projects.js) ------------ */
 
 
-async function loadEvents() {
-  let url = 'api/events';
-  if (selectedProjectFilter) {
-    url += `?project=${encodeURIComponent(selectedProjectFilter)}`;
-  }
-  setEvents(await API.apiCall(url));
-}
-
 /* ------------ Recent-clean check helpers ------------ */
 
 let pendingCleaningPayload = null;
 let adjacentMergeTarget = null;
 
-const RECENT_CLEAN_WINDOW_MS = 24 * 60 * 60 * 1000;
-const ADJACENT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
-
-/**
- * Returns the most recent event overlapping the given range that was cleaned
- * within the 24-hour window before `cleanedAtIso`, or null if none found.
- */
-function checkRecentCleanings(streamerId, startIndex, endIndex, cleanedAtIso) {
-  const proposedTime = new Date(cleanedAtIso).getTime();
-  let mostRecent = null;
-  let smallestDiff = Infinity;
-
-  for (const evt of events) {
-    if (evt.streamerId !== streamerId) continue;
-    if (evt.sectionIndexStart > endIndex || evt.sectionIndexEnd < startIndex) continue;
-
-    const existingTime = new Date(evt.cleanedAt).getTime();
-    const diff = proposedTime - existingTime;
-
-    if (diff > 0 && diff < RECENT_CLEAN_WINDOW_MS && diff < smallestDiff) {
-      smallestDiff = diff;
-      mostRecent = { evt, diffMs: diff };
-    }
-  }
-
-  return mostRecent;
-}
-
 /**
- * Returns the most recent event adjacent to the given range that shares the same
- * streamer and cleaning method, within 1 hour in either direction.
- * Only checks single-type ranges (active-only or tail-only); returns null for
- * ranges that span both active and tail.
- *
- * @param {number} streamerId
- * @param {number} startIndex - 0-based global start index
- * @param {number} endIndex - 0-based global end index (inclusive)
- * @param {string} cleaningMethod
- * @param {string} cleanedAtIso
- * @returns {{ evt, mergedStart, mergedEnd, sectionType, diffMs } | null}
+ * Ask the server (dry run of POST /api/events) whether the new event overlaps a recent
+ * cleaning or adjoins a same-method event. Returns the closest match of each kind in the
+ * shape the warning modals use; merging is only offered when the event is not split.
  */
-function checkAdjacentEvents(streamerId, startIndex, endIndex, cleaningMethod, cleanedAtIso) {
-  const sectionsPerCable = config.sectionsPerCable ?? 107;
-
-  let proposedType;
-  let proposedStart;
-  let proposedEnd;
-
-  if (endIndex < sectionsPerCable) {
-    proposedType = 'active';
-    proposedStart = startIndex;
-    proposedEnd = endIndex;
-  } else if (startIndex >= sectionsPerCable) {
-    proposedType = 'tail';
-    proposedStart = startIndex - sectionsPerCable;
-    proposedEnd = endIndex - sectionsPerCable;
-  } else {
-    // Spans active + tail — skip merge suggestion for now
-    return null;
-  }
-
-  const proposedTime = new Date(cleanedAtIso).getTime();
-  let mostRecent = null;
-  let smallestDiff = Infinity;
-
-  for (const evt of events) {
-    if (evt.streamerId !== streamerId) continue;
-    if ((evt.sectionType || 'active') !== proposedType) continue;
-    if (evt.cleaningMethod !== cleaningMethod) continue;
-
-    const isAdjacent =
-      evt.sectionIndexEnd + 1 === proposedStart ||
-      proposedEnd + 1 === evt.sectionIndexStart;
-    if (!isAdjacent) continue;
-
-    const existingTime = new Date(evt.cleanedAt).getTime();
-    const diff = Math.abs(proposedTime - existingTime);
-
-    if (diff < ADJACENT_WINDOW_MS && diff < smallestDiff) {
-      smallestDiff = diff;
-      const mergedStart = Math.min(evt.sectionIndexStart, proposedStart);
-      const mergedEnd = Math.max(evt.sectionIndexEnd, proposedEnd);
-      mostRecent = { evt, mergedStart, mergedEnd, sectionType: proposedType, diffMs: diff };
-    }
-  }
-
-  return mostRecent;
+async function checkEventConflicts(body) {
+  const { events: planned, warnings } = await API.checkEvent(body);
+  const overlap = warnings.find(warning => warning.type === 'overlap');
+  const adjacent = planned.length === 1 ? warnings.find(warning => warning.type === 'adjacent') : null;
+  return {
+    recentClean: overlap ? { evt: overlap.event, diffMs: overlap.diffMs } : null,
+    adjacentMatch: adjacent
+      ? {
+          evt: adjacent.event,
+          mergedStart: adjacent.merged.sectionIndexStart,
+          mergedEnd: adjacent.merged.sectionIndexEnd,
+          sectionType: adjacent.event.sectionType,
+          diffMs: adjacent.diffMs,
+        }
+      : null,
+  };
 }
 
 /** Formats a millisecond duration as a human-readable "X hrs Y min ago" string. */
@@ -373,7 +402,7 @@ function showRecentCleanWarning(recentClean, body) {
   safeGet('recent-clean-headline').textContent =
     `Streamer ${evt.streamerId}, sections ${rangeLabel} was cleaned ${formatTimeAgo(diffMs)}.`;
   safeGet('recent-clean-detail').textContent =
-    `Method: ${evt.cleaningMethod} · Recorded: ${formatDateTime(evt.cleanedAt)}`;
+    `Method: ${methodLabel(evt.cleaningMethod)} · Recorded: ${formatDateTime(evt.cleanedAt)}`;
 
   pendingCleaningPayload = body;
   openModal('recent-clean-warning-modal');
@@ -396,7 +425,7 @@ function showAdjacentMergeModal(adjacentMatch, body) {
   const mergedRange = `${formatSectionLabel(mergedStart, sectionType)}–${formatSectionLabel(mergedEnd, sectionType)}`;
 
   safeGet('adjacent-merge-headline').textContent =
-    `Streamer ${evt.streamerId}: "${evt.cleaningMethod}" was applied to sections ${existingRange} ${formatTimeAgo(diffMs)}.`;
+    `Streamer ${evt.streamerId}: "${methodLabel(evt.cleaningMethod)}" was applied to sections ${existingRange} ${formatTimeAgo(diffMs)}.`;
   safeGet('adjacent-merge-detail').textContent =
     `Your new event covers adjacent sections ${proposedRange}. Merge into one event covering ${mergedRange}?`;
 
@@ -405,34 +434,26 @@ function showAdjacentMergeModal(adjacentMatch, body) {
   openModal('adjacent-merge-modal');
 }
 
-/** Merges the pending payload into the existing adjacent event by extending its section range. */
+/** Saves the pending payload, then merges it into the adjacent event on the server. */
 async function mergeAdjacentEvent() {
   closeModal('adjacent-merge-modal');
   if (!adjacentMergeTarget || !pendingCleaningPayload) return;
 
-  const { evt, mergedStart, mergedEnd, sectionType } = adjacentMergeTarget;
+  const { evt } = adjacentMergeTarget;
+  const payload = pendingCleaningPayload;
   adjacentMergeTarget = null;
   pendingCleaningPayload = null;
 
   try {
-    await API.updateEvent(evt.id, {
-      streamerId: evt.streamerId,
-      sectionIndexStart: mergedStart,
-      sectionIndexEnd: mergedEnd,
-      sectionType: sectionType,
-      cleaningMethod: evt.cleaningMethod,
-      cleanedAt: evt.cleanedAt,
-      cleaningCount: evt.cleaningCount,
-      projectNumber: evt.projectNumber,
-      vesselTag: evt.vesselTag,
-    });
+    const created = await API.createEvent(payload);
+    await API.mergeEvents([evt.id, created.id]);
     await refreshEverything();
     await renderHeatmap();
     await refreshStatsFiltered();
     showSuccessToast('Events merged', 'Cleaning events merged into one.');
   } catch (err) {
     console.error(err);
-    showErrorToast('Merge Failed', 'Failed to merge events. Please try again.');
+    showErrorToast('Merge Failed', err.message || 'Failed to merge events. Please try again.');
   }
 }
 
@@ -455,14 +476,14 @@ async function proceedWithCleaning(body) {
     }
   } catch (err) {
     console.error(err);
-    showErrorToast('Save Failed', 'Failed to save cleaning event. Please try again.');
+    showErrorToast('Save Failed', err.message || 'Failed to save cleaning event. Please try again.');
   }
 }
 
 async function addEvent() {
   const statusEl = safeGet("event-status");
-  if (!isAdminOrAbove()) {
-    setStatus(statusEl, "Admin access required", true);
+  if (!can("events.write")) {
+    setStatus(statusEl, "You do not have permission to add events", true);
     return;
   }
 
@@ -488,7 +509,7 @@ async function addEvent() {
 
     const actualStart = Math.min(startSection, endSection) - 1;
     const actualEnd = Math.max(startSection, endSection) - 1;
-    const datetimeIso = new Date(`${dateVal}T${timeVal}`).toISOString();
+    const datetimeIso = fromDateTimeInputs(dateVal, timeVal);
     const streamerId = streamerNum;
 
     const body = {
@@ -501,13 +522,12 @@ async function addEvent() {
       vesselTag: config.vesselTag || 'TTN'
     };
 
-    const recentClean = checkRecentCleanings(streamerId, actualStart, actualEnd, datetimeIso);
+    const { recentClean, adjacentMatch } = await checkEventConflicts(body);
     if (recentClean) {
       showRecentCleanWarning(recentClean, body);
       return;
     }
 
-    const adjacentMatch = checkAdjacentEvents(streamerId, actualStart, actualEnd, method, datetimeIso);
     if (adjacentMatch) {
       showAdjacentMergeModal(adjacentMatch, body);
       return;
@@ -522,7 +542,7 @@ async function addEvent() {
 }
 
 async function deleteEvent(id) {
-  const evt = events.find(e => e.id === id);
+  const evt = findLoggedEvent(id);
   if (!evt) return;
 
   // Populate delete modal
@@ -535,10 +555,10 @@ async function deleteEvent(id) {
 
   const ebRangeRaw = sectionType === 'tail'
     ? '—'
-    : getEBRangeForSectionRange(evt.sectionIndexStart, evt.sectionIndexEnd, config);
+    : getEBRangeForSectionRange(evt.sectionIndexStart, evt.sectionIndexEnd, evt.layout || config);
 
   safeGet('delete-eb-display').textContent = ebRangeRaw;
-  safeGet('delete-method-display').textContent = evt.cleaningMethod;
+  safeGet('delete-method-display').textContent = methodLabel(evt.cleaningMethod);
   safeGet('delete-date-display').textContent = formatDateTime(evt.cleanedAt);
   safeGet('delete-distance-display').textContent = `${eventDistance(evt)} m`;
 
@@ -550,7 +570,7 @@ function closeDeleteModal() {
 }
 
 async function confirmDeleteEvent() {
-  if (!isAdminOrAbove()) {
+  if (!can("events.delete")) {
     showAccessDeniedToast('delete events');
     return;
   }
@@ -574,7 +594,7 @@ async function confirmDeleteEvent() {
 }
 
 function editEventPrompt(id) {
-  const evt = events.find(e => e.id === id);
+  const evt = findLoggedEvent(id);
   if (!evt) return;
 
   const streamerNum = evt.streamerId;
@@ -583,14 +603,20 @@ function editEventPrompt(id) {
   safeGet('edit-streamer').value = streamerNum;
   safeGet('edit-start').value = evt.sectionIndexStart + 1;
   safeGet('edit-end').value = evt.sectionIndexEnd + 1;
+  // Offer what the event's vessel may use, plus the method it was recorded with.
+  fillMethodSelect(safeGet('edit-method'), methodsForVessel(evt.vesselTag), { keepKey: evt.cleaningMethod });
   safeGet('edit-method').value = evt.cleaningMethod;
   safeGet("edit-project-number").value = evt.projectNumber || "";
   safeGet("edit-vessel-tag").value = evt.vesselTag || "TTN";
 
-  const dateObj = new Date(evt.cleanedAt);
-  safeGet('edit-date').value = dateObj.toISOString().split('T')[0];
-  safeGet('edit-time').value = dateObj.toTimeString().slice(0, 5);
+  const { date, time } = toDateTimeInputs(evt.cleanedAt);
+  safeGet('edit-date').value = date;
+  safeGet('edit-time').value = time;
+  setFoulingInputs(safeGet('edit-fouling-grade'), safeGet('edit-fouling-type'), evt);
+  setEffortInputs('edit', evt);
+  safeGet('edit-notes').value = evt.notes || '';
 
+  safeGet('edit-history')?.classList.add('hidden');
   safeGet('edit-modal').classList.add('show');
 }
 
@@ -598,6 +624,128 @@ function closeEditModal() {
   safeGet('edit-modal').classList.remove('show');
 }
 
+function describeLoggedEvent(evt) {
+  const sectionType = evt.sectionType || 'active';
+  const rangeLabel = `${formatSectionLabel(evt.sectionIndexStart, sectionType)}–${formatSectionLabel(evt.sectionIndexEnd, sectionType)}`;
+  return `Streamer ${evt.streamerId}, sections ${rangeLabel}, ${formatDateTime(evt.cleanedAt)}`;
+}
+
+function showEventAttachments(id) {
+  const evt = findLoggedEvent(id);
+  if (!evt) return;
+  openAttachments(evt.id, describeLoggedEvent(evt));
+}
+
+// ------------ Event Edit History ------------
+const HISTORY_FIELD_LABELS = {
+  streamerId: 'Streamer',
+  sectionIndexStart: 'First section',
+  sectionIndexEnd: 'Last section',
+  sectionType: 'Section type',
+  cleaningMethod: 'Method',
+  cleanedAt: 'Date',
+  cleaningCount: 'Count',
+  projectNumber: 'Project',
+  vesselTag: 'Vessel',
+  foulingGrade: 'Fouling grade',
+  foulingType: 'Fouling type',
+  durationMinutes: 'Duration',
+  crewSize: 'Crew size',
+  crewNames: 'Crew',
+  equipmentUnit: 'Equipment',
+  notes: 'Notes',
+};
+
+function formatHistoryValue(field, value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'cleanedAt') return formatDateTime(value);
+  if (field === 'cleaningMethod') return methodLabel(value);
+  if (field === 'durationMinutes') return formatDuration(value);
+  // Section indexes are stored 0-based but shown 1-based, as in the edit form.
+  if (field === 'sectionIndexStart' || field === 'sectionIndexEnd') return String(value + 1);
+  return String(value);
+}
+
+function renderEditHistory(eventId, revisions) {
+  const list = safeGet('edit-history-list');
+  if (!list) return;
+
+  list.innerHTML = '';
+  if (!revisions.length) {
+    list.innerHTML = '<li class="text-muted">No edits recorded for this event</li>';
+    return;
+  }
+
+  revisions.forEach((revision) => {
+    const item = document.createElement('li');
+
+    const heading = document.createElement('div');
+    const change = revision.changeType === 'revert'
+      ? `reverted edit #${revision.revertedTo}`
+      : 'edited';
+    heading.textContent = `#${revision.revision} · ${formatDateTime(revision.changedAt)} · ${revision.changedBy} ${change}`;
+
+    const changes = document.createElement('ul');
+    changes.className = 'event-history-changes';
+    revision.changedFields.forEach((field) => {
+      const line = document.createElement('li');
+      line.textContent = `${HISTORY_FIELD_LABELS[field] || field}: ` +
+        `${formatHistoryValue(field, revision.before[field])} → ${formatHistoryValue(field, revision.after[field])}`;
+      changes.appendChild(line);
+    });
+
+    item.appendChild(heading);
+    item.appendChild(changes);
+    if (can('events.write')) {
+      const revertBtn = document.createElement('button');
+      revertBtn.type = 'button';
+      revertBtn.className = 'btn btn-outline btn-sm';
+      revertBtn.textContent = '↩️ Restore values before this edit';
+      revertBtn.addEventListener('click', () => revertEventToRevision(eventId, revision.revision));
+      item.appendChild(revertBtn);
+    }
+    list.appendChild(item);
+  });
+}
+
+async function toggleEditHistory() {
+  const panel = safeGet('edit-history');
+  if (!panel) return;
+  if (!panel.classList.contains('hidden')) {
+    panel.classList.add('hidden');
+    return;
+  }
+
+  const id = parseInt(safeGet('edit-event-id').value);
+  try {
+    const { revisions } = await API.fetchEventHistory(id);
+    renderEditHistory(id, revisions);
+    panel.classList.remove('hidden');
+  } catch (err) {
+    console.error(err);
+    showErrorToast('History', 'Failed to load edit history.');
+  }
+}
+
+async function revertEventToRevision(id, revision) {
+  if (!can('events.write')) {
+    showAccessDeniedToast('revert events');
+    return;
+  }
+  try {
+    await API.revertEvent(id, revision);
+    closeEditModal();
+    showSuccessToast('Event reverted', `Values from before edit #${revision} restored.`);
+
+    await refreshEverything();
+    await renderHeatmap();
+    await refreshStatsFiltered();
+  } catch (err) {
+    console.error(err);
+    showErrorToast('Revert Failed', err.message || 'Failed to revert event.');
+  }
+}
+
 async function saveEditedEvent() {
   const id = parseInt(safeGet('edit-event-id').value);
   const streamerNum = parseInt(safeGet('edit-streamer').value);
@@ -613,7 +761,8 @@ async function saveEditedEvent() {
     streamerNum, 
     startSection, 
     endSection, 
-    projectNumber  // ← Use the event's project config!
+    projectNumber,  // ← Use the event's project config!
+    findLoggedEvent(id)?.layout  // ← or the earlier layout the event was logged on
   );
   
   if (!validation.valid) {
@@ -624,7 +773,7 @@ async function saveEditedEvent() {
   const actualStart = Math.min(startSection, endSection) - 1;
   const actualEnd = Math.max(startSection, endSection) - 1;
   const streamerId = streamerNum;
-  const datetimeIso = new Date(`${dateVal}T${timeVal}`).toISOString();
+  const datetimeIso = fromDateTimeInputs(dateVal, timeVal);
 
   const body = {
     streamerId: streamerId,
@@ -635,6 +784,9 @@ async function saveEditedEvent() {
     cleaningCount: 1,
     projectNumber: projectNumber,
     vesselTag: vesselTag,
+    ...readFoulingInputs(safeGet('edit-fouling-grade'), safeGet('edit-fouling-type')),
+    ...readEffortInputs('edit', datetimeIso),
+    notes: safeGet('edit-notes').value.trim() || null,
   };
 
   await updateEvent(id, body);
@@ -642,7 +794,7 @@ async function saveEditedEvent() {
 }
 
 async function updateEvent(id, body) {
-  if (!isAdminOrAbove()) {
+  if (!can("events.write")) {
     showAccessDeniedToast('edit events');
     return;
   }
@@ -664,7 +816,7 @@ async function updateEvent(id, body) {
 
 // Show the clear all modal
 function showClearAllModal() {
-  if (!isSuperUser()) {
+  if (!canClearEvents()) {
     showAccessDeniedToast('clear all events');
     return;
   }
@@ -679,17 +831,18 @@ function showClearAllModal() {
   
   if (!modal) return;
   
-  // Set scope and count
+  // Set scope and count (the total of a one-event page of the scope)
   if (activeProject) {
     scopeEl.textContent = `Project: ${activeProject.projectNumber}`;
-    const projectEvents = events.filter(e => e.projectNumber === activeProject.projectNumber);
-    countEl.textContent = projectEvents.length;
-    warningMsg.textContent = `All cleaning events for project ${activeProject.projectNumber} will be permanently deleted.`;
+    warningMsg.textContent = `All cleaning events for project ${activeProject.projectNumber} will be moved to the trash.`;
   } else {
     scopeEl.textContent = 'All Projects (Global)';
-    countEl.textContent = events.length;
-    warningMsg.textContent = 'All cleaning events from ALL projects will be permanently deleted from the database.';
+    warningMsg.textContent = 'All cleaning events from ALL projects will be moved to the trash.';
   }
+  countEl.textContent = '…';
+  API.fetchEventsPage({ project: activeProject?.projectNumber, limit: 1 })
+    .then(page => { countEl.textContent = page.total; })
+    .catch(() => { countEl.textContent = '?'; });
   
   // Reset input and disable button
   confirmInput.value = '';
@@ -735,9 +888,9 @@ async function confirmClearAllEvents() {
     closeClearAllModal();
     
     if (activeProject) {
-      showSuccessToast('Events Cleared', `All events deleted from project ${activeProject.projectNumber}.`);
+      showSuccessToast('Events Cleared', `All events of project ${activeProject.projectNumber} moved to the trash.`);
     } else {
-      showSuccessToast('All Events Cleared', 'All cleaning events have been permanently deleted.');
+      showSuccessToast('All Events Cleared', 'All cleaning events have been moved to the trash.');
     }
     
     await refreshEverything();
@@ -751,53 +904,38 @@ async function confirmClearAllEvents() {
 
 /* ------------ CSV Import/Export ------------ */
 
-function exportCsv() {
-  if (!events.length) {
-    showWarningToast('No Data', 'No events available to export.');
-    return;
-  }
-
-  const header = 'Streamer Number,Section Type,First Section,Last Section,Cleaning Method,Date & Time,Project Number,Vessel Tag,Added By';
-  const rows = [header];
-
-  events.forEach(evt => {
-    const streamerNum = evt.streamerId;
-    const sectionType = evt.sectionType || 'active';
-    const startSection = evt.sectionIndexStart + 1;
-    const endSection = evt.sectionIndexEnd + 1;
-    const dateStr = new Date(evt.cleanedAt).toISOString();
-    const projectNum = evt.projectNumber || '';
-    const vesselTag = evt.vesselTag || 'TTN';
-    const addedBy = (evt.addedByUsertag || '').replace(/"/g, '""');
-    rows.push(`${streamerNum},${sectionType},${startSection},${endSection},${evt.cleaningMethod},"${dateStr}","${projectNum}","${vesselTag}","${addedBy}"`);
-  });
+/**
+ * Download the events matching the project filter and the log filters from
+ * GET /api/events/export (streamed by the server, not built from the loaded events).
+ */
+async function exportEvents() {
+  const exportBtn = safeGet('btn-export-csv');
+  if (exportBtn) exportBtn.disabled = true;
+  try {
+    const { blob, filename } = await API.downloadEventsExport({
+      ...readLogFilters(),
+      project: selectedProjectFilter || '',
+      format: safeGet('export-format')?.value || 'csv',
+      include: [
+        safeGet('export-include-ranges')?.checked ? 'ebRange,channelRange' : '',
+        safeGet('export-include-survey-line')?.checked ? 'surveyLine' : '',
+      ].filter(Boolean).join(','),
+    });
 
-  const csv = rows.join('\n');
-  
-  // Create a Blob from the CSV string
-  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-  
-  // Create a temporary download link
-  const link = document.createElement('a');
-  const url = URL.createObjectURL(blob);
-  
-  // Generate filename with current date and project if filtered
-  const now = new Date();
-  const dateStr = now.toISOString().split('T')[0];
-  const projectSuffix = selectedProjectFilter ? `-${selectedProjectFilter}` : '';
-  const filename = `streamer-cleaning-events${projectSuffix}-${dateStr}.csv`;
-  
-  link.setAttribute('href', url);
-  link.setAttribute('download', filename);
-  link.style.visibility = 'hidden';
-  
-  // Trigger download
-  document.body.appendChild(link);
-  link.click();
-  
-  // Cleanup
-  document.body.removeChild(link);
-  URL.revokeObjectURL(url);
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  } catch (err) {
+    showErrorToast('Export Failed', err.message || 'Failed to export events.');
+  } finally {
+    if (exportBtn) exportBtn.disabled = false;
+  }
 }
 
 function importCsv() {
@@ -806,175 +944,237 @@ function importCsv() {
   input.click();
 }
 
-function parseCsvLine(line) {
-  const regex = /,(?=(?:(?:[^"]*"){2})*[^"]*$)/;
-  return line.split(regex).map(field => field.trim().replace(/^"|"$/g, ''));
+/* ------------ Import preview ------------ */
+
+/** Mapped rows (null for unreadable file lines) and dry-run results waiting for confirmation. */
+let pendingImport = null;
+
+function describeImportResult(result) {
+  // Overlap / adjacency warnings do not block the row; show the closest one.
+  const note = result.warnings?.length ? ` — ⚠️ ${result.warnings[0].message}` : '';
+  switch (result.status) {
+    case 'create': return `✅ New${note}`;
+    case 'split': return `✂️ New, split into active + tail${note}`;
+    case 'duplicate': return `⚠️ Duplicate — ${result.reason}`;
+    default: return `❌ ${result.reason}`;
+  }
 }
 
-async function handleCsvFile(file) {
-  if (!isAdminOrAbove()) {
-    showAccessDeniedToast('import CSV data');
-    return;
+function rowsToImport() {
+  if (!pendingImport) return [];
+  const skipDuplicates = safeGet('import-skip-duplicates')?.checked;
+  return pendingImport.results
+    .filter(result => result.status !== 'rejected' && !(skipDuplicates && result.status === 'duplicate'))
+    .map(result => pendingImport.rows[result.index]);
+}
+
+function updateImportConfirmButton() {
+  const confirmBtn = safeGet('btn-import-preview-confirm');
+  if (!confirmBtn) return;
+  const count = rowsToImport().length;
+  confirmBtn.textContent = `Import ${count} row${count === 1 ? '' : 's'}`;
+  confirmBtn.disabled = count === 0;
+}
+
+function showImportPreview(rows, preview) {
+  pendingImport = { rows, results: preview.results };
+  const { counts } = preview;
+
+  const summaryEl = safeGet('import-preview-summary');
+  if (summaryEl) {
+    const parts = [
+      `${counts.create + counts.split} new (${counts.split} split into active + tail)`,
+      `${counts.duplicate} duplicate(s)`,
+      `${counts.rejected} rejected`,
+    ];
+    summaryEl.textContent = `${parts.join(', ')}. Rejected rows are not imported.`;
   }
-  
-  const reader = new FileReader();
 
-  reader.onload = async (e) => {
-    const content = e.target.result;
-    const lines = content.split('\n').filter(l => l.trim());
+  const tbody = safeGet('import-preview-body');
+  if (tbody) {
+    tbody.innerHTML = '';
+    preview.results.forEach((result) => {
+      // Lines the server could not map have no row; only the reason is shown.
+      const row = rows[result.index];
+      const tr = document.createElement('tr');
+      const sections = result.events.length
+        ? result.events
+            .map(evt => `${formatSectionLabel(evt.sectionIndexStart, evt.sectionType)}–${formatSectionLabel(evt.sectionIndexEnd, evt.sectionType)}`)
+            .join(', ')
+        : row ? `${row.sectionIndexStart + 1}–${row.sectionIndexEnd + 1}` : '-';
+      const cells = [
+        String(result.index + 1),
+        row ? String(row.streamerId) : '-',
+        sections,
+        row ? methodLabel(row.cleaningMethod) : '-',
+        row ? formatDateTime(row.cleanedAt) : '-',
+        describeImportResult(result),
+      ];
+      cells.forEach((text) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      tr.lastChild.className = `import-status-${result.status}`;
+      tbody.appendChild(tr);
+    });
+  }
 
-    if (lines.length < 2) {
-      showErrorToast('Invalid File', 'CSV file seems empty or invalid.');
-      return;
-    }
+  updateImportConfirmButton();
+  openModal('import-preview-modal');
+}
 
-    const importBtn = safeGet('btn-import-csv');
-    const progressEl = safeGet('csv-import-progress');
-    const dataLines = lines.slice(1).filter(l => l.trim());
-    const total = dataLines.length;
-
-    const hasSectionTypeColumn = total > 0 && (() => {
-      const firstParts = parseCsvLine(dataLines[0].trim());
-      return firstParts.length >= 8 && (firstParts[1] === 'active' || firstParts[1] === 'tail');
-    })();
-
-    // Parse and client-side-validate all rows first; collect valid ones for batch send.
-    const validRows = [];
-    let parseErrorCount = 0;
-
-    for (const line of dataLines) {
-      const trimmed = line.trim();
-      if (!trimmed) continue;
-
-      const parts = parseCsvLine(trimmed);
-      let streamerNum, startSection, endSection, method, dateTimeStr, projectNumber, vesselTag, sectionType;
-
-      if (hasSectionTypeColumn && parts.length >= 8 && (parts[1] === 'active' || parts[1] === 'tail')) {
-        streamerNum   = parseInt(parts[0], 10);
-        sectionType   = parts[1];
-        startSection  = parseInt(parts[2], 10);
-        endSection    = parseInt(parts[3], 10);
-        method        = parts[4];
-        dateTimeStr   = parts[5].replace(/"/g, '').trim();
-        projectNumber = parts[6] ? parts[6].replace(/"/g, '').trim() : null;
-        vesselTag     = parts[7] ? parts[7].replace(/"/g, '').trim() : 'TTN';
-      } else if (parts.length >= 5) {
-        streamerNum   = parseInt(parts[0], 10);
-        startSection  = parseInt(parts[1], 10);
-        endSection    = parseInt(parts[2], 10);
-        method        = parts[3];
-        dateTimeStr   = parts[4].replace(/"/g, '').trim();
-        projectNumber = parts[5] ? parts[5].replace(/"/g, '').trim() : null;
-        vesselTag     = parts[6] ? parts[6].replace(/"/g, '').trim() : 'TTN';
-        sectionType   = null;
-      } else {
-        parseErrorCount++;
-        continue;
-      }
+function closeImportPreview() {
+  closeModal('import-preview-modal');
+  pendingImport = null;
+}
 
-      if (
-        isNaN(streamerNum) || isNaN(startSection) || isNaN(endSection) ||
-        streamerNum < 1 || streamerNum > (config.numCables + 1)
-      ) { parseErrorCount++; continue; }
-
-      const dateObj = new Date(dateTimeStr);
-      if (isNaN(dateObj.getTime())) { parseErrorCount++; continue; }
-
-      const actualStart = Math.min(startSection, endSection) - 1;
-      const actualEnd   = Math.max(startSection, endSection) - 1;
-
-      const row = {
-        streamerId: streamerNum,
-        sectionIndexStart: actualStart,
-        sectionIndexEnd: actualEnd,
-        cleaningMethod: method,
-        cleanedAt: dateObj.toISOString(),
-        cleaningCount: 1,
-        projectNumber,
-        vesselTag,
-      };
-      if (sectionType) row.sectionType = sectionType;
-      validRows.push(row);
-    }
+async function confirmImport() {
+  const rows = rowsToImport();
+  if (!rows.length) return;
+  const skippedCount = pendingImport.rows.length - rows.length;
 
-    if (validRows.length === 0) {
-      showErrorToast('Import Failed', `No valid rows found. ${parseErrorCount} row(s) could not be parsed.`);
-      return;
-    }
+  const confirmBtn = safeGet('btn-import-preview-confirm');
+  if (confirmBtn) confirmBtn.disabled = true;
+  try {
+    // The whole batch is written in one transaction: all rows or none.
+    const result = await API.bulkCreateEvents(rows);
+    closeImportPreview();
 
-    if (importBtn) importBtn.disabled = true;
-    if (progressEl) {
-      progressEl.classList.remove('hidden');
-      progressEl.textContent = `Importing ${validRows.length} events…`;
+    await refreshEverything();
+    await renderHeatmap();
+    await refreshStatsFiltered();
+
+    if (skippedCount === 0) {
+      showSuccessToast('Import Complete', `${result.successCount} events imported successfully.`);
+    } else {
+      showWarningToast('Import Complete', `${result.successCount} imported, ${skippedCount} skipped.`);
     }
+  } catch (err) {
+    showErrorToast('Import Failed', err.message || 'Failed to import events. Nothing was imported.');
+    if (confirmBtn) confirmBtn.disabled = false;
+  }
+}
 
-    try {
-      const result = await API.bulkCreateEvents(validRows);
-      const successCount = result.successCount ?? validRows.length;
-      const errorCount = (result.errorCount ?? 0) + parseErrorCount;
+/* ------------ Log rendering ------------ */
 
-      await refreshEverything();
-      await renderHeatmap();
-      await refreshStatsFiltered();
+/** Log column (data-sort) → sort key of GET /api/events. */
+const LOG_SORT_KEYS = {
+  date: 'cleanedAt',
+  project: 'projectNumber',
+  addedby: 'addedBy',
+  streamer: 'streamerId',
+  section: 'sectionIndexStart',
+  distance: 'sectionCount',
+  method: 'cleaningMethod',
+  fouling: 'foulingGrade',
+};
 
-      if (errorCount === 0) {
-        showSuccessToast('Import Complete', `${successCount} events imported successfully.`);
-      } else {
-        showWarningToast('Import Complete', `${successCount} imported, ${errorCount} failed.`);
-      }
-    } catch (err) {
-      showErrorToast('Import Failed', err.message || 'Failed to import events. Please try again.');
-    } finally {
-      if (importBtn) importBtn.disabled = false;
-      if (progressEl) progressEl.classList.add('hidden');
-    }
+/** Rows of the log page currently shown (edit/delete look events up here). */
+let logRows = [];
+
+function readLogFilters() {
+  const toIndex = (id) => {
+    const value = parseInt(safeGet(id)?.value, 10);
+    return Number.isFinite(value) ? value - 1 : '';
+  };
+  return {
+    streamer: safeGet('log-filter-streamer')?.value || '',
+    sectionStart: toIndex('log-filter-section-from'),
+    sectionEnd: toIndex('log-filter-section-to'),
+    sectionType: safeGet('log-filter-section-type')?.value || '',
+    method: safeGet('log-filter-method')?.value || '',
+    addedBy: safeGet('log-filter-added-by')?.value.trim() || '',
+    notes: safeGet('log-filter-notes')?.value.trim() || '',
+    start: safeGet('log-filter-from')?.value || '',
+    end: safeGet('log-filter-to')?.value || '',
   };
+}
 
-  reader.readAsText(file);
+function resetLogFilters() {
+  ['log-filter-streamer', 'log-filter-section-from', 'log-filter-section-to', 'log-filter-section-type',
+    'log-filter-method', 'log-filter-added-by', 'log-filter-notes', 'log-filter-from', 'log-filter-to'].forEach((id) => {
+    const input = safeGet(id);
+    if (input) input.value = '';
+  });
+  logPage = 1;
+  renderLog();
 }
 
-/* ------------ Log rendering ------------ */
+function findLoggedEvent(id) {
+  return logRows.find(e => e.id === id);
+}
 
 async function renderLog() {
   const tbody = safeGet('log-body');
   if (!tbody) return;
 
-  tbody.innerHTML = '';
+  let page;
+  try {
+    page = await API.fetchEventsPage({
+      ...readLogFilters(),
+      project: selectedProjectFilter || '',
+      sort: LOG_SORT_KEYS[sortState.column],
+      order: sortState.ascending ? 'asc' : 'desc',
+      limit: logPageSize,
+      offset: (logPage - 1) * logPageSize,
+    });
+  } catch (err) {
+    console.error(err);
+    showErrorToast('Log', err.message || 'Failed to load the cleaning log.');
+    return;
+  }
 
-  const isAdminUser = isAdminOrAbove();
-  const allEvents = getFilteredEvents();
-  const totalRows = allEvents.length;
+  // Clamp current page so it never points past the last page after a filter change or delete.
+  const totalPages = Math.max(1, Math.ceil(page.total / logPageSize));
+  if (logPage > totalPages) {
+    logPage = totalPages;
+    return renderLog();
+  }
 
-  // Clamp current page so it never points past the last page after a filter change.
-  const totalPages = Math.max(1, Math.ceil(totalRows / logPageSize));
-  if (logPage > totalPages) logPage = totalPages;
+  logRows = page.events;
+  tbody.innerHTML = '';
 
-  const pageEvents = allEvents.slice(
-    (logPage - 1) * logPageSize,
-    logPage * logPageSize
-  );
+  const canEdit = can("events.write");
+  const canDelete = can("events.delete");
 
-  // Calculate EB ranges locally using already-loaded config — no network calls needed
-  pageEvents.forEach((evt) => {
+  // Calculate EB ranges locally using already-loaded config (or the earlier layout an event was logged on) — no network calls needed
+  logRows.forEach((evt) => {
     const tr = document.createElement('tr');
     const streamerNum = evt.streamerId;
     const sectionType = evt.sectionType || 'active';
     const rangeLabel = `${formatSectionLabel(evt.sectionIndexEnd, sectionType)}–${formatSectionLabel(evt.sectionIndexStart, sectionType)}`;
     const ebRange = sectionType === 'tail'
       ? '—'
-      : getEBRangeForSectionRange(evt.sectionIndexStart, evt.sectionIndexEnd, config);
+      : getEBRangeForSectionRange(evt.sectionIndexStart, evt.sectionIndexEnd, evt.layout || config);
     const distance = eventDistance(evt);
     const projectDisplay = evt.projectNumber || '<span style="color:#9ca3af">—</span>';
     const vesselDisplay = evt.vesselTag || 'TTN';
     const addedByDisplay = evt.addedByUsertag || '—';
-
-    const actionButtons = isAdminUser
-      ? `<button class="btn btn-outline btn-edit" data-id="${evt.id}">✏️</button>
-         <button class="btn btn-outline btn-delete" data-id="${evt.id}">🗑️</button>`
-      : '<span class="view-only-badge">View Only</span>';
+    const surveyLine = formatSurveyLine(evt.surveyLine);
+    const surveyLineDisplay = surveyLine ? `<div class="log-survey-line">${escapeHtml(surveyLine)}</div>` : '';
+    const notesDisplay = evt.notes
+      ? `<span class="log-notes" title="${escapeHtml(evt.notes)}">${escapeHtml(evt.notes)}</span>`
+      : '—';
+
+    // Closed and archived projects are read-only (except for GrandSuperUsers).
+    const readOnly = isProjectReadOnly(evt.projectNumber);
+    const rowCanEdit = canEdit && !readOnly;
+    const rowCanDelete = canDelete && !readOnly;
+
+    // Everyone can open existing attachments; only writers get the button on events without any.
+    const attachmentCount = evt.attachmentCount || 0;
+    const attachmentsButton = attachmentCount > 0 || rowCanEdit
+      ? `<button class="btn btn-outline btn-attachments" data-id="${evt.id}" title="Attachments">📎${attachmentCount > 0 ? ` ${attachmentCount}` : ''}</button>`
+      : '';
+    const actionButtons = rowCanEdit || rowCanDelete
+      ? `${attachmentsButton}
+         ${rowCanEdit ? `<button class="btn btn-outline btn-edit" data-id="${evt.id}">✏️</button>` : ''}
+         ${rowCanDelete ? `<button class="btn btn-outline btn-delete" data-id="${evt.id}">🗑️</button>` : ''}`
+      : `${attachmentsButton}<span class="view-only-badge">${readOnly ? 'Closed' : 'View Only'}</span>`;
 
     tr.innerHTML = `
-      <td>${formatDateTime(evt.cleanedAt)}</td>
+      <td>${formatDateTime(evt.cleanedAt)}${surveyLineDisplay}</td>
       <td>${projectDisplay}</td>
       <td>${vesselDisplay}</td>
       <td>${addedByDisplay}</td>
@@ -982,24 +1182,28 @@ async function renderLog() {
       <td>${rangeLabel}</td>
       <td>${ebRange}</td>
       <td>${distance} m</td>
-      <td>${evt.cleaningMethod}</td>
+      <td>${methodDisplay(evt.cleaningMethod)}</td>
+      <td>${formatFouling(evt.foulingGrade, evt.foulingType) || '—'}</td>
+      <td>${notesDisplay}</td>
       <td>${actionButtons}</td>
     `;
     tbody.appendChild(tr);
   });
 
-  // Add event listeners for edit/delete buttons (only if admin)
-  if (isAdminUser) {
-    document.querySelectorAll('.btn-edit').forEach(btn => {
-      btn.addEventListener('click', () => editEventPrompt(parseInt(btn.dataset.id)));
-    });
+  // Add event listeners for attachment/edit/delete buttons (only rendered when permitted)
+  document.querySelectorAll('.btn-attachments').forEach(btn => {
+    btn.addEventListener('click', () => showEventAttachments(parseInt(btn.dataset.id)));
+  });
 
-    document.querySelectorAll('.btn-delete').forEach(btn => {
-      btn.addEventListener('click', () => deleteEvent(parseInt(btn.dataset.id)));
-    });
-  }
+  document.querySelectorAll('.btn-edit').forEach(btn => {
+    btn.addEventListener('click', () => editEventPrompt(parseInt(btn.dataset.id)));
+  });
 
-  renderLogPagination(totalRows);
+  document.querySelectorAll('.btn-delete').forEach(btn => {
+    btn.addEventListener('click', () => deleteEvent(parseInt(btn.dataset.id)));
+  });
+
+  renderLogPagination(page.total);
 }
 
 /* ------------ Method selection ------------ */
@@ -1011,6 +1215,23 @@ function selectMethod(method) {
   });
 }
 
+/**
+ * Render the method tiles and dropdowns from the catalogue: new events offer the active
+ * methods of the working vessel, the log filter every method.
+ */
+function renderMethodControls() {
+  const available = methodsForVessel(currentMethodVessel());
+  if (available.length && !available.some((method) => method.key === selectedMethod)) {
+    setSelectedMethod(available[0].key);
+  }
+  renderMethodTiles(safeGet('method-tiles'), available, selectedMethod, selectMethod);
+  fillMethodSelect(safeGet('evt-method'), available);
+  fillMethodSelect(safeGet('modal-method'), available, { withIcons: true });
+  fillMethodSelect(safeGet('log-filter-method'), getCleaningMethods(), { allLabel: 'All methods' });
+  const evtMethod = safeGet('evt-method');
+  if (evtMethod) evtMethod.value = selectedMethod;
+}
+
 /* ------------ Alerts ------------ */
 
 async function renderAlerts(preloadedLastCleaned = null) {
@@ -1093,6 +1314,16 @@ async function renderAlerts(preloadedLastCleaned = null) {
 
 /* ------------ Heat-map rendering ------------ */
 
+/** What heatmap cells are coloured by: 'age' (days since cleaning) or 'fouling' (last observed grade). */
+let heatmapMode = 'age';
+
+async function setHeatmapMode(mode) {
+  heatmapMode = mode === 'fouling' ? 'fouling' : 'age';
+  safeGet('heatmap-age-legend')?.classList.toggle('hidden', heatmapMode === 'fouling');
+  safeGet('heatmap-fouling-legend')?.classList.toggle('hidden', heatmapMode !== 'fouling');
+  await renderHeatmap();
+}
+
 async function renderHeatmap(preloadedLastCleaned = null, preloadedDeployments = null) {
   const container = safeGet('heatmap-container');
   if (!container) return;
@@ -1307,6 +1538,10 @@ async function renderHeatmap(preloadedLastCleaned = null, preloadedDeployments =
     attachScrollListener(); // Call once after heatmap rendered
 
     container.appendChild(wrapper);
+    if (heatmapMode === 'fouling') {
+      const { lastFouling } = await API.fetchLastFouling(selectedProjectFilter ? { project: selectedProjectFilter } : {});
+      applyFoulingMode(container, lastFouling);
+    }
     attachDragListeners();
     attachTooltipListeners();
     attachStreamerHeaderTooltips(wrapper, lastCleaned, deployments);
@@ -1330,20 +1565,40 @@ function attachStreamerHeaderTooltips(wrapper, lastCleaned, deployments) {
     document.body.appendChild(tooltipEl);
   }
 
+  // Cleaning count and first cleaning per streamer, from the oldest event of a one-event page;
+  // fetched on first hover. Uses the active project so "first scraping" matches its deployments
+  // (the filtered project when none is active).
+  const activeProject = getActiveProject();
+  const project = activeProject ? String(activeProject.projectNumber) : selectedProjectFilter;
+  const summaries = new Map();
+  const loadSummary = (streamerId) => {
+    if (!summaries.has(streamerId)) {
+      const summary = API.fetchEventsPage({ project, streamer: streamerId, sort: 'cleanedAt', order: 'asc', limit: 1 })
+        .then(page => ({ events: page.total, firstCleanedAt: page.events[0]?.cleanedAt ?? null }));
+      summary.catch(() => summaries.delete(streamerId));
+      summaries.set(streamerId, summary);
+    }
+    return summaries.get(streamerId);
+  };
+  let hoveredStreamer = null;
+
   const labels = wrapper.querySelectorAll('.hm-col-label.hm-header[data-streamer-id]');
   labels.forEach(label => {
     const streamerId = parseInt(label.dataset.streamerId, 10);
     if (!streamerId) return;
 
-    const show = (e) => {
-      // Use active project's events so "first scraping" matches deployment (same project); fallback to filtered events if no active project
-      const activeProject = getActiveProject();
-      const baseEvents = activeProject
-        ? events.filter(ev => String(ev.projectNumber) === String(activeProject.projectNumber))
-        : getFilteredEvents();
-      const streamerEvents = baseEvents.filter(ev => ev.streamerId === streamerId);
+    const show = async (e) => {
+      hoveredStreamer = streamerId;
+      let streamerSummary;
+      try {
+        streamerSummary = await loadSummary(streamerId);
+      } catch (err) {
+        console.error(err);
+        return;
+      }
+      if (hoveredStreamer !== streamerId) return;
 
-      const data = computeStreamerTooltipData(streamerId, { deployments, lastCleaned, streamerEvents });
+      const data = computeStreamerTooltipData(streamerId, { deployments, lastCleaned, streamerSummary });
       const { daysToFirstScraping, lastCleanedDate, coatingLabel } = data;
       const deployment = data.deployment;
 
@@ -1352,7 +1607,7 @@ function attachStreamerHeaderTooltips(wrapper, lastCleaned, deployments) {
         html += `<div class="streamer-tooltip-row">📅 Deployed: ${new Date(deployment.deploymentDate).toLocaleDateString()}</div>`;
         if (daysToFirstScraping !== null) {
           html += `<div class="streamer-tooltip-row">🌊 Days to first scraping: ${daysToFirstScraping}</div>`;
-        } else if (streamerEvents.length === 0) {
+        } else if (streamerSummary.events === 0) {
           html += `<div class="streamer-tooltip-row">🌊 Days to first scraping: No scraping yet</div>`;
         } else {
           html += `<div class="streamer-tooltip-row">🌊 Days to first scraping: —</div>`;
@@ -1361,9 +1616,9 @@ function attachStreamerHeaderTooltips(wrapper, lastCleaned, deployments) {
         html += `<div class="streamer-tooltip-row">📅 No deployment date</div>`;
       }
       html += `<div class="streamer-tooltip-row">🛡️ Coating: ${coatingLabel}</div>`;
-      html += `<div class="streamer-tooltip-row">🧹 Total cleanings: ${streamerEvents.length}</div>`;
+      html += `<div class="streamer-tooltip-row">🧹 Total cleanings: ${streamerSummary.events}</div>`;
       if (lastCleanedDate) {
-        html += `<div class="streamer-tooltip-row">✅ Last cleaned: ${new Date(lastCleanedDate).toLocaleDateString()}</div>`;
+        html += `<div class="streamer-tooltip-row">✅ Last cleaned: ${formatDate(lastCleanedDate)}</div>`;
       } else {
         html += `<div class="streamer-tooltip-row">✅ Last cleaned: Never</div>`;
       }
@@ -1381,6 +1636,7 @@ function attachStreamerHeaderTooltips(wrapper, lastCleaned, deployments) {
     };
 
     const hide = () => {
+      hoveredStreamer = null;
       tooltipEl.style.display = 'none';
     };
 
@@ -1508,9 +1764,12 @@ function showConfirmationModal() {
   streamerInput.value = streamerNum;
   methodSelect.value = selectedMethod;
 
-  const now = new Date();
-  safeGet('modal-date').value = now.toISOString().split('T')[0];
-  safeGet('modal-time').value = now.toTimeString().slice(0, 5);
+  const now = toDateTimeInputs(new Date());
+  safeGet('modal-date').value = now.date;
+  safeGet('modal-time').value = now.time;
+  setFoulingInputs(safeGet('modal-fouling-grade'), safeGet('modal-fouling-type'));
+  setEffortInputs('modal');
+  safeGet('modal-notes').value = '';
 
   updateModalSummary();
   safeGet('confirmation-modal').classList.add('show');
@@ -1561,7 +1820,7 @@ function closeConfirmationModal() {
 
 async function confirmCleaning() {
   if (isFinalizing) return;
-  if (!isAdminOrAbove()) {
+  if (!can("events.write")) {
     showAccessDeniedToast('add cleaning events');
     closeConfirmationModal();
     return;
@@ -1598,7 +1857,7 @@ async function confirmCleaning() {
     const dateVal = safeGet('modal-date').value;
     const timeVal = safeGet('modal-time').value;
     const cleanedAt = (dateVal && timeVal)
-      ? new Date(`${dateVal}T${timeVal}`).toISOString()
+      ? fromDateTimeInputs(dateVal, timeVal)
       : new Date().toISOString();
 
     const body = {
@@ -1609,10 +1868,13 @@ async function confirmCleaning() {
       cleanedAt,
       cleaningCount: 1,
       projectNumber: projectNumber,
-      vesselTag: config.vesselTag || 'TTN'
+      vesselTag: config.vesselTag || 'TTN',
+      ...readFoulingInputs(safeGet('modal-fouling-grade'), safeGet('modal-fouling-type')),
+      ...readEffortInputs('modal', cleanedAt),
+      notes: safeGet('modal-notes').value.trim() || null,
     };
 
-    const recentClean = checkRecentCleanings(streamerId, actualStart, actualEnd, cleanedAt);
+    const { recentClean, adjacentMatch } = await checkEventConflicts(body);
     if (recentClean) {
       setIsFinalizing(false);
       closeConfirmationModal();
@@ -1620,7 +1882,6 @@ async function confirmCleaning() {
       return;
     }
 
-    const adjacentMatch = checkAdjacentEvents(streamerId, actualStart, actualEnd, method, cleanedAt);
     if (adjacentMatch) {
       setIsFinalizing(false);
       closeConfirmationModal();
@@ -1644,16 +1905,10 @@ async function refreshEverything(preloadedLastCleaned = null) {
   // A filter change always brings the user back to page 1 of the log.
   logPage = 1;
 
-  // Fetch events + last-cleaned data in parallel (last-cleaned is needed by both
-  // renderAlerts and renderStreamerCards, so fetch once and share the result).
-  const lastCleanedPromise = preloadedLastCleaned
-    ? Promise.resolve(preloadedLastCleaned)
-    : API.fetchLastCleaned(selectedProjectFilter ? { project: selectedProjectFilter } : {});
-
-  const [, lastCleanedData] = await Promise.all([
-    loadEvents(),
-    lastCleanedPromise,
-  ]);
+  // last-cleaned is needed by both renderAlerts and renderStreamerCards, so fetch once and
+  // share the result. The log loads its own page; no view needs every event.
+  const lastCleanedData = preloadedLastCleaned
+    || await API.fetchLastCleaned(selectedProjectFilter ? { project: selectedProjectFilter } : {});
 
   // Render log, alerts, and streamer cards in parallel — they use already-loaded
   // state and touch separate DOM regions. allSettled so one failure doesn't cancel
@@ -1667,10 +1922,7 @@ async function refreshEverything(preloadedLastCleaned = null) {
 
 /* ------------ Log Pagination ------------ */
 
-// TODO: migrate to server-side LIMIT/OFFSET pagination on GET /api/events
-//       once the dataset grows large enough to make the full fetch expensive.
-//       Client-side pagination is a temporary layer — all events are already
-//       in memory, so slicing here adds no network cost.
+// Pages are fetched from GET /api/events (limit/offset) with the log's filters and sort.
 
 let logPage = 1;
 let logPageSize = 50;
@@ -1729,49 +1981,8 @@ async function sortTable(column) {
     sortState.ascending = true;
   }
 
-  const sortedEvents = [...events].sort((a, b) => {
-    let valA, valB;
-
-    switch (column) {
-      case 'date':
-        valA = new Date(a.cleanedAt).getTime();
-        valB = new Date(b.cleanedAt).getTime();
-        break;
-      case 'project':
-        valA = a.projectNumber || '';
-        valB = b.projectNumber || '';
-        break;
-      case 'streamer':
-        valA = a.streamerId;
-        valB = b.streamerId;
-        break;
-      case 'section':
-        valA = a.sectionIndexStart;
-        valB = b.sectionIndexStart;
-        break;
-      case 'distance':
-        valA = eventDistance(a);
-        valB = eventDistance(b);
-        break;
-      case 'method':
-        valA = a.cleaningMethod;
-        valB = b.cleaningMethod;
-        break;
-      case 'addedby':
-        valA = (a.addedByUsertag || '').toLowerCase();
-        valB = (b.addedByUsertag || '').toLowerCase();
-        break;
-      default:
-        return 0;
-    }
-
-    if (valA < valB) return sortState.ascending ? -1 : 1;
-    if (valA > valB) return sortState.ascending ? 1 : -1;
-    return 0;
-  });
-
+  // Sorting happens server-side; start again from the first page.
   logPage = 1;
-  setEvents(sortedEvents);
   await renderLog();
   updateSortIcons();
 }
@@ -1899,28 +2110,22 @@ function setupSidebarNavigation() {
 /* ------------ Event Listeners Setup ------------ */
 
 function setupEventListeners() {
+  // Heatmap colour mode (cleaning age / last fouling)
+  safeGet('heatmap-mode')?.addEventListener('change', (e) => setHeatmapMode(e.target.value));
+
   // Config
   safeGet('btn-save-config')?.addEventListener('click', Projects.saveConfig);
   safeGet('btn-cleanup-streamers')?.addEventListener('click', Projects.cleanupOrphanedStreamers);
 
-  // Method tiles — click + keyboard activation
-  document.querySelectorAll('.method-tile').forEach(tile => {
-    const activate = () => selectMethod(tile.dataset.method);
-    tile.addEventListener('click', activate);
-    tile.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); activate(); }
-    });
-  });
-
   // Manual event entry
   safeGet('btn-add-event')?.addEventListener('click', addEvent);
 
   // CSV
-  safeGet('btn-export-csv')?.addEventListener('click', exportCsv);
+  safeGet('btn-export-csv')?.addEventListener('click', exportEvents);
   safeGet('btn-import-csv')?.addEventListener('click', importCsv);
   safeGet('csv-input')?.addEventListener('change', (e) => {
     if (e.target.files[0]) {
-      handleCsvFile(e.target.files[0]);
+      openFileImport(e.target.files[0]);
     }
   });
 
@@ -2067,8 +2272,33 @@ function setupEventListeners() {
   safeGet('btn-edit-close')?.addEventListener('click', closeEditModal);
   safeGet('btn-edit-cancel')?.addEventListener('click', closeEditModal);
   safeGet('btn-edit-save')?.addEventListener('click', saveEditedEvent);
+  safeGet('btn-edit-history')?.addEventListener('click', toggleEditHistory);
+  safeGet('btn-edit-attachments')?.addEventListener('click', () => {
+    showEventAttachments(parseInt(safeGet('edit-event-id').value));
+  });
   document.querySelector('#edit-modal .modal-overlay')?.addEventListener('click', closeEditModal);
 
+  // Modal - Attachments: refresh the counts in the log and the tooltip data after changes
+  initAttachments(async () => {
+    sectionHistoryCache.clear();
+    await renderLog();
+  });
+
+  // Modal - CSV import preview
+  initFileImport(showImportPreview);
+  safeGet('btn-import-preview-close')?.addEventListener('click', closeImportPreview);
+  safeGet('btn-import-preview-cancel')?.addEventListener('click', closeImportPreview);
+  safeGet('btn-import-preview-confirm')?.addEventListener('click', confirmImport);
+  safeGet('import-skip-duplicates')?.addEventListener('change', updateImportConfirmButton);
+  document.querySelector('#import-preview-modal .modal-overlay')?.addEventListener('click', closeImportPreview);
+
+  // Log filters
+  safeGet('btn-log-filter-apply')?.addEventListener('click', () => {
+    logPage = 1;
+    renderLog();
+  });
+  safeGet('btn-log-filter-reset')?.addEventListener('click', resetLogFilters);
+
   // Sortable table headers
   document.querySelectorAll('.sortable').forEach(th => {
     th.addEventListener('click', () => sortTable(th.dataset.sort));
@@ -2138,8 +2368,9 @@ async function initAppContent() {
     refreshStatsFiltered,
   });
 
-  // Load config and projects in parallel — they are independent requests.
-  await Promise.all([Projects.loadConfig(), Projects.loadProjects()]);
+  // Load config, projects and the method catalogue in parallel — they are independent requests.
+  await Promise.all([Projects.loadConfig(), Projects.loadProjects(), loadCleaningMethods()]);
+  renderMethodControls();
 
   // Determine the project filter. URL param takes priority over the active-project
   // default so that bookmarked/shared URLs open in the correct context.
@@ -2170,9 +2401,8 @@ async function initAppContent() {
     ? API.apiCall(`/api/projects/${active.id}/streamer-deployments`).catch(() => ({}))
     : Promise.resolve({});
 
-  // Fetch events, last-cleaned, deployments, and stats all in parallel.
-  const [, lastCleanedData, deployments, overallStats, filterStats] = await Promise.all([
-    loadEvents(),
+  // Fetch last-cleaned, deployments, and stats all in parallel.
+  const [lastCleanedData, deployments, overallStats, filterStats] = await Promise.all([
     API.apiCall(lastCleanedUrl),
     deploymentsPromise,
     API.apiCall(statsUrl),
@@ -2186,13 +2416,11 @@ async function initAppContent() {
   await refreshStatsFiltered(lastCleanedData, deployments, overallStats, filterStats);
 
   // Set default date/time for manual entry
-  const now = new Date();
-  const dateStr = now.toISOString().split('T')[0];
-  const timeStr = now.toTimeString().slice(0, 5);
+  const now = toDateTimeInputs(new Date());
   const evtDate = safeGet('evt-date');
   const evtTime = safeGet('evt-time');
-  if (evtDate) evtDate.value = dateStr;
-  if (evtTime) evtTime.value = timeStr;
+  if (evtDate) evtDate.value = now.date;
+  if (evtTime) evtTime.value = now.time;
 
   initModals();
   setupEventListeners();
@@ -7,10 +7,21 @@ import {
   showApp,
   handleLogin,
   handleLogout,
-  isSuperUser,
+  can,
+  canAccessConfigPage,
+  isGrandSuperUser,
   updateUIForRole,
 } from "./js/auth.js";
 import * as Projects from "./js/projects.js";
+import * as Users from "./js/users.js";
+import * as Sessions from "./js/sessions.js";
+import * as Lockouts from "./js/lockouts.js";
+import * as Audit from "./js/audit.js";
+import * as Trash from "./js/trash.js";
+import * as ApiTokens from "./js/apiTokens.js";
+import * as CleaningMethods from "./js/cleaningMethods.js";
+import * as TwoFactor from "./js/twoFactor.js";
+import * as Capabilities from "./js/capabilities.js";
 import { projects } from "./js/state.js";
 import { initModals } from "./js/modals.js";
 
@@ -35,12 +46,12 @@ function renderVesselProjectOverview() {
     }
     const entry = byVessel.get(vesselTag);
     entry.projects.push(p);
-    if (p.isActive) {
+    if (p.isActiveForVessel) {
       entry.activeProjectId = p.id;
     }
   });
 
-  const superUser = isSuperUser();
+  const canManageProjects = can("projects.manage");
 
   byVessel.forEach((entry) => {
     const row = document.createElement("tr");
@@ -50,7 +61,7 @@ function renderVesselProjectOverview() {
     vesselCell.textContent = entry.vesselTag;
 
     const activeCell = document.createElement("td");
-    if (superUser) {
+    if (canManageProjects) {
       const select = document.createElement("select");
       select.className = "vessel-project-select";
       select.dataset.vessel = entry.vesselTag;
@@ -108,6 +119,7 @@ function renderVesselProjectOverview() {
 function setupConfigEventListeners() {
   // Config
   safeGet("btn-save-config")?.addEventListener("click", Projects.saveConfig);
+  safeGet("btn-save-time-zone")?.addEventListener("click", Projects.saveVesselTimeZone);
   safeGet("btn-cleanup-streamers")?.addEventListener(
     "click",
     Projects.cleanupOrphanedStreamers,
@@ -280,10 +292,140 @@ function setupConfigEventListeners() {
     "click",
     () => Projects.confirmForceDeleteProject(),
   );
+
+  // Modal - Clone Project
+  safeGet("btn-clone-project-close")?.addEventListener(
+    "click",
+    Projects.closeCloneProjectModal,
+  );
+  safeGet("btn-clone-project-cancel")?.addEventListener(
+    "click",
+    Projects.closeCloneProjectModal,
+  );
+  document
+    .querySelector("#clone-project-modal .modal-overlay")
+    ?.addEventListener("click", Projects.closeCloneProjectModal);
+  safeGet("btn-clone-project-confirm")?.addEventListener(
+    "click",
+    () => Projects.confirmCloneProject(),
+  );
+
+  // Modal - Close-out
+  safeGet("btn-close-out-close")?.addEventListener(
+    "click",
+    Projects.closeCloseOutModal,
+  );
+  safeGet("btn-close-out-cancel")?.addEventListener(
+    "click",
+    Projects.closeCloseOutModal,
+  );
+  document
+    .querySelector("#close-out-modal .modal-overlay")
+    ?.addEventListener("click", Projects.closeCloseOutModal);
+  safeGet("btn-close-out-confirm")?.addEventListener(
+    "click",
+    () => Projects.confirmCloseProject(),
+  );
+  safeGet("project-selector-show-archived")?.addEventListener(
+    "change",
+    Projects.populateProjectSelector,
+  );
+
+  // Active sessions
+  safeGet("btn-refresh-sessions")?.addEventListener(
+    "click",
+    Sessions.loadSessions,
+  );
+
+  // Login lockouts
+  safeGet("btn-refresh-lockouts")?.addEventListener(
+    "click",
+    Lockouts.loadLockouts,
+  );
+
+  // Trash
+  safeGet("btn-refresh-trash")?.addEventListener(
+    "click",
+    Trash.loadTrash,
+  );
+
+  // Audit log
+  safeGet("btn-refresh-audit")?.addEventListener(
+    "click",
+    Audit.loadAuditLog,
+  );
+  safeGet("btn-audit-load-more")?.addEventListener(
+    "click",
+    Audit.loadMoreAuditLog,
+  );
+
+  // Cleaning method catalogue
+  safeGet("btn-create-method")?.addEventListener(
+    "click",
+    CleaningMethods.createCleaningMethod,
+  );
+
+  // API tokens
+  safeGet("btn-create-api-token")?.addEventListener(
+    "click",
+    ApiTokens.createApiToken,
+  );
+  safeGet("btn-api-token-created-copy")?.addEventListener(
+    "click",
+    ApiTokens.copyCreatedApiToken,
+  );
+  safeGet("btn-api-token-created-close")?.addEventListener(
+    "click",
+    ApiTokens.closeApiTokenCreatedModal,
+  );
+  safeGet("btn-api-token-created-done")?.addEventListener(
+    "click",
+    ApiTokens.closeApiTokenCreatedModal,
+  );
+
+  // Two-factor authentication (own account)
+  safeGet("btn-two-factor-setup")?.addEventListener("click", TwoFactor.startTwoFactorSetup);
+  safeGet("btn-two-factor-enable")?.addEventListener("click", TwoFactor.enableTwoFactor);
+  safeGet("btn-two-factor-regenerate")?.addEventListener(
+    "click",
+    TwoFactor.regenerateRecoveryCodes,
+  );
+  safeGet("btn-two-factor-disable")?.addEventListener("click", TwoFactor.disableTwoFactor);
+  safeGet("btn-two-factor-recovery-copy")?.addEventListener(
+    "click",
+    TwoFactor.copyRecoveryCodes,
+  );
+  safeGet("btn-two-factor-recovery-close")?.addEventListener(
+    "click",
+    TwoFactor.closeRecoveryCodesModal,
+  );
+  safeGet("btn-two-factor-recovery-done")?.addEventListener(
+    "click",
+    TwoFactor.closeRecoveryCodesModal,
+  );
+
+  // User management (GrandSuperUser)
+  safeGet("btn-create-user")?.addEventListener("click", Users.createUser);
+  safeGet("btn-save-capabilities")?.addEventListener("click", Capabilities.saveCapabilities);
+  safeGet("btn-reset-password-close")?.addEventListener(
+    "click",
+    Users.closeResetPasswordModal,
+  );
+  safeGet("btn-reset-password-cancel")?.addEventListener(
+    "click",
+    Users.closeResetPasswordModal,
+  );
+  safeGet("btn-reset-password-confirm")?.addEventListener(
+    "click",
+    Users.confirmResetPassword,
+  );
+  document
+    .querySelector("#reset-password-modal .modal-overlay")
+    ?.addEventListener("click", Users.closeResetPasswordModal);
 }
 
 async function initConfigApp() {
-  if (!isSuperUser()) {
+  if (!canAccessConfigPage()) {
     showAccessDeniedToast("access configuration");
     showLogin();
     return;
@@ -294,6 +436,17 @@ async function initConfigApp() {
   await Projects.loadProjects();
   await Projects.loadBackups();
   await Projects.renderStreamerDeploymentGrid();
+  await Sessions.loadSessions();
+  await Lockouts.loadLockouts();
+  await CleaningMethods.loadCleaningMethodsConfig();
+  await ApiTokens.loadApiTokens();
+  await Trash.loadTrash();
+  await Audit.loadAuditLog();
+  await TwoFactor.loadTwoFactorStatus();
+  if (isGrandSuperUser()) {
+    await Users.loadUsers();
+    await Capabilities.loadCapabilities();
+  }
 
   initModals();
   setupConfigEventListeners();
@@ -318,7 +471,7 @@ async function init() {
   if (loadSession()) {
     const isValid = await validateSession();
     if (isValid) {
-      if (!isSuperUser()) {
+      if (!canAccessConfigPage()) {
         showAccessDeniedToast("access configuration");
         showLogin();
         return;
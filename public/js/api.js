@@ -7,7 +7,7 @@
  * 403 → permission denied: shows an access-denied toast (existing behaviour).
  */
 
-import { authToken, setCurrentUser } from "./state.js";
+import { authToken, workingVessel, setCurrentUser } from "./state.js";
 import { showAccessDeniedToast } from "./ui.js";
 
 /** Registered by app.js — called whenever any authenticated request gets a 401. */
@@ -22,6 +22,9 @@ export function getAuthHeaders() {
   if (authToken) {
     headers["Authorization"] = `Bearer ${authToken}`;
   }
+  if (workingVessel) {
+    headers["X-Vessel-Tag"] = workingVessel;
+  }
   return headers;
 }
 
@@ -60,6 +63,15 @@ export async function apiCall(url, options = {}) {
   return data;
 }
 
+/** Query string from params, skipping empty values. */
+function toSearchParams(params) {
+  const searchParams = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") searchParams.set(key, value);
+  });
+  return searchParams.toString();
+}
+
 // --- Auth ---
 export async function fetchSession() {
   if (!authToken) return null;
@@ -81,6 +93,42 @@ export async function updateConfig(body) {
   });
 }
 
+export async function updateVesselTimeZone(timeZone) {
+  return apiCall("api/config/time-zone", {
+    method: "PUT",
+    body: JSON.stringify({ timeZone }),
+    action: "change the vessel time zone",
+  });
+}
+
+// --- Cleaning methods (catalogue for everyone; changes need methods.manage) ---
+export async function fetchCleaningMethods() {
+  return apiCall("api/cleaning-methods");
+}
+
+export async function createCleaningMethod(body) {
+  return apiCall("api/cleaning-methods", {
+    method: "POST",
+    body: JSON.stringify(body),
+    action: "add cleaning methods",
+  });
+}
+
+export async function updateCleaningMethod(id, body) {
+  return apiCall(`api/cleaning-methods/${id}`, {
+    method: "PUT",
+    body: JSON.stringify(body),
+    action: "edit cleaning methods",
+  });
+}
+
+export async function deleteCleaningMethod(id) {
+  return apiCall(`api/cleaning-methods/${id}`, {
+    method: "DELETE",
+    action: "delete cleaning methods",
+  });
+}
+
 // --- Projects ---
 export async function fetchProjects() {
   return apiCall("api/projects");
@@ -98,6 +146,30 @@ export async function createProject(body) {
   });
 }
 
+export async function cloneProject(id, body) {
+  return apiCall(`api/projects/${id}/clone`, {
+    method: "POST",
+    body: JSON.stringify(body),
+    action: "clone project",
+  });
+}
+
+export async function updateProjectStatus(id, status) {
+  return apiCall(`api/projects/${id}/status`, {
+    method: "PUT",
+    body: JSON.stringify({ status }),
+    action: "change project status",
+  });
+}
+
+export async function fetchCloseOut(id) {
+  return apiCall(`api/projects/${id}/close-out`);
+}
+
+export async function fetchConfigVersions(id) {
+  return apiCall(`api/projects/${id}/config-versions`);
+}
+
 export async function updateProject(id, body) {
   return apiCall(`api/projects/${id}`, {
     method: "PUT",
@@ -165,13 +237,31 @@ export async function cleanupStreamers(body) {
 }
 
 // --- Events ---
-export async function fetchEvents(params = {}) {
-  const searchParams = new URLSearchParams();
-  if (params.project) searchParams.set("project", params.project);
-  if (params.start) searchParams.set("start", params.start);
-  if (params.end) searchParams.set("end", params.end);
-  const query = searchParams.toString();
-  return apiCall(`api/events${query ? "?" + query : ""}`);
+/**
+ * One page of the event log: { events, total, limit, offset }. Empty params are skipped;
+ * see GET /api/events for the filter and sort names.
+ */
+export async function fetchEventsPage(params = {}) {
+  return apiCall(`api/events?${toSearchParams(params)}`);
+}
+
+/**
+ * Download GET /api/events/export (format, include and the log filters) as { blob, filename }.
+ * Not via apiCall: the response is a file, not JSON.
+ */
+export async function downloadEventsExport(params = {}) {
+  const res = await fetch(`api/events/export?${toSearchParams(params)}`, { headers: getAuthHeaders() });
+  if (res.status === 403) {
+    showAccessDeniedToast("export events");
+    throw new Error("Forbidden");
+  }
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || `Request failed: ${res.status}`);
+  }
+  const disposition = res.headers.get("Content-Disposition") || "";
+  const filename = /filename="([^"]+)"/.exec(disposition)?.[1] || "streamer-cleaning-events";
+  return { blob: await res.blob(), filename };
 }
 
 export async function createEvent(body) {
@@ -182,6 +272,27 @@ export async function createEvent(body) {
   });
 }
 
+/**
+ * Dry run of createEvent: { events, warnings } with the planned events and any recent
+ * overlapping (type "overlap") or adjacent same-method (type "adjacent") events.
+ */
+export async function checkEvent(body) {
+  return apiCall("api/events", {
+    method: "POST",
+    body: JSON.stringify({ ...body, dryRun: true }),
+    action: "create event",
+  });
+}
+
+/** Combine adjacent or overlapping events into the earliest one: { event, removedIds }. */
+export async function mergeEvents(eventIds) {
+  return apiCall("api/events/merge", {
+    method: "POST",
+    body: JSON.stringify({ eventIds }),
+    action: "merge events",
+  });
+}
+
 export async function bulkCreateEvents(rows) {
   return apiCall("api/events/bulk", {
     method: "POST",
@@ -190,6 +301,55 @@ export async function bulkCreateEvents(rows) {
   });
 }
 
+/** Validate an import without writing: { counts, results[] } with one result per row. */
+export async function previewBulkEvents(rows) {
+  return apiCall("api/events/bulk", {
+    method: "POST",
+    body: JSON.stringify({ rows, dryRun: true }),
+    action: "import CSV data",
+  });
+}
+
+/** Detect format, headers and default column mapping of an import file ({ filename, content } base64). */
+export async function analyzeImportFile(file) {
+  return apiCall("api/events/import/analyze", {
+    method: "POST",
+    body: JSON.stringify(file),
+    action: "import events",
+  });
+}
+
+/**
+ * Map an import file with the given settings and validate it without writing:
+ * { settings, counts, results[], rows[] } where rows[i] is null for unreadable lines.
+ */
+export async function previewFileImport(body) {
+  return apiCall("api/events/import", {
+    method: "POST",
+    body: JSON.stringify({ ...body, dryRun: true }),
+    action: "import events",
+  });
+}
+
+export async function fetchImportTemplates() {
+  return apiCall("api/import-templates", { action: "view import templates" });
+}
+
+export async function saveImportTemplate(body) {
+  return apiCall("api/import-templates", {
+    method: "POST",
+    body: JSON.stringify(body),
+    action: "save import templates",
+  });
+}
+
+export async function deleteImportTemplate(id) {
+  return apiCall(`api/import-templates/${id}`, {
+    method: "DELETE",
+    action: "delete import templates",
+  });
+}
+
 export async function updateEvent(id, body) {
   return apiCall(`api/events/${id}`, {
     method: "PUT",
@@ -198,6 +358,53 @@ export async function updateEvent(id, body) {
   });
 }
 
+export async function fetchEventHistory(id) {
+  return apiCall(`api/events/${id}/history`, { action: "view event history" });
+}
+
+export async function revertEvent(id, revision) {
+  return apiCall(`api/events/${id}/revert`, {
+    method: "POST",
+    body: JSON.stringify({ revision }),
+    action: "revert event",
+  });
+}
+
+export async function fetchAttachments(eventId) {
+  return apiCall(`api/events/${eventId}/attachments`, { action: "view attachments" });
+}
+
+/** Upload { filename, content (base64), caption? } to an event. */
+export async function uploadAttachment(eventId, body) {
+  return apiCall(`api/events/${eventId}/attachments`, {
+    method: "POST",
+    body: JSON.stringify(body),
+    action: "upload attachments",
+  });
+}
+
+export async function deleteAttachment(id) {
+  return apiCall(`api/attachments/${id}`, {
+    method: "DELETE",
+    action: "delete attachments",
+  });
+}
+
+/**
+ * An attachment's file or thumbnail as a Blob. Not via apiCall (binary response); images can't
+ * use the URL directly because the request needs the auth headers.
+ * @param {number} id
+ * @param {'file'|'thumbnail'} [kind="file"]
+ */
+export async function fetchAttachmentBlob(id, kind = "file") {
+  const res = await fetch(`api/attachments/${id}/${kind}`, { headers: getAuthHeaders() });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || `Request failed: ${res.status}`);
+  }
+  return res.blob();
+}
+
 export async function deleteEvent(id) {
   return apiCall(`api/events/${id}`, {
     method: "DELETE",
@@ -230,6 +437,21 @@ export async function fetchLastCleaned(params = {}) {
   return apiCall(`api/last-cleaned${searchParams.toString() ? "?" + searchParams : ""}`);
 }
 
+export async function fetchLastFouling(params = {}) {
+  const searchParams = new URLSearchParams(params);
+  return apiCall(`api/last-fouling${searchParams.toString() ? "?" + searchParams : ""}`);
+}
+
+export async function fetchLastNotes(params = {}) {
+  const searchParams = new URLSearchParams(params);
+  return apiCall(`api/last-notes${searchParams.toString() ? "?" + searchParams : ""}`);
+}
+
+export async function fetchFoulingStats(params = {}) {
+  const searchParams = new URLSearchParams(params);
+  return apiCall(`api/stats/fouling${searchParams.toString() ? "?" + searchParams : ""}`);
+}
+
 export async function fetchLastCleanedFiltered(params) {
   const searchParams = new URLSearchParams(params);
   return apiCall(`api/last-cleaned-filtered?${searchParams}`);
@@ -284,3 +506,210 @@ export async function uploadNoiseData(payload) {
     action: "upload noise data",
   });
 }
+
+// --- Survey lines ---
+
+export async function fetchSurveyLines(projectNumber) {
+  return apiCall(`api/survey-lines?project=${encodeURIComponent(projectNumber)}`);
+}
+
+export async function importSurveyLines(payload) {
+  return apiCall("api/survey-lines/import", {
+    method: "POST",
+    body: JSON.stringify(payload),
+    action: "import line logs",
+  });
+}
+
+export async function clearSurveyLines(projectNumber) {
+  return apiCall(`api/survey-lines?project=${encodeURIComponent(projectNumber)}`, {
+    method: "DELETE",
+    action: "clear line logs",
+  });
+}
+
+// --- Users (GrandSuperUser) ---
+export async function fetchUsers() {
+  return apiCall("api/users", { action: "manage users" });
+}
+
+export async function createUser(body) {
+  return apiCall("api/users", {
+    method: "POST",
+    body: JSON.stringify(body),
+    action: "create users",
+  });
+}
+
+export async function updateUserRole(id, role) {
+  return apiCall(`api/users/${id}/role`, {
+    method: "PUT",
+    body: JSON.stringify({ role }),
+    action: "change user roles",
+  });
+}
+
+export async function updateUserVessel(id, body) {
+  return apiCall(`api/users/${id}/vessel`, {
+    method: "PUT",
+    body: JSON.stringify(body),
+    action: "change user vessels",
+  });
+}
+
+export async function resetUserPassword(id, password) {
+  return apiCall(`api/users/${id}/password`, {
+    method: "PUT",
+    body: JSON.stringify({ password }),
+    action: "reset passwords",
+  });
+}
+
+export async function disableUser(id) {
+  return apiCall(`api/users/${id}/disable`, {
+    method: "PUT",
+    action: "disable users",
+  });
+}
+
+export async function enableUser(id) {
+  return apiCall(`api/users/${id}/enable`, {
+    method: "PUT",
+    action: "enable users",
+  });
+}
+
+// --- Sessions (SuperUser) ---
+export async function fetchActiveSessions() {
+  return apiCall("api/sessions", { action: "view active sessions" });
+}
+
+export async function revokeSession(id) {
+  return apiCall(`api/sessions/${id}`, {
+    method: "DELETE",
+    action: "revoke sessions",
+  });
+}
+
+export async function revokeUserSessions(userId) {
+  return apiCall(`api/sessions/user/${userId}`, {
+    method: "DELETE",
+    action: "revoke sessions",
+  });
+}
+
+// --- Login lockouts (SuperUser) ---
+export async function fetchLockouts() {
+  return apiCall("api/lockouts", { action: "view login lockouts" });
+}
+
+export async function clearLockout(id) {
+  return apiCall(`api/lockouts/${id}`, {
+    method: "DELETE",
+    action: "clear login lockouts",
+  });
+}
+
+// --- Audit log (audit.view) ---
+export async function fetchAuditLog(filters = {}) {
+  const searchParams = new URLSearchParams(
+    Object.entries(filters).filter(([, value]) => value !== "" && value != null)
+  );
+  return apiCall(`api/audit${searchParams.toString() ? "?" + searchParams : ""}`, {
+    action: "view the audit log",
+  });
+}
+
+// --- Trash (trash.manage) ---
+export async function fetchTrash() {
+  return apiCall("api/trash", { action: "view the trash" });
+}
+
+export async function restoreTrashEntry(id) {
+  return apiCall(`api/trash/${id}/restore`, {
+    method: "POST",
+    action: "restore from the trash",
+  });
+}
+
+export async function purgeTrashEntry(id) {
+  return apiCall(`api/trash/${id}`, {
+    method: "DELETE",
+    action: "delete from the trash",
+  });
+}
+
+// --- API tokens (SuperUser) ---
+export async function fetchApiTokens() {
+  return apiCall("api/tokens", { action: "view API tokens" });
+}
+
+export async function createApiToken(body) {
+  return apiCall("api/tokens", {
+    method: "POST",
+    body: JSON.stringify(body),
+    action: "issue API tokens",
+  });
+}
+
+export async function revokeApiToken(id) {
+  return apiCall(`api/tokens/${id}`, {
+    method: "DELETE",
+    action: "revoke API tokens",
+  });
+}
+
+// --- Two-factor authentication (SuperUser, own account) ---
+export async function fetchTwoFactorStatus() {
+  return apiCall("api/account/2fa", { action: "view two-factor settings" });
+}
+
+export async function startTwoFactorSetup() {
+  return apiCall("api/account/2fa/setup", {
+    method: "POST",
+    action: "set up two-factor authentication",
+  });
+}
+
+export async function enableTwoFactor(code) {
+  return apiCall("api/account/2fa/enable", {
+    method: "POST",
+    body: JSON.stringify({ code }),
+    action: "enable two-factor authentication",
+  });
+}
+
+export async function regenerateRecoveryCodes(code) {
+  return apiCall("api/account/2fa/recovery-codes", {
+    method: "POST",
+    body: JSON.stringify({ code }),
+    action: "regenerate recovery codes",
+  });
+}
+
+export async function disableTwoFactor(password) {
+  return apiCall("api/account/2fa/disable", {
+    method: "POST",
+    body: JSON.stringify({ password }),
+    action: "disable two-factor authentication",
+  });
+}
+
+export async function resetUserTwoFactor(id) {
+  return apiCall(`api/users/${id}/2fa`, {
+    method: "DELETE",
+    action: "reset two-factor authentication",
+  });
+}
+
+export async function fetchCapabilityMatrix() {
+  return apiCall("api/capabilities", { action: "view role permissions" });
+}
+
+export async function updateRoleCapabilities(role, capabilities) {
+  return apiCall(`api/capabilities/${encodeURIComponent(role)}`, {
+    method: "PUT",
+    body: JSON.stringify({ capabilities }),
+    action: "update role permissions",
+  });
+}
@@ -0,0 +1,155 @@
+/**
+ * API tokens (SuperUser+): issue named, vessel-bound tokens for scripts and
+ * integrations, list them with last-used time, and revoke them.
+ */
+
+import * as API from "./api.js";
+import { currentUser } from "./state.js";
+import { safeGet, setStatus, showSuccessToast, formatDateTime } from "./ui.js";
+import { can } from "./auth.js";
+import { openModal, closeModal } from "./modals.js";
+
+const PERMISSION_LABELS = {
+  read: "Read",
+  "events:write": "Events write",
+  "noise:write": "Noise write",
+};
+
+function renderApiTokens(tokens) {
+  const tableBody = safeGet("api-tokens-table-body");
+  if (!tableBody) return;
+
+  tableBody.innerHTML = "";
+  if (!tokens.length) {
+    tableBody.innerHTML = `<tr><td colspan="7" class="text-muted">No API tokens issued</td></tr>`;
+    return;
+  }
+
+  tokens.forEach((token) => {
+    const row = document.createElement("tr");
+    if (token.revokedAt) row.classList.add("user-row-disabled");
+
+    const nameCell = document.createElement("td");
+    nameCell.textContent = token.name;
+    nameCell.title = `${token.tokenPrefix}…`;
+
+    const vesselCell = document.createElement("td");
+    vesselCell.textContent = token.vesselTag;
+
+    const permissionsCell = document.createElement("td");
+    permissionsCell.textContent = token.permissions.map((p) => PERMISSION_LABELS[p] || p).join(", ");
+
+    const createdCell = document.createElement("td");
+    createdCell.textContent = `${formatDateTime(token.createdAt)} by ${token.createdBy}`;
+
+    const lastUsedCell = document.createElement("td");
+    lastUsedCell.textContent = token.lastUsedAt ? formatDateTime(token.lastUsedAt) : "Never";
+
+    const statusCell = document.createElement("td");
+    statusCell.textContent = token.revokedAt
+      ? `Revoked by ${token.revokedBy || "unknown"} (${formatDateTime(token.revokedAt)})`
+      : "Active";
+
+    const actionsCell = document.createElement("td");
+    if (!token.revokedAt) {
+      const revokeBtn = document.createElement("button");
+      revokeBtn.type = "button";
+      revokeBtn.className = "btn btn-outline btn-outline-danger btn-sm";
+      revokeBtn.textContent = "🚫 Revoke";
+      revokeBtn.addEventListener("click", () => revokeApiToken(token));
+      actionsCell.appendChild(revokeBtn);
+    }
+
+    row.appendChild(nameCell);
+    row.appendChild(vesselCell);
+    row.appendChild(permissionsCell);
+    row.appendChild(createdCell);
+    row.appendChild(lastUsedCell);
+    row.appendChild(statusCell);
+    row.appendChild(actionsCell);
+    tableBody.appendChild(row);
+  });
+}
+
+/** Per-vessel SuperUsers can only issue tokens for their own vessel. */
+function syncVesselInput() {
+  const vesselInput = safeGet("new-api-token-vessel");
+  if (!vesselInput || !currentUser) return;
+  if (!currentUser.isGlobal && currentUser.role !== "grandsuperuser") {
+    vesselInput.value = currentUser.vesselTag || "";
+    vesselInput.disabled = true;
+  }
+}
+
+export async function loadApiTokens() {
+  if (!can("security.manage")) return;
+  syncVesselInput();
+  const statusEl = safeGet("api-tokens-status");
+  try {
+    renderApiTokens(await API.fetchApiTokens());
+  } catch (err) {
+    console.error("Failed to load API tokens:", err);
+    setStatus(statusEl, "Failed to load API tokens", true);
+  }
+}
+
+export async function createApiToken() {
+  const statusEl = safeGet("api-tokens-status");
+  const name = safeGet("new-api-token-name")?.value.trim() || "";
+  const vesselTag = safeGet("new-api-token-vessel")?.value.trim() || "";
+  const permissions = Array.from(
+    document.querySelectorAll(".api-token-permission:checked")
+  ).map((input) => input.value);
+
+  if (!name) {
+    setStatus(statusEl, "Token name is required", true);
+    return;
+  }
+  if (!permissions.length) {
+    setStatus(statusEl, "Select at least one permission", true);
+    return;
+  }
+
+  try {
+    const created = await API.createApiToken({ name, vesselTag, permissions });
+    const nameInput = safeGet("new-api-token-name");
+    if (nameInput) nameInput.value = "";
+    const tokenInput = safeGet("api-token-created-value");
+    if (tokenInput) tokenInput.value = created.token;
+    openModal("api-token-created-modal");
+    await loadApiTokens();
+  } catch (err) {
+    console.error(err);
+    setStatus(statusEl, err.message || "Failed to create API token", true);
+  }
+}
+
+export function closeApiTokenCreatedModal() {
+  const tokenInput = safeGet("api-token-created-value");
+  if (tokenInput) tokenInput.value = "";
+  closeModal("api-token-created-modal");
+}
+
+export async function copyCreatedApiToken() {
+  const tokenInput = safeGet("api-token-created-value");
+  if (!tokenInput?.value) return;
+  try {
+    await navigator.clipboard.writeText(tokenInput.value);
+    showSuccessToast("Copied", "API token copied to clipboard.");
+  } catch {
+    // Clipboard API needs a secure context; fall back to selecting the text.
+    tokenInput.select();
+  }
+}
+
+async function revokeApiToken(token) {
+  const statusEl = safeGet("api-tokens-status");
+  try {
+    await API.revokeApiToken(token.id);
+    setStatus(statusEl, `✅ Token "${token.name}" revoked`);
+    await loadApiTokens();
+  } catch (err) {
+    console.error(err);
+    setStatus(statusEl, err.message || "Failed to revoke API token", true);
+  }
+}
@@ -0,0 +1,300 @@
+/**
+ * Event attachments: the attachments dialog (thumbnails, downloads, and
+ * upload / delete with events.write), plus thumbnail loading shared by the
+ * section tooltip and the PDF report.
+ */
+
+import * as API from "./api.js";
+import { safeGet, setStatus, formatDateTime, showErrorToast } from "./ui.js";
+import { openModal, closeModal } from "./modals.js";
+import { can } from "./auth.js";
+
+/**
+ * Thumbnail blobs by attachment id. Thumbnails need the auth headers, so they are
+ * fetched once and shown through object URLs rather than plain <img src> links.
+ */
+const thumbnailBlobs = new Map();
+/** Attachment lists by "eventId:attachmentCount", so a changed count refetches. */
+const attachmentLists = new Map();
+
+/** Event shown in the dialog ({ id, label }). */
+let currentEvent = null;
+let onAttachmentsChanged = null;
+
+/** "820 KB", "2.4 MB" */
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function loadThumbnailBlob(attachmentId) {
+  if (!thumbnailBlobs.has(attachmentId)) {
+    const request = API.fetchAttachmentBlob(attachmentId, "thumbnail").catch((err) => {
+      thumbnailBlobs.delete(attachmentId);
+      throw err;
+    });
+    thumbnailBlobs.set(attachmentId, request);
+  }
+  return thumbnailBlobs.get(attachmentId);
+}
+
+/**
+ * Thumbnail as a JPEG data URL with its pixel size, for embedding in the PDF report.
+ * @param {number} attachmentId
+ * @returns {Promise<{ dataUrl: string, width: number, height: number }>}
+ */
+export async function loadThumbnailImage(attachmentId) {
+  const blob = await loadThumbnailBlob(attachmentId);
+  const bitmap = await createImageBitmap(blob);
+  const { width, height } = bitmap;
+  bitmap.close();
+  const dataUrl = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+  return { dataUrl, width, height };
+}
+
+/**
+ * Attachments of an event from the events list, fetched once per attachment count.
+ * @param {{ id: number, attachmentCount?: number }} evt
+ * @returns {Promise<Array<Object>>}
+ */
+export function loadEventAttachments(evt) {
+  if (!evt.attachmentCount) return Promise.resolve([]);
+  const key = `${evt.id}:${evt.attachmentCount}`;
+  if (!attachmentLists.has(key)) {
+    const request = API.fetchAttachments(evt.id).catch((err) => {
+      attachmentLists.delete(key);
+      throw err;
+    });
+    attachmentLists.set(key, request);
+  }
+  return attachmentLists.get(key);
+}
+
+function createThumbnail(attachment, className) {
+  const img = document.createElement("img");
+  img.className = className;
+  img.alt = attachment.caption || attachment.originalName;
+  img.title = attachment.caption || attachment.originalName;
+  loadThumbnailBlob(attachment.id)
+    .then((blob) => {
+      img.src = URL.createObjectURL(blob);
+      img.addEventListener("load", () => URL.revokeObjectURL(img.src), { once: true });
+    })
+    .catch((err) => console.error("Failed to load thumbnail:", err));
+  return img;
+}
+
+/**
+ * Fill a tooltip container with the image thumbnails of an event. Nothing is added when the
+ * container was replaced (the tooltip moved on) before the list arrived.
+ * @param {HTMLElement} container
+ * @param {{ id: number, attachmentCount?: number }} evt
+ */
+export async function showTooltipThumbnails(container, evt) {
+  try {
+    const attachments = await loadEventAttachments(evt);
+    if (!container.isConnected) return;
+    attachments
+      .filter((attachment) => attachment.hasThumbnail)
+      .slice(0, 4)
+      .forEach((attachment) => container.appendChild(createThumbnail(attachment, "tooltip-thumb")));
+  } catch (err) {
+    console.error("Failed to load attachments:", err);
+  }
+}
+
+async function downloadAttachment(attachment) {
+  const statusEl = safeGet("attachments-status");
+  try {
+    const blob = await API.fetchAttachmentBlob(attachment.id, "file");
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = attachment.originalName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  } catch (err) {
+    setStatus(statusEl, err.message || "Failed to download attachment", true);
+  }
+}
+
+async function removeAttachment(attachment) {
+  const statusEl = safeGet("attachments-status");
+  try {
+    await API.deleteAttachment(attachment.id);
+    thumbnailBlobs.delete(attachment.id);
+    setStatus(statusEl, `✅ ${attachment.originalName} deleted`);
+    await refreshAttachments();
+  } catch (err) {
+    setStatus(statusEl, err.message || "Failed to delete attachment", true);
+  }
+}
+
+function renderAttachments(attachments) {
+  const list = safeGet("attachments-list");
+  if (!list) return;
+  list.innerHTML = "";
+
+  if (!attachments.length) {
+    list.innerHTML = `<p class="text-muted">No attachments for this event</p>`;
+    return;
+  }
+
+  const canWrite = can("events.write");
+  attachments.forEach((attachment) => {
+    const card = document.createElement("div");
+    card.className = "attachment-card";
+
+    const preview = document.createElement("button");
+    preview.type = "button";
+    preview.className = "attachment-preview";
+    preview.title = `Download ${attachment.originalName}`;
+    if (attachment.hasThumbnail) {
+      preview.appendChild(createThumbnail(attachment, "attachment-thumb"));
+    } else {
+      preview.textContent = "📄";
+    }
+    preview.addEventListener("click", () => downloadAttachment(attachment));
+
+    const name = document.createElement("div");
+    name.className = "attachment-name";
+    name.textContent = attachment.originalName;
+
+    const meta = document.createElement("div");
+    meta.className = "attachment-meta";
+    meta.textContent = `${formatFileSize(attachment.sizeBytes)} · ${attachment.uploadedBy || "unknown"} · ${formatDateTime(attachment.uploadedAt)}`;
+
+    card.appendChild(preview);
+    card.appendChild(name);
+    if (attachment.caption) {
+      const caption = document.createElement("div");
+      caption.className = "attachment-caption";
+      caption.textContent = attachment.caption;
+      card.appendChild(caption);
+    }
+    card.appendChild(meta);
+
+    if (canWrite) {
+      const deleteBtn = document.createElement("button");
+      deleteBtn.type = "button";
+      deleteBtn.className = "btn btn-danger btn-sm";
+      deleteBtn.textContent = "Delete";
+      deleteBtn.addEventListener("click", () => {
+        // Second click confirms: the file is removed for good.
+        if (deleteBtn.dataset.armed !== "true") {
+          deleteBtn.dataset.armed = "true";
+          deleteBtn.textContent = "Click again to confirm";
+          return;
+        }
+        removeAttachment(attachment);
+      });
+      card.appendChild(deleteBtn);
+    }
+    list.appendChild(card);
+  });
+}
+
+async function refreshAttachments({ notify = true } = {}) {
+  if (!currentEvent) return;
+  const attachments = await API.fetchAttachments(currentEvent.id);
+  renderAttachments(attachments);
+  const summaryEl = safeGet("attachments-summary");
+  if (summaryEl) summaryEl.textContent = `${currentEvent.label} · ${attachments.length} attachment(s)`;
+  if (notify) onAttachmentsChanged?.();
+}
+
+/**
+ * Open the attachments dialog for an event.
+ * @param {number} eventId
+ * @param {string} label - Event description shown above the list
+ */
+export async function openAttachments(eventId, label) {
+  currentEvent = { id: eventId, label };
+  setStatus(safeGet("attachments-status"), "");
+  safeGet("attachments-upload")?.classList.toggle("hidden", !can("events.write"));
+  try {
+    await refreshAttachments({ notify: false });
+    openModal("attachments-modal");
+  } catch (err) {
+    console.error(err);
+    currentEvent = null;
+    showErrorToast("Attachments", err.message || "Failed to load attachments.");
+  }
+}
+
+function closeAttachments() {
+  closeModal("attachments-modal");
+  currentEvent = null;
+}
+
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(",")[1] || "");
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+async function uploadSelectedFiles() {
+  if (!currentEvent) return;
+  const fileInput = safeGet("attachments-file");
+  const captionInput = safeGet("attachments-caption");
+  const statusEl = safeGet("attachments-status");
+  const uploadBtn = safeGet("btn-attachments-upload");
+  const files = Array.from(fileInput?.files || []);
+  if (!files.length) {
+    setStatus(statusEl, "Choose one or more files", true);
+    return;
+  }
+
+  if (uploadBtn) uploadBtn.disabled = true;
+  const failed = [];
+  for (const file of files) {
+    setStatus(statusEl, `Uploading ${file.name}…`);
+    try {
+      const content = await readFileAsBase64(file);
+      await API.uploadAttachment(currentEvent.id, {
+        filename: file.name,
+        content,
+        caption: captionInput?.value.trim() || undefined,
+      });
+    } catch (err) {
+      failed.push(`${file.name}: ${err.message}`);
+    }
+  }
+  if (uploadBtn) uploadBtn.disabled = false;
+  if (fileInput) fileInput.value = "";
+  if (captionInput) captionInput.value = "";
+
+  if (failed.length) {
+    setStatus(statusEl, `Upload failed for ${failed.join("; ")}`, true);
+  } else {
+    setStatus(statusEl, `✅ ${files.length} file(s) uploaded`);
+  }
+  try {
+    await refreshAttachments();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+/**
+ * Bind the attachments dialog's controls.
+ * @param {function(): void} onChange - Called after an upload or delete (e.g. to refresh the log counts)
+ */
+export function initAttachments(onChange) {
+  onAttachmentsChanged = onChange;
+  safeGet("btn-attachments-upload")?.addEventListener("click", uploadSelectedFiles);
+  safeGet("btn-attachments-close")?.addEventListener("click", closeAttachments);
+  safeGet("btn-attachments-done")?.addEventListener("click", closeAttachments);
+  document.querySelector("#attachments-modal .modal-overlay")?.addEventListener("click", closeAttachments);
+}
@@ -0,0 +1,175 @@
+/**
+ * Audit log viewer (audit.view): who changed what and when, filterable by
+ * action, user and date, with the before/after state of each change.
+ */
+
+import * as API from "./api.js";
+import { safeGet, setStatus, formatDateTime } from "./ui.js";
+import { can } from "./auth.js";
+
+const PAGE_SIZE = 100;
+
+const ACTION_LABELS = {
+  "event.create": "Event added",
+  "event.update": "Event edited",
+  "event.delete": "Event deleted",
+  "event.revert": "Event reverted",
+  "events.bulkImport": "Events imported",
+  "events.clear": "Events cleared",
+  "events.merge": "Events merged",
+  "attachment.upload": "Attachment uploaded",
+  "attachment.delete": "Attachment deleted",
+  "importTemplate.save": "Import template saved",
+  "importTemplate.delete": "Import template deleted",
+  "method.create": "Cleaning method added",
+  "method.update": "Cleaning method edited",
+  "method.delete": "Cleaning method deleted",
+  "project.create": "Project created",
+  "project.update": "Project edited",
+  "project.clone": "Project cloned",
+  "project.status": "Project status changed",
+  "project.activate": "Project activated",
+  "project.deactivate": "Project deactivated",
+  "project.delete": "Project deleted",
+  "project.forceDelete": "Project force-deleted",
+  "deployments.update": "Deployments saved",
+  "deployments.clear": "Deployment cleared",
+  "streamers.cleanup": "Streamers cleaned up",
+  "config.update": "Configuration changed",
+  "noise.upload": "Noise data uploaded",
+  "surveyLines.import": "Line log imported",
+  "surveyLines.clear": "Line log cleared",
+  "backup.create": "Backup created",
+  "backup.restore": "Backup restored",
+  "trash.restore": "Restored from trash",
+  "trash.purge": "Deleted from trash",
+};
+
+let entries = [];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/** "field: old → new" lines for keys that differ between before and after. */
+function describeChangedFields(before, after) {
+  return Object.keys({ ...before, ...after })
+    .filter((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+    .map((key) => `${key}: ${JSON.stringify(before[key] ?? null)} → ${JSON.stringify(after[key] ?? null)}`);
+}
+
+function buildChangesCell(entry) {
+  const cell = document.createElement("td");
+  if (entry.before == null && entry.after == null) {
+    cell.textContent = "-";
+    return cell;
+  }
+
+  const details = document.createElement("details");
+  details.className = "audit-details";
+  const summary = document.createElement("summary");
+  const pre = document.createElement("pre");
+  pre.className = "audit-json";
+
+  if (isPlainObject(entry.before) && isPlainObject(entry.after)) {
+    const changed = describeChangedFields(entry.before, entry.after);
+    summary.textContent = changed.length ? `${changed.length} field(s) changed` : "No field changes";
+    pre.textContent = changed.join("\n");
+  } else {
+    summary.textContent = entry.after != null ? "View new state" : "View removed state";
+    pre.textContent = JSON.stringify(entry.after ?? entry.before, null, 2);
+  }
+
+  details.appendChild(summary);
+  details.appendChild(pre);
+  cell.appendChild(details);
+  return cell;
+}
+
+function renderAuditLog() {
+  const tableBody = safeGet("audit-table-body");
+  if (!tableBody) return;
+
+  tableBody.innerHTML = "";
+  if (!entries.length) {
+    tableBody.innerHTML = `<tr><td colspan="6" class="text-muted">No changes recorded</td></tr>`;
+  }
+
+  entries.forEach((entry) => {
+    const row = document.createElement("tr");
+
+    const timeCell = document.createElement("td");
+    timeCell.textContent = formatDateTime(entry.createdAt);
+
+    const userCell = document.createElement("td");
+    userCell.textContent = entry.username;
+    if (entry.ipAddress) userCell.title = `From ${entry.ipAddress}`;
+
+    const vesselCell = document.createElement("td");
+    vesselCell.textContent = entry.vesselTag || "All";
+
+    const actionCell = document.createElement("td");
+    actionCell.textContent = ACTION_LABELS[entry.action] || entry.action;
+    actionCell.title = entry.action;
+
+    const targetCell = document.createElement("td");
+    targetCell.textContent = entry.targetId ? `${entry.targetType} ${entry.targetId}` : entry.targetType;
+
+    row.appendChild(timeCell);
+    row.appendChild(userCell);
+    row.appendChild(vesselCell);
+    row.appendChild(actionCell);
+    row.appendChild(targetCell);
+    row.appendChild(buildChangesCell(entry));
+    tableBody.appendChild(row);
+  });
+
+  const moreBtn = safeGet("btn-audit-load-more");
+  if (moreBtn) moreBtn.classList.toggle("hidden", entries.length === 0 || entries.length % PAGE_SIZE !== 0);
+}
+
+function readFilters() {
+  return {
+    action: safeGet("audit-filter-action")?.value || "",
+    username: safeGet("audit-filter-user")?.value.trim() || "",
+    from: safeGet("audit-filter-from")?.value || "",
+    to: safeGet("audit-filter-to")?.value || "",
+  };
+}
+
+function populateActionFilter() {
+  const select = safeGet("audit-filter-action");
+  if (!select || select.options.length > 1) return;
+  Object.entries(ACTION_LABELS).forEach(([action, label]) => {
+    const option = document.createElement("option");
+    option.value = action;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+}
+
+export async function loadAuditLog() {
+  if (!can("audit.view")) return;
+  populateActionFilter();
+  const statusEl = safeGet("audit-status");
+  try {
+    entries = await API.fetchAuditLog({ ...readFilters(), limit: PAGE_SIZE });
+    renderAuditLog();
+  } catch (err) {
+    console.error("Failed to load audit log:", err);
+    setStatus(statusEl, "Failed to load audit log", true);
+  }
+}
+
+export async function loadMoreAuditLog() {
+  const statusEl = safeGet("audit-status");
+  try {
+    const next = await API.fetchAuditLog({ ...readFilters(), limit: PAGE_SIZE, offset: entries.length });
+    entries = entries.concat(next);
+    renderAuditLog();
+    if (next.length < PAGE_SIZE) safeGet("btn-audit-load-more")?.classList.add("hidden");
+  } catch (err) {
+    console.error(err);
+    setStatus(statusEl, err.message || "Failed to load audit log", true);
+  }
+}
@@ -6,11 +6,14 @@ import {
   authToken,
   currentUser,
   projects,
+  workingVessel,
   setAuthToken,
   setCurrentUser,
+  setWorkingVessel,
 } from "./state.js";
 import { apiCall, fetchSession } from "./api.js";
 import { safeGet } from "./ui.js";
+import { renderTimeDisplaySwitcher } from "./timeZone.js";
 
 let onShowAppCallback = null;
 
@@ -31,6 +34,7 @@ export function loadSession() {
   if (token && userStr) {
     setAuthToken(token);
     setCurrentUser(JSON.parse(userStr));
+    setWorkingVessel(localStorage.getItem("workingVessel"));
     return true;
   }
   return false;
@@ -39,20 +43,38 @@ export function loadSession() {
 export function clearSession() {
   setAuthToken(null);
   setCurrentUser(null);
+  setWorkingVessel(null);
   localStorage.removeItem("authToken");
   localStorage.removeItem("currentUser");
+  localStorage.removeItem("workingVessel");
+}
+
+function selectWorkingVessel(vesselTag) {
+  setWorkingVessel(vesselTag || null);
+  if (vesselTag) {
+    localStorage.setItem("workingVessel", vesselTag);
+  } else {
+    localStorage.removeItem("workingVessel");
+  }
 }
 
 export async function validateSession() {
   if (!authToken) return false;
   try {
-    const data = await fetchSession();
+    let data = await fetchSession();
+    if (!data && workingVessel) {
+      // The saved working vessel may have been unassigned; retry with the default vessel.
+      selectWorkingVessel(null);
+      data = await fetchSession();
+    }
     if (data) {
       setCurrentUser({
         username: data.username,
         role: data.role,
         vesselTag: data.vesselTag ?? null,
+        vesselTags: data.vesselTags || [],
         isGlobal: Boolean(data.isGlobal),
+        capabilities: data.capabilities || [],
       });
       return true;
     }
@@ -90,76 +112,244 @@ export function isViewer() {
   return currentUser?.role === "viewer";
 }
 
-export async function handleLogin(event) {
-  event.preventDefault();
+/**
+ * Whether the signed-in user holds a capability (see CAPABILITIES in backend/capabilities.js).
+ * The server enforces the same matrix; this only decides what the UI offers.
+ * @param {string} capability
+ * @returns {boolean}
+ */
+export function can(capability) {
+  return Boolean(currentUser?.capabilities?.includes(capability));
+}
 
-  const usernameInput = safeGet("login-username");
-  const passwordInput = safeGet("login-password");
+/** Capabilities that make the Config page useful; holding any of them opens it. */
+const CONFIG_PAGE_CAPABILITIES = [
+  "config.edit",
+  "projects.manage",
+  "deployments.edit",
+  "backups.manage",
+  "security.manage",
+  "audit.view",
+  "trash.manage",
+  "methods.manage",
+];
+
+export function canAccessConfigPage() {
+  return isSuperUser() || CONFIG_PAGE_CAPABILITIES.some(can);
+}
+
+/** "Clear All Events" clears the active project, or every project when none is active. */
+export function canClearEvents() {
+  const activeProject = projects.find((p) => p.isActive === true);
+  return can(activeProject ? "events.clearProject" : "events.clearAll");
+}
+
+const SIGN_IN_LABEL = "Sign In";
+
+/**
+ * Second login step after a correct password, when the account uses (or must enroll in) 2FA:
+ * { challengeToken, enrollment } while a code is awaited, then { session } while freshly
+ * issued recovery codes are shown.
+ */
+let pendingTwoFactor = null;
+
+function showLoginError(message) {
   const errorDiv = safeGet("login-error");
+  if (errorDiv) {
+    errorDiv.textContent = message;
+    errorDiv.classList.remove("hidden");
+  }
+}
+
+function setLoginBusy(busy) {
   const submitBtn = safeGet("login-submit");
   const btnText = submitBtn?.querySelector(".btn-text");
   const btnLoader = submitBtn?.querySelector(".btn-loader");
+  if (btnText) {
+    btnText.classList.toggle("hidden", busy);
+    btnText.classList.toggle("inline", !busy);
+  }
+  if (btnLoader) {
+    btnLoader.classList.toggle("hidden", !busy);
+    btnLoader.classList.toggle("inline", busy);
+  }
+  if (submitBtn) submitBtn.disabled = busy;
+}
+
+function setLoginButtonLabel(label) {
+  const btnText = safeGet("login-submit")?.querySelector(".btn-text");
+  if (btnText) btnText.textContent = label;
+}
+
+function setCredentialFieldsVisible(visible) {
+  ["login-username", "login-password"].forEach((id) => {
+    safeGet(id)?.closest(".form-group")?.classList.toggle("hidden", !visible);
+  });
+}
+
+function showTwoFactorStep(data) {
+  pendingTwoFactor = {
+    challengeToken: data.challengeToken,
+    enrollment: Boolean(data.enrollmentRequired),
+  };
+  setCredentialFieldsVisible(false);
+  safeGet("login-2fa-step")?.classList.remove("hidden");
+  safeGet("login-2fa-enroll")?.classList.toggle("hidden", !data.enrollmentRequired);
+  if (data.enrollment) {
+    const qrImg = safeGet("login-2fa-qr");
+    if (qrImg) qrImg.src = data.enrollment.qrCode;
+    const secretEl = safeGet("login-2fa-secret");
+    if (secretEl) secretEl.textContent = data.enrollment.secret;
+  }
+  const codeInput = safeGet("login-2fa-code");
+  if (codeInput) {
+    codeInput.value = "";
+    codeInput.placeholder = data.enrollmentRequired ? "6-digit code" : "6-digit code or recovery code";
+    codeInput.focus();
+  }
+  setLoginButtonLabel("Verify");
+}
+
+function showRecoveryCodesStep(session) {
+  pendingTwoFactor = { session };
+  safeGet("login-2fa-enroll")?.classList.add("hidden");
+  safeGet("login-2fa-code-group")?.classList.add("hidden");
+  const codesEl = safeGet("login-2fa-recovery-codes");
+  if (codesEl) codesEl.textContent = session.recoveryCodes.join("\n");
+  safeGet("login-2fa-recovery")?.classList.remove("hidden");
+  setLoginButtonLabel("Continue");
+}
 
-  const username = usernameInput?.value?.trim() || "";
-  const password = passwordInput?.value || "";
+function resetTwoFactorStep() {
+  pendingTwoFactor = null;
+  setCredentialFieldsVisible(true);
+  safeGet("login-2fa-step")?.classList.add("hidden");
+  safeGet("login-2fa-enroll")?.classList.add("hidden");
+  safeGet("login-2fa-recovery")?.classList.add("hidden");
+  safeGet("login-2fa-code-group")?.classList.remove("hidden");
+  const qrImg = safeGet("login-2fa-qr");
+  if (qrImg) qrImg.removeAttribute("src");
+  ["login-2fa-secret", "login-2fa-recovery-codes"].forEach((id) => {
+    const el = safeGet(id);
+    if (el) el.textContent = "";
+  });
+  const codeInput = safeGet("login-2fa-code");
+  if (codeInput) codeInput.value = "";
+  setLoginButtonLabel(SIGN_IN_LABEL);
+}
+
+function completeLogin(data) {
+  resetTwoFactorStep();
+  saveSession(data.token, {
+    username: data.username,
+    role: data.role,
+    vesselTag: data.vesselTag ?? null,
+    vesselTags: data.vesselTags || [],
+    isGlobal: Boolean(data.isGlobal),
+    capabilities: data.capabilities || [],
+  });
+  showApp();
+}
+
+function showLoginFailure(res, data) {
+  if (res.status === 429) {
+    // Throttled or locked out: the server message already says how long to wait.
+    showLoginError(`${data.locked ? "🔒" : "⏳"} ${data.error || "Too many attempts. Please wait and try again."}`);
+  } else {
+    showLoginError(data.error || "Login failed");
+  }
+}
+
+async function submitCredentials() {
+  const username = safeGet("login-username")?.value?.trim() || "";
+  const password = safeGet("login-password")?.value || "";
 
   if (!username || !password) {
-    if (errorDiv) {
-      errorDiv.textContent = "Please enter username and password";
-      errorDiv.classList.remove("hidden");
+    showLoginError("Please enter username and password");
+    return;
+  }
+
+  const res = await fetch("/api/login", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username, password }),
+  });
+  const data = await res.json();
+
+  if (!res.ok) {
+    showLoginFailure(res, data);
+  } else if (data.twoFactorRequired) {
+    showTwoFactorStep(data);
+  } else {
+    completeLogin(data);
+  }
+}
+
+async function submitTwoFactorCode() {
+  const input = safeGet("login-2fa-code")?.value?.trim() || "";
+  if (!input) {
+    showLoginError("Please enter the authentication code");
+    return;
+  }
+
+  // Six digits is an authenticator code; anything else is treated as a recovery code.
+  const compact = input.replace(/\s/g, "");
+  const body = { challengeToken: pendingTwoFactor.challengeToken };
+  if (pendingTwoFactor.enrollment || /^\d{6}$/.test(compact)) {
+    body.code = compact;
+  } else {
+    body.recoveryCode = input;
+  }
+
+  const res = await fetch("/api/login/2fa", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json();
+
+  if (res.ok) {
+    if (data.recoveryCodes) {
+      showRecoveryCodesStep(data);
+    } else {
+      completeLogin(data);
     }
     return;
   }
 
-  if (btnText) btnText.classList.add("hidden");
-  if (btnLoader) {
-    btnLoader.classList.remove("hidden");
-    btnLoader.classList.add("inline");
+  // Expired challenge or lockout: start over from the password.
+  if (data.challengeExpired || (res.status === 429 && data.locked)) {
+    resetTwoFactorStep();
+  } else {
+    const codeInput = safeGet("login-2fa-code");
+    if (codeInput) codeInput.value = "";
   }
-  if (submitBtn) {
-    submitBtn.disabled = true;
+  showLoginFailure(res, data);
+}
+
+export async function handleLogin(event) {
+  event.preventDefault();
+
+  if (pendingTwoFactor?.session) {
+    completeLogin(pendingTwoFactor.session);
+    return;
   }
+
+  setLoginBusy(true);
+  const errorDiv = safeGet("login-error");
   if (errorDiv) errorDiv.classList.add("hidden");
 
   try {
-    const res = await fetch("/api/login", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ username, password }),
-    });
-
-    const data = await res.json();
-
-    if (res.ok) {
-      saveSession(data.token, {
-        username: data.username,
-        role: data.role,
-        vesselTag: data.vesselTag ?? null,
-        isGlobal: Boolean(data.isGlobal),
-      });
-      showApp();
+    if (pendingTwoFactor) {
+      await submitTwoFactorCode();
     } else {
-      if (errorDiv) {
-        errorDiv.textContent = data.error || "Login failed";
-        errorDiv.classList.remove("hidden");
-      }
+      await submitCredentials();
     }
   } catch (err) {
     console.error("Login error:", err);
-    if (errorDiv) {
-      errorDiv.textContent = "Connection error. Please try again.";
-      errorDiv.classList.remove("hidden");
-    }
+    showLoginError("Connection error. Please try again.");
   } finally {
-    if (btnText) {
-      btnText.classList.remove("hidden");
-      btnText.classList.add("inline");
-    }
-    if (btnLoader) {
-      btnLoader.classList.add("hidden");
-      btnLoader.classList.remove("inline");
-    }
-    if (submitBtn) submitBtn.disabled = false;
+    setLoginBusy(false);
   }
 }
 
@@ -190,6 +380,7 @@ export function showLogin() {
   if (usernameInput) usernameInput.value = "";
   if (passwordInput) passwordInput.value = "";
   if (errorDiv) errorDiv.classList.add("hidden");
+  resetTwoFactorStep();
 }
 
 export function showApp() {
@@ -224,12 +415,41 @@ export function showApp() {
     }
   }
 
+  renderVesselSwitcher();
+  renderTimeDisplaySwitcher();
   updateUIForRole();
   if (typeof onShowAppCallback === "function") {
     onShowAppCallback();
   }
 }
 
+/**
+ * Header vessel switcher, shown when the user can work on more than one vessel
+ * (global users can also leave it on "All vessels"). Changing it reloads the page
+ * so every view is fetched again for the new working vessel.
+ */
+function renderVesselSwitcher() {
+  const select = safeGet("vessel-switcher");
+  if (!select || !currentUser) return;
+
+  const vessels = currentUser.vesselTags || [];
+  const isGlobal = currentUser.isGlobal || isGrandSuperUser();
+  if (workingVessel && !vessels.includes(workingVessel)) selectWorkingVessel(null);
+
+  select.innerHTML = "";
+  if (isGlobal) {
+    select.appendChild(new Option("🚢 All vessels", ""));
+  }
+  vessels.forEach((vesselTag) => select.appendChild(new Option(`🚢 ${vesselTag}`, vesselTag)));
+  select.value = workingVessel || (isGlobal ? "" : currentUser.vesselTag || vessels[0] || "");
+  select.classList.toggle("hidden", vessels.length < (isGlobal ? 1 : 2));
+
+  select.onchange = () => {
+    selectWorkingVessel(select.value);
+    window.location.reload();
+  };
+}
+
 export function updateUIForRole() {
   const isSuperUserRole = isSuperUser();
   const isAdminRole = isAdminOrAbove();
@@ -243,44 +463,56 @@ export function updateUIForRole() {
     el.classList.toggle("hidden", !isAdminRole)
   );
 
-  document.querySelectorAll(".btn-edit, .btn-delete").forEach((btn) =>
-    btn.classList.toggle("hidden", !isAdminRole)
+  document.querySelectorAll(".grandsuperuser-only").forEach((el) =>
+    el.classList.toggle("hidden", !isGrandSuper)
   );
 
-  const btnClearAll = safeGet("btn-clear-all");
-  if (btnClearAll) btnClearAll.classList.toggle("hidden", !isGrandSuper);
+  document.querySelectorAll("[data-capability]").forEach((el) =>
+    el.classList.toggle("hidden", !can(el.dataset.capability))
+  );
 
-  const btnSaveConfig = safeGet("btn-save-config");
-  if (btnSaveConfig) btnSaveConfig.classList.toggle("hidden", !isSuperUserRole);
+  document.querySelectorAll(".config-link").forEach((el) =>
+    el.classList.toggle("hidden", !canAccessConfigPage())
+  );
+
+  document.querySelectorAll(".btn-edit").forEach((btn) =>
+    btn.classList.toggle("hidden", !can("events.write"))
+  );
+  document.querySelectorAll(".btn-delete").forEach((btn) =>
+    btn.classList.toggle("hidden", !can("events.delete"))
+  );
+
+  const btnClearAll = safeGet("btn-clear-all");
+  if (btnClearAll) btnClearAll.classList.toggle("hidden", !canClearEvents());
 
   const btnAddEvent = safeGet("btn-add-event");
-  if (btnAddEvent) btnAddEvent.classList.toggle("hidden", !isAdminRole);
+  if (btnAddEvent) btnAddEvent.classList.toggle("hidden", !can("events.write"));
 
   const configInputs = document.querySelectorAll(
     "#cfg-numCables, #cfg-sectionsPerCable, #cfg-sectionLength, #cfg-moduleFrequency, #cfg-channelsPerSection, #cfg-useRopeForTail"
   );
   configInputs.forEach((input) => {
-    input.disabled = !isSuperUserRole;
+    input.disabled = !can("config.edit");
   });
 
   const projectCommentsEl = safeGet("project-comments");
   if (projectCommentsEl) {
     const activeProject = projects.find((p) => p.isActive === true);
-    projectCommentsEl.disabled = !isSuperUserRole || !activeProject;
+    projectCommentsEl.disabled = !can("projects.manage") || !activeProject;
   }
 
   const manualEntryInputs = document.querySelectorAll(
     "#evt-streamer, #evt-start, #evt-end, #evt-method, #evt-date, #evt-time"
   );
   manualEntryInputs.forEach((input) => {
-    input.disabled = !isAdminRole;
+    input.disabled = !can("events.write");
   });
 
   const btnCreateProject = safeGet("btn-create-project");
-  if (btnCreateProject) btnCreateProject.classList.toggle("hidden", !isSuperUserRole);
+  if (btnCreateProject) btnCreateProject.classList.toggle("hidden", !can("projects.manage"));
 
   const btnActivateProject = safeGet("btn-activate-project");
-  if (btnActivateProject) btnActivateProject.classList.toggle("hidden", !isSuperUserRole);
+  if (btnActivateProject) btnActivateProject.classList.toggle("hidden", !can("projects.manage"));
 
   const btnClearProject = safeGet("btn-clear-project");
   if (btnClearProject) {
@@ -296,14 +528,14 @@ export function updateUIForRole() {
     "#new-project-number, #new-project-name, #new-project-vessel"
   );
   projectInputs.forEach((input) => {
-    input.disabled = !isSuperUserRole;
+    input.disabled = !can("projects.manage");
   });
 
   const deploymentInputs = document.querySelectorAll(
     ".streamer-deploy-date, .streamer-coating-status"
   );
   deploymentInputs.forEach((input) => {
-    input.disabled = !isSuperUserRole;
+    input.disabled = !can("deployments.edit");
   });
 
   const roleBadge = safeGet("user-role-badge");
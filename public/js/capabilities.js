@@ -0,0 +1,74 @@
+/**
+ * Role permissions (GrandSuperUser only): edit which capabilities the SuperUser,
+ * Administrator and Viewer roles hold. Rendered on the Config page.
+ */
+
+import * as API from "./api.js";
+import { safeGet, setStatus, showErrorToast, showAccessDeniedToast } from "./ui.js";
+import { isGrandSuperUser } from "./auth.js";
+
+const ROLE_COLUMNS = ["superuser", "admin", "viewer"];
+
+let matrix = null;
+
+export function renderCapabilities() {
+  const tbody = safeGet("capabilities-table-body");
+  if (!tbody || !matrix) return;
+  tbody.innerHTML = "";
+
+  matrix.capabilities.forEach((capability) => {
+    const row = document.createElement("tr");
+
+    const labelCell = document.createElement("td");
+    labelCell.textContent = capability.globalOnly ? `${capability.label} 🌐` : capability.label;
+    labelCell.title = capability.key;
+    row.appendChild(labelCell);
+
+    ROLE_COLUMNS.forEach((role) => {
+      const cell = document.createElement("td");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.className = "capability-checkbox";
+      checkbox.dataset.role = role;
+      checkbox.dataset.capability = capability.key;
+      checkbox.checked = (matrix.roles[role] || []).includes(capability.key);
+      cell.appendChild(checkbox);
+      row.appendChild(cell);
+    });
+
+    tbody.appendChild(row);
+  });
+}
+
+export async function loadCapabilities() {
+  if (!isGrandSuperUser()) return;
+  try {
+    matrix = await API.fetchCapabilityMatrix();
+    renderCapabilities();
+  } catch (err) {
+    console.error("Failed to load role permissions:", err);
+    showErrorToast("Permissions", "Failed to load role permissions.");
+  }
+}
+
+export async function saveCapabilities() {
+  const statusEl = safeGet("capabilities-status");
+  if (!isGrandSuperUser()) {
+    showAccessDeniedToast("change role permissions");
+    return;
+  }
+
+  try {
+    for (const role of ROLE_COLUMNS) {
+      const granted = Array.from(
+        document.querySelectorAll(`.capability-checkbox[data-role="${role}"]:checked`)
+      ).map((checkbox) => checkbox.dataset.capability);
+      await API.updateRoleCapabilities(role, granted);
+    }
+    setStatus(statusEl, "✅ Permissions saved");
+    await loadCapabilities();
+  } catch (err) {
+    console.error(err);
+    setStatus(statusEl, err.message || "Failed to save permissions", true);
+  }
+}
@@ -0,0 +1,312 @@
+/**
+ * Cleaning method catalogue (see backend cleaningMethods.js): labels, icons and colours
+ * wherever a method is shown, the method tiles and dropdowns, and the Config page card
+ * where methods.manage holders add, edit, deactivate and delete methods.
+ */
+
+import * as API from "./api.js";
+import { currentUser, workingVessel } from "./state.js";
+import { safeGet, setStatus } from "./ui.js";
+import { can } from "./auth.js";
+
+/** Colour of methods missing from the catalogue (e.g. in events from an older backup). */
+const UNKNOWN_METHOD_COLOR = "#64748b";
+
+/** The catalogue in display order, inactive methods included. */
+let methods = [];
+let loadingMethods = null;
+
+/**
+ * Fetch the catalogue once per page; refresh: true fetches it again (after an edit).
+ * A failed fetch leaves the list empty, so methods are shown by their keys.
+ * @param {{ refresh?: boolean }} [options]
+ * @returns {Promise<Array<Object>>}
+ */
+export function loadCleaningMethods({ refresh = false } = {}) {
+  if (!loadingMethods || refresh) {
+    loadingMethods = API.fetchCleaningMethods()
+      .then((list) => {
+        methods = list;
+        return methods;
+      })
+      .catch((err) => {
+        console.error("Failed to load cleaning methods:", err);
+        loadingMethods = null;
+        return methods;
+      });
+  }
+  return loadingMethods;
+}
+
+export function getCleaningMethods() {
+  return methods;
+}
+
+/**
+ * A method from the catalogue, or a stand-in showing the raw key.
+ * @param {string} key
+ * @returns {{ key: string, label: string, icon: string, color: string, isActive: boolean, vesselTags: string[] }}
+ */
+export function getMethodInfo(key) {
+  return (
+    methods.find((method) => method.key === key) || {
+      key,
+      label: key,
+      icon: "🔧",
+      color: UNKNOWN_METHOD_COLOR,
+      isActive: false,
+      vesselTags: [],
+    }
+  );
+}
+
+export function methodLabel(key) {
+  return getMethodInfo(key).label;
+}
+
+export function methodIcon(key) {
+  return getMethodInfo(key).icon || "🔧";
+}
+
+/** "🪢 Rope" */
+export function methodDisplay(key) {
+  const method = getMethodInfo(key);
+  return method.icon ? `${method.icon} ${method.label}` : method.label;
+}
+
+/**
+ * Active methods offered on a vessel; with no vessel (all vessels selected), every active method.
+ * @param {string|null} vesselTag
+ * @returns {Array<Object>}
+ */
+export function methodsForVessel(vesselTag) {
+  return methods.filter(
+    (method) =>
+      method.isActive &&
+      (!vesselTag || method.vesselTags.length === 0 || method.vesselTags.includes(vesselTag))
+  );
+}
+
+/** Vessel new events are recorded for on this page. */
+export function currentMethodVessel() {
+  return workingVessel || currentUser?.vesselTag || null;
+}
+
+/**
+ * Fill a method dropdown.
+ * @param {HTMLSelectElement|null} select
+ * @param {Array<Object>} list - Methods to offer
+ * @param {{ allLabel?: string, keepKey?: string, withIcons?: boolean }} [options]
+ *   allLabel adds a leading "" option (filters); keepKey keeps an event's current method
+ *   selectable even when it is no longer offered
+ */
+export function fillMethodSelect(select, list, { allLabel, keepKey, withIcons = false } = {}) {
+  if (!select) return;
+  const previous = select.value;
+  select.innerHTML = "";
+  if (allLabel) select.appendChild(new Option(allLabel, ""));
+  const options = keepKey && !list.some((method) => method.key === keepKey)
+    ? [...list, getMethodInfo(keepKey)]
+    : list;
+  options.forEach((method) => {
+    const text = withIcons && method.icon ? `${method.icon} ${method.label}` : method.label;
+    select.appendChild(new Option(text, method.key));
+  });
+  if (options.some((method) => method.key === previous)) select.value = previous;
+}
+
+/**
+ * Render the method tiles of the main page.
+ * @param {HTMLElement|null} container
+ * @param {Array<Object>} list - Methods to offer
+ * @param {string} selectedKey
+ * @param {function(string): void} onSelect
+ */
+export function renderMethodTiles(container, list, selectedKey, onSelect) {
+  if (!container) return;
+  container.innerHTML = "";
+  if (!list.length) {
+    container.innerHTML = `<p class="text-muted">No cleaning methods are available for this vessel</p>`;
+    return;
+  }
+  list.forEach((method) => {
+    const tile = document.createElement("div");
+    tile.className = "method-tile";
+    tile.classList.toggle("active", method.key === selectedKey);
+    tile.dataset.method = method.key;
+    tile.tabIndex = 0;
+    tile.setAttribute("role", "button");
+    tile.setAttribute("aria-label", `Select ${method.label} cleaning method`);
+    tile.style.setProperty("--method-color", method.color);
+
+    const icon = document.createElement("div");
+    icon.className = "method-icon";
+    icon.textContent = method.icon || "🔧";
+    const name = document.createElement("div");
+    name.className = "method-name";
+    name.textContent = method.label;
+    tile.appendChild(icon);
+    tile.appendChild(name);
+
+    const activate = () => onSelect(method.key);
+    tile.addEventListener("click", activate);
+    tile.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        activate();
+      }
+    });
+    container.appendChild(tile);
+  });
+}
+
+/* ------------ Config page: catalogue management ------------ */
+
+/** "TTN, OTH" → ["TTN", "OTH"]; empty means every vessel. */
+function parseVesselList(text) {
+  return text.split(",").map((tag) => tag.trim()).filter(Boolean);
+}
+
+/** Per-vessel users only manage methods restricted to their own vessels. */
+function canManageMethod(method) {
+  if (!currentUser) return false;
+  if (currentUser.isGlobal || currentUser.role === "grandsuperuser") return true;
+  const own = currentUser.vesselTags || [];
+  return method.vesselTags.length > 0 && method.vesselTags.every((tag) => own.includes(tag));
+}
+
+function createInput(type, value, className) {
+  const input = document.createElement("input");
+  input.type = type;
+  input.value = value;
+  if (className) input.className = className;
+  return input;
+}
+
+function renderMethodsTable() {
+  const tableBody = safeGet("cleaning-methods-table-body");
+  if (!tableBody) return;
+
+  tableBody.innerHTML = "";
+  if (!methods.length) {
+    tableBody.innerHTML = `<tr><td colspan="8" class="text-muted">No cleaning methods</td></tr>`;
+    return;
+  }
+
+  methods.forEach((method) => {
+    const editable = canManageMethod(method);
+    const row = document.createElement("tr");
+    if (!method.isActive) row.classList.add("user-row-disabled");
+
+    const keyCell = document.createElement("td");
+    keyCell.textContent = method.key;
+
+    const labelInput = createInput("text", method.label);
+    const iconInput = createInput("text", method.icon, "method-icon-input");
+    const colorInput = createInput("color", method.color);
+    const vesselsInput = createInput("text", method.vesselTags.join(", "));
+    vesselsInput.placeholder = "All vessels";
+    const orderInput = createInput("number", String(method.sortOrder), "method-order-input");
+    const activeInput = createInput("checkbox", "");
+    activeInput.checked = method.isActive;
+
+    const inputs = [labelInput, iconInput, colorInput, vesselsInput, orderInput, activeInput];
+    const cells = inputs.map((input) => {
+      input.disabled = !editable;
+      const cell = document.createElement("td");
+      cell.appendChild(input);
+      return cell;
+    });
+
+    const actionsCell = document.createElement("td");
+    if (editable) {
+      const saveBtn = document.createElement("button");
+      saveBtn.type = "button";
+      saveBtn.className = "btn btn-outline btn-sm";
+      saveBtn.textContent = "💾 Save";
+      saveBtn.addEventListener("click", () =>
+        saveCleaningMethod(method, {
+          label: labelInput.value.trim(),
+          icon: iconInput.value.trim(),
+          color: colorInput.value,
+          vesselTags: parseVesselList(vesselsInput.value),
+          sortOrder: Number(orderInput.value),
+          isActive: activeInput.checked,
+        })
+      );
+      const deleteBtn = document.createElement("button");
+      deleteBtn.type = "button";
+      deleteBtn.className = "btn btn-outline btn-outline-danger btn-sm";
+      deleteBtn.textContent = "🗑️ Delete";
+      deleteBtn.addEventListener("click", () => deleteCleaningMethod(method));
+      actionsCell.appendChild(saveBtn);
+      actionsCell.appendChild(deleteBtn);
+    } else {
+      actionsCell.innerHTML = `<span class="text-muted">Shared</span>`;
+    }
+
+    row.appendChild(keyCell);
+    cells.forEach((cell) => row.appendChild(cell));
+    row.appendChild(actionsCell);
+    tableBody.appendChild(row);
+  });
+}
+
+export async function loadCleaningMethodsConfig() {
+  if (!can("methods.manage")) return;
+  await loadCleaningMethods({ refresh: true });
+  renderMethodsTable();
+}
+
+async function saveCleaningMethod(method, changes) {
+  const statusEl = safeGet("cleaning-methods-status");
+  try {
+    await API.updateCleaningMethod(method.id, changes);
+    setStatus(statusEl, `✅ ${changes.label || method.label} saved`);
+    await loadCleaningMethodsConfig();
+  } catch (err) {
+    console.error(err);
+    setStatus(statusEl, err.message || "Failed to save cleaning method", true);
+  }
+}
+
+async function deleteCleaningMethod(method) {
+  const statusEl = safeGet("cleaning-methods-status");
+  try {
+    await API.deleteCleaningMethod(method.id);
+    setStatus(statusEl, `✅ ${method.label} deleted`);
+    await loadCleaningMethodsConfig();
+  } catch (err) {
+    console.error(err);
+    setStatus(statusEl, err.message || "Failed to delete cleaning method", true);
+  }
+}
+
+export async function createCleaningMethod() {
+  const statusEl = safeGet("cleaning-methods-status");
+  const key = safeGet("new-method-key")?.value.trim().toLowerCase() || "";
+  const label = safeGet("new-method-label")?.value.trim() || "";
+  if (!key || !label) {
+    setStatus(statusEl, "Key and label are required", true);
+    return;
+  }
+
+  try {
+    const created = await API.createCleaningMethod({
+      key,
+      label,
+      icon: safeGet("new-method-icon")?.value.trim() || "",
+      color: safeGet("new-method-color")?.value || UNKNOWN_METHOD_COLOR,
+      vesselTags: parseVesselList(safeGet("new-method-vessels")?.value || ""),
+    });
+    ["new-method-key", "new-method-label", "new-method-icon", "new-method-vessels"].forEach((id) => {
+      const input = safeGet(id);
+      if (input) input.value = "";
+    });
+    setStatus(statusEl, `✅ ${created.label} added`);
+    await loadCleaningMethodsConfig();
+  } catch (err) {
+    console.error(err);
+    setStatus(statusEl, err.message || "Failed to add cleaning method", true);
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Cleaning effort (duration, crew and equipment unit, see backend utils/effort.js): the effort
+ * inputs of the event dialogs, whose ids share a prefix ("modal-" / "edit-"): start-time,
+ * duration, crew-size, crew-names and equipment.
+ */
+
+import { safeGet } from "./ui.js";
+import { toDateTimeInputs, fromDateTimeInputs } from "./timeZone.js";
+
+/** "1 h 30 min", "45 min"; empty when no duration was recorded. */
+export function formatDuration(minutes) {
+  if (minutes === null || minutes === undefined) return "";
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest} min`;
+  return rest === 0 ? `${hours} h` : `${hours} h ${rest} min`;
+}
+
+/**
+ * A start time of day (in the shown zone, like the cleaning time) as a timestamp before the
+ * cleaning time: the same day, or the day before when the cleaning ran past midnight.
+ * @param {string} timeValue - "HH:MM" from a time input
+ * @param {string} cleanedAt - ISO timestamp
+ * @returns {string}
+ */
+function startedAtBefore(timeValue, cleanedAt) {
+  const { date } = toDateTimeInputs(cleanedAt);
+  const start = fromDateTimeInputs(date, timeValue);
+  if (new Date(start) <= new Date(cleanedAt)) return start;
+  const dayBefore = new Date(`${date}T00:00:00Z`);
+  dayBefore.setUTCDate(dayBefore.getUTCDate() - 1);
+  return fromDateTimeInputs(dayBefore.toISOString().slice(0, 10), timeValue);
+}
+
+/**
+ * Effort values of an event payload. A filled start time replaces the duration, which the
+ * server then works out from the start and the cleaning time.
+ * @param {string} prefix - "modal" or "edit"
+ * @param {string} cleanedAt - ISO timestamp of the event
+ * @returns {{ durationMinutes: string|null, startedAt?: string, crewSize: string|null, crewNames: string|null, equipmentUnit: string|null }}
+ */
+export function readEffortInputs(prefix, cleanedAt) {
+  const value = (field) => safeGet(`${prefix}-${field}`)?.value.trim() || null;
+  const startTime = value("start-time");
+  const effort = {
+    durationMinutes: startTime ? null : value("duration"),
+    crewSize: value("crew-size"),
+    crewNames: value("crew-names"),
+    equipmentUnit: value("equipment"),
+  };
+  if (startTime) effort.startedAt = startedAtBefore(startTime, cleanedAt);
+  return effort;
+}
+
+/**
+ * Show an event's effort in the inputs (empty for new events). The start time is not stored,
+ * so it always starts empty.
+ * @param {string} prefix - "modal" or "edit"
+ * @param {{ durationMinutes?: number|null, crewSize?: number|null, crewNames?: string|null, equipmentUnit?: string|null }} [evt]
+ */
+export function setEffortInputs(prefix, evt = {}) {
+  const values = {
+    "start-time": "",
+    duration: evt.durationMinutes ?? "",
+    "crew-size": evt.crewSize ?? "",
+    "crew-names": evt.crewNames ?? "",
+    equipment: evt.equipmentUnit ?? "",
+  };
+  Object.entries(values).forEach(([field, value]) => {
+    const input = safeGet(`${prefix}-${field}`);
+    if (input) input.value = value;
+  });
+}
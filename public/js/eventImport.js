@@ -0,0 +1,289 @@
+/**
+ * Event file import (events.write): upload a CSV or XLSX file, check the
+ * detected column mapping, date format and section numbering, optionally
+ * save them as a named template, then hand the dry-run result to the
+ * import preview.
+ */
+
+import * as API from "./api.js";
+import { safeGet, setStatus, showErrorToast, showAccessDeniedToast } from "./ui.js";
+import { openModal, closeModal } from "./modals.js";
+import { can } from "./auth.js";
+
+const FIELD_LABELS = {
+  streamerId: "Streamer",
+  sectionType: "Section Type",
+  sectionStart: "First Section",
+  sectionEnd: "Last Section",
+  cleaningMethod: "Cleaning Method",
+  cleanedAt: "Date",
+  cleanedTime: "Time",
+  projectNumber: "Project",
+  vesselTag: "Vessel",
+  addedBy: "Added By",
+  foulingGrade: "Fouling Grade",
+  foulingType: "Fouling Type",
+  durationMinutes: "Duration (min)",
+  startTime: "Start Time",
+  crewSize: "Crew Size",
+  crewNames: "Crew",
+  equipmentUnit: "Equipment",
+  notes: "Notes",
+};
+
+const DELIMITER_LABELS = { ",": "comma", ";": "semicolon", "\t": "tab", "|": "pipe" };
+
+/** The uploaded file ({ filename, content } base64) and its analysis. */
+let upload = null;
+let templates = [];
+let onPreviewReady = null;
+
+/** Same header comparison as the server: case and punctuation are ignored. */
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/** File contents as base64, the content field of the import endpoints. */
+export function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(",")[1] || "");
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+function sampleValue(index) {
+  const firstRow = upload.analysis.sampleRows[0] || [];
+  return index === "" || index == null ? "" : firstRow[index] ?? "";
+}
+
+function renderMapping(mapping) {
+  const tbody = safeGet("import-mapping-body");
+  if (!tbody) return;
+  tbody.innerHTML = "";
+
+  upload.analysis.fields.forEach(({ key, required }) => {
+    const tr = document.createElement("tr");
+
+    const labelCell = document.createElement("td");
+    labelCell.textContent = `${FIELD_LABELS[key] || key}${required ? " *" : ""}`;
+
+    const select = document.createElement("select");
+    select.dataset.field = key;
+    const noneOption = document.createElement("option");
+    noneOption.value = "";
+    noneOption.textContent = required ? "— Choose a column —" : "— Not in file —";
+    select.appendChild(noneOption);
+    upload.analysis.headers.forEach((header, index) => {
+      const option = document.createElement("option");
+      option.value = String(index);
+      option.textContent = header;
+      select.appendChild(option);
+    });
+    select.value = mapping[key] !== undefined ? String(mapping[key]) : "";
+    const columnCell = document.createElement("td");
+    columnCell.appendChild(select);
+
+    const sampleCell = document.createElement("td");
+    sampleCell.textContent = sampleValue(select.value);
+    select.addEventListener("change", () => {
+      sampleCell.textContent = sampleValue(select.value);
+    });
+
+    tr.appendChild(labelCell);
+    tr.appendChild(columnCell);
+    tr.appendChild(sampleCell);
+    tbody.appendChild(tr);
+  });
+}
+
+function applySettings({ mapping, dateFormat, sectionBase }) {
+  renderMapping(mapping);
+  const dateSelect = safeGet("import-date-format");
+  if (dateSelect) dateSelect.value = dateFormat;
+  const baseSelect = safeGet("import-section-base");
+  if (baseSelect) baseSelect.value = String(sectionBase);
+}
+
+/** Current settings in the form, mapping as field → column index. */
+function readSettings() {
+  const mapping = {};
+  document.querySelectorAll("#import-mapping-body select[data-field]").forEach((select) => {
+    if (select.value !== "") mapping[select.dataset.field] = Number(select.value);
+  });
+  return {
+    mapping,
+    dateFormat: safeGet("import-date-format")?.value || "iso",
+    sectionBase: Number(safeGet("import-section-base")?.value ?? 1),
+  };
+}
+
+/** A template's header-name mapping resolved against this file's headers. */
+function templateSettings(template) {
+  const mapping = {};
+  Object.entries(template.mapping).forEach(([field, header]) => {
+    const index = upload.analysis.headers.findIndex((candidate) => normalizeHeader(candidate) === normalizeHeader(header));
+    if (index !== -1) mapping[field] = index;
+  });
+  return { mapping, dateFormat: template.dateFormat, sectionBase: template.sectionBase };
+}
+
+function renderTemplateOptions(selectedId = "") {
+  const select = safeGet("import-template-select");
+  if (!select) return;
+  select.innerHTML = `<option value="">Detected columns</option>`;
+  templates.forEach((template) => {
+    const option = document.createElement("option");
+    option.value = String(template.id);
+    option.textContent = template.vesselTag ? `${template.name} (${template.vesselTag})` : template.name;
+    select.appendChild(option);
+  });
+  select.value = String(selectedId);
+  const deleteBtn = safeGet("btn-import-template-delete");
+  if (deleteBtn) deleteBtn.disabled = select.value === "";
+}
+
+function selectedTemplate() {
+  const id = Number(safeGet("import-template-select")?.value);
+  return templates.find((template) => template.id === id) || null;
+}
+
+function handleTemplateChange() {
+  const template = selectedTemplate();
+  applySettings(template ? templateSettings(template) : upload.analysis.detected);
+  const deleteBtn = safeGet("btn-import-template-delete");
+  if (deleteBtn) deleteBtn.disabled = !template;
+  const nameInput = safeGet("import-template-name");
+  if (nameInput) nameInput.value = template ? template.name : "";
+}
+
+function describeFile(analysis) {
+  const format = analysis.format === "xlsx"
+    ? "Excel workbook"
+    : `CSV, ${DELIMITER_LABELS[analysis.delimiter] || analysis.delimiter}-separated`;
+  const header = analysis.hasHeader ? "with a header row" : "without a header row";
+  return `${upload.filename}: ${format} ${header}, ${analysis.rowCount} row(s). Fields marked * are required.`;
+}
+
+/**
+ * Upload a file for analysis and open the column mapping dialog.
+ * @param {File} file
+ */
+export async function openFileImport(file) {
+  if (!can("events.write")) {
+    showAccessDeniedToast("import events");
+    return;
+  }
+
+  const importBtn = safeGet("btn-import-csv");
+  const progressEl = safeGet("csv-import-progress");
+  if (importBtn) importBtn.disabled = true;
+  if (progressEl) {
+    progressEl.classList.remove("hidden");
+    progressEl.textContent = `Reading ${file.name}…`;
+  }
+
+  try {
+    const content = await readFileAsBase64(file);
+    const [analysis, templateList] = await Promise.all([
+      API.analyzeImportFile({ filename: file.name, content }),
+      API.fetchImportTemplates(),
+    ]);
+    upload = { filename: file.name, content, analysis };
+    templates = templateList;
+
+    const summaryEl = safeGet("import-mapping-summary");
+    if (summaryEl) summaryEl.textContent = describeFile(analysis);
+    setStatus(safeGet("import-mapping-status"), "");
+    const nameInput = safeGet("import-template-name");
+    if (nameInput) nameInput.value = "";
+    renderTemplateOptions();
+    applySettings(analysis.detected);
+    openModal("import-mapping-modal");
+  } catch (err) {
+    showErrorToast("Import Failed", err.message || "Failed to read the file.");
+  } finally {
+    if (importBtn) importBtn.disabled = false;
+    if (progressEl) progressEl.classList.add("hidden");
+  }
+}
+
+function closeFileImport() {
+  closeModal("import-mapping-modal");
+  upload = null;
+}
+
+async function previewFileImport() {
+  if (!upload) return;
+  const previewBtn = safeGet("btn-import-mapping-preview");
+  if (previewBtn) previewBtn.disabled = true;
+  try {
+    // Dry run: the server maps and validates every row, nothing is written.
+    const preview = await API.previewFileImport({
+      filename: upload.filename,
+      content: upload.content,
+      ...readSettings(),
+    });
+    closeFileImport();
+    onPreviewReady?.(preview.rows, preview);
+  } catch (err) {
+    setStatus(safeGet("import-mapping-status"), err.message || "Failed to check the import", true);
+  } finally {
+    if (previewBtn) previewBtn.disabled = false;
+  }
+}
+
+async function saveTemplate() {
+  if (!upload) return;
+  const statusEl = safeGet("import-mapping-status");
+  const name = safeGet("import-template-name")?.value.trim() || "";
+  if (!name) {
+    setStatus(statusEl, "Enter a template name", true);
+    return;
+  }
+
+  const { mapping, dateFormat, sectionBase } = readSettings();
+  // Templates store header names so they apply to files with a different column order.
+  const headerMapping = Object.fromEntries(
+    Object.entries(mapping).map(([field, index]) => [field, upload.analysis.headers[index]])
+  );
+  try {
+    const saved = await API.saveImportTemplate({ name, mapping: headerMapping, dateFormat, sectionBase });
+    templates = await API.fetchImportTemplates();
+    renderTemplateOptions(saved.id);
+    setStatus(statusEl, `✅ Template "${saved.name}" saved`);
+  } catch (err) {
+    setStatus(statusEl, err.message || "Failed to save template", true);
+  }
+}
+
+async function deleteTemplate() {
+  const template = selectedTemplate();
+  if (!template) return;
+  const statusEl = safeGet("import-mapping-status");
+  try {
+    await API.deleteImportTemplate(template.id);
+    templates = templates.filter((t) => t.id !== template.id);
+    renderTemplateOptions();
+    setStatus(statusEl, `✅ Template "${template.name}" deleted`);
+  } catch (err) {
+    setStatus(statusEl, err.message || "Failed to delete template", true);
+  }
+}
+
+/**
+ * Bind the mapping dialog's controls.
+ * @param {function(Array<Object|null>, Object): void} onPreview - Receives the mapped rows
+ *   and the dry-run result ({ counts, results }) once the user asks for a preview
+ */
+export function initFileImport(onPreview) {
+  onPreviewReady = onPreview;
+  safeGet("import-template-select")?.addEventListener("change", handleTemplateChange);
+  safeGet("btn-import-template-save")?.addEventListener("click", saveTemplate);
+  safeGet("btn-import-template-delete")?.addEventListener("click", deleteTemplate);
+  safeGet("btn-import-mapping-preview")?.addEventListener("click", previewFileImport);
+  safeGet("btn-import-mapping-close")?.addEventListener("click", closeFileImport);
+  safeGet("btn-import-mapping-cancel")?.addEventListener("click", closeFileImport);
+  document.querySelector("#import-mapping-modal .modal-overlay")?.addEventListener("click", closeFileImport);
+}
@@ -0,0 +1,72 @@
+/**
+ * Fouling observed at cleaning time (grade 0–4 and type, see backend utils/fouling.js):
+ * labels, the grade/type inputs of the event dialogs, and the heatmaps' fouling mode,
+ * which colours sections by the last observed grade instead of cleaning age.
+ */
+
+export const FOULING_GRADE_LABELS = ["None", "Light", "Moderate", "Heavy", "Severe"];
+
+export const FOULING_TYPE_LABELS = {
+  barnacles: "Barnacles",
+  algae: "Algae",
+  "goose-necks": "Goose necks",
+  mixed: "Mixed",
+  other: "Other",
+};
+
+/** "3 – Heavy (Barnacles)"; empty when no grade was recorded. */
+export function formatFouling(grade, type) {
+  if (grade === null || grade === undefined) return "";
+  const typeLabel = type ? ` (${FOULING_TYPE_LABELS[type] || type})` : "";
+  return `${grade} – ${FOULING_GRADE_LABELS[grade] ?? ""}${typeLabel}`;
+}
+
+/**
+ * Fouling values of an event payload from a grade and a type select ("" = not recorded).
+ * @param {HTMLSelectElement|null} gradeSelect
+ * @param {HTMLSelectElement|null} typeSelect
+ * @returns {{ foulingGrade: number|null, foulingType: string|null }}
+ */
+export function readFoulingInputs(gradeSelect, typeSelect) {
+  const grade = gradeSelect?.value ?? "";
+  return {
+    foulingGrade: grade === "" ? null : Number(grade),
+    foulingType: typeSelect?.value || null,
+  };
+}
+
+/**
+ * Show an event's fouling in a grade and a type select (empty for new events).
+ * @param {HTMLSelectElement|null} gradeSelect
+ * @param {HTMLSelectElement|null} typeSelect
+ * @param {{ foulingGrade?: number|null, foulingType?: string|null }} [evt]
+ */
+export function setFoulingInputs(gradeSelect, typeSelect, evt = {}) {
+  if (gradeSelect) gradeSelect.value = evt.foulingGrade ?? "";
+  if (typeSelect) typeSelect.value = evt.foulingType ?? "";
+}
+
+/**
+ * Switch a heatmap to fouling mode: every section cell (data-streamer / data-section) gets
+ * data-fouling set to its last observed grade, or "none", and styles.css colours it by that.
+ * @param {HTMLElement} container - Heatmap container
+ * @param {{ [streamerId: string]: Array<{ grade: number }|null> }} lastFouling - From GET /api/last-fouling
+ */
+export function applyFoulingMode(container, lastFouling) {
+  container.classList.add("hm-mode-fouling");
+  container.querySelectorAll(".hm-vcell[data-section]").forEach((cell) => {
+    const observed = lastFouling?.[cell.dataset.streamer]?.[Number(cell.dataset.section)] ?? null;
+    cell.dataset.fouling = observed ? String(observed.grade) : "none";
+  });
+}
+
+/**
+ * Back to cleaning-age colours.
+ * @param {HTMLElement} container
+ */
+export function clearFoulingMode(container) {
+  container.classList.remove("hm-mode-fouling");
+  container.querySelectorAll(".hm-vcell[data-fouling]").forEach((cell) => {
+    delete cell.dataset.fouling;
+  });
+}
@@ -0,0 +1,93 @@
+/**
+ * Login lockouts view (SuperUser+): recent brute-force lockouts for the
+ * caller's vessel, with a Clear action for active ones.
+ */
+
+import * as API from "./api.js";
+import { safeGet, setStatus, formatDateTime } from "./ui.js";
+import { can } from "./auth.js";
+
+function describeStatus(lockout) {
+  if (lockout.clearedAt) {
+    return `Cleared by ${lockout.clearedBy || "unknown"} (${formatDateTime(lockout.clearedAt)})`;
+  }
+  return lockout.isActive ? "🔒 Locked" : "Expired";
+}
+
+function renderLockouts(lockouts) {
+  const tableBody = safeGet("lockouts-table-body");
+  if (!tableBody) return;
+
+  tableBody.innerHTML = "";
+  if (!lockouts.length) {
+    tableBody.innerHTML = `<tr><td colspan="6" class="text-muted">No lockouts recorded</td></tr>`;
+    return;
+  }
+
+  lockouts.forEach((lockout) => {
+    const row = document.createElement("tr");
+
+    const targetCell = document.createElement("td");
+    targetCell.textContent = lockout.keyType === "ip"
+      ? `Device ${lockout.keyValue}`
+      : `User ${lockout.username || lockout.keyValue}`;
+    if (lockout.keyType === "ip" && lockout.username) {
+      targetCell.title = `Last username tried: ${lockout.username}`;
+    } else if (lockout.ipAddress) {
+      targetCell.title = `From ${lockout.ipAddress}`;
+    }
+
+    const attemptsCell = document.createElement("td");
+    attemptsCell.textContent = String(lockout.failedCount);
+
+    const lockedAtCell = document.createElement("td");
+    lockedAtCell.textContent = formatDateTime(lockout.lockedAt);
+
+    const untilCell = document.createElement("td");
+    untilCell.textContent = formatDateTime(lockout.lockedUntil);
+
+    const statusCell = document.createElement("td");
+    statusCell.textContent = describeStatus(lockout);
+
+    const actionsCell = document.createElement("td");
+    if (lockout.isActive) {
+      const clearBtn = document.createElement("button");
+      clearBtn.type = "button";
+      clearBtn.className = "btn btn-outline btn-sm";
+      clearBtn.textContent = "🔓 Clear";
+      clearBtn.addEventListener("click", () => clearLockout(lockout));
+      actionsCell.appendChild(clearBtn);
+    }
+
+    row.appendChild(targetCell);
+    row.appendChild(attemptsCell);
+    row.appendChild(lockedAtCell);
+    row.appendChild(untilCell);
+    row.appendChild(statusCell);
+    row.appendChild(actionsCell);
+    tableBody.appendChild(row);
+  });
+}
+
+export async function loadLockouts() {
+  if (!can("security.manage")) return;
+  const statusEl = safeGet("lockouts-status");
+  try {
+    renderLockouts(await API.fetchLockouts());
+  } catch (err) {
+    console.error("Failed to load lockouts:", err);
+    setStatus(statusEl, "Failed to load lockouts", true);
+  }
+}
+
+async function clearLockout(lockout) {
+  const statusEl = safeGet("lockouts-status");
+  try {
+    await API.clearLockout(lockout.id);
+    setStatus(statusEl, "✅ Lockout cleared");
+    await loadLockouts();
+  } catch (err) {
+    console.error(err);
+    setStatus(statusEl, err.message || "Failed to clear lockout", true);
+  }
+}
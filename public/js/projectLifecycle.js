@@ -0,0 +1,88 @@
+/**
+ * Project lifecycle (see backend projectLifecycle.js): planned → active → closed → archived.
+ * Closed and archived projects are read-only without projects.editLocked; archived projects
+ * are left out of the project selector unless asked for. Close-out summaries are shown in
+ * the Config page's close-out dialog.
+ */
+
+import { projects } from "./state.js";
+import { can } from "./auth.js";
+import { escapeHtml, formatDateTime } from "./ui.js";
+import { fmtKm, formatSectionLabel } from "./streamer-utils.js";
+import { methodDisplay } from "./cleaningMethods.js";
+
+export const PROJECT_STATUS_LABELS = {
+  planned: "Planned",
+  active: "In progress",
+  closed: "Closed",
+  archived: "Archived",
+};
+
+const LOCKED_STATUSES = ["closed", "archived"];
+
+export function isLockedStatus(status) {
+  return LOCKED_STATUSES.includes(status);
+}
+
+/** Whether the current user may not change this project's events (closed or archived, without projects.editLocked). */
+export function isProjectReadOnly(projectNumber) {
+  if (!projectNumber || can("projects.editLocked")) return false;
+  const project = projects.find((p) => p.projectNumber === projectNumber);
+  return isLockedStatus(project?.status);
+}
+
+/**
+ * Status changes offered in the project list: [status, button label] pairs for a project
+ * (closing opens the close-out dialog first; reopening needs projects.editLocked).
+ * @param {{ status: string }} project
+ * @returns {Array<[string, string]>}
+ */
+export function statusActions(project) {
+  switch (project.status) {
+    case "active":
+      return [["closed", "🔒 Close"]];
+    case "closed":
+      return [["archived", "🗄️ Archive"], ...(can("projects.editLocked") ? [["active", "🔓 Reopen"]] : [])];
+    case "archived":
+      return [["closed", "📤 Unarchive"]];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Close-out summary as HTML: coverage, never-cleaned sections and distance by method.
+ * @param {{ closedAt?: string, closedBy?: string, preview?: boolean, summary: Object }} closeOut
+ *   From GET /api/projects/:id/close-out
+ * @returns {string}
+ */
+export function renderCloseOut(closeOut) {
+  const { summary } = closeOut;
+  const header = closeOut.preview
+    ? '<p class="info-text-sm mb-12">Preview from the current events. Closing records this summary and makes the project\'s events, deployments and noise data read-only.</p>'
+    : `<p class="info-text-sm mb-12">Closed ${formatDateTime(closeOut.closedAt)} by ${escapeHtml(closeOut.closedBy || "—")}</p>`;
+  const period = summary.firstCleanedAt
+    ? `${formatDateTime(summary.firstCleanedAt)} – ${formatDateTime(summary.lastCleanedAt)}`
+    : "No cleanings";
+  const methods = Object.entries(summary.distanceByMethod)
+    .sort(([, a], [, b]) => b - a)
+    .map(([method, distance]) => `<li>${methodDisplay(method)}: ${fmtKm(distance)}</li>`)
+    .join("");
+  const ranges = summary.neverCleaned.ranges
+    .map(({ streamerId, sectionType, start, end }) => {
+      const sections = start === end
+        ? formatSectionLabel(start, sectionType)
+        : `${formatSectionLabel(start, sectionType)}–${formatSectionLabel(end, sectionType)}`;
+      return `<li>Streamer ${streamerId}: ${sections}</li>`;
+    })
+    .join("");
+  return `
+    ${header}
+    <p><strong>Final coverage:</strong> ${summary.coverage.percent}% (${summary.coverage.cleanedSections} of ${summary.coverage.totalSections} sections)</p>
+    <p><strong>Cleanings:</strong> ${summary.totalEvents} event(s), ${period}</p>
+    <p><strong>Total cleaned:</strong> ${fmtKm(summary.totalDistance)}</p>
+    ${methods ? `<ul class="close-out-list">${methods}</ul>` : ""}
+    <p><strong>Never cleaned:</strong> ${summary.neverCleaned.count} section(s)</p>
+    ${ranges ? `<ul class="close-out-list close-out-ranges">${ranges}</ul>` : ""}
+  `;
+}
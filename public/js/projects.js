@@ -3,11 +3,13 @@
  * Call initProjects({ refreshEverything, renderHeatmap, refreshStatsFiltered }) before using.
  */
 
-import { config, projects, setConfig, setProjects, setSelectedProjectFilter, currentUser, getActiveProject } from "./state.js";
+import { config, projects, setConfig, setProjects, setSelectedProjectFilter, currentUser, workingVessel, getActiveProject } from "./state.js";
 import * as API from "./api.js";
-import { safeGet, setStatus, showErrorToast, showWarningToast, showSuccessToast, showAccessDeniedToast } from "./ui.js";
-import { isSuperUser, isGrandSuperUser } from "./auth.js";
+import { safeGet, setStatus, showErrorToast, showWarningToast, showSuccessToast, showAccessDeniedToast, formatDateTime } from "./ui.js";
+import { can, isGrandSuperUser } from "./auth.js";
 import { openModal, closeModal } from "./modals.js";
+import { PROJECT_STATUS_LABELS, isLockedStatus, statusActions, renderCloseOut } from "./projectLifecycle.js";
+import { fromDateTimeInputs } from "./timeZone.js";
 
 let refreshCallbacks = {};
 
@@ -42,6 +44,47 @@ export function populateConfigForm(cfg) {
   if (safeGet("cfg-moduleFrequency")) safeGet("cfg-moduleFrequency").value = cfg.moduleFrequency;
   if (safeGet("cfg-channelsPerSection")) safeGet("cfg-channelsPerSection").value = cfg.channelsPerSection;
   if (safeGet("cfg-useRopeForTail")) safeGet("cfg-useRopeForTail").value = cfg.useRopeForTail;
+  populateTimeZoneSelect(cfg.timeZone || "UTC");
+}
+
+// --- Vessel time zone ---
+/** Vessel the time zone field applies to (the working vessel; none with "All vessels"). */
+function timeZoneVessel() {
+  return workingVessel || (currentUser?.isGlobal ? null : currentUser?.vesselTag) || null;
+}
+
+function populateTimeZoneSelect(timeZone) {
+  const select = safeGet("cfg-timeZone");
+  if (!select) return;
+  if (!select.options.length) {
+    const zones = Intl.supportedValuesOf("timeZone").filter((zone) => zone !== "UTC");
+    ["UTC", ...zones].forEach((zone) => select.appendChild(new Option(zone, zone)));
+  }
+  if (![...select.options].some((option) => option.value === timeZone)) {
+    select.appendChild(new Option(timeZone, timeZone));
+  }
+  select.value = timeZone;
+  const vesselTag = timeZoneVessel();
+  select.disabled = !vesselTag;
+  const label = safeGet("time-zone-vessel-label");
+  if (label) label.textContent = vesselTag ? `(for ${vesselTag})` : "(select a vessel in the header to change it)";
+}
+
+export async function saveVesselTimeZone() {
+  const statusEl = safeGet("time-zone-status");
+  if (!can("config.edit")) {
+    setStatus(statusEl, "You do not have permission for this action", true);
+    return;
+  }
+  const timeZone = safeGet("cfg-timeZone")?.value;
+  try {
+    const saved = await API.updateVesselTimeZone(timeZone);
+    setConfig({ ...config, timeZone: saved.timeZone });
+    setStatus(statusEl, `✅ ${saved.vesselTag} now keeps its day in ${saved.timeZone}`);
+  } catch (err) {
+    console.error(err);
+    setStatus(statusEl, err.message || "Failed to save time zone", true);
+  }
 }
 
 export function updateConfigProjectLabel() {
@@ -62,10 +105,54 @@ export function getConfigFromForm() {
   };
 }
 
+/** When a layout change takes effect: the effective date and time fields (shown zone), or null for now. */
+function readEffectiveFrom() {
+  const date = safeGet("cfg-effectiveDate")?.value;
+  if (!date) return null;
+  return fromDateTimeInputs(date, safeGet("cfg-effectiveTime")?.value || "00:00");
+}
+
+function clearEffectiveFrom() {
+  if (safeGet("cfg-effectiveDate")) safeGet("cfg-effectiveDate").value = "";
+}
+
+/** Configuration history of the active project (each layout and when it took effect). */
+export async function renderConfigVersions() {
+  const block = safeGet("config-versions-block");
+  const tbody = safeGet("config-versions-tbody");
+  if (!block || !tbody) return;
+  const activeProject = projects.find((p) => p.isActive);
+  block.classList.toggle("hidden", !activeProject);
+  if (!activeProject) return;
+  try {
+    const { versions } = await API.fetchConfigVersions(activeProject.id);
+    tbody.innerHTML = versions
+      .slice()
+      .reverse()
+      .map(
+        (v) => `
+        <tr>
+          <td>${v.effectiveFrom ? formatDateTime(v.effectiveFrom) : "Project start"}</td>
+          <td>${v.numCables}</td>
+          <td>${v.sectionsPerCable}</td>
+          <td>${v.sectionLength} m</td>
+          <td>${v.moduleFrequency}</td>
+          <td>${v.channelsPerSection}</td>
+          <td>${v.useRopeForTail ? "Rope" : "5 sections"}</td>
+          <td>${v.createdBy || "—"}</td>
+        </tr>`
+      )
+      .join("");
+  } catch (err) {
+    console.error(err);
+    tbody.innerHTML = '<tr><td colspan="8" style="text-align:center;color:var(--muted)">Failed to load configuration history</td></tr>';
+  }
+}
+
 export async function saveConfig() {
   const statusEl = safeGet("config-status");
-  if (!isSuperUser()) {
-    setStatus(statusEl, "SuperUser access required", true);
+  if (!can("config.edit")) {
+    setStatus(statusEl, "You do not have permission for this action", true);
     return;
   }
   const activeProject = projects.find((p) => p.isActive);
@@ -88,25 +175,27 @@ export async function saveProjectConfig(projectId) {
       vesselTag: activeProject?.vesselTag || "TTN",
       ...formConfig,
       comments: commentsEl ? (commentsEl.value?.trim() || null) : null,
+      effectiveFrom: readEffectiveFrom(),
     };
     const updated = await API.updateProject(projectId, body);
     setConfig({ ...config, ...updated });
     document.documentElement.style.setProperty("--sections", config.sectionsPerCable);
     setStatus(statusEl, `✅ Configuration saved for ${updated.projectNumber}`);
+    clearEffectiveFrom();
     await handleStreamerCountChange(previousNumCables, config.numCables);
     await loadProjects();
     await refresh();
   } catch (err) {
     console.error(err);
-    setStatus(statusEl, "Failed to save config", true);
+    setStatus(statusEl, err.message || "Failed to save config", true);
   }
 }
 
 /** Save only the project comments field. Uses full project body so other fields are not overwritten. */
 export async function saveProjectComments() {
   const statusEl = safeGet("project-comments-status");
-  if (!isSuperUser()) {
-    setStatus(statusEl, "SuperUser access required", true);
+  if (!can("projects.manage")) {
+    setStatus(statusEl, "You do not have permission for this action", true);
     return;
   }
   const activeProject = projects.find((p) => p.isActive === true);
@@ -136,25 +225,26 @@ export async function saveGlobalConfig() {
   const statusEl = safeGet("config-status");
   const previousNumCables = config.numCables;
   try {
-    const body = getConfigFromForm();
+    const body = { ...getConfigFromForm(), effectiveFrom: readEffectiveFrom() };
     const data = await API.updateConfig(body);
     setConfig(data);
     document.documentElement.style.setProperty("--sections", config.sectionsPerCable);
     setStatus(statusEl, "✅ Global configuration updated");
+    clearEffectiveFrom();
     await handleStreamerCountChange(previousNumCables, config.numCables);
     await refresh();
   } catch (err) {
     console.error(err);
-    setStatus(statusEl, "Failed to save config", true);
+    setStatus(statusEl, err.message || "Failed to save config", true);
   }
 }
 
 export async function handleStreamerCountChange(previousNumCables, newNumCables) {
   if (previousNumCables === newNumCables) return;
-  if (newNumCables < previousNumCables && isSuperUser()) {
+  if (newNumCables < previousNumCables && can("config.edit")) {
     showWarningToast(
       "Streamer count reduced",
-      `Streamers ${newNumCables + 1}-${previousNumCables} are now hidden. Events and deployment data for those streamers still exist. Use "Cleanup orphaned streamers" to remove them.`
+      `Streamers ${newNumCables + 1}-${previousNumCables} are now hidden. Their earlier events keep the previous layout and still count in the stats; deployment data for those streamers still exists. Use "Cleanup orphaned streamers" to remove it.`
     );
   }
   await renderStreamerDeploymentGrid();
@@ -163,7 +253,7 @@ export async function handleStreamerCountChange(previousNumCables, newNumCables)
 
 /** Opens the cleanup orphaned streamers modal and sets the "streamers affected" range. Call from button click. */
 export function cleanupOrphanedStreamers() {
-  if (!isSuperUser()) {
+  if (!can("streamers.cleanup")) {
     showAccessDeniedToast("cleanup orphaned streamers");
     return;
   }
@@ -204,18 +294,33 @@ export async function performCleanupOrphanedStreamers() {
 // --- Project list & API ---
 let projectEventCounts = {};
 
+/**
+ * GET /api/projects flags the active project of every vessel. With a working vessel
+ * (chosen in the header, or the default vessel of a per-vessel user) only that vessel's
+ * project counts as active here; isActiveForVessel keeps the per-vessel flag.
+ */
+function scopeActiveToWorkingVessel(list) {
+  const vesselTag = workingVessel || (currentUser?.isGlobal ? null : currentUser?.vesselTag);
+  return list.map((p) => ({
+    ...p,
+    isActiveForVessel: p.isActive,
+    isActive: p.isActive && (!vesselTag || p.vesselTag === vesselTag),
+  }));
+}
+
 export async function loadProjects() {
   try {
     const [projectsData, statsData] = await Promise.all([
       API.fetchProjects(),
       API.fetchProjectStats(),
     ]);
-    setProjects(projectsData);
+    setProjects(scopeActiveToWorkingVessel(projectsData));
     projectEventCounts = statsData;
     renderProjectList();
     populateProjectSelector();
     updateActiveProjectBanner();
     updateConfigProjectLabel();
+    await renderConfigVersions();
   } catch (err) {
     console.error("Failed to load projects:", err);
     showErrorToast("Projects Error", "Failed to load projects. Please refresh the page.");
@@ -224,8 +329,8 @@ export async function loadProjects() {
 
 export async function createProject() {
   const statusEl = safeGet("project-status");
-  if (!isSuperUser()) {
-    setStatus(statusEl, "SuperUser access required", true);
+  if (!can("projects.manage")) {
+    setStatus(statusEl, "You do not have permission for this action", true);
     return;
   }
   const projectNumber = safeGet("new-project-number")?.value?.trim();
@@ -254,7 +359,7 @@ export async function createProject() {
 }
 
 export async function activateProject(projectId) {
-  if (!isSuperUser()) {
+  if (!can("projects.manage")) {
     showAccessDeniedToast("activate project");
     return;
   }
@@ -300,7 +405,7 @@ export async function activateSelectedProject() {
 }
 
 export async function clearActiveProject() {
-  if (!isSuperUser()) {
+  if (!can("projects.manage")) {
     showAccessDeniedToast("clear active project");
     return;
   }
@@ -322,7 +427,7 @@ export async function clearActiveProject() {
 }
 
 export async function deleteProject(projectId) {
-  if (!isSuperUser()) {
+  if (!can("projects.manage")) {
     showAccessDeniedToast("delete project");
     return;
   }
@@ -360,7 +465,7 @@ export function showForceDeleteProjectModal(projectId, eventCount, deploymentCou
   const parts = [];
   if (eventCount > 0) parts.push(`${eventCount} event(s)`);
   if (deploymentCount > 0) parts.push(`${deploymentCount} deployment config(s)`);
-  messageEl.textContent = `This project has ${parts.join(" and ")}. All will be permanently deleted. Type DELETE to confirm.`;
+  messageEl.textContent = `This project has ${parts.join(" and ")}. All will be moved to the trash. Type DELETE to confirm.`;
   input.value = "";
   confirmBtn.disabled = true;
   forceDeletePendingProjectId = projectId;
@@ -390,6 +495,110 @@ export async function confirmForceDeleteProject() {
   }
 }
 
+// --- Clone project modal ---
+let clonePendingProjectId = null;
+
+export function showCloneProjectModal(projectId) {
+  if (!can("projects.manage")) {
+    showAccessDeniedToast("clone project");
+    return;
+  }
+  const source = projects.find((p) => p.id === projectId);
+  const input = safeGet("clone-project-number");
+  if (!source || !input) return;
+  safeGet("clone-project-source").textContent = source.projectNumber;
+  input.value = "";
+  safeGet("clone-project-name").value = source.projectName || "";
+  safeGet("clone-project-deployments").checked = can("deployments.edit");
+  safeGet("clone-project-comments").checked = false;
+  clonePendingProjectId = projectId;
+  openModal("clone-project-modal");
+  input.focus();
+}
+
+export function closeCloneProjectModal() {
+  clonePendingProjectId = null;
+  closeModal("clone-project-modal");
+}
+
+export async function confirmCloneProject() {
+  const id = clonePendingProjectId;
+  const projectNumber = safeGet("clone-project-number")?.value?.trim();
+  if (!id) return;
+  if (!projectNumber) {
+    showErrorToast("Clone Failed", "Project number is required.");
+    return;
+  }
+  try {
+    const created = await API.cloneProject(id, {
+      projectNumber,
+      projectName: safeGet("clone-project-name")?.value?.trim() || null,
+      includeDeployments: safeGet("clone-project-deployments")?.checked === true,
+      includeComments: safeGet("clone-project-comments")?.checked === true,
+    });
+    closeCloneProjectModal();
+    const copied = created.copiedDeployments > 0 ? ` with ${created.copiedDeployments} streamer deployment(s)` : "";
+    showSuccessToast("Project Cloned", `Created ${created.projectNumber}${copied}.`);
+    await loadProjects();
+  } catch (err) {
+    console.error(err);
+    showErrorToast("Clone Failed", err.message || "Failed to clone project.");
+  }
+}
+
+// --- Project lifecycle & close-out modal ---
+let closeOutPendingProjectId = null;
+
+/**
+ * Show a project's close-out summary. With confirmClose the dialog previews the summary
+ * and its confirm button closes the project.
+ */
+export async function showCloseOutModal(projectId, confirmClose = false) {
+  const body = safeGet("close-out-body");
+  const confirmBtn = safeGet("btn-close-out-confirm");
+  const project = projects.find((p) => p.id === projectId);
+  if (!body || !confirmBtn || !project) return;
+  try {
+    const closeOut = await API.fetchCloseOut(projectId);
+    safeGet("close-out-project").textContent = project.projectNumber;
+    body.innerHTML = renderCloseOut(closeOut);
+    confirmBtn.classList.toggle("hidden", !confirmClose);
+    closeOutPendingProjectId = confirmClose ? projectId : null;
+    openModal("close-out-modal");
+  } catch (err) {
+    console.error(err);
+    showErrorToast("Close-out Failed", err.message || "Failed to load the close-out summary.");
+  }
+}
+
+export function closeCloseOutModal() {
+  closeOutPendingProjectId = null;
+  closeModal("close-out-modal");
+}
+
+export async function confirmCloseProject() {
+  const id = closeOutPendingProjectId;
+  if (!id) return;
+  await changeProjectStatus(id, "closed");
+  closeCloseOutModal();
+}
+
+/** Move a project to another lifecycle status (closing goes through the close-out dialog). */
+export async function changeProjectStatus(projectId, status) {
+  if (!can("projects.manage")) {
+    showAccessDeniedToast("change project status");
+    return;
+  }
+  try {
+    const updated = await API.updateProjectStatus(projectId, status);
+    showSuccessToast("Project Updated", `${updated.projectNumber} is now ${PROJECT_STATUS_LABELS[updated.status].toLowerCase()}.`);
+    await loadProjects();
+  } catch (err) {
+    console.error(err);
+    showErrorToast("Status Change Failed", err.message || "Failed to change project status.");
+  }
+}
+
 // --- Project list UI ---
 export function renderProjectList() {
   const container = safeGet("project-list");
@@ -402,8 +611,19 @@ export function renderProjectList() {
     .map((p) => {
       const isActive = p.isActive === true;
       const eventCount = projectEventCounts[p.projectNumber] || 0;
+      const statusBtns = can("projects.manage")
+        ? statusActions(p)
+            .map(([status, label]) => `<button class="btn btn-outline btn-sm btn-project-status" data-id="${p.id}" data-status="${status}">${label}</button>`)
+            .join("")
+        : "";
+      const closeOutBtn = isLockedStatus(p.status)
+        ? `<button class="btn btn-outline btn-sm btn-close-out" data-id="${p.id}" title="Close-out summary">📊</button>`
+        : "";
+      const cloneBtn = can("projects.manage")
+        ? `<button class="btn btn-outline btn-sm btn-clone-project" data-id="${p.id}" title="Clone as a new project">📋</button>`
+        : "";
       const deleteBtn =
-        isSuperUser() && !isActive
+        can("projects.manage") && !isActive
           ? `<button class="btn btn-outline btn-sm btn-delete-project" data-id="${p.id}" title="Delete project">🗑️</button>`
           : "";
       return `
@@ -414,12 +634,27 @@ export function renderProjectList() {
             <span class="project-vessel">${p.vesselTag || "TTN"}</span>
             <span class="project-event-count" title="Events in this project">${eventCount} events</span>
             ${isActive ? '<span class="badge badge-active">Active</span>' : ""}
+            <span class="badge badge-status badge-status-${p.status}">${PROJECT_STATUS_LABELS[p.status] || p.status}</span>
           </div>
-          <div class="project-item-actions">${deleteBtn}</div>
+          <div class="project-item-actions">${statusBtns}${closeOutBtn}${cloneBtn}${deleteBtn}</div>
         </div>
       `;
     })
     .join("");
+  container.querySelectorAll(".btn-project-status").forEach((btn) => {
+    const projectId = parseInt(btn.dataset.id);
+    btn.addEventListener("click", () =>
+      btn.dataset.status === "closed" && projects.find((p) => p.id === projectId)?.status === "active"
+        ? showCloseOutModal(projectId, true)
+        : changeProjectStatus(projectId, btn.dataset.status)
+    );
+  });
+  container.querySelectorAll(".btn-close-out").forEach((btn) => {
+    btn.addEventListener("click", () => showCloseOutModal(parseInt(btn.dataset.id)));
+  });
+  container.querySelectorAll(".btn-clone-project").forEach((btn) => {
+    btn.addEventListener("click", () => showCloneProjectModal(parseInt(btn.dataset.id)));
+  });
   container.querySelectorAll(".btn-delete-project").forEach((btn) => {
     btn.addEventListener("click", () => deleteProject(parseInt(btn.dataset.id)));
   });
@@ -429,11 +664,15 @@ export function populateProjectSelector() {
   const selector = safeGet("project-selector");
   if (!selector) return;
   selector.innerHTML = '<option value="">-- All Projects (No Filter) --</option>';
+  // Archived projects only when asked for (they stay reportable by picking them here).
+  const showArchived = safeGet("project-selector-show-archived")?.checked === true;
   projects.forEach((p) => {
+    if (p.status === "archived" && !showArchived) return;
     const option = document.createElement("option");
     option.value = p.projectNumber;
     option.textContent = p.projectName ? `${p.projectNumber} - ${p.projectName}` : p.projectNumber;
     if (p.isActive === true) option.textContent += " (Active)";
+    else if (p.status !== "active") option.textContent += ` (${PROJECT_STATUS_LABELS[p.status] || p.status})`;
     selector.appendChild(option);
   });
   const activeProject = projects.find((p) => p.isActive === true);
@@ -456,7 +695,7 @@ export function updateActiveProjectBanner() {
     if (clearBtn && isGrandSuperUser()) clearBtn.classList.remove("hidden");
     if (commentsEl) {
       commentsEl.value = activeProject.comments ?? "";
-      commentsEl.disabled = !isSuperUser();
+      commentsEl.disabled = !can("projects.manage");
     }
     if (commentsBlock) commentsBlock.style.display = "";
   } else {
@@ -532,18 +771,18 @@ export async function renderStreamerDeploymentGrid() {
       <div class="streamer-deployment-inputs">
         <div class="streamer-input-group">
           <label>📅 Deployment Date</label>
-          <input type="date" class="streamer-deploy-date" data-streamer="${streamerNum}" value="${deployDateValue}" ${!isSuperUser() ? "disabled" : ""} />
+          <input type="date" class="streamer-deploy-date" data-streamer="${streamerNum}" value="${deployDateValue}" ${!can("deployments.edit") ? "disabled" : ""} />
         </div>
         <div class="streamer-input-group">
           <label>🛡️ Coating</label>
           <div class="coating-toggle" data-streamer="${streamerNum}">
-            <button type="button" class="coating-option ${coatingActive === "true" ? "active" : ""}" data-value="true" ${!isSuperUser() ? "disabled" : ""}>Coated</button>
-            <button type="button" class="coating-option ${coatingActive === "false" ? "active" : ""}" data-value="false" ${!isSuperUser() ? "disabled" : ""}>Uncoated</button>
-            <button type="button" class="coating-option ${coatingActive === "" ? "active" : ""}" data-value="" ${!isSuperUser() ? "disabled" : ""}>Unknown</button>
+            <button type="button" class="coating-option ${coatingActive === "true" ? "active" : ""}" data-value="true" ${!can("deployments.edit") ? "disabled" : ""}>Coated</button>
+            <button type="button" class="coating-option ${coatingActive === "false" ? "active" : ""}" data-value="false" ${!can("deployments.edit") ? "disabled" : ""}>Uncoated</button>
+            <button type="button" class="coating-option ${coatingActive === "" ? "active" : ""}" data-value="" ${!can("deployments.edit") ? "disabled" : ""}>Unknown</button>
           </div>
         </div>
       </div>
-      ${isSuperUser() && hasConfig ? `<div class="streamer-card-actions"><button type="button" class="btn-icon btn-clear streamer-card-clear" data-streamer="${streamerNum}" title="Clear configuration">🗑️ Clear</button></div>` : ""}
+      ${can("deployments.edit") && hasConfig ? `<div class="streamer-card-actions"><button type="button" class="btn-icon btn-clear streamer-card-clear" data-streamer="${streamerNum}" title="Clear configuration">🗑️ Clear</button></div>` : ""}
     `;
     container.appendChild(card);
   }
@@ -556,7 +795,7 @@ export async function renderStreamerDeploymentGrid() {
       });
     });
   });
-  if (isSuperUser()) {
+  if (can("deployments.edit")) {
     container.querySelectorAll(".streamer-card-clear").forEach((btn) => {
       btn.addEventListener("click", () => clearStreamerDeployment(activeProject.id, btn.dataset.streamer));
     });
@@ -565,8 +804,8 @@ export async function renderStreamerDeploymentGrid() {
 
 export async function saveStreamerDeployments() {
   const statusEl = safeGet("streamer-deployment-status");
-  if (!isSuperUser()) {
-    setStatus(statusEl, "SuperUser access required", true);
+  if (!can("deployments.edit")) {
+    setStatus(statusEl, "You do not have permission for this action", true);
     return;
   }
   const activeProject = projects.find((p) => p.isActive);
@@ -605,7 +844,7 @@ export async function saveStreamerDeployments() {
 let clearOneDeploymentPending = null;
 
 export function clearStreamerDeployment(projectId, streamerNum) {
-  if (!isSuperUser()) {
+  if (!can("deployments.edit")) {
     showAccessDeniedToast("clear streamer configuration");
     return;
   }
@@ -614,7 +853,7 @@ export function clearStreamerDeployment(projectId, streamerNum) {
 
 // --- Set All Date modal ---
 export function showSetAllDateModal() {
-  if (!isSuperUser()) {
+  if (!can("deployments.edit")) {
     showAccessDeniedToast("set deployment dates");
     return;
   }
@@ -651,7 +890,7 @@ export function applySetAllDateModal() {
 
 // --- Set All Coating modal ---
 export function showSetAllCoatingModal() {
-  if (!isSuperUser()) {
+  if (!can("deployments.edit")) {
     showAccessDeniedToast("set coating status");
     return;
   }
@@ -683,7 +922,7 @@ export function applySetAllCoatingModal() {
 
 // --- Clear All deployments modal ---
 export function showClearAllDeploymentsModal() {
-  if (!isSuperUser()) {
+  if (!can("deployments.edit")) {
     showAccessDeniedToast("clear streamer configurations");
     return;
   }
@@ -751,7 +990,7 @@ export function clearAllStreamerDeployments() {
 export async function loadBackups() {
   const container = safeGet("backup-list");
   if (!container) return;
-  if (!isSuperUser()) {
+  if (!can("backups.manage")) {
     container.innerHTML = "";
     return;
   }
@@ -762,10 +1001,10 @@ export async function loadBackups() {
       container.innerHTML = '<div class="backup-empty">No backups available yet. Backups are created automatically every 12 hours.</div>';
       return;
     }
+    const canRestore = can("backups.restore");
     container.innerHTML = backups
       .map((backup) => {
-        const date = new Date(backup.createdAt);
-        const formattedDate = date.toLocaleDateString() + " " + date.toLocaleTimeString();
+        const formattedDate = formatDateTime(backup.createdAt);
         const sizeKB = (backup.size / 1024).toFixed(1);
         return `
           <div class="backup-item">
@@ -774,7 +1013,7 @@ export async function loadBackups() {
               <div class="backup-meta"><span>📅 ${formattedDate}</span><span>📦 ${sizeKB} KB</span></div>
             </div>
             <div class="backup-item-actions">
-              <button class="btn btn-sm btn-restore" data-filename="${backup.filename}" title="Restore this backup">🔄 Restore</button>
+              ${canRestore ? `<button class="btn btn-sm btn-restore" data-filename="${backup.filename}" title="Restore this backup">🔄 Restore</button>` : ""}
             </div>
           </div>
         `;
@@ -791,7 +1030,7 @@ export async function loadBackups() {
 
 export async function createBackup() {
   const statusEl = safeGet("backup-status");
-  if (!isSuperUser()) {
+  if (!can("backups.manage")) {
     showAccessDeniedToast("create backups");
     return;
   }
@@ -809,7 +1048,7 @@ export async function createBackup() {
 }
 
 export function restoreBackup(filename) {
-  if (!isSuperUser()) {
+  if (!can("backups.restore")) {
     showAccessDeniedToast("restore backups");
     return;
   }
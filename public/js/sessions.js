@@ -0,0 +1,128 @@
+/**
+ * Active sessions view (SuperUser+): list signed-in sessions for the caller's
+ * vessel and revoke a single session or every session of a user.
+ */
+
+import * as API from "./api.js";
+import { safeGet, setStatus, formatDateTime } from "./ui.js";
+import { can } from "./auth.js";
+
+/**
+ * Short "Browser on OS" label from a User-Agent string.
+ * @param {string|null} userAgent
+ * @returns {string}
+ */
+function describeClient(userAgent) {
+  if (!userAgent) return "Unknown client";
+  const browser =
+    (/Edg\//.test(userAgent) && "Edge") ||
+    (/Firefox\//.test(userAgent) && "Firefox") ||
+    (/Chrome\//.test(userAgent) && "Chrome") ||
+    (/Safari\//.test(userAgent) && "Safari") ||
+    "Other";
+  const os =
+    (/Windows/.test(userAgent) && "Windows") ||
+    (/Android/.test(userAgent) && "Android") ||
+    (/iPhone|iPad/.test(userAgent) && "iOS") ||
+    (/Mac OS X/.test(userAgent) && "macOS") ||
+    (/Linux/.test(userAgent) && "Linux") ||
+    "";
+  return os ? `${browser} on ${os}` : browser;
+}
+
+function buildActionButton(label, className, onClick) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = className;
+  btn.textContent = label;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+function renderSessions(sessions) {
+  const tableBody = safeGet("sessions-table-body");
+  if (!tableBody) return;
+
+  tableBody.innerHTML = "";
+  if (!sessions.length) {
+    tableBody.innerHTML = `<tr><td colspan="6" class="text-muted">No active sessions</td></tr>`;
+    return;
+  }
+
+  sessions.forEach((session) => {
+    const row = document.createElement("tr");
+
+    const userCell = document.createElement("td");
+    userCell.textContent = session.isCurrent ? `${session.username} (this session)` : session.username;
+
+    const roleCell = document.createElement("td");
+    roleCell.textContent = session.vesselTag ? `${session.role} · ${session.vesselTag}` : session.role;
+
+    const clientCell = document.createElement("td");
+    clientCell.textContent = describeClient(session.userAgent);
+    clientCell.title = [session.userAgent, session.ipAddress].filter(Boolean).join("\n");
+
+    const signedInCell = document.createElement("td");
+    signedInCell.textContent = formatDateTime(session.createdAt);
+
+    const lastSeenCell = document.createElement("td");
+    lastSeenCell.textContent = formatDateTime(session.lastSeenAt);
+    lastSeenCell.title = `Expires ${formatDateTime(session.expiresAt)} at the latest`;
+
+    const actionsCell = document.createElement("td");
+    actionsCell.className = "session-actions";
+    if (!session.isCurrent) {
+      actionsCell.appendChild(
+        buildActionButton("Revoke", "btn btn-outline btn-sm", () => revokeSession(session))
+      );
+    }
+    actionsCell.appendChild(
+      buildActionButton("Revoke all for user", "btn btn-outline btn-outline-danger btn-sm", () =>
+        revokeUserSessions(session)
+      )
+    );
+
+    row.appendChild(userCell);
+    row.appendChild(roleCell);
+    row.appendChild(clientCell);
+    row.appendChild(signedInCell);
+    row.appendChild(lastSeenCell);
+    row.appendChild(actionsCell);
+    tableBody.appendChild(row);
+  });
+}
+
+export async function loadSessions() {
+  if (!can("security.manage")) return;
+  const statusEl = safeGet("sessions-status");
+  try {
+    renderSessions(await API.fetchActiveSessions());
+  } catch (err) {
+    console.error("Failed to load sessions:", err);
+    setStatus(statusEl, "Failed to load sessions", true);
+  }
+}
+
+async function revokeSession(session) {
+  const statusEl = safeGet("sessions-status");
+  try {
+    await API.revokeSession(session.id);
+    setStatus(statusEl, `✅ Session for ${session.username} revoked`);
+    await loadSessions();
+  } catch (err) {
+    console.error(err);
+    setStatus(statusEl, err.message || "Failed to revoke session", true);
+  }
+}
+
+async function revokeUserSessions(session) {
+  const statusEl = safeGet("sessions-status");
+  try {
+    const result = await API.revokeUserSessions(session.userId);
+    setStatus(statusEl, `✅ ${result.revoked} session(s) revoked for ${session.username}`);
+    await loadSessions();
+  } catch (err) {
+    console.error(err);
+    setStatus(statusEl, err.message || "Failed to revoke sessions", true);
+  }
+}
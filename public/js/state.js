@@ -4,13 +4,14 @@
  */
 
 export let config = null;
-export let events = [];
 export let selectedMethod = "scraper-rope";
 export let projects = [];
 export let selectedProjectFilter = null;
 
 export let authToken = null;
 export let currentUser = null;
+/** Vessel sent as X-Vessel-Tag: where new events go and whose active project is used. */
+export let workingVessel = null;
 
 export let dragState = {
   active: false,
@@ -29,10 +30,6 @@ export function setConfig(val) {
   config = val;
 }
 
-export function setEvents(val) {
-  events = val;
-}
-
 export function setSelectedMethod(val) {
   selectedMethod = val;
 }
@@ -53,6 +50,10 @@ export function setCurrentUser(val) {
   currentUser = val;
 }
 
+export function setWorkingVessel(val) {
+  workingVessel = val;
+}
+
 export function setDragState(updates) {
   Object.assign(dragState, updates);
 }
@@ -72,8 +73,9 @@ export function setNoiseUploads(val) {
 export function getActiveProject() {
   const active = projects.filter((p) => p.isActive === true);
   if (active.length === 0) return null;
-  if (currentUser?.vesselTag) {
-    const forVessel = active.find((p) => p.vesselTag === currentUser.vesselTag);
+  const vesselTag = workingVessel || currentUser?.vesselTag;
+  if (vesselTag) {
+    const forVessel = active.find((p) => p.vesselTag === vesselTag);
     if (forVessel) {
       return forVessel;
     }
@@ -81,13 +83,3 @@ export function getActiveProject() {
   const fallback = active[0] || null;
   return fallback;
 }
-
-export function getFilteredEvents() {
-  let filtered = events;
-  if (selectedProjectFilter) {
-    filtered = filtered.filter(
-      (e) => String(e.projectNumber) === selectedProjectFilter
-    );
-  }
-  return filtered;
-}
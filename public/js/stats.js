@@ -5,13 +5,152 @@
  * All DOM element IDs referenced here must exist on any page that uses this module:
  * filter-start, filter-end, kpi-coverage, kpi-coverage-sub, kpi-breakdown,
  * kpi-distance, kpi-distance-sub, kpi-events, kpi-events-sub, kpi-last,
- * kpi-last-sub, deploy-days-breakdown, method-breakdown, streamer-cards-container
+ * kpi-last-sub, deploy-days-breakdown, method-breakdown, fouling-breakdown, effort-breakdown,
+ * line-phase-breakdown, streamer-cards-container
  */
 
-import { config, events, projects, selectedProjectFilter } from "./state.js";
+import { config, projects, selectedProjectFilter } from "./state.js";
 import * as API from "./api.js";
-import { safeGet, showErrorToast } from "./ui.js";
+import { safeGet, showErrorToast, formatDate, formatTime } from "./ui.js";
+import { dateKey } from "./timeZone.js";
 import { fmtKm } from "./streamer-utils.js";
+import { FOULING_GRADE_LABELS, FOULING_TYPE_LABELS } from "./fouling.js";
+import { loadCleaningMethods, getMethodInfo, methodDisplay } from "./cleaningMethods.js";
+import { LINE_PHASE_LABELS } from "./surveyLines.js";
+
+const COATING_LABELS = { coated: "Coated", uncoated: "Uncoated", unknown: "Coating unknown" };
+
+/** One labelled stacked bar: a segment per fouling grade, sized by its share of sections. */
+function foulingBarHtml(label, summary) {
+  const segments = summary.counts
+    .map((count, grade) => count > 0
+      ? `<div class="fouling-segment" data-grade="${grade}" style="width: ${(count / summary.total) * 100}%" title="${grade} – ${FOULING_GRADE_LABELS[grade]}: ${count} section(s)"></div>`
+      : "")
+    .join("");
+  return `
+    <div class="bar-label">
+      <span>${label}</span>
+      <span>avg ${summary.averageGrade} · ${summary.total} sections</span>
+    </div>
+    <div class="bar fouling-bar">${segments}</div>
+  `;
+}
+
+/**
+ * Hours spent, speed by method and hours per streamer, from the events with a duration.
+ * @param {Object} effort - effort of GET /api/stats/filter
+ */
+function renderEffortBreakdown(effort) {
+  const container = safeGet("effort-breakdown");
+  if (!container) return;
+
+  container.innerHTML = '<h3 style="margin-top: 0">Cleaning Effort</h3>';
+  if (!effort || effort.timedEvents === 0) {
+    container.innerHTML += '<p class="info-text-md">No cleaning durations recorded</p>';
+    return;
+  }
+
+  const untimed = effort.untimedEvents > 0 ? ` · ${effort.untimedEvents} event(s) without a duration` : "";
+  container.innerHTML += `<p class="info-text-md">${effort.totalHours} h spent · ${effort.crewHours} crew hours${untimed}</p>`;
+
+  container.innerHTML += '<h4 class="fouling-group-title">By method</h4>';
+  const fastest = Math.max(...Object.values(effort.byMethod).map((m) => m.kmPerHour));
+  Object.entries(effort.byMethod).forEach(([method, summary]) => {
+    container.innerHTML += `
+      <div class="bar-label">
+        <span>${methodDisplay(method)}</span>
+        <span>${summary.kmPerHour} km/h · ${summary.hours} h</span>
+      </div>
+      <div class="bar">
+        <div class="bar-fill" style="width: ${fastest > 0 ? (summary.kmPerHour / fastest) * 100 : 0}%; background: ${getMethodInfo(method).color}"></div>
+      </div>
+    `;
+  });
+
+  container.innerHTML += '<h4 class="fouling-group-title">By streamer</h4>';
+  const hours = Object.entries(effort.byStreamer).sort(([a], [b]) => Number(a) - Number(b));
+  const most = Math.max(...hours.map(([, h]) => h));
+  hours.forEach(([streamerId, h]) => {
+    container.innerHTML += `
+      <div class="bar-label">
+        <span>Streamer ${streamerId}</span>
+        <span>${h} h</span>
+      </div>
+      <div class="bar">
+        <div class="bar-fill" style="width: ${most > 0 ? (h / most) * 100 : 0}%"></div>
+      </div>
+    `;
+  });
+}
+
+/**
+ * Cleanings during survey lines vs. during line changes (events outside the line log apart).
+ * @param {Object} linePhases - linePhases of GET /api/stats/filter
+ */
+function renderLinePhaseBreakdown(linePhases) {
+  const container = safeGet("line-phase-breakdown");
+  if (!container) return;
+
+  container.innerHTML = '<h3 style="margin-top: 0">Line vs. Line Change</h3>';
+  if (!linePhases || linePhases.loggedLines === 0) {
+    container.innerHTML += '<p class="info-text-md">No line log imported for these projects</p>';
+    return;
+  }
+
+  const totalEvents = Object.keys(LINE_PHASE_LABELS).reduce((sum, phase) => sum + linePhases[phase].events, 0);
+  Object.entries(LINE_PHASE_LABELS).forEach(([phase, label]) => {
+    const { events: count, distance } = linePhases[phase];
+    container.innerHTML += `
+      <div class="bar-label">
+        <span>${label}</span>
+        <span>${count} event(s) · ${fmtKm(distance)}</span>
+      </div>
+      <div class="bar">
+        <div class="bar-fill" style="width: ${totalEvents > 0 ? (count / totalEvents) * 100 : 0}%"></div>
+      </div>
+    `;
+  });
+}
+
+/**
+ * Fouling grade distribution by streamer and by coated / uncoated streamers, for the
+ * selected project and date range.
+ */
+async function renderFoulingBreakdown(startDate, endDate) {
+  const container = safeGet("fouling-breakdown");
+  if (!container) return;
+
+  const params = {};
+  if (startDate) params.start = startDate;
+  if (endDate) params.end = endDate;
+  if (selectedProjectFilter) params.project = selectedProjectFilter;
+  const data = await API.fetchFoulingStats(params);
+
+  container.innerHTML = '<h3 style="margin-top: 0">Fouling Distribution</h3>';
+  if (data.gradedEvents === 0) {
+    container.innerHTML += '<p class="info-text-md">No fouling grades recorded</p>';
+    return;
+  }
+
+  container.innerHTML += '<h4 class="fouling-group-title">By streamer</h4>';
+  Object.keys(data.byStreamer)
+    .sort((a, b) => Number(a) - Number(b))
+    .forEach((streamerId) => {
+      container.innerHTML += foulingBarHtml(`Streamer ${streamerId}`, data.byStreamer[streamerId]);
+    });
+
+  container.innerHTML += '<h4 class="fouling-group-title">By coating</h4>';
+  Object.entries(data.byCoating)
+    .filter(([, summary]) => summary.total > 0)
+    .forEach(([coating, summary]) => {
+      container.innerHTML += foulingBarHtml(COATING_LABELS[coating], summary);
+    });
+
+  const types = Object.entries(data.byType)
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => `${FOULING_TYPE_LABELS[type] || "Unspecified"}: ${count}`);
+  container.innerHTML += `<p class="info-text-md">By type (sections): ${types.join(" · ")}</p>`;
+}
 
 export async function renderStreamerCards(startDate = null, endDate = null, preloadedLastCleaned = null) {
   const container = safeGet("streamer-cards-container");
@@ -30,6 +169,16 @@ export async function renderStreamerCards(startDate = null, endDate = null, prel
     }
     const lastCleaned = data.lastCleaned;
 
+    // Event totals per streamer, for the date range when one is set (see GET /api/last-cleaned).
+    let streamerTotals = data.streamers || {};
+    if (startDate || endDate) {
+      const params = {};
+      if (startDate) params.start = startDate;
+      if (endDate) params.end = endDate;
+      if (selectedProjectFilter) params.project = selectedProjectFilter;
+      streamerTotals = (await API.fetchLastCleanedFiltered(params)).streamers;
+    }
+
     const cableCount = config.numCables;
     const sectionsPerCable = config.sectionsPerCable;
     const tailSections = config.useRopeForTail ? 0 : 5;
@@ -38,24 +187,12 @@ export async function renderStreamerCards(startDate = null, endDate = null, prel
     for (let streamerId = 1; streamerId <= cableCount; streamerId++) {
       const sections = lastCleaned[streamerId] || [];
 
-      let filteredEvents = events.filter((evt) => evt.streamerId === streamerId);
-
-      if (startDate || endDate) {
-        filteredEvents = filteredEvents.filter((evt) => {
-          const evtDate = new Date(evt.cleanedAt).toISOString().split("T")[0];
-          if (startDate && evtDate < startDate) return false;
-          if (endDate && evtDate > endDate) return false;
-          return true;
-        });
-      }
-
       let cleanedCount = 0;
-      const totalCleanings = filteredEvents.length;
 
       sections.forEach((date) => {
         if (!date) return;
         if (startDate || endDate) {
-          const sectionDate = new Date(date).toISOString().split("T")[0];
+          const sectionDate = dateKey(date);
           if (startDate && sectionDate < startDate) return;
           if (endDate && sectionDate > endDate) return;
         }
@@ -65,10 +202,7 @@ export async function renderStreamerCards(startDate = null, endDate = null, prel
       const coverage =
         totalPerCable > 0 ? Math.round((cleanedCount / totalPerCable) * 100) : 0;
 
-      let totalSectionCleanings = 0;
-      filteredEvents.forEach((evt) => {
-        totalSectionCleanings += evt.sectionIndexEnd - evt.sectionIndexStart + 1;
-      });
+      const totalSectionCleanings = streamerTotals[streamerId]?.sectionCleanings || 0;
 
       const avgCleanings =
         totalPerCable > 0 ? (totalSectionCleanings / totalPerCable).toFixed(1) : 0;
@@ -105,6 +239,9 @@ export async function refreshStatsFiltered(
   const endDate = safeGet("filter-end")?.value;
 
   try {
+    const lastCleanedData = preloadedLastCleaned
+      || await API.fetchLastCleaned(selectedProjectFilter ? { project: selectedProjectFilter } : {});
+
     let overallStats;
     if (preloadedStats) {
       overallStats = preloadedStats;
@@ -125,12 +262,13 @@ export async function refreshStatsFiltered(
       data = await API.apiCall(`/api/stats/filter?${params}`);
     }
 
-    const totalActiveSections = overallStats.totalAvailableSections;
-    const totalTailSections = overallStats.totalAvailableTail;
-    const totalSections = totalActiveSections + totalTailSections;
-
     const displayStats = startDate || endDate ? data : overallStats;
 
+    // Sections of the layouts in effect over the shown period (see GET /api/stats).
+    const totalActiveSections = displayStats.totalAvailableSections ?? overallStats.totalAvailableSections;
+    const totalTailSections = displayStats.totalAvailableTail ?? overallStats.totalAvailableTail;
+    const totalSections = totalActiveSections + totalTailSections;
+
     const totalCleanedSections = displayStats.uniqueCleanedSections || 0;
     const overallCoverage =
       totalSections > 0
@@ -167,9 +305,8 @@ export async function refreshStatsFiltered(
     safeGet("kpi-events-sub").textContent = `${data.events} log entries`;
 
     if (data.lastCleaning) {
-      const lastDate = new Date(data.lastCleaning);
-      safeGet("kpi-last").textContent = lastDate.toLocaleDateString();
-      safeGet("kpi-last-sub").textContent = lastDate.toLocaleTimeString();
+      safeGet("kpi-last").textContent = formatDate(data.lastCleaning);
+      safeGet("kpi-last-sub").textContent = formatTime(data.lastCleaning);
     } else {
       safeGet("kpi-last").textContent = "—";
       safeGet("kpi-last-sub").textContent = "No events";
@@ -189,12 +326,7 @@ export async function refreshStatsFiltered(
       } else {
         try {
           // Always use full project history so "days to first scraping" is a fixed metric.
-          let eventsForFirstScraping = events;
-          if (selectedProjectFilter) {
-            eventsForFirstScraping = eventsForFirstScraping.filter(
-              (e) => String(e.projectNumber) === selectedProjectFilter
-            );
-          }
+          const streamerTotals = lastCleanedData.streamers || {};
 
           const streamerDeployments = preloadedDeployments
             ? preloadedDeployments
@@ -204,20 +336,14 @@ export async function refreshStatsFiltered(
           let maxDays = 0;
 
           for (let streamerNum = 1; streamerNum <= config.numCables; streamerNum++) {
-            const streamerEvents = eventsForFirstScraping.filter(
-              (e) => e.streamerId === streamerNum
-            );
+            const firstCleanedAt = streamerTotals[streamerNum]?.firstCleanedAt;
 
             const deployment = streamerDeployments[streamerNum];
             const deployDate = deployment?.deploymentDate;
 
-            if (deployDate && streamerEvents.length > 0) {
-              const firstCleaning = streamerEvents.sort(
-                (a, b) => new Date(a.cleanedAt) - new Date(b.cleanedAt)
-              )[0];
-
+            if (deployDate && firstCleanedAt) {
               const days = Math.floor(
-                (new Date(firstCleaning.cleanedAt) - new Date(deployDate)) /
+                (new Date(firstCleanedAt) - new Date(deployDate)) /
                   (1000 * 60 * 60 * 24)
               );
 
@@ -267,24 +393,29 @@ export async function refreshStatsFiltered(
       data.byMethod &&
       Object.keys(data.byMethod).length > 0
     ) {
+      await loadCleaningMethods();
       methodBreakdownDiv.innerHTML = '<h3 style="margin-top: 0">Distance by Method</h3>';
       Object.keys(data.byMethod).forEach((method) => {
         const distance = data.byMethod[method];
         const bar = document.createElement("div");
         bar.innerHTML = `
           <div class="bar-label">
-            <span>${method}</span>
+            <span>${methodDisplay(method)}</span>
             <span>${distance} m</span>
           </div>
           <div class="bar">
-            <div class="bar-fill" style="width: ${(distance / data.totalDistance) * 100}%"></div>
+            <div class="bar-fill" style="width: ${(distance / data.totalDistance) * 100}%; background: ${getMethodInfo(method).color}"></div>
           </div>
         `;
         methodBreakdownDiv.appendChild(bar);
       });
     }
 
-    await renderStreamerCards(startDate, endDate, preloadedLastCleaned);
+    await loadCleaningMethods();
+    renderEffortBreakdown(data.effort);
+    renderLinePhaseBreakdown(data.linePhases);
+    await renderFoulingBreakdown(startDate, endDate);
+    await renderStreamerCards(startDate, endDate, lastCleanedData);
   } catch (err) {
     console.error("refreshStatsFiltered failed", err);
     showErrorToast("Stats Error", "Failed to load statistics. Please try again.");
@@ -3,10 +3,10 @@
  * Used by the heatmap and testable in isolation.
  *
  * @param {number} streamerId
- * @param {{ deployments: object, lastCleaned: object, streamerEvents: Array<{ cleanedAt: string, streamerId: number }> }} opts
- * @returns {{ daysToFirstScraping: number|null, streamerEvents: Array, lastCleanedDate: string|null, coatingLabel: string, hasDeploymentDate: boolean }}
+ * @param {{ deployments: object, lastCleaned: object, streamerSummary: { events: number, firstCleanedAt: string|null } }} opts
+ * @returns {{ daysToFirstScraping: number|null, streamerSummary: object, lastCleanedDate: string|null, coatingLabel: string, hasDeploymentDate: boolean }}
  */
-export function computeStreamerTooltipData(streamerId, { deployments, lastCleaned, streamerEvents }) {
+export function computeStreamerTooltipData(streamerId, { deployments, lastCleaned, streamerSummary }) {
   const deployment = deployments[streamerId] || {};
   const sectionDates = lastCleaned[streamerId] || [];
   const lastCleanedDate = sectionDates.length
@@ -14,12 +14,9 @@ export function computeStreamerTooltipData(streamerId, { deployments, lastCleane
     : null;
 
   let daysToFirstScraping = null;
-  if (deployment.deploymentDate && streamerEvents.length > 0) {
-    const firstCleaning = [...streamerEvents].sort((a, b) =>
-      new Date(a.cleanedAt) - new Date(b.cleanedAt)
-    )[0];
+  if (deployment.deploymentDate && streamerSummary.firstCleanedAt) {
     const rawDays = Math.floor(
-      (new Date(firstCleaning.cleanedAt) - new Date(deployment.deploymentDate)) / (1000 * 60 * 60 * 24)
+      (new Date(streamerSummary.firstCleanedAt) - new Date(deployment.deploymentDate)) / (1000 * 60 * 60 * 24)
     );
     if (rawDays >= 0) daysToFirstScraping = rawDays;
   }
@@ -28,7 +25,7 @@ export function computeStreamerTooltipData(streamerId, { deployments, lastCleane
 
   return {
     daysToFirstScraping,
-    streamerEvents,
+    streamerSummary,
     lastCleanedDate,
     coatingLabel,
     hasDeploymentDate: !!deployment.deploymentDate,
@@ -8,8 +8,9 @@ export function sectionCount(evt) {
   return evt.sectionIndexEnd - evt.sectionIndexStart + 1;
 }
 
+/** Metres cleaned, with the section length of the layout the event was logged on. */
 export function eventDistance(evt) {
-  return sectionCount(evt) * (config?.sectionLength || 1);
+  return sectionCount(evt) * ((evt.layout || config)?.sectionLength || 1);
 }
 
 export function ageBucket(days) {
@@ -151,8 +152,12 @@ export function getMaxSectionIndex(cfg = config) {
   return getSectionsPerCableWithTail(cfg);
 }
 
-export function validateStreamerAndSections(streamerNum, startSection, endSection, projectNumber = null) {
-  const eventConfig = getConfigForProject(projectNumber);
+/**
+ * Check a streamer and 1-based section range against a project's current layout, or against
+ * layout (an event's earlier configuration version, see GET /api/events) when given.
+ */
+export function validateStreamerAndSections(streamerNum, startSection, endSection, projectNumber = null, layout = null) {
+  const eventConfig = layout || getConfigForProject(projectNumber);
   const maxStreamer = eventConfig?.numCables;
   const maxSection = getMaxSectionIndex(eventConfig);
 
@@ -0,0 +1,115 @@
+/**
+ * Survey line logs (see backend surveyLines.js): each project's sequences with their start
+ * and end times, imported from a CSV/XLSX line log. Events are placed on the line they fall
+ * in or the line change they happened during (event.surveyLine).
+ */
+
+import * as API from "./api.js";
+import { can } from "./auth.js";
+import { safeGet, showErrorToast, showSuccessToast, escapeHtml, formatDateTime } from "./ui.js";
+import { readFileAsBase64 } from "./eventImport.js";
+
+export const LINE_PHASE_LABELS = {
+  line: "During line",
+  lineChange: "During line change",
+  outside: "Outside line log",
+};
+
+/** "Seq 12 (L1001)", "Line change 12→13"; empty outside the line log. */
+export function formatSurveyLine(context) {
+  if (context?.phase === "line") {
+    return context.lineName ? `Seq ${context.sequenceNumber} (${context.lineName})` : `Seq ${context.sequenceNumber}`;
+  }
+  if (context?.phase === "lineChange") return `Line change ${context.previousSequence}→${context.nextSequence}`;
+  return "";
+}
+
+let currentProject = null;
+
+function setStatus(text) {
+  const status = safeGet("survey-lines-status");
+  if (status) status.textContent = text;
+}
+
+/**
+ * Show a project's line log in the Survey Lines card.
+ * @param {string|null} projectNumber
+ */
+export async function renderSurveyLines(projectNumber) {
+  currentProject = projectNumber || null;
+  const tbody = safeGet("survey-lines-tbody");
+  if (!tbody) return;
+
+  const clearBtn = safeGet("btn-clear-survey-lines");
+  if (!currentProject) {
+    tbody.innerHTML = '<tr><td colspan="5" style="text-align:center;color:var(--muted)">No active project</td></tr>';
+    clearBtn?.classList.add("hidden");
+    setStatus("");
+    return;
+  }
+
+  try {
+    const { lines } = await API.fetchSurveyLines(currentProject);
+    clearBtn?.classList.toggle("hidden", lines.length === 0 || !can("lines.import"));
+    setStatus(lines.length > 0 ? `${lines.length} line(s) logged` : "");
+    if (lines.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" style="text-align:center;color:var(--muted)">No line log imported for this project</td></tr>';
+      return;
+    }
+    tbody.innerHTML = lines
+      .map(
+        (line) => `
+        <tr>
+          <td>${line.sequenceNumber}</td>
+          <td>${line.lineName ? escapeHtml(line.lineName) : "—"}</td>
+          <td>${formatDateTime(line.startedAt)}</td>
+          <td>${formatDateTime(line.endedAt)}</td>
+          <td>${line.cleanings}</td>
+        </tr>`
+      )
+      .join("");
+  } catch (err) {
+    console.error(err);
+    tbody.innerHTML = '<tr><td colspan="5" style="text-align:center;color:var(--muted)">Failed to load survey lines</td></tr>';
+  }
+}
+
+async function importLineLog(file) {
+  if (!currentProject) {
+    showErrorToast("Select a project first before importing a line log.");
+    return;
+  }
+  try {
+    const content = await readFileAsBase64(file);
+    const { counts } = await API.importSurveyLines({ projectNumber: currentProject, filename: file.name, content });
+    showSuccessToast("Line log imported", `${counts.created} line(s) added, ${counts.updated} updated`);
+    await renderSurveyLines(currentProject);
+  } catch (err) {
+    console.error("Line log import failed:", err);
+    showErrorToast("Line log import failed", err.message || "Nothing was imported.");
+  }
+}
+
+async function clearLineLog() {
+  if (!currentProject || !window.confirm(`Remove the line log of project ${currentProject}? Events are kept.`)) return;
+  try {
+    const { removed } = await API.clearSurveyLines(currentProject);
+    showSuccessToast("Line log cleared", `Removed ${removed} line(s)`);
+    await renderSurveyLines(currentProject);
+  } catch (err) {
+    console.error(err);
+    showErrorToast(err.message || "Failed to clear the line log");
+  }
+}
+
+/** Set up the line log upload and clear controls (called once on page init). */
+export function initSurveyLines() {
+  const input = safeGet("survey-lines-input");
+  input?.addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    input.value = ""; // reset so the same file can be imported again
+    await importLineLog(file);
+  });
+  safeGet("btn-clear-survey-lines")?.addEventListener("click", clearLineLog);
+}
@@ -0,0 +1,123 @@
+/**
+ * Time zones (see backend utils/time.js): events are stored in UTC, date filters and daily
+ * figures follow the vessel's zone (config.timeZone), and times are shown in vessel time,
+ * UTC or browser time as picked in the header switcher. Date and time inputs are read and
+ * filled in the shown zone.
+ */
+
+import { config } from "./state.js";
+
+export const TIME_DISPLAY_MODES = {
+  vessel: "🕒 Vessel time",
+  utc: "🕒 UTC",
+  browser: "🕒 Browser time",
+};
+
+const STORAGE_KEY = "timeDisplay";
+
+export function getTimeDisplayMode() {
+  const mode = localStorage.getItem(STORAGE_KEY);
+  return Object.hasOwn(TIME_DISPLAY_MODES, mode) ? mode : "vessel";
+}
+
+export function setTimeDisplayMode(mode) {
+  if (mode === "vessel") {
+    localStorage.removeItem(STORAGE_KEY);
+  } else {
+    localStorage.setItem(STORAGE_KEY, mode);
+  }
+}
+
+/** Zone the working vessel keeps its day in (UTC until the config is loaded or when none is set). */
+export function vesselTimeZone() {
+  return config?.timeZone || "UTC";
+}
+
+/** Zone times are shown and entered in. */
+export function displayTimeZone() {
+  const mode = getTimeDisplayMode();
+  if (mode === "utc") return "UTC";
+  if (mode === "browser") return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return vesselTimeZone();
+}
+
+const pad = (value) => String(value).padStart(2, "0");
+
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+  return { year: value("year"), month: value("month"), day: value("day"), hour: value("hour"), minute: value("minute"), second: value("second") };
+}
+
+function offsetMinutes(instant, timeZone) {
+  const p = zonedParts(new Date(instant), timeZone);
+  return Math.round((Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(instant / 1000) * 1000) / 60000);
+}
+
+/**
+ * Calendar day of an instant, by default in the vessel zone (the day date filters use).
+ * @param {string|Date} value
+ * @param {string} [timeZone]
+ * @returns {string} "YYYY-MM-DD", empty when the value is not a date
+ */
+export function dateKey(value, timeZone = vesselTimeZone()) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return "";
+  const p = zonedParts(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+/**
+ * Values for a date and a time input showing an instant in the shown zone.
+ * @param {string|Date} value
+ * @returns {{ date: string, time: string }} "YYYY-MM-DD" and "HH:MM"
+ */
+export function toDateTimeInputs(value) {
+  const p = zonedParts(new Date(value), displayTimeZone());
+  return { date: `${p.year}-${pad(p.month)}-${pad(p.day)}`, time: `${pad(p.hour)}:${pad(p.minute)}` };
+}
+
+/**
+ * The instant a date and time entered in the shown zone refer to. Times skipped by a DST
+ * change move forward; repeated times resolve to the first occurrence (as on the server).
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {string} time - "HH:MM"
+ * @returns {string} UTC ISO timestamp
+ */
+export function fromDateTimeInputs(date, time) {
+  const [year, month, day] = date.split("-").map(Number);
+  const [hours, minutes] = time.split(":").map(Number);
+  const wall = Date.UTC(year, month - 1, day, hours, minutes);
+  const timeZone = displayTimeZone();
+  const dayMs = 24 * 60 * 60000;
+  const candidates = [offsetMinutes(wall - dayMs, timeZone), offsetMinutes(wall + dayMs, timeZone)]
+    .map((offset) => wall - offset * 60000)
+    .sort((a, b) => a - b);
+  const instant = candidates.find((candidate) => candidate + offsetMinutes(candidate, timeZone) * 60000 === wall);
+  return new Date(instant ?? candidates[1]).toISOString();
+}
+
+/**
+ * Header switcher between vessel time, UTC and browser time. Changing it reloads the page
+ * so every view is drawn again in the new zone.
+ */
+export function renderTimeDisplaySwitcher() {
+  const select = document.getElementById("time-display-switcher");
+  if (!select) return;
+  select.innerHTML = "";
+  Object.entries(TIME_DISPLAY_MODES).forEach(([mode, label]) => select.appendChild(new Option(label, mode)));
+  select.value = getTimeDisplayMode();
+  select.onchange = () => {
+    setTimeDisplayMode(select.value);
+    window.location.reload();
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * Trash view (trash.manage): deleted events and projects for the caller's
+ * vessels, with Restore and Delete forever actions.
+ */
+
+import * as API from "./api.js";
+import { safeGet, setStatus, formatDateTime } from "./ui.js";
+import { can } from "./auth.js";
+import { loadProjects } from "./projects.js";
+
+const TYPE_LABELS = {
+  event: "Event",
+  events: "Events",
+  project: "Project",
+};
+
+function describeItem(entry) {
+  const type = TYPE_LABELS[entry.itemType] || entry.itemType;
+  if (entry.itemType === "project") {
+    return `${type} ${entry.label} (${entry.itemCount} event(s))`;
+  }
+  if (entry.itemType === "events") {
+    return `${type}: ${entry.label} (${entry.itemCount})`;
+  }
+  return `${type}: ${entry.label}`;
+}
+
+function renderTrash(entries) {
+  const tableBody = safeGet("trash-table-body");
+  if (!tableBody) return;
+
+  tableBody.innerHTML = "";
+  if (!entries.length) {
+    tableBody.innerHTML = `<tr><td colspan="6" class="text-muted">The trash is empty</td></tr>`;
+    return;
+  }
+
+  entries.forEach((entry) => {
+    const row = document.createElement("tr");
+
+    const itemCell = document.createElement("td");
+    itemCell.textContent = describeItem(entry);
+
+    const vesselCell = document.createElement("td");
+    vesselCell.textContent = entry.vesselTag || "-";
+
+    const deletedAtCell = document.createElement("td");
+    deletedAtCell.textContent = formatDateTime(entry.deletedAt);
+
+    const deletedByCell = document.createElement("td");
+    deletedByCell.textContent = entry.deletedBy || "unknown";
+
+    const expiresCell = document.createElement("td");
+    expiresCell.textContent = formatDateTime(entry.expiresAt);
+
+    const actionsCell = document.createElement("td");
+    const restoreBtn = document.createElement("button");
+    restoreBtn.type = "button";
+    restoreBtn.className = "btn btn-outline btn-sm";
+    restoreBtn.textContent = "♻️ Restore";
+    restoreBtn.addEventListener("click", () => restoreEntry(entry));
+
+    const purgeBtn = document.createElement("button");
+    purgeBtn.type = "button";
+    purgeBtn.className = "btn btn-danger btn-sm";
+    purgeBtn.textContent = "Delete forever";
+    purgeBtn.addEventListener("click", () => {
+      // Second click confirms: purging cannot be undone.
+      if (purgeBtn.dataset.armed !== "true") {
+        purgeBtn.dataset.armed = "true";
+        purgeBtn.textContent = "Click again to confirm";
+        return;
+      }
+      purgeEntry(entry);
+    });
+
+    actionsCell.appendChild(restoreBtn);
+    actionsCell.appendChild(document.createTextNode(" "));
+    actionsCell.appendChild(purgeBtn);
+
+    row.appendChild(itemCell);
+    row.appendChild(vesselCell);
+    row.appendChild(deletedAtCell);
+    row.appendChild(deletedByCell);
+    row.appendChild(expiresCell);
+    row.appendChild(actionsCell);
+    tableBody.appendChild(row);
+  });
+}
+
+export async function loadTrash() {
+  if (!can("trash.manage")) return;
+  const statusEl = safeGet("trash-status");
+  try {
+    renderTrash(await API.fetchTrash());
+  } catch (err) {
+    console.error("Failed to load trash:", err);
+    setStatus(statusEl, "Failed to load trash", true);
+  }
+}
+
+async function restoreEntry(entry) {
+  const statusEl = safeGet("trash-status");
+  try {
+    await API.restoreTrashEntry(entry.id);
+    setStatus(statusEl, `✅ ${TYPE_LABELS[entry.itemType] || "Item"} restored`);
+    await loadTrash();
+    if (entry.itemType === "project") await loadProjects();
+  } catch (err) {
+    console.error(err);
+    setStatus(statusEl, err.message || "Failed to restore", true);
+  }
+}
+
+async function purgeEntry(entry) {
+  const statusEl = safeGet("trash-status");
+  try {
+    await API.purgeTrashEntry(entry.id);
+    setStatus(statusEl, "✅ Deleted permanently");
+    await loadTrash();
+  } catch (err) {
+    console.error(err);
+    setStatus(statusEl, err.message || "Failed to delete", true);
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * Two-factor authentication (SuperUser+): enroll the signed-in account in TOTP,
+ * show one-time recovery codes, regenerate them, and turn 2FA off.
+ */
+
+import * as API from "./api.js";
+import { safeGet, setStatus, showSuccessToast } from "./ui.js";
+import { isSuperUser } from "./auth.js";
+import { openModal, closeModal } from "./modals.js";
+
+function toggle(id, visible) {
+  const el = safeGet(id);
+  if (el) el.classList.toggle("hidden", !visible);
+}
+
+function clearInput(id) {
+  const input = safeGet(id);
+  if (input) input.value = "";
+}
+
+function renderTwoFactorStatus(status) {
+  const stateEl = safeGet("two-factor-state");
+  if (stateEl) {
+    if (status.enabled) {
+      stateEl.textContent = `✅ Enabled · ${status.recoveryCodesRemaining} recovery code(s) left`;
+    } else {
+      stateEl.textContent = status.required
+        ? "⚠️ Not enabled – required for your role; you will be asked to set it up at your next sign-in"
+        : "Not enabled";
+    }
+  }
+  toggle("two-factor-off-actions", !status.enabled);
+  toggle("two-factor-on-actions", status.enabled);
+  toggle("two-factor-enroll", false);
+
+  const disableBtn = safeGet("btn-two-factor-disable");
+  if (disableBtn) {
+    disableBtn.disabled = status.required;
+    disableBtn.title = status.required ? "Two-factor authentication is required for your role" : "";
+  }
+}
+
+function showRecoveryCodes(codes) {
+  const codesEl = safeGet("two-factor-recovery-codes");
+  if (codesEl) codesEl.textContent = codes.join("\n");
+  openModal("two-factor-recovery-modal");
+}
+
+export async function loadTwoFactorStatus() {
+  if (!isSuperUser()) return;
+  const statusEl = safeGet("two-factor-status");
+  try {
+    renderTwoFactorStatus(await API.fetchTwoFactorStatus());
+  } catch (err) {
+    console.error("Failed to load two-factor status:", err);
+    setStatus(statusEl, "Failed to load two-factor status", true);
+  }
+}
+
+export async function startTwoFactorSetup() {
+  const statusEl = safeGet("two-factor-status");
+  try {
+    const setup = await API.startTwoFactorSetup();
+    const qrImg = safeGet("two-factor-qr");
+    if (qrImg) qrImg.src = setup.qrCode;
+    const secretEl = safeGet("two-factor-secret");
+    if (secretEl) secretEl.textContent = setup.secret;
+    clearInput("two-factor-enable-code");
+    toggle("two-factor-off-actions", false);
+    toggle("two-factor-enroll", true);
+    safeGet("two-factor-enable-code")?.focus();
+  } catch (err) {
+    console.error(err);
+    setStatus(statusEl, err.message || "Failed to start two-factor setup", true);
+  }
+}
+
+export async function enableTwoFactor() {
+  const statusEl = safeGet("two-factor-status");
+  const code = safeGet("two-factor-enable-code")?.value.trim() || "";
+  if (!code) {
+    setStatus(statusEl, "Enter the code from your authenticator app", true);
+    return;
+  }
+  try {
+    const result = await API.enableTwoFactor(code);
+    clearInput("two-factor-enable-code");
+    setStatus(statusEl, "✅ Two-factor authentication enabled");
+    showRecoveryCodes(result.recoveryCodes);
+    await loadTwoFactorStatus();
+  } catch (err) {
+    console.error(err);
+    setStatus(statusEl, err.message || "Failed to enable two-factor authentication", true);
+  }
+}
+
+export async function regenerateRecoveryCodes() {
+  const statusEl = safeGet("two-factor-status");
+  const code = safeGet("two-factor-regenerate-code")?.value.trim() || "";
+  if (!code) {
+    setStatus(statusEl, "Enter the code from your authenticator app", true);
+    return;
+  }
+  try {
+    const result = await API.regenerateRecoveryCodes(code);
+    clearInput("two-factor-regenerate-code");
+    setStatus(statusEl, "✅ New recovery codes generated; the old ones no longer work");
+    showRecoveryCodes(result.recoveryCodes);
+    await loadTwoFactorStatus();
+  } catch (err) {
+    console.error(err);
+    setStatus(statusEl, err.message || "Failed to regenerate recovery codes", true);
+  }
+}
+
+export async function disableTwoFactor() {
+  const statusEl = safeGet("two-factor-status");
+  const password = safeGet("two-factor-disable-password")?.value || "";
+  if (!password) {
+    setStatus(statusEl, "Enter your password to disable two-factor authentication", true);
+    return;
+  }
+  try {
+    await API.disableTwoFactor(password);
+    clearInput("two-factor-disable-password");
+    setStatus(statusEl, "Two-factor authentication disabled");
+    await loadTwoFactorStatus();
+  } catch (err) {
+    console.error(err);
+    setStatus(statusEl, err.message || "Failed to disable two-factor authentication", true);
+  }
+}
+
+export function closeRecoveryCodesModal() {
+  const codesEl = safeGet("two-factor-recovery-codes");
+  if (codesEl) codesEl.textContent = "";
+  closeModal("two-factor-recovery-modal");
+}
+
+export async function copyRecoveryCodes() {
+  const codesEl = safeGet("two-factor-recovery-codes");
+  if (!codesEl?.textContent) return;
+  try {
+    await navigator.clipboard.writeText(codesEl.textContent);
+    showSuccessToast("Copied", "Recovery codes copied to clipboard.");
+  } catch {
+    // Clipboard API needs a secure context; fall back to selecting the text.
+    window.getSelection()?.selectAllChildren(codesEl);
+  }
+}
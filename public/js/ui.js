@@ -2,12 +2,24 @@
  * DOM helpers, toasts, and shared UI utilities.
  */
 
+import { displayTimeZone } from "./timeZone.js";
+
 export function safeGet(id) {
   const el = document.getElementById(id);
   if (!el) console.warn(`[UI] Element #${id} not found`);
   return el;
 }
 
+/** Escape text for use in innerHTML (free text such as event notes). */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 export function setStatus(el, msg, isError = false) {
   if (!el) return;
   el.textContent = msg;
@@ -86,8 +98,23 @@ export function showAccessDeniedToast(action = "perform this action") {
   );
 }
 
+/** Date and time in the zone picked in the header (vessel time, UTC or browser time). */
 export function formatDateTime(iso) {
   if (!iso) return "-";
   const d = new Date(iso);
-  return isNaN(d.getTime()) ? iso : d.toLocaleString();
+  return isNaN(d.getTime()) ? iso : d.toLocaleString(undefined, { timeZone: displayTimeZone() });
+}
+
+/** Date in the zone picked in the header. */
+export function formatDate(iso) {
+  if (!iso) return "-";
+  const d = new Date(iso);
+  return isNaN(d.getTime()) ? iso : d.toLocaleDateString(undefined, { timeZone: displayTimeZone() });
+}
+
+/** Time of day in the zone picked in the header. */
+export function formatTime(iso) {
+  if (!iso) return "-";
+  const d = new Date(iso);
+  return isNaN(d.getTime()) ? iso : d.toLocaleTimeString(undefined, { timeZone: displayTimeZone() });
 }
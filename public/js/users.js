@@ -0,0 +1,287 @@
+/**
+ * User management (GrandSuperUser only): list, create, change role/vessel,
+ * reset password or 2FA, disable/enable. Rendered on the Config page.
+ */
+
+import * as API from "./api.js";
+import { currentUser } from "./state.js";
+import { safeGet, setStatus, showErrorToast, showSuccessToast, showAccessDeniedToast, formatDateTime } from "./ui.js";
+import { isGrandSuperUser } from "./auth.js";
+import { openModal, closeModal } from "./modals.js";
+
+const ROLE_LABELS = {
+  grandsuperuser: "Grand Super User",
+  superuser: "Super User",
+  admin: "Administrator",
+  viewer: "Viewer",
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+
+let users = [];
+let resetPasswordUserId = null;
+
+function buildRoleSelect(user, disabled) {
+  const select = document.createElement("select");
+  select.className = "user-role-select";
+  Object.entries(ROLE_LABELS).forEach(([value, label]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = label;
+    if (value === user.role) opt.selected = true;
+    select.appendChild(opt);
+  });
+  select.disabled = disabled;
+  select.addEventListener("change", () => changeRole(user, select));
+  return select;
+}
+
+/** "TTN, RAM" -> ["TTN", "RAM"]; the first tag becomes the user's default vessel. */
+function parseVesselTags(value) {
+  return value.split(/[,|]/).map((tag) => tag.trim()).filter(Boolean);
+}
+
+function buildVesselCell(user) {
+  const cell = document.createElement("td");
+  const wrapper = document.createElement("div");
+  wrapper.className = "user-vessel-edit";
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "user-vessel-input";
+  input.value = (user.vesselTags?.length ? user.vesselTags : [user.vesselTag].filter(Boolean)).join(", ");
+  input.placeholder = "e.g., TTN, RAM";
+  input.title = "Comma-separated vessel tags; the first one is the default working vessel";
+
+  const globalLabel = document.createElement("label");
+  globalLabel.className = "user-global-label";
+  const globalInput = document.createElement("input");
+  globalInput.type = "checkbox";
+  globalInput.checked = user.isGlobal;
+  globalInput.disabled = user.role === "grandsuperuser";
+  globalLabel.appendChild(globalInput);
+  globalLabel.appendChild(document.createTextNode(" All vessels"));
+
+  const saveBtn = document.createElement("button");
+  saveBtn.type = "button";
+  saveBtn.className = "btn btn-outline btn-sm";
+  saveBtn.textContent = "💾";
+  saveBtn.title = "Save vessel assignment";
+  saveBtn.addEventListener("click", () =>
+    changeVessel(user, parseVesselTags(input.value), globalInput.checked)
+  );
+
+  wrapper.appendChild(input);
+  wrapper.appendChild(globalLabel);
+  wrapper.appendChild(saveBtn);
+  cell.appendChild(wrapper);
+  return cell;
+}
+
+function buildActionsCell(user, isSelf) {
+  const cell = document.createElement("td");
+  cell.className = "user-actions";
+
+  const resetBtn = document.createElement("button");
+  resetBtn.type = "button";
+  resetBtn.className = "btn btn-outline btn-sm";
+  resetBtn.textContent = "🔑 Reset password";
+  resetBtn.addEventListener("click", () => openResetPasswordModal(user));
+  cell.appendChild(resetBtn);
+
+  if (user.twoFactorEnabled) {
+    const resetTwoFactorBtn = document.createElement("button");
+    resetTwoFactorBtn.type = "button";
+    resetTwoFactorBtn.className = "btn btn-outline btn-sm";
+    resetTwoFactorBtn.textContent = "🛡️ Reset 2FA";
+    resetTwoFactorBtn.title = "For a lost authenticator: removes the user's 2FA secret and recovery codes";
+    resetTwoFactorBtn.addEventListener("click", () => resetTwoFactor(user));
+    cell.appendChild(resetTwoFactorBtn);
+  }
+
+  const toggleBtn = document.createElement("button");
+  toggleBtn.type = "button";
+  if (user.isActive) {
+    toggleBtn.className = "btn btn-outline btn-outline-danger btn-sm";
+    toggleBtn.textContent = "🚫 Disable";
+    toggleBtn.disabled = isSelf;
+    toggleBtn.addEventListener("click", () => setUserActive(user, false));
+  } else {
+    toggleBtn.className = "btn btn-outline btn-sm";
+    toggleBtn.textContent = "✅ Enable";
+    toggleBtn.addEventListener("click", () => setUserActive(user, true));
+  }
+  cell.appendChild(toggleBtn);
+  return cell;
+}
+
+export function renderUsers() {
+  const tableBody = safeGet("users-table-body");
+  if (!tableBody) return;
+
+  tableBody.innerHTML = "";
+  if (!users.length) {
+    tableBody.innerHTML = `<tr><td colspan="5" class="text-muted">No users found</td></tr>`;
+    return;
+  }
+
+  users.forEach((user) => {
+    const isSelf = user.username === currentUser?.username;
+    const row = document.createElement("tr");
+    if (!user.isActive) row.classList.add("user-row-disabled");
+
+    const nameCell = document.createElement("td");
+    nameCell.textContent = user.username;
+    if (isSelf) nameCell.textContent += " (you)";
+
+    const roleCell = document.createElement("td");
+    roleCell.appendChild(buildRoleSelect(user, isSelf));
+
+    const statusCell = document.createElement("td");
+    statusCell.textContent = user.isActive ? "Active" : "Disabled";
+    if (user.twoFactorEnabled) statusCell.textContent += " · 🛡️ 2FA";
+    statusCell.title = `Created ${formatDateTime(user.createdAt)}`;
+
+    row.appendChild(nameCell);
+    row.appendChild(roleCell);
+    row.appendChild(buildVesselCell(user));
+    row.appendChild(statusCell);
+    row.appendChild(buildActionsCell(user, isSelf));
+    tableBody.appendChild(row);
+  });
+}
+
+export async function loadUsers() {
+  if (!isGrandSuperUser()) return;
+  try {
+    users = await API.fetchUsers();
+    renderUsers();
+  } catch (err) {
+    console.error("Failed to load users:", err);
+    showErrorToast("Users", "Failed to load user accounts.");
+  }
+}
+
+export async function createUser() {
+  const statusEl = safeGet("users-status");
+  if (!isGrandSuperUser()) {
+    showAccessDeniedToast("create users");
+    return;
+  }
+
+  const username = safeGet("new-user-username")?.value.trim() || "";
+  const password = safeGet("new-user-password")?.value || "";
+  const role = safeGet("new-user-role")?.value || "viewer";
+  const vesselTags = parseVesselTags(safeGet("new-user-vessel")?.value || "");
+  const isGlobal = Boolean(safeGet("new-user-global")?.checked);
+
+  if (!username) {
+    setStatus(statusEl, "Username is required", true);
+    return;
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    setStatus(statusEl, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`, true);
+    return;
+  }
+
+  try {
+    setStatus(statusEl, "Creating user...", false);
+    await API.createUser({ username, password, role, vesselTags, isGlobal });
+    setStatus(statusEl, `✅ User ${username} created`);
+    ["new-user-username", "new-user-password", "new-user-vessel"].forEach((id) => {
+      const el = safeGet(id);
+      if (el) el.value = "";
+    });
+    const globalEl = safeGet("new-user-global");
+    if (globalEl) globalEl.checked = false;
+    await loadUsers();
+  } catch (err) {
+    console.error(err);
+    setStatus(statusEl, err.message || "Failed to create user", true);
+  }
+}
+
+async function changeRole(user, select) {
+  const statusEl = safeGet("users-status");
+  try {
+    await API.updateUserRole(user.id, select.value);
+    setStatus(statusEl, `✅ ${user.username} is now ${ROLE_LABELS[select.value]}`);
+    await loadUsers();
+  } catch (err) {
+    console.error(err);
+    select.value = user.role;
+    setStatus(statusEl, err.message || "Failed to change role", true);
+  }
+}
+
+async function changeVessel(user, vesselTags, isGlobal) {
+  const statusEl = safeGet("users-status");
+  try {
+    await API.updateUserVessel(user.id, { vesselTags, isGlobal });
+    setStatus(statusEl, `✅ Vessel updated for ${user.username}`);
+    await loadUsers();
+  } catch (err) {
+    console.error(err);
+    setStatus(statusEl, err.message || "Failed to change vessel", true);
+  }
+}
+
+async function setUserActive(user, active) {
+  const statusEl = safeGet("users-status");
+  try {
+    if (active) {
+      await API.enableUser(user.id);
+    } else {
+      await API.disableUser(user.id);
+    }
+    setStatus(statusEl, `✅ ${user.username} ${active ? "enabled" : "disabled"}`);
+    await loadUsers();
+  } catch (err) {
+    console.error(err);
+    setStatus(statusEl, err.message || "Failed to update user", true);
+  }
+}
+
+async function resetTwoFactor(user) {
+  const statusEl = safeGet("users-status");
+  try {
+    await API.resetUserTwoFactor(user.id);
+    setStatus(statusEl, `✅ Two-factor authentication reset for ${user.username}`);
+    await loadUsers();
+  } catch (err) {
+    console.error(err);
+    setStatus(statusEl, err.message || "Failed to reset two-factor authentication", true);
+  }
+}
+
+function openResetPasswordModal(user) {
+  resetPasswordUserId = user.id;
+  const nameEl = safeGet("reset-password-username");
+  if (nameEl) nameEl.textContent = user.username;
+  const input = safeGet("reset-password-input");
+  if (input) input.value = "";
+  openModal("reset-password-modal");
+}
+
+export function closeResetPasswordModal() {
+  resetPasswordUserId = null;
+  closeModal("reset-password-modal");
+}
+
+export async function confirmResetPassword() {
+  const password = safeGet("reset-password-input")?.value || "";
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    showErrorToast("Reset Password", `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    return;
+  }
+  if (resetPasswordUserId === null) return;
+
+  try {
+    await API.resetUserPassword(resetPasswordUserId, password);
+    closeResetPasswordModal();
+    showSuccessToast("Password Reset", "The new password is active. Existing sessions were signed out.");
+  } catch (err) {
+    console.error(err);
+    showErrorToast("Reset Password", err.message || "Failed to reset password.");
+  }
+}
@@ -3,10 +3,13 @@
  * pdf-generator.js (ES module)
  */
 
-import { safeGet, setStatus } from "./js/ui.js";
+import { safeGet, setStatus, formatDate, formatDateTime } from "./js/ui.js";
+import { dateKey, displayTimeZone } from "./js/timeZone.js";
 import { config, getActiveProject } from "./js/state.js";
 import { formatAS, formatSectionLabel, eventDistance, fmtKm, ageBucket, formatEB, getEBRangeForSectionRange } from "./js/streamer-utils.js";
 import { getAuthHeaders } from "./js/api.js";
+import { loadEventAttachments, loadThumbnailImage } from "./js/attachments.js";
+import { loadCleaningMethods, getMethodInfo } from "./js/cleaningMethods.js";
 
 // Color map for heatmap
 const AGE_COLOR_MAP = {
@@ -18,6 +21,23 @@ const AGE_COLOR_MAP = {
   '14plus': [153, 27, 27]
 };
 
+/** "#3b82f6" → [59, 130, 246] for jsPDF fill colours. */
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/** Small filled square in a cleaning method's catalogue colour, left of a text baseline. */
+function drawMethodSwatch(doc, methodKey, x, y, size) {
+  const [r, g, b] = hexToRgb(getMethodInfo(methodKey).color);
+  doc.setFillColor(r, g, b);
+  doc.rect(x, y - size + 0.5, size, size, 'F');
+}
+
+/** Attachment thumbnail height in the events table (mm); width follows the image's aspect ratio. */
+const PDF_THUMB_HEIGHT = 28;
+const PDF_THUMB_MAX_WIDTH = 42;
+
 /**
  * Dynamically injects the local jspdf UMD script the first time it is needed,
  * then resolves. Subsequent calls resolve immediately via the window.jspdf guard.
@@ -39,6 +59,7 @@ async function generatePDFReport() {
     await loadJspdf();
     const { jsPDF } = window.jspdf;
     const doc = new jsPDF({ orientation: 'landscape', format: 'a3' });
+    await loadCleaningMethods();
 
     // Fetch stats from backend
     let statsUrl = 'api/stats';
@@ -96,8 +117,8 @@ async function generatePDFReport() {
     doc.setFontSize(20);
     doc.text('Streamer Maintenance Report', 148, 15, { align: 'center' });
     doc.setFontSize(10);
-    const reportDate = new Date().toLocaleString();
-    doc.text(`Generated: ${reportDate}`, 148, 22, { align: 'center' });
+    const reportDate = formatDateTime(new Date());
+    doc.text(`Generated: ${reportDate} · Times in ${displayTimeZone()}`, 148, 22, { align: 'center' });
 
     if (config.activeProjectNumber) {
       doc.setFontSize(10);
@@ -283,7 +304,8 @@ async function generatePDFReport() {
             doc.addPage('a3', 'landscape');
             yPos = 20;
           }
-          doc.text(`  ${method}: ${fmtKm(distance)}`, 30, yPos);
+          drawMethodSwatch(doc, method, 30, yPos, 3.5);
+          doc.text(`${getMethodInfo(method).label}: ${fmtKm(distance)}`, 36, yPos);
           yPos += 6;
         }
       }
@@ -484,7 +506,7 @@ async function addAllEventsSection(doc, startDate, endDate) {
   // Filter by date range when filter dates are set
   const eventsToShow = (startDate || endDate)
     ? allEvents.filter((e) => {
-        const eventDate = new Date(e.cleanedAt).toISOString().split('T')[0];
+        const eventDate = dateKey(e.cleanedAt);
         if (startDate && endDate) return eventDate >= startDate && eventDate <= endDate;
         if (startDate) return eventDate >= startDate;
         if (endDate) return eventDate <= endDate;
@@ -537,19 +559,23 @@ async function addAllEventsSection(doc, startDate, endDate) {
       : getEBRangeForSectionRange(evt.sectionIndexStart, evt.sectionIndexEnd, config)
   );
 
+  const startNewPage = () => {
+    doc.addPage('a3', 'landscape');
+    let y = 20;
+    drawHeaders(y);
+    y += 5;
+    doc.line(15, y, 195, y);
+    return y + 5;
+  };
+
   for (let i = 0; i < eventsToShow.length; i++) {
     const evt = eventsToShow[i];
 
     if (yPos > 195) {
-      doc.addPage('a3', 'landscape');
-      yPos = 20;
-      drawHeaders(yPos);
-      yPos += 5;
-      doc.line(15, yPos, 195, yPos);
-      yPos += 5;
+      yPos = startNewPage();
     }
 
-    const date = new Date(evt.cleanedAt).toLocaleDateString();
+    const date = formatDate(evt.cleanedAt);
     const streamer = `S${evt.streamerId}`;
     const sectionType = evt.sectionType || 'active';
     const sections = `${formatSectionLabel(evt.sectionIndexStart, sectionType)} - ${formatSectionLabel(evt.sectionIndexEnd, sectionType)}`;
@@ -567,12 +593,80 @@ async function addAllEventsSection(doc, startDate, endDate) {
     doc.text(streamer, 40, yPos);
     doc.text(sections, 55, yPos);
     doc.text(ebRange, 85, yPos);
-    doc.text(evt.cleaningMethod, 115, yPos);
+    drawMethodSwatch(doc, evt.cleaningMethod, 115, yPos, 2.2);
+    doc.text(getMethodInfo(evt.cleaningMethod).label, 118, yPos);
     doc.text(addedBy, 140, yPos);
     doc.text(distance, 165, yPos);
     doc.text(String(count), 182, yPos);
     yPos += 5;
+
+    // Notes below the row, wrapped to the table width
+    if (evt.notes) {
+      const lines = doc.splitTextToSize(`Note: ${evt.notes}`, 150);
+      if (yPos + lines.length * 3.5 > 195) yPos = startNewPage();
+      doc.setFontSize(6.5);
+      doc.setTextColor(100, 100, 100);
+      doc.text(lines, 40, yPos - 1);
+      doc.setTextColor(0, 0, 0);
+      yPos += lines.length * 3.5;
+    }
+
+    // Photos and documents attached to the event (attachmentCount comes with the events list)
+    if (evt.attachmentCount > 0) {
+      yPos = await addEventAttachments(doc, evt, yPos, startNewPage);
+    }
+  }
+}
+
+/**
+ * Helper: Draw an event's attachments below its row in the events table: image thumbnails
+ * side by side, then the names of the other files. Returns the new yPos.
+ */
+async function addEventAttachments(doc, evt, yPos, startNewPage) {
+  let attachments;
+  try {
+    attachments = await loadEventAttachments(evt);
+  } catch (err) {
+    console.error('Failed to load attachments for the PDF:', err);
+    return yPos;
+  }
+
+  const images = [];
+  for (const attachment of attachments.filter((a) => a.hasThumbnail)) {
+    try {
+      images.push({ attachment, ...(await loadThumbnailImage(attachment.id)) });
+    } catch (err) {
+      console.error('Failed to load thumbnail for the PDF:', err);
+    }
+  }
+  const documents = attachments.filter((a) => !a.hasThumbnail);
+
+  let x = 40;
+  if (images.length > 0) {
+    if (yPos + PDF_THUMB_HEIGHT + 6 > 195) yPos = startNewPage();
+    for (const image of images) {
+      const width = Math.min(PDF_THUMB_MAX_WIDTH, (image.width / image.height) * PDF_THUMB_HEIGHT);
+      if (x + width > 195) {
+        x = 40;
+        yPos += PDF_THUMB_HEIGHT + 6;
+        if (yPos + PDF_THUMB_HEIGHT + 6 > 195) yPos = startNewPage();
+      }
+      doc.addImage(image.dataUrl, 'JPEG', x, yPos - 2, width, PDF_THUMB_HEIGHT);
+      doc.setFontSize(6);
+      const caption = image.attachment.caption || image.attachment.originalName;
+      doc.text(doc.splitTextToSize(caption, width)[0], x, yPos + PDF_THUMB_HEIGHT + 1);
+      x += width + 4;
+    }
+    yPos += PDF_THUMB_HEIGHT + 6;
+  }
+
+  if (documents.length > 0) {
+    if (yPos > 195) yPos = startNewPage();
+    doc.setFontSize(6);
+    doc.text(`Attachments: ${documents.map((a) => a.originalName).join(', ')}`, 40, yPos);
+    yPos += 5;
   }
+  return yPos;
 }
 
 /**
@@ -1,4 +1,4 @@
-import { safeGet, showErrorToast, showSuccessToast } from "./js/ui.js";
+import { safeGet, showErrorToast, showSuccessToast, escapeHtml, formatDate } from "./js/ui.js";
 import {
   setOnShowAppCallback,
   loadSession,
@@ -33,6 +33,8 @@ import {
   getConfigForProject,
 } from "./js/streamer-utils.js";
 import { validateNoiseCsv } from "./js/noise-validation.js";
+import { formatFouling, applyFoulingMode } from "./js/fouling.js";
+import { initSurveyLines, renderSurveyLines } from "./js/surveyLines.js";
 
 /* ------------ Noise utilities ------------ */
 
@@ -162,7 +164,7 @@ function populateUploadSelector(uploads) {
   uploads.forEach(u => {
     const opt = document.createElement("option");
     opt.value = u.id;
-    const date = new Date(u.uploadedAt).toLocaleDateString();
+    const date = formatDate(u.uploadedAt);
     opt.textContent = u.label ? `${date} — ${u.label}` : date;
     selector.appendChild(opt);
   });
@@ -178,6 +180,17 @@ function isNoiseToggleOn() {
   return toggle ? toggle.checked : false;
 }
 
+/**
+ * Show the legend of what the heatmap is coloured by: noise when the overlay is on,
+ * otherwise the selected mode (cleaning age or fouling).
+ */
+function updateLegends() {
+  const noiseOn = isNoiseToggleOn();
+  safeGet("noise-legend")?.classList.toggle("hidden", !noiseOn);
+  safeGet("fouling-legend")?.classList.toggle("hidden", noiseOn || heatmapMode !== "fouling");
+  safeGet("age-legend")?.classList.toggle("hidden", noiseOn || heatmapMode === "fouling");
+}
+
 function enableNoiseToggle(hasData) {
   const toggle = safeGet("noise-toggle");
   const label = safeGet("noise-toggle-label");
@@ -219,7 +232,7 @@ function hideTooltip() {
   if (tooltipEl) tooltipEl.classList.remove("show");
 }
 
-function attachSectionTooltips(container, lastCleaned) {
+function attachSectionTooltips(container, lastCleaned, lastFouling, lastNotes) {
   const cells = container.querySelectorAll(".hm-vcell.hm-planning-cell");
 
   cells.forEach(cell => {
@@ -243,12 +256,23 @@ function attachSectionTooltips(container, lastCleaned) {
       const tip = getTooltip();
       let html = `<div class="tooltip-header">Streamer ${streamerId}, Section ${sectionLabel}</div>`;
       if (lastDate) {
-        html += `<div class="tooltip-row">Last cleaned: ${new Date(lastDate).toLocaleDateString()}</div>`;
+        html += `<div class="tooltip-row">Last cleaned: ${formatDate(lastDate)}</div>`;
         html += `<div class="tooltip-row">Days since: ${daysSince}</div>`;
       } else {
         html += `<div class="tooltip-row">Never cleaned</div>`;
       }
 
+      const fouling = lastFouling?.[streamerId]?.[sectionIndex];
+      if (fouling) {
+        html += `<div class="tooltip-row">Last fouling: <strong>${formatFouling(fouling.grade, fouling.type)}</strong> (${formatDate(fouling.observedAt)})</div>`;
+      }
+
+      const note = lastNotes?.[streamerId]?.[sectionIndex];
+      if (note) {
+        html += `<div class="tooltip-row">📝 Note (${formatDate(note.cleanedAt)}):</div>`;
+        html += `<div class="tooltip-row tooltip-notes">${escapeHtml(note.notes)}</div>`;
+      }
+
       // Append RMS noise value if data is available for this active section
       if (!isTail && noiseData) {
         const rms = noiseData[streamerId]?.[sectionIndex] ?? 0;
@@ -280,6 +304,8 @@ const NEVER_DAYS = 9999;
 
 // Persists the last-computed suggestions so header clicks can re-sort without refetching.
 let currentSuggestions = [];
+/** What heatmap cells are coloured by: "age" (days since cleaning) or "fouling" (last observed grade). */
+let heatmapMode = "age";
 let sortState = { column: null, direction: "asc" };
 
 /**
@@ -537,7 +563,12 @@ async function renderPlanningHeatmap() {
     if (selectedProjectFilter) {
       url += `?project=${encodeURIComponent(selectedProjectFilter)}`;
     }
-    const data = await API.apiCall(url);
+    const projectParams = selectedProjectFilter ? { project: selectedProjectFilter } : {};
+    const [data, foulingData, notesData] = await Promise.all([
+      API.apiCall(url),
+      API.fetchLastFouling(projectParams),
+      API.fetchLastNotes(projectParams),
+    ]);
     const lastCleaned = data.lastCleaned;
 
     const effectiveCfg = {
@@ -684,7 +715,10 @@ async function renderPlanningHeatmap() {
     }
 
     container.appendChild(wrapper);
-    attachSectionTooltips(container, lastCleaned);
+    if (heatmapMode === "fouling") {
+      applyFoulingMode(container, foulingData.lastFouling);
+    }
+    attachSectionTooltips(container, lastCleaned, foulingData.lastFouling, notesData.lastNotes);
 
     // Re-apply noise overlay if the toggle is currently active
     if (isNoiseToggleOn() && noiseData) {
@@ -744,8 +778,7 @@ async function refreshNoiseForProject(projectNumber) {
       const container = safeGet("planning-heatmap-container");
       if (container) {
         removeNoiseOverlay(container);
-        safeGet("age-legend")?.classList.remove("hidden");
-        safeGet("noise-legend")?.classList.add("hidden");
+        updateLegends();
       }
     }
     await renderPlanningHeatmap();
@@ -772,8 +805,7 @@ async function refreshNoiseForProject(projectNumber) {
       const container = safeGet("planning-heatmap-container");
       if (container) {
         removeNoiseOverlay(container);
-        safeGet("age-legend")?.classList.remove("hidden");
-        safeGet("noise-legend")?.classList.add("hidden");
+        updateLegends();
       }
     }
   }
@@ -792,23 +824,25 @@ function initNoiseControls() {
   toggle?.addEventListener("change", () => {
     const container = safeGet("planning-heatmap-container");
     if (!container) return;
-    const ageLegend = safeGet("age-legend");
-    const noiseLegend = safeGet("noise-legend");
 
     if (toggle.checked) {
       if (noiseData) {
         applyNoiseOverlay(container, noiseData);
-        ageLegend?.classList.add("hidden");
-        noiseLegend?.classList.remove("hidden");
       } else {
         toggle.checked = false;
         showErrorToast("No noise data available. Upload a noise CSV first.");
       }
     } else {
       removeNoiseOverlay(container);
-      ageLegend?.classList.remove("hidden");
-      noiseLegend?.classList.add("hidden");
     }
+    updateLegends();
+  });
+
+  // Heatmap mode: cleaning age or last observed fouling
+  safeGet("planning-heatmap-mode")?.addEventListener("change", async (e) => {
+    heatmapMode = e.target.value === "fouling" ? "fouling" : "age";
+    updateLegends();
+    await renderPlanningHeatmap();
   });
 
   // Upload selector handler — load chosen batch and re-render
@@ -891,9 +925,11 @@ async function initPlanningApp() {
   showActiveProject();
   initNoiseControls(); // registers event listeners only (no async data loading)
   initSuggestionsSortHandlers();
+  initSurveyLines();
 
   // Initial data load — refreshNoiseForProject calls renderPlanningHeatmap internally
   await refreshNoiseForProject(selectedProjectFilter);
+  await renderSurveyLines(selectedProjectFilter);
 
   updateUIForRole();
 }
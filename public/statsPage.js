@@ -11,9 +11,7 @@ import {
   setupPasswordToggle,
 } from "./js/auth.js";
 import * as Projects from "./js/projects.js";
-import * as API from "./js/api.js";
 import {
-  setEvents,
   setSelectedProjectFilter,
   getActiveProject,
   projects,
@@ -21,11 +19,6 @@ import {
 import { refreshStatsFiltered, resetFilter } from "./js/stats.js";
 import { initPDFGeneration } from "./pdf-generator.js";
 
-async function loadEvents() {
-  const eventsData = await API.fetchEvents();
-  setEvents(eventsData);
-}
-
 function populateProjectFilter() {
   const selector = safeGet("stats-project-filter");
   if (!selector) return;
@@ -49,12 +42,11 @@ function populateProjectFilter() {
 }
 
 function setupStatsEventListeners() {
-  safeGet("btn-apply-filter")?.addEventListener("click", refreshStatsFiltered);
+  safeGet("btn-apply-filter")?.addEventListener("click", () => refreshStatsFiltered());
   safeGet("btn-reset-filter")?.addEventListener("click", resetFilter);
 
   safeGet("stats-project-filter")?.addEventListener("change", async (e) => {
     setSelectedProjectFilter(e.target.value || null);
-    await loadEvents();
     await refreshStatsFiltered();
   });
 }
@@ -63,7 +55,6 @@ async function initStatsApp() {
   Projects.initProjects({ refreshStatsFiltered });
   await Projects.loadConfig();
   await Projects.loadProjects();
-  await loadEvents();
 
   populateProjectFilter();
   setupStatsEventListeners();
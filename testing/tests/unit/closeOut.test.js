@@ -0,0 +1,47 @@
+// closeOut.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const { summarizeCloseOut } = require("../../../backend/utils/closeOut");
+
+const layout = (effectiveFrom, numCables, sectionsPerCable, sectionLength) => ({
+  effectiveFrom,
+  numCables,
+  sectionsPerCable,
+  sectionLength,
+  useRopeForTail: true,
+});
+
+const event = (streamerId, start, end, cleanedAt) => ({
+  streamerId,
+  sectionIndexStart: start,
+  sectionIndexEnd: end,
+  sectionType: "active",
+  cleaningMethod: "rope",
+  cleanedAt,
+});
+
+test("close-out covers every layout of a project whose spread changed mid-survey", () => {
+  // Three streamers of 4 x 100 m sections, then two streamers of 6 x 50 m sections.
+  const versions = [layout(null, 3, 4, 100), layout("2026-10-05T00:00:00.000Z", 2, 6, 50)];
+  const events = [
+    event(3, 0, 3, "2026-10-01T08:00:00.000Z"),
+    event(1, 0, 5, "2026-10-06T08:00:00.000Z"),
+  ];
+
+  const summary = summarizeCloseOut(events, versions);
+
+  assert.deepStrictEqual(summary.coverage, { cleanedSections: 10, totalSections: 16, percent: 62.5 });
+  assert.deepStrictEqual(summary.neverCleaned, {
+    count: 6,
+    ranges: [{ streamerId: 2, sectionType: "active", start: 0, end: 5 }],
+  });
+  assert.strictEqual(summary.totalDistance, 4 * 100 + 6 * 50);
+  assert.deepStrictEqual(summary.distanceByMethod, { rope: 700 });
+});
+
+test("close-out of a project with one layout uses it throughout", () => {
+  const summary = summarizeCloseOut([event(1, 2, 3, "2026-10-01T08:00:00.000Z")], [layout(null, 1, 4, 75)]);
+  assert.deepStrictEqual(summary.coverage, { cleanedSections: 2, totalSections: 4, percent: 50 });
+  assert.deepStrictEqual(summary.neverCleaned.ranges, [{ streamerId: 1, sectionType: "active", start: 0, end: 1 }]);
+  assert.strictEqual(summary.totalDistance, 150);
+});
@@ -0,0 +1,54 @@
+// db.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const { initDb, runAsync, getAllCamelized, inTransaction } = require("../../../backend/db");
+
+const MARKER = "db-transaction-test";
+
+const insertEvent = (streamerId) =>
+  runAsync(
+    `INSERT INTO cleaning_events (streamer_id, section_index_start, section_index_end, cleaning_method, cleaned_at, added_by_usertag)
+     VALUES (?, 0, 0, 'rope', '2026-10-01T08:00:00.000Z', ?)`,
+    [streamerId, MARKER]
+  );
+
+const markedStreamers = async () =>
+  (await getAllCamelized("SELECT streamer_id FROM cleaning_events WHERE added_by_usertag = ? ORDER BY streamer_id", [MARKER])).map(
+    (row) => row.streamerId
+  );
+
+test.before(async () => {
+  await initDb();
+  await runAsync("DELETE FROM cleaning_events WHERE added_by_usertag = ?", [MARKER]);
+});
+
+test.after(() => runAsync("DELETE FROM cleaning_events WHERE added_by_usertag = ?", [MARKER]));
+
+test("a write made while a transaction is open survives that transaction's rollback", async () => {
+  let started;
+  const opened = new Promise((resolve) => (started = resolve));
+  const failing = inTransaction(async () => {
+    await insertEvent(1);
+    started();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    throw new Error("rolled back");
+  });
+  await opened;
+  const outside = insertEvent(2);
+
+  await assert.rejects(failing, /rolled back/);
+  await outside;
+  assert.deepStrictEqual(await markedStreamers(), [2]);
+});
+
+test("inTransaction calls inside a transaction join it", async () => {
+  await runAsync("DELETE FROM cleaning_events WHERE added_by_usertag = ?", [MARKER]);
+  await assert.rejects(
+    inTransaction(async () => {
+      await inTransaction(() => insertEvent(3));
+      throw new Error("rolled back");
+    }),
+    /rolled back/
+  );
+  assert.deepStrictEqual(await markedStreamers(), []);
+});
@@ -0,0 +1,97 @@
+// dbMigrations.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const sqlite3 = require("sqlite3");
+
+const DB_MODULE = path.join(__dirname, "../../../backend/db");
+
+/** Tables as the first release created them, before the columns later releases added. */
+const OLD_SCHEMA = `
+CREATE TABLE cleaning_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  streamer_id INTEGER NOT NULL,
+  section_index_start INTEGER NOT NULL,
+  section_index_end INTEGER NOT NULL,
+  section_type TEXT NOT NULL DEFAULT 'active' CHECK (section_type IN ('active', 'tail')),
+  cleaning_method TEXT NOT NULL,
+  cleaned_at TEXT NOT NULL,
+  cleaning_count INTEGER DEFAULT 1,
+  project_number TEXT,
+  vessel_tag TEXT DEFAULT 'TTN',
+  added_by_usertag TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE projects (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  project_number TEXT UNIQUE NOT NULL,
+  project_name TEXT,
+  vessel_tag TEXT DEFAULT 'TTN',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  num_cables INTEGER DEFAULT 12,
+  sections_per_cable INTEGER DEFAULT 107,
+  section_length INTEGER DEFAULT 75,
+  module_frequency INTEGER DEFAULT 4,
+  channels_per_section INTEGER DEFAULT 6,
+  use_rope_for_tail INTEGER DEFAULT 1,
+  comments TEXT
+);
+CREATE TABLE vessel_context (vessel_tag TEXT PRIMARY KEY, active_project_id INTEGER, updated_at TEXT);
+CREATE TABLE noise_uploads (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  project_number TEXT NOT NULL,
+  vessel_tag TEXT NOT NULL,
+  label TEXT,
+  uploaded_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+INSERT INTO projects (project_number, project_name) VALUES ('P1', 'Old project');
+INSERT INTO cleaning_events (streamer_id, section_index_start, section_index_end, cleaning_method, cleaned_at, project_number)
+  VALUES (1, 0, 3, 'rope', '2026-01-01T08:00:00.000Z', 'P1');
+`;
+
+function createOldDatabase(file) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file);
+    db.exec(OLD_SCHEMA, (err) => db.close(() => (err ? reject(err) : resolve())));
+  });
+}
+
+/** Start the app's database on a file in a separate process (db.js opens DB_FILE when loaded). */
+function initDbOn(file) {
+  const script = `
+    const { initDb, getAllCamelized } = require(${JSON.stringify(DB_MODULE)});
+    initDb()
+      .then(async () => {
+        const events = await getAllCamelized("SELECT id, notes, trash_id FROM cleaning_events WHERE trash_id IS NULL");
+        const projects = await getAllCamelized("SELECT project_number, status FROM projects WHERE trash_id IS NULL");
+        console.log(JSON.stringify({ events, projects }));
+        process.exit(0);
+      })
+      .catch((err) => { console.error(err); process.exit(1); });
+  `;
+  const output = execFileSync(process.execPath, ["-e", script], {
+    env: { ...process.env, NODE_ENV: "test", DB_FILE: file },
+    encoding: "utf8",
+  });
+  return JSON.parse(output.trim().split("\n").pop());
+}
+
+test("a database from an earlier version gets the new columns and keeps its data", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "streamer-migration-"));
+  const file = path.join(dir, "old.db");
+  try {
+    await createOldDatabase(file);
+    const expected = {
+      events: [{ id: 1, notes: null, trashId: null }],
+      projects: [{ projectNumber: "P1", status: "planned" }],
+    };
+    assert.deepStrictEqual(initDbOn(file), expected);
+    // A second start finds nothing to add.
+    assert.deepStrictEqual(initDbOn(file), expected);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
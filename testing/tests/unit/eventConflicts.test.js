@@ -0,0 +1,48 @@
+// eventConflicts.test.js
+process.env.EVENT_CONFLICT_POLICY = "strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { findBatchConflicts, blockingConflicts } = require("../../../backend/eventConflicts");
+
+const event = (overrides) => ({
+  streamerId: 1,
+  sectionType: "active",
+  sectionIndexStart: 0,
+  sectionIndexEnd: 3,
+  cleaningMethod: "rope",
+  cleanedAt: "2026-10-01T08:00:00.000Z",
+  projectNumber: "P1",
+  vesselTag: "TTN",
+  ...overrides,
+});
+
+test("a row overlapping an earlier row of the same import is blocked under the strict policy", () => {
+  const accepted = [{ row: 0, event: event({}) }];
+  const warnings = findBatchConflicts([event({ sectionIndexStart: 2, sectionIndexEnd: 5, cleanedAt: "2026-10-01T10:00:00.000Z" })], accepted);
+
+  assert.strictEqual(warnings.length, 1);
+  assert.strictEqual(warnings[0].type, "overlap");
+  assert.strictEqual(warnings[0].row, 0);
+  assert.match(warnings[0].message, /row 1 of this import, 2 hr earlier/);
+  assert.deepStrictEqual(blockingConflicts(warnings), warnings);
+});
+
+test("a row next to an earlier same-method row of the same import is only a warning", () => {
+  const accepted = [{ row: 0, event: event({}) }];
+  const warnings = findBatchConflicts([event({ sectionIndexStart: 4, sectionIndexEnd: 6, cleanedAt: "2026-10-01T08:30:00.000Z" })], accepted);
+
+  assert.deepStrictEqual(warnings.map((warning) => warning.type), ["adjacent"]);
+  assert.deepStrictEqual(blockingConflicts(warnings), []);
+});
+
+test("rows on another streamer, project or outside the windows do not conflict", () => {
+  const accepted = [{ row: 0, event: event({}) }];
+  const planned = [
+    event({ streamerId: 2 }),
+    event({ projectNumber: "P2" }),
+    event({ cleanedAt: "2026-10-03T08:00:00.000Z" }),
+    event({ sectionIndexStart: 5, sectionIndexEnd: 6 }),
+  ];
+  assert.deepStrictEqual(findBatchConflicts(planned, accepted), []);
+});
@@ -0,0 +1,53 @@
+// eventExport.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const { PassThrough } = require("stream");
+const { initDb, runAsync } = require("../../../backend/db");
+const { streamEventsExport } = require("../../../backend/eventExport");
+const { parseImportFile, detectImportSettings, mapImportRows } = require("../../../backend/eventImport");
+
+const TIME_ZONE = "Europe/Oslo";
+const METHODS = [{ key: "rope", label: "Rope" }];
+const CLEANED_AT = ["2026-01-15T08:00:00.000Z", "2026-07-15T08:00:00.000Z"];
+
+async function exportFile(format) {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on("data", (chunk) => chunks.push(Buffer.from(chunk)));
+  const finished = new Promise((resolve) => stream.on("end", resolve));
+  await streamEventsExport(stream, {
+    format,
+    where: " WHERE added_by_usertag = ?",
+    params: ["export-round-trip"],
+    include: [],
+    baseConfig: {},
+    timeZone: TIME_ZONE,
+  });
+  await finished;
+  return Buffer.concat(chunks);
+}
+
+async function importTimes(buffer, filename) {
+  const parsed = await parseImportFile(buffer, filename);
+  const settings = detectImportSettings(parsed);
+  return mapImportRows(parsed.rows, settings, METHODS, TIME_ZONE).map(({ row, reason }) => row?.cleanedAt ?? reason);
+}
+
+test.before(async () => {
+  await initDb();
+  await runAsync("DELETE FROM cleaning_events WHERE added_by_usertag = ?", ["export-round-trip"]);
+  for (const cleanedAt of CLEANED_AT) {
+    await runAsync(
+      `INSERT INTO cleaning_events (streamer_id, section_index_start, section_index_end, cleaning_method, cleaned_at, added_by_usertag)
+       VALUES (1, 0, 3, 'rope', ?, 'export-round-trip')`,
+      [cleanedAt]
+    );
+  }
+});
+
+test.after(() => runAsync("DELETE FROM cleaning_events WHERE added_by_usertag = ?", ["export-round-trip"]));
+
+test("XLSX and CSV exports import back to the same instants on a vessel not on UTC", async () => {
+  assert.deepStrictEqual(await importTimes(await exportFile("xlsx"), "events.xlsx"), CLEANED_AT);
+  assert.deepStrictEqual(await importTimes(await exportFile("csv"), "events.csv"), CLEANED_AT);
+});
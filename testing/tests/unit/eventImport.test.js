@@ -0,0 +1,53 @@
+// eventImport.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const ExcelJS = require("exceljs");
+const { parseImportFile, detectImportSettings, mapImportRows } = require("../../../backend/eventImport");
+const { LINE_LOG_FIELDS, readLineLog } = require("../../../backend/surveyLines");
+
+const TIME_ZONE = "Europe/Oslo";
+const METHODS = [{ key: "rope", label: "Rope" }];
+
+async function xlsxBuffer(rows) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Sheet1");
+  rows.forEach((row) => sheet.addRow(row));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/** An XLSX date cell as Excel stores it: the wall clock in the Date's UTC fields. */
+const excelDate = (text) => new Date(`${text}Z`);
+
+async function importRows(buffer, filename) {
+  const parsed = await parseImportFile(buffer, filename);
+  const settings = detectImportSettings(parsed);
+  return mapImportRows(parsed.rows, settings, METHODS, TIME_ZONE).map(({ row, reason }) => row?.cleanedAt ?? reason);
+}
+
+test("XLSX date cells are read in the vessel time zone like CSV values", async () => {
+  const csv = Buffer.from("Streamer,Section,Method,Date,Time\n1,3,rope,2026-10-01 10:00,\n2,4,rope,2026-10-02,06:30\n");
+  const xlsx = await xlsxBuffer([
+    ["Streamer", "Section", "Method", "Date", "Time"],
+    [1, 3, "rope", excelDate("2026-10-01T10:00:00"), null],
+    [2, 4, "rope", excelDate("2026-10-02T00:00:00"), excelDate("1899-12-30T06:30:00")],
+  ]);
+  const fromCsv = await importRows(csv, "events.csv");
+  assert.deepStrictEqual(fromCsv, ["2026-10-01T08:00:00.000Z", "2026-10-02T04:30:00.000Z"]);
+  assert.deepStrictEqual(await importRows(xlsx, "events.xlsx"), fromCsv);
+});
+
+test("XLSX line logs are read in the vessel time zone like CSV line logs", async () => {
+  const csv = Buffer.from("Sequence,Line,Start,End\n1,L100,2026-10-01 10:00,2026-10-01 12:30\n");
+  const xlsx = await xlsxBuffer([
+    ["Sequence", "Line", "Start", "End"],
+    [1, "L100", excelDate("2026-10-01T10:00:00"), excelDate("2026-10-01T12:30:00")],
+  ]);
+  const times = async (buffer, filename) =>
+    readLineLog(await parseImportFile(buffer, filename, LINE_LOG_FIELDS), TIME_ZONE).results.map(({ line }) => [
+      line.startedAt,
+      line.endedAt,
+    ]);
+  const fromCsv = await times(csv, "lines.csv");
+  assert.deepStrictEqual(fromCsv, [["2026-10-01T08:00:00.000Z", "2026-10-01T10:30:00.000Z"]]);
+  assert.deepStrictEqual(await times(xlsx, "lines.xlsx"), fromCsv);
+});
@@ -0,0 +1,40 @@
+// queryHelpers.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const { initDb, runAsync, getAllCamelized } = require("../../../backend/db");
+const { buildEventsListConditions } = require("../../../backend/utils/queryHelpers");
+
+const PROJECT = "LIKE-TEST";
+const NOTES = ["50% fouled", "500 fouled", "a_b", "axb", "c\\d"];
+
+async function matchingNotes(query) {
+  const { conditions, params } = buildEventsListConditions({ project: PROJECT, ...query });
+  const rows = await getAllCamelized(`SELECT notes FROM cleaning_events WHERE ${conditions.join(" AND ")} ORDER BY id`, params);
+  return rows.map((row) => row.notes);
+}
+
+test.before(async () => {
+  await initDb();
+  await runAsync("DELETE FROM cleaning_events WHERE project_number = ?", [PROJECT]);
+  await runAsync("INSERT OR IGNORE INTO projects (project_number) VALUES (?)", [PROJECT]);
+  for (const notes of NOTES) {
+    await runAsync(
+      `INSERT INTO cleaning_events (streamer_id, section_index_start, section_index_end, cleaning_method, cleaned_at, project_number, added_by_usertag, notes)
+       VALUES (1, 0, 0, 'rope', '2026-10-01T08:00:00.000Z', ?, ?, ?)`,
+      [PROJECT, notes, notes]
+    );
+  }
+});
+
+test.after(async () => {
+  await runAsync("DELETE FROM cleaning_events WHERE project_number = ?", [PROJECT]);
+  await runAsync("DELETE FROM projects WHERE project_number = ?", [PROJECT]);
+});
+
+test("notes and addedBy filters take %, _ and \\ literally", async () => {
+  assert.deepStrictEqual(await matchingNotes({ notes: "50%" }), ["50% fouled"]);
+  assert.deepStrictEqual(await matchingNotes({ notes: "a_b" }), ["a_b"]);
+  assert.deepStrictEqual(await matchingNotes({ notes: "c\\d" }), ["c\\d"]);
+  assert.deepStrictEqual(await matchingNotes({ addedBy: "0%" }), ["50% fouled"]);
+  assert.deepStrictEqual(await matchingNotes({ notes: "FOULED" }), ["50% fouled", "500 fouled"]);
+});